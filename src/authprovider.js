@@ -33,6 +33,7 @@ class AuthProvider {
 		 */
 		this.connection = connection;
 		this.token = null;
+		this.expiresAt = null;
 	}
 
 	/**
@@ -106,17 +107,136 @@ class AuthProvider {
 	 * Set to `null` to remove the access token.
 	 * 
 	 * This also manages which auth provider is set for the connection.
+	 * If a token store is set for the connection, the token is written to (or removed from) the store.
 	 * 
 	 * @param {?string} token 
+	 * @param {?number} [expiresAt=null] - The time the token expires as UNIX timestamp in milliseconds, `null` if unknown.
+	 * @see Connection#setTokenStore
 	 */
-	setToken(token) {
+	setToken(token, expiresAt = null) {
 		this.token = token;
+		this.expiresAt = token !== null && expiresAt > 0 ? expiresAt : null;
 		if (this.token !== null) {
 			this.connection.authProvider = this;
 		}
 		else {
 			this.connection.authProvider = null;
 		}
+		this.persistToken();
+	}
+
+	/**
+	 * Writes the token to the token store of the connection, or removes it if no token is set.
+	 * 
+	 * Errors are not thrown, but logged to the console.
+	 * 
+	 * @protected
+	 */
+	persistToken() {
+		let store = this.connection.getTokenStore();
+		if (store === null) {
+			return;
+		}
+		let key = this.connection.getTokenStoreKey(this);
+		let promise = this.token !== null ? store.set(key, this.getStorageData()) : store.remove(key);
+		Promise.resolve(promise).catch(error => console.warn("Can't persist the access token: " + error.message));
+	}
+
+	/**
+	 * Returns the data to persist in the token store.
+	 * 
+	 * May be extended by sub-classes, e.g. to store refresh tokens.
+	 * The data must be JSON serializable.
+	 * 
+	 * @returns {object}
+	 */
+	getStorageData() {
+		return {
+			id: this.getId(),
+			type: this.getType(),
+			provider_id: this.getProviderId(),
+			token: this.token,
+			expires_at: this.expiresAt
+		};
+	}
+
+	/**
+	 * Restores the token from the data read from the token store.
+	 * 
+	 * Doesn't write to the token store and doesn't set the auth provider for the connection.
+	 * Expired tokens are only restored if they can be renewed.
+	 * Tokens that have been stored by another auth provider (e.g. for another OpenID Connect flow) are not restored.
+	 * 
+	 * May be extended by sub-classes, e.g. to restore refresh tokens.
+	 * 
+	 * @param {object} data - The data as returned by {@link AuthProvider#getStorageData}.
+	 * @returns {boolean} `true` if the token has been restored, `false` otherwise.
+	 */
+	restoreStorageData(data) {
+		if (data === null || typeof data !== 'object' || typeof data.token !== 'string') {
+			return false;
+		}
+		if (typeof data.id === 'string' && data.id !== this.getId()) {
+			return false;
+		}
+		this.token = data.token;
+		this.expiresAt = data.expires_at > 0 ? data.expires_at : null;
+		if (this.isTokenExpired() && !this.canRefresh()) {
+			this.token = null;
+			this.expiresAt = null;
+			return false;
+		}
+		return true;
+	}
+
+	/**
+	 * Returns the time the access token expires as UNIX timestamp in milliseconds.
+	 * 
+	 * Returns `null` if unknown or no access token is set.
+	 * 
+	 * @returns {?number}
+	 */
+	getExpiresAt() {
+		return this.expiresAt;
+	}
+
+	/**
+	 * Checks whether the access token has expired or expires within the given time.
+	 * 
+	 * Tokens with an unknown expiry time are never considered as expired.
+	 * 
+	 * @param {number} [margin=0] - Time in milliseconds before the actual expiry time that the token is already considered as expired.
+	 * @returns {boolean}
+	 */
+	isTokenExpired(margin = 0) {
+		return this.expiresAt !== null && Date.now() + margin >= this.expiresAt;
+	}
+
+	/**
+	 * Checks whether the access token can be renewed without user interaction.
+	 * 
+	 * May be overridden by sub-classes that support renewing tokens.
+	 * 
+	 * @returns {boolean}
+	 * @see AuthProvider#refreshToken
+	 */
+	canRefresh() {
+		return false;
+	}
+
+	/**
+	 * Renews the access token without user interaction, e.g. using a refresh token.
+	 * 
+	 * May be overridden by sub-classes that support renewing tokens.
+	 * 
+	 * @async
+	 * @param {?AbortSignal} [signal=null] - An AbortSignal to cancel the renewal.
+	 * @returns {Promise<void>}
+	 * @throws {Error}
+	 * @see AuthProvider#canRefresh
+	 */
+	async refreshToken(signal = null) { // eslint-disable-line no-unused-vars
+		throw new Error("Renewing the access token is not supported.");
 	}
 
 	/**
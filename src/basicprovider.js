@@ -28,15 +28,17 @@ class BasicProvider extends AuthProvider {
 	 * @async
 	 * @param {string} username 
 	 * @param {string} password 
+	 * @param {?AbortSignal} [signal=null] - An AbortSignal to cancel the request.
 	 * @returns {Promise<void>}
 	 * @throws {Error}
 	 */
-	async login(username, password) {
+	async login(username, password, signal = null) {
 		let response = await this.connection._send({
 			method: 'get',
 			responseType: 'json',
 			url: '/credentials/basic',
-			headers: {'Authorization': 'Basic ' + Environment.base64encode(username + ':' + password)}
+			headers: {'Authorization': 'Basic ' + Environment.base64encode(username + ':' + password)},
+			signal: signal
 		});
 		if (!Utils.isObject(response.data) || typeof response.data.access_token !== 'string') {
 			throw new Error("No access_token returned.");
@@ -1,3 +1,21 @@
+const Utils = require('./utils');
+const ZipArchive = require('./ziparchive');
+const AbortError = require('./errors/aborterror');
+const WebStorageTokenStore = require('./tokenstores/webstoragetokenstore');
+
+/**
+ * The names of the hash functions supported by the Web Crypto API.
+ * 
+ * @type {object.<string, string>}
+ * @ignore
+ */
+const DIGEST_ALGORITHMS = {
+	sha1: 'SHA-1',
+	sha256: 'SHA-256',
+	sha384: 'SHA-384',
+	sha512: 'SHA-512'
+};
+
 /**
  * Platform dependant utilities for the openEO JS Client.
  * 
@@ -17,16 +35,42 @@ class Environment {
 		return 'Browser';
 	}
 
+	/**
+	 * Returns the factory function for the default OpenID Connect providers.
+	 * 
+	 * Returns `null` so that the OidcProvider, which is based on oidc-client-js, is used.
+	 * 
+	 * @static
+	 * @param {Connection} connection - The connection to create the providers for.
+	 * @returns {?oidcProviderFactoryFunction}
+	 */
+	static getOidcProviderFactory(connection) { // eslint-disable-line no-unused-vars
+		return null;
+	}
+
+	/**
+	 * Returns the default store for access tokens, here a {@link WebStorageTokenStore} for the `localStorage`.
+	 * 
+	 * @static
+	 * @returns {TokenStore}
+	 * @throws {Error}
+	 */
+	static getDefaultTokenStore() {
+		return new WebStorageTokenStore();
+	}
+
 	/**
 	 * Handles errors from the API that are returned as Blobs.
 	 * 
+	 * Reads the Blob and parses the JSON-encoded error.
+	 * 
 	 * @ignore
 	 * @static
-	 * @param {Blob} error 
-	 * @returns {Promise<void>}
+	 * @param {*} error - The error thrown by axios, containing the response with a Blob as data.
+	 * @returns {Promise<object>} The parsed error response.
 	 */
 	static handleErrorResponse(error) {
-		return new Promise((_, reject) => {
+		return new Promise((resolve, reject) => {
 			let fileReader = new FileReader();
 			fileReader.onerror = event => {
 				fileReader.abort();
@@ -35,8 +79,11 @@ class Environment {
 			fileReader.onload = () => {
 				// ArrayBuffer to String conversion is from https://developers.google.com/web/updates/2012/06/How-to-convert-ArrayBuffer-to-and-from-String
 				let res = fileReader.result instanceof ArrayBuffer ? String.fromCharCode.apply(null, new Uint16Array(fileReader.result)) : fileReader.result;
-				let obj = typeof res === 'string' ? JSON.parse(res) : res;
-				reject(obj);
+				try {
+					resolve(typeof res === 'string' ? JSON.parse(res) : res);
+				} catch (parseError) {
+					reject(parseError);
+				}
 			};
 			fileReader.readAsText(error.response.data);
 		});
@@ -64,6 +111,30 @@ class Environment {
 		return btoa(str);
 	}
 
+	/**
+	 * Reads all data from a Blob.
+	 * 
+	 * @ignore
+	 * @static
+	 * @param {Blob} data - The data as returned for binary responses.
+	 * @returns {Promise<Uint8Array>}
+	 */
+	static readBinary(data) {
+		return ZipArchive.readBlob(data);
+	}
+
+	/**
+	 * Converts bytes into the type used for binary data in this environment, here an `ArrayBuffer`.
+	 * 
+	 * @ignore
+	 * @static
+	 * @param {Uint8Array} bytes
+	 * @returns {ArrayBuffer}
+	 */
+	static toBinary(bytes) {
+		return bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+	}
+
 	/**
 	 * Detect the file name for the given data source.
 	 * 
@@ -89,18 +160,155 @@ class Environment {
 	}
 
 	/**
-	 * Downloads files to local storage and returns a list of file paths.
+	 * Downloads files into a ZIP archive and offers it to the user for download.
+	 * 
+	 * The files are downloaded via {@link Connection#download}, up to `options.concurrency` files at the same time.
+	 * The STAC Item given in `options.item` is included as `item.json`. The size of the files is verified
+	 * (and the checksum if supported by the Web Crypto API) unless disabled via `options.verify`.
 	 * 
-	 * Not supported in Browsers and only throws an Error!
+	 * Files with the same name get a number appended, e.g. `result.tif`, `result_2.tif` and `result_3.tif`.
+	 * The progress is reported for the bytes received.
+	 * 
+	 * The files are not streamed into the archive: All files are downloaded completely first, then the archive
+	 * is assembled from the downloaded Blobs and offered via {@link Environment.saveToFile}. So the browser needs
+	 * to hold all files at the same time (in memory or in its Blob storage), which limits the size of the results.
+	 * Therefore, a warning is issued if the files are larger than `options.sizeWarning` bytes.
+	 * The callback `options.sizeWarningCallback` can decide whether to continue, otherwise a warning is logged to the console.
 	 * 
 	 * @static
 	 * @param {Connection} con 
 	 * @param {object[]} assets 
-	 * @param {string} targetFolder 
+	 * @param {?string} targetFolder - The file name of the ZIP archive.
+	 * @param {?downloadProgressCallback} [progressCallback=null] - Is called with the overall progress and the progress of the file that has changed.
+	 * @param {DownloadOptions|object} [options={}] - Options for the downloads.
+	 * @param {?AbortSignal} [signal=null] - An AbortSignal to cancel the downloads.
+	 * @returns {Promise<string[]>} The file names in the ZIP archive.
 	 * @throws {Error}
 	 */
-	static async downloadResults(con, assets, targetFolder) { // eslint-disable-line no-unused-vars
-		throw new Error("downloadResults is not supported in a browser environment.");
+	static async downloadResults(con, assets, targetFolder, progressCallback = null, options = {}, signal = null) {
+		let names = ['item.json'];
+		let downloads = assets.map(asset => {
+			let name = decodeURIComponent(new URL(asset.href, window.location.href).pathname.split('/').pop()) || 'file';
+			name = Utils.uniqueFileName(name, names);
+			names.push(name);
+			let size = asset['file:size'];
+			return {
+				asset,
+				path: name,
+				status: 'pending',
+				loaded: 0,
+				total: Number.isInteger(size) && size >= 0 ? size : null,
+				data: null
+			};
+		});
+		let notify = download => {
+			if (typeof progressCallback !== 'function') {
+				return;
+			}
+			let completed = downloads.filter(d => ['finished', 'error'].includes(d.status)).length;
+			let loaded = downloads.reduce((sum, d) => sum + d.loaded, 0);
+			let total = downloads.every(d => d.total !== null) ? downloads.reduce((sum, d) => sum + d.total, 0) : null;
+			let progress = total > 0 ? loaded / total : completed / downloads.length;
+			progressCallback({
+				files: downloads.length,
+				completed,
+				loaded,
+				total,
+				progress: Math.min(100, Math.round(progress * 100))
+			}, download);
+		};
+
+		if (downloads.every(d => d.total !== null)) {
+			await Environment.checkDownloadSize(downloads.reduce((sum, d) => sum + d.total, 0), options);
+		}
+		await Utils.forEachConcurrently(downloads, options.concurrency, async download => {
+			try {
+				notify(Object.assign(download, {status: 'downloading'}));
+				let data = await con.download(download.asset.href, false, signal, (loaded, total) => {
+					notify(Object.assign(download, {loaded, total: download.total !== null ? download.total : total}));
+				});
+				if (options.verify) {
+					let message = await Environment.verifyFile(download.asset, data);
+					if (message !== null) {
+						throw new Error(message);
+					}
+				}
+				notify(Object.assign(download, {status: 'finished', data, loaded: data.size, total: data.size}));
+			} catch (error) {
+				notify(Object.assign(download, {status: 'error'}));
+				throw error;
+			}
+		});
+		if (downloads.some(d => d.asset['file:size'] === undefined)) {
+			await Environment.checkDownloadSize(downloads.reduce((sum, d) => sum + d.loaded, 0), options);
+		}
+
+		let zip = new ZipArchive();
+		if (Utils.isObject(options.item)) {
+			await zip.add('item.json', JSON.stringify(options.item, null, 2));
+		}
+		for(let download of downloads) {
+			await zip.add(download.path, download.data);
+		}
+		let filename = targetFolder || (Utils.isObject(options.item) && options.item.id ? options.item.id : 'results');
+		if (!/\.zip$/i.test(filename)) {
+			filename += '.zip';
+		}
+		await Environment.saveToFile(zip.toBlob(), filename);
+		return zip.getFileNames();
+	}
+
+	/**
+	 * Warns if the size of the files to download exceeds the threshold given in `options.sizeWarning`.
+	 * 
+	 * @ignore
+	 * @static
+	 * @param {number} size - The size of the files in bytes.
+	 * @param {DownloadOptions|object} options - Options for the downloads.
+	 * @returns {Promise<void>}
+	 * @throws {AbortError} The callback has canceled the download.
+	 */
+	static async checkDownloadSize(size, options) {
+		if (!(options.sizeWarning > 0) || size <= options.sizeWarning) {
+			return;
+		}
+		if (typeof options.sizeWarningCallback === 'function') {
+			if (await options.sizeWarningCallback(size) === false) {
+				throw new AbortError("The download has been canceled due to the size of the files.");
+			}
+		}
+		else {
+			console.warn("The files to download have a size of " + size + " bytes, which may exceed the memory available in the browser.");
+		}
+	}
+
+	/**
+	 * Verifies the size and the checksum of a file, if available in the STAC asset.
+	 * 
+	 * Checksums are only verified if the hash function is supported by the Web Crypto API.
+	 * 
+	 * @ignore
+	 * @static
+	 * @param {object} asset - The STAC asset.
+	 * @param {Blob} data - The file content.
+	 * @returns {Promise<?string>} An error message if the verification has failed, `null` otherwise.
+	 */
+	static async verifyFile(asset, data) {
+		let size = asset['file:size'];
+		if (Number.isInteger(size) && data.size !== size) {
+			return "The size of '" + asset.href + "' is " + data.size + " bytes, but " + size + " bytes were expected.";
+		}
+		let multihash = Utils.parseMultihash(asset['file:checksum']);
+		let subtle = typeof crypto !== 'undefined' && crypto.subtle ? crypto.subtle : null;
+		if (multihash === null || !(multihash.algorithm in DIGEST_ALGORITHMS) || subtle === null) {
+			return null;
+		}
+		let buffer = await subtle.digest(DIGEST_ALGORITHMS[multihash.algorithm], await ZipArchive.readBlob(data));
+		let digest = Array.from(new Uint8Array(buffer)).map(byte => ('0' + byte.toString(16)).slice(-2)).join('');
+		if (digest !== multihash.digest) {
+			return "The checksum of '" + asset.href + "' doesn't match.";
+		}
+		return null;
 	}
 
 	/**
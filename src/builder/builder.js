@@ -1,5 +1,7 @@
 const BuilderNode = require('./node');
 const Parameter = require('./parameter');
+const Diagram = require('./diagram');
+const CodeGenerator = require('./codegenerator');
 const axios = require('axios').default;
 const Utils = require('@openeo/js-commons/src/utils');
 const ProcessUtils = require("@openeo/js-commons/src/processUtils");
@@ -95,10 +97,34 @@ class Builder {
 		return new Builder(response.data);
 	}
 
+	/**
+	 * Creates a Builder instance from an existing process, e.g. a stored user-defined process or a JSON file.
+	 * 
+	 * The nodes are converted into `BuilderNode` instances, references to other nodes (`from_node`) are linked to
+	 * the corresponding `BuilderNode` instances and references to parameters (`from_parameter`) are converted into
+	 * `Parameter` instances. Callbacks are converted into Builder instances, recursively.
+	 * The node identifiers, the descriptions and the metadata of the process are preserved so that
+	 * `toJSON()` returns the process as given.
+	 * 
+	 * Processes that are unknown to the builder are added with an empty specification.
+	 * 
+	 * @static
+	 * @param {object} process - The user-defined process or just the process graph. Objects with a `toJSON` method (e.g. `UserProcess`) are converted automatically.
+	 * @param {Array|object} processes - Either an array containing processes or an object compatible with `GET /processes` of the API.
+	 * @returns {Builder}
+	 * @throws {Error}
+	 */
+	static fromJSON(process, processes) {
+		let builder = new Builder(processes);
+		builder.loadJSON(process);
+		return builder;
+	}
+
 	/**
 	 * Creates a Builder instance.
 	 * 
 	 * Each process passed to the constructor is made available as object method.
+	 * Processes with a `namespace` property are only available through {@link Builder#process}.
 	 * 
 	 * @param {Array|object} processes - Either an array containing processes or an object compatible with `GET /processes` of the API.
 	 * @param {?Builder} parent - The parent builder, usually only used by the Builder itself.
@@ -106,10 +132,10 @@ class Builder {
 	 */
 	constructor(processes, parent = null, id = undefined) {
 		if (Array.isArray(processes)) {
-			this.processes = processes;
+			this.processes = processes.slice(0);
 		}
 		else if (Utils.isObject(processes) && Array.isArray(processes.processes)) {
-			this.processes = processes.processes;
+			this.processes = processes.processes.slice(0);
 		}
 		else {
 			throw new Error("Processes are invalid; must be array or object according to API.");
@@ -144,6 +170,9 @@ class Builder {
 		this.id = id;
 
 		for(let process of this.processes) {
+			if (process.namespace) {
+				continue;
+			}
 			if (typeof this[process.id] === 'undefined') {
 				/**
 				 * Implicitly calls the process with the given name on the back-end by adding it to the process.
@@ -243,13 +272,44 @@ class Builder {
 	}
 
 	/**
-	 * Returns the process specification for the given process identifier.
+	 * Returns the process specification for the given process identifier and namespace.
 	 * 
 	 * @param {string} id 
+	 * @param {?string} [namespace=null] - The namespace of the process, `null` for the pre-defined processes.
 	 * @returns {object}
 	 */
-	spec(id) {
-		return this.processes.find(process => process.id === id);
+	spec(id, namespace = null) {
+		return this.processes.find(process => process.id === id && (process.namespace || null) === (namespace || null));
+	}
+
+	/**
+	 * Adds a process specification to the builder, e.g. for a user-defined process.
+	 * 
+	 * Replaces an existing specification with the same identifier and namespace.
+	 * Callbacks created afterwards also have access to the process.
+	 * 
+	 * @param {object} spec - The process specification, must comply to the API.
+	 * @param {?string} [namespace=null] - The namespace of the process, `null` for the pre-defined processes.
+	 * @throws {Error}
+	 */
+	addProcessSpec(spec, namespace = null) {
+		if (!Utils.isObject(spec) || typeof spec.id !== 'string') {
+			throw new Error("Process specification is invalid; must be an object with an id.");
+		}
+		spec = Object.assign({}, spec);
+		if (namespace) {
+			spec.namespace = namespace;
+		}
+		else {
+			delete spec.namespace;
+		}
+		let index = this.processes.findIndex(process => process.id === spec.id && (process.namespace || null) === (namespace || null));
+		if (index !== -1) {
+			this.processes[index] = spec;
+		}
+		else {
+			this.processes.push(spec);
+		}
 	}
 
 	/**
@@ -275,14 +335,395 @@ class Builder {
 	 * @param {string} processId - The id of the process to call.
 	 * @param {object|Array} args - The arguments as key-value pairs or as array. For objects, they keys must be the parameter names and the values must be the arguments. For arrays, arguments must be specified in the same order as in the corresponding process.
 	 * @param {?string} description - An optional description for the process call.
+	 * @param {?string} [namespace=null] - The namespace of the process, e.g. `user` for user-defined processes. `null` for the pre-defined processes.
 	 * @returns {BuilderNode}
 	 */
-	process(processId, args = {}, description = null) {
-		let node = new BuilderNode(this, processId, args, description);
+	process(processId, args = {}, description = null, namespace = null) {
+		let node = new BuilderNode(this, processId, args, description, namespace);
 		this.nodes[node.id] = node;
 		return node;
 	}
 
+	/**
+	 * Returns the node with the given identifier.
+	 * 
+	 * @param {string|BuilderNode} node - The node or the identifier of the node.
+	 * @returns {BuilderNode}
+	 * @throws {Error}
+	 */
+	getNode(node) {
+		let id = node instanceof BuilderNode ? node.id : node;
+		if (!(this.nodes[id] instanceof BuilderNode) || (node instanceof BuilderNode && this.nodes[id] !== node)) {
+			throw new Error("Node doesn't exist in the process: " + id);
+		}
+		return this.nodes[id];
+	}
+
+	/**
+	 * Returns the nodes that the given node receives data from, i.e. the nodes referenced in the arguments.
+	 * 
+	 * References in callbacks are not considered as they can't refer to nodes of this process.
+	 * 
+	 * @param {string|BuilderNode} node - The node or the identifier of the node.
+	 * @returns {Array.<BuilderNode>}
+	 * @throws {Error}
+	 */
+	getPredecessors(node) {
+		node = this.getNode(node);
+		let nodes = [];
+		let collect = value => {
+			if (value instanceof BuilderNode) {
+				if (!nodes.includes(value)) {
+					nodes.push(value);
+				}
+			}
+			else if (Array.isArray(value)) {
+				value.forEach(collect);
+			}
+			else if (Builder.isPlainObject(value)) {
+				Object.values(value).forEach(collect);
+			}
+		};
+		collect(node.arguments);
+		return nodes;
+	}
+
+	/**
+	 * Returns the nodes that receive data from the given node, i.e. the nodes that reference it in their arguments.
+	 * 
+	 * @param {string|BuilderNode} node - The node or the identifier of the node.
+	 * @returns {Array.<BuilderNode>}
+	 * @throws {Error}
+	 */
+	getSuccessors(node) {
+		node = this.getNode(node);
+		return Object.values(this.nodes).filter(n => this.getPredecessors(n).includes(node));
+	}
+
+	/**
+	 * Removes a node from the process.
+	 * 
+	 * References to the node in the arguments of other nodes are replaced with `null`.
+	 * If the node was the result node, the first of its predecessors that isn't used by other nodes becomes the result node.
+	 * Process parameters that were only used by the removed nodes are removed from the process.
+	 * 
+	 * @param {string|BuilderNode} node - The node or the identifier of the node.
+	 * @param {boolean} [removeOrphans=false] - Also removes the predecessors (recursively) that are not used by other nodes any longer.
+	 * @returns {Array.<BuilderNode>} The removed nodes.
+	 * @throws {Error}
+	 */
+	removeNode(node, removeOrphans = false) {
+		node = this.getNode(node);
+		let predecessors = this.getPredecessors(node);
+		let removed = [node];
+		delete this.nodes[node.id];
+		this.replaceReferences(node, null);
+		// Pick the new result node first so that it doesn't get removed as orphan
+		if (node.result) {
+			let next = predecessors.find(p => this.getSuccessors(p).length === 0);
+			if (next) {
+				next.result = true;
+			}
+		}
+		if (removeOrphans) {
+			let candidates = predecessors.slice(0);
+			while(candidates.length > 0) {
+				let candidate = candidates.shift();
+				if (this.nodes[candidate.id] === candidate && !candidate.result && this.getSuccessors(candidate).length === 0) {
+					candidates = candidates.concat(this.getPredecessors(candidate));
+					delete this.nodes[candidate.id];
+					removed.push(candidate);
+				}
+			}
+		}
+		this.removeUnusedParameters(removed.map(n => n.arguments));
+		return removed;
+	}
+
+	/**
+	 * Replaces the process of a node.
+	 * 
+	 * The identifier, description, result flag and the references from other nodes are kept.
+	 * Arguments for parameters that the new process also supports are kept, unless new values are given.
+	 * 
+	 * @param {string|BuilderNode} node - The node or the identifier of the node.
+	 * @param {string} processId - The id of the process to call.
+	 * @param {object|Array} [args={}] - Additional arguments as key-value pairs or as array, see {@link Builder#process}.
+	 * @param {?string} [namespace=null] - The namespace of the process, `null` for the pre-defined processes.
+	 * @returns {BuilderNode} The node.
+	 * @throws {Error}
+	 */
+	replaceNode(node, processId, args = {}, namespace = null) {
+		node = this.getNode(node);
+		let previous = node.arguments;
+		node.setProcess(processId, namespace);
+		if (Array.isArray(args)) {
+			args = node.namedArguments(args);
+		}
+		let names = (node.spec.parameters || []).map(p => p.name);
+		let kept = Utils.pickFromObject(previous, names.filter(name => typeof previous[name] !== 'undefined'));
+		let given = Utils.pickFromObject(args, Object.keys(args).filter(name => typeof args[name] !== 'undefined'));
+		node.arguments = Object.assign(kept, given);
+		node.addParametersToProcess(given);
+		this.removeUnusedParameters([previous]);
+		return node;
+	}
+
+	/**
+	 * Replaces the references to a node with references to another node.
+	 * 
+	 * @param {string|BuilderNode} from - The node that is currently referenced.
+	 * @param {string|BuilderNode} to - The node to reference instead.
+	 * @param {?string|BuilderNode} [node=null] - Only changes the arguments of the given node, `null` changes all nodes.
+	 * @throws {Error} If the change would create a cycle.
+	 */
+	rewire(from, to, node = null) {
+		from = this.getNode(from);
+		to = this.getNode(to);
+		let nodes = node === null ? this.getSuccessors(from) : [this.getNode(node)];
+		let ancestors = this.getAncestors(to);
+		for(let n of nodes) {
+			if (n === to || ancestors.includes(n)) {
+				throw new Error("Can't let node '" + n.id + "' refer to node '" + to.id + "' as it would create a cycle.");
+			}
+		}
+		this.replaceReferences(from, to, nodes);
+	}
+
+	/**
+	 * Inserts a new node between two connected nodes.
+	 * 
+	 * The target node refers to the new node instead of the source node afterwards.
+	 * If the arguments given don't refer to the source node, it's passed to the first parameter of the new process.
+	 * 
+	 * @param {string|BuilderNode} from - The source node, which the target node currently receives data from.
+	 * @param {string|BuilderNode} to - The target node.
+	 * @param {string} processId - The id of the process to call.
+	 * @param {object|Array} [args={}] - The arguments as key-value pairs or as array, see {@link Builder#process}.
+	 * @param {?string} [description=null] - An optional description for the process call.
+	 * @param {?string} [namespace=null] - The namespace of the process, `null` for the pre-defined processes.
+	 * @returns {BuilderNode} The new node.
+	 * @throws {Error}
+	 */
+	insertNode(from, to, processId, args = {}, description = null, namespace = null) {
+		from = this.getNode(from);
+		to = this.getNode(to);
+		if (!this.getPredecessors(to).includes(from)) {
+			throw new Error("Node '" + to.id + "' doesn't refer to node '" + from.id + "'.");
+		}
+		let node = this.process(processId, args, description, namespace);
+		if (!this.getPredecessors(node).includes(from)) {
+			let params = node.spec.parameters || [];
+			if (params.length === 0) {
+				this.removeNode(node);
+				throw new Error("Process '" + processId + "' has no parameter to pass node '" + from.id + "' to.");
+			}
+			node.arguments[params[0].name] = from;
+		}
+		this.replaceReferences(from, node, [to]);
+		return node;
+	}
+
+	/**
+	 * Returns all nodes that the given node depends on, i.e. the predecessors, their predecessors etc.
+	 * 
+	 * @protected
+	 * @param {BuilderNode} node
+	 * @returns {Array.<BuilderNode>}
+	 */
+	getAncestors(node) {
+		let ancestors = [];
+		let candidates = this.getPredecessors(node);
+		while(candidates.length > 0) {
+			let candidate = candidates.shift();
+			if (!ancestors.includes(candidate) && this.nodes[candidate.id] === candidate) {
+				ancestors.push(candidate);
+				candidates = candidates.concat(this.getPredecessors(candidate));
+			}
+		}
+		return ancestors;
+	}
+
+	/**
+	 * Replaces the references to a node in the arguments of the nodes.
+	 * 
+	 * @protected
+	 * @param {BuilderNode} from - The node to replace.
+	 * @param {?BuilderNode} to - The replacement, `null` removes the references.
+	 * @param {?Array.<BuilderNode>} [nodes=null] - The nodes to change, `null` changes all nodes.
+	 */
+	replaceReferences(from, to, nodes = null) {
+		let replace = value => {
+			if (value === from) {
+				return to;
+			}
+			else if (Array.isArray(value)) {
+				return value.map(replace);
+			}
+			else if (Builder.isPlainObject(value)) {
+				return Utils.mapObjectValues(value, replace);
+			}
+			return value;
+		};
+		for(let node of (nodes || Object.values(this.nodes))) {
+			node.arguments = Utils.mapObjectValues(node.arguments, replace);
+		}
+	}
+
+	/**
+	 * Removes process parameters that were used in the given arguments and are not used in the process any longer.
+	 * 
+	 * The parameters are kept if their usage can't be determined, e.g. if callbacks are given as functions.
+	 * 
+	 * @protected
+	 * @param {Array} args - The arguments that have been removed.
+	 */
+	removeUnusedParameters(args) {
+		let root = this;
+		while(root.parent) {
+			root = root.parent;
+		}
+		if (!Array.isArray(root.parameters)) {
+			return;
+		}
+		let removed = Builder.collectParameters(args, false);
+		let used = Builder.collectParameters(Object.values(root.nodes).map(n => n.arguments));
+		if (used === null) {
+			return;
+		}
+		root.parameters = root.parameters.filter(p => !removed.includes(p.name) || used.includes(p.name));
+	}
+
+	/**
+	 * Collects the names of the parameters used in the arguments, including callbacks.
+	 * 
+	 * @protected
+	 * @static
+	 * @param {*} value
+	 * @param {boolean} [strict=true] - Returns `null` if not all parameter names can be determined, otherwise the names that could be determined are returned.
+	 * @returns {?Array.<string>} The parameter names, `null` if they can't be determined.
+	 */
+	static collectParameters(value, strict = true) {
+		const Formula = require('./formula');
+		let names = [];
+		let complete = true;
+		let collect = v => {
+			if (v instanceof Parameter) {
+				names.push(v.name);
+			}
+			else if (v instanceof Builder) {
+				Object.values(v.nodes).forEach(n => collect(n.arguments));
+			}
+			else if (typeof v === 'function' || v instanceof Formula) {
+				complete = false;
+			}
+			else if (Array.isArray(v)) {
+				v.forEach(collect);
+			}
+			else if (Builder.isPlainObject(v)) {
+				if (typeof v.from_parameter === 'string') {
+					names.push(v.from_parameter);
+				}
+				Object.values(v).forEach(collect);
+			}
+		};
+		collect(value);
+		return complete || !strict ? Utils.unique(names) : null;
+	}
+
+	/**
+	 * Checks whether the value is a plain object, i.e. not an instance of a class such as `BuilderNode`.
+	 * 
+	 * @protected
+	 * @static
+	 * @param {*} value
+	 * @returns {boolean}
+	 */
+	static isPlainObject(value) {
+		return Utils.isObject(value) && (Object.getPrototypeOf(value) === Object.prototype || Object.getPrototypeOf(value) === null);
+	}
+
+	/**
+	 * Loads the nodes and the metadata of an existing process into the builder.
+	 * 
+	 * @protected
+	 * @param {object} process - The user-defined process or just the process graph.
+	 * @throws {Error}
+	 * @see Builder.fromJSON
+	 */
+	loadJSON(process) {
+		if (Utils.isObject(process) && typeof process.toJSON === 'function') {
+			process = process.toJSON();
+		}
+		if (Utils.isObject(process) && !Utils.isObject(process.process_graph)) {
+			process = {process_graph: process};
+		}
+		if (!Utils.isObject(process)) {
+			throw new Error("Process is invalid; must be an object with a process graph.");
+		}
+		PROCESS_META.forEach(key => {
+			if (typeof process[key] !== 'undefined') {
+				this[key] = Utils.deepClone(process[key]);
+			}
+		});
+
+		// Create all nodes first so that references to nodes defined later can be linked
+		let graph = process.process_graph;
+		for(let id in graph) {
+			let json = graph[id];
+			if (!Utils.isObject(json) || typeof json.process_id !== 'string') {
+				throw new Error("Process graph is invalid; node '" + id + "' has no process identifier.");
+			}
+			let namespace = json.namespace || null;
+			if (namespace === null && !this.spec(json.process_id)) {
+				this.addProcessSpec({id: json.process_id, parameters: []});
+			}
+			let node = new BuilderNode(this, json.process_id, {}, typeof json.description === 'string' ? json.description : null, namespace);
+			node.id = id;
+			node.result = json.result === true;
+			this.nodes[id] = node;
+		}
+		// The identifiers generated for the nodes haven't been used
+		this.idCounter = {};
+		for(let id in graph) {
+			let node = this.nodes[id];
+			let args = Utils.isObject(graph[id].arguments) ? graph[id].arguments : {};
+			node.arguments = Utils.mapObjectValues(args, (arg, name) => this.importArgument(arg, node, name));
+		}
+	}
+
+	/**
+	 * Converts an argument of an existing process into the corresponding builder objects.
+	 * 
+	 * @protected
+	 * @param {*} arg - The argument.
+	 * @param {BuilderNode} node - The node the argument belongs to.
+	 * @param {string} name - The parameter name.
+	 * @returns {*}
+	 */
+	importArgument(arg, node, name) {
+		if (Array.isArray(arg)) {
+			return arg.map(element => this.importArgument(element, node, name));
+		}
+		else if (!Utils.isObject(arg)) {
+			return arg;
+		}
+		else if (typeof arg.from_node === 'string' && this.nodes[arg.from_node] instanceof BuilderNode) {
+			return this.nodes[arg.from_node];
+		}
+		else if (typeof arg.from_parameter === 'string') {
+			return this.createCallbackParameter(arg.from_parameter);
+		}
+		else if (Utils.isObject(arg.process_graph)) {
+			let builder = node.createBuilder(node, name);
+			builder.loadJSON(arg);
+			return builder;
+		}
+		else {
+			return Utils.mapObjectValues(arg, value => this.importArgument(value, node, name));
+		}
+	}
+
 	/**
 	 * Returns a JSON serializable representation of the data that is API compliant.
 	 * 
@@ -300,11 +741,46 @@ class Builder {
 		return process;
 	}
 	
+	/**
+	 * Converts the process into a flowchart in the Graphviz DOT language.
+	 * 
+	 * @returns {string}
+	 * @throws {Error}
+	 * @see Diagram
+	 */
+	toDot() {
+		return new Diagram(this, this.processes).toDot();
+	}
+
+	/**
+	 * Converts the process into a flowchart for Mermaid.
+	 * 
+	 * @returns {string}
+	 * @throws {Error}
+	 * @see Diagram
+	 */
+	toMermaid() {
+		return new Diagram(this, this.processes).toMermaid();
+	}
+
+	/**
+	 * Converts the process into JavaScript code that uses the builder.
+	 * 
+	 * @param {string} [builderName="builder"] - The name of the variable that contains the builder.
+	 * @returns {string}
+	 * @throws {Error}
+	 * @see CodeGenerator
+	 */
+	toCode(builderName = "builder") {
+		return new CodeGenerator(this, this.processes).generate(builderName);
+	}
+
 	/**
 	 * Generates a unique identifier for the process nodes.
 	 * 
 	 * A prefix can be given to make the identifiers more human-readable.
 	 * If the given name is empty, the id is simply an incrementing number.
+	 * Identifiers that are already used, e.g. by nodes loaded with {@link Builder.fromJSON}, are skipped.
 	 * 
 	 * @param {string} [prefix=""]
 	 * @returns {string}
@@ -312,12 +788,14 @@ class Builder {
 	generateId(prefix = "") {
 		prefix = prefix.replace("_", "").substr(0, 6);
 		if (!this.idCounter[prefix]) {
-			this.idCounter[prefix] = 1;
+			this.idCounter[prefix] = 0;
 		}
-		else {
+		let id;
+		do {
 			this.idCounter[prefix]++;
-		}
-		return prefix + this.idCounter[prefix];
+			id = prefix + this.idCounter[prefix];
+		} while(typeof this.nodes[id] !== 'undefined');
+		return id;
 	}
 
 }
@@ -0,0 +1,524 @@
+const Utils = require("@openeo/js-commons/src/utils");
+const ProcessUtils = require("@openeo/js-commons/src/processUtils");
+
+const RESERVED_WORDS = [
+	"arguments", "await", "break", "case", "catch", "class", "const", "continue", "debugger", "default", "delete", "do",
+	"else", "enum", "eval", "export", "extends", "false", "finally", "for", "function", "if", "implements", "import",
+	"in", "instanceof", "interface", "let", "new", "null", "package", "private", "protected", "public", "return",
+	"static", "super", "switch", "this", "throw", "true", "try", "typeof", "undefined", "var", "void", "while", "with",
+	"yield", "Builder", "Formula", "Parameter"
+];
+
+/**
+ * Converts processes into JavaScript code that uses the {@link Builder}.
+ *
+ * This helps to continue working in code with processes that have been created elsewhere, e.g. in the Web Editor.
+ *
+ * The nodes are added in the order of their dependencies and stored in variables named after the node identifiers.
+ * Processes are called through the methods of the builder with the arguments in the order of the parameters,
+ * processes in a namespace and unknown processes are added via {@link Builder#process}.
+ * The parameters of the process are declared as {@link Parameter} instances.
+ *
+ * Callbacks are declared as functions, arrow functions are not supported as the builder for the callback is bound to `this`.
+ * Callbacks that only consist of mathematical operations are declared as {@link Formula} instead.
+ *
+ * The generated code expects the variables `Builder`, `Parameter` and `Formula` to be available and the builder to be
+ * available in a variable, which is named `builder` by default. The node identifiers are generated by the builder.
+ *
+ * An example:
+ *
+ * ```
+ * let code = new CodeGenerator(process, processes).generate();
+ * ```
+ */
+class CodeGenerator {
+
+	/**
+	 * Creates a new code generator for the given process.
+	 *
+	 * @param {object} process - The user-defined process or just the process graph. Objects with a `toJSON` method (e.g. `Builder` or `UserProcess`) are converted automatically, for a `BuilderNode` the process of the node is converted with the node as result node (the builder is not changed).
+	 * @param {Array|object} [processes=[]] - The processes available at the back-end, either an array containing processes or an object compatible with `GET /processes` of the API.
+	 * @throws {Error}
+	 */
+	constructor(process, processes = []) {
+		const BuilderNode = require('./node');
+		if (process instanceof BuilderNode) {
+			// Set the result flag on the serialized process only, the builder must not be changed
+			let nodeId = process.id;
+			process = process.parent.toJSON();
+			for(let id in process.process_graph) {
+				let node = Object.assign({}, process.process_graph[id]);
+				delete node.result;
+				if (id === nodeId) {
+					node.result = true;
+				}
+				process.process_graph[id] = node;
+			}
+		}
+		else if (Utils.isObject(process) && typeof process.toJSON === 'function') {
+			process = process.toJSON();
+		}
+		if (Utils.isObject(process) && !Utils.isObject(process.process_graph)) {
+			process = {process_graph: process};
+		}
+		if (!Utils.isObject(process)) {
+			throw new Error("Process is invalid; must be an object with a process graph.");
+		}
+		this.process = process;
+		if (Utils.isObject(processes) && Array.isArray(processes.processes)) {
+			processes = processes.processes;
+		}
+		this.processes = Array.isArray(processes) ? processes : [];
+	}
+
+	/**
+	 * Returns the process specification for the given process identifier and namespace.
+	 *
+	 * @protected
+	 * @param {string} id
+	 * @param {?string} [namespace=null]
+	 * @returns {?object}
+	 */
+	spec(id, namespace = null) {
+		return this.processes.find(p => Utils.isObject(p) && p.id === id && (p.namespace || null) === (namespace || null)) || null;
+	}
+
+	/**
+	 * Generates the JavaScript code for the process.
+	 *
+	 * @param {string} [builderName="builder"] - The name of the variable that contains the builder.
+	 * @returns {string}
+	 * @throws {Error}
+	 */
+	generate(builderName = "builder") {
+		const Builder = require('./builder');
+		this.builder = new Builder([]);
+		this.names = RESERVED_WORDS.concat([builderName]);
+		this.parameterNames = {};
+		let lines = [];
+		let root = {
+			parent: null,
+			self: builderName,
+			lines,
+			indent: '',
+			nodes: {},
+			parameters: {}
+		};
+		for(let key in this.process) {
+			if (key !== 'process_graph' && key !== 'parameters') {
+				lines.push(builderName + '.' + key + ' = ' + this.formatLiteral(this.process[key]) + ';');
+			}
+		}
+		let parameters = Array.isArray(this.process.parameters) ? this.process.parameters.filter(p => Utils.isObject(p) && typeof p.name === 'string') : [];
+		let used = CodeGenerator.collectParameters(this.process.process_graph);
+		for(let param of parameters) {
+			let name = this.getParameterName(param.name);
+			root.parameters[param.name] = name;
+			let args = [param.name, Utils.isObject(param.schema) ? param.schema : {}, typeof param.description === 'string' ? param.description : ""];
+			if (typeof param.default !== 'undefined') {
+				args.push(param.default);
+			}
+			lines.push('let ' + name + ' = new Parameter(' + args.map(arg => this.formatLiteral(arg)).join(', ') + ');');
+			let additional = Utils.omitFromObject(param, ['name', 'schema', 'description', 'default']);
+			if (typeof param.default !== 'undefined' && additional.optional === true) {
+				delete additional.optional;
+			}
+			if (Utils.size(additional) > 0) {
+				lines.push('Object.assign(' + name + '.spec, ' + this.formatLiteral(additional) + ');');
+			}
+			if (!used.includes(param.name)) {
+				lines.push(builderName + '.addParameter(' + name + '.toJSON());');
+			}
+		}
+		let results = this.generateGraph(this.process.process_graph, root);
+		for(let result of results) {
+			lines.push(result + '.result = true;');
+		}
+		return lines.join('\n');
+	}
+
+	/**
+	 * Adds the code for the nodes of a process graph to the scope.
+	 *
+	 * @protected
+	 * @param {object} processGraph
+	 * @param {object} scope
+	 * @returns {Array.<string>} The variable names of the result nodes.
+	 * @throws {Error}
+	 */
+	generateGraph(processGraph, scope) {
+		let results = [];
+		for(let id of CodeGenerator.sortNodes(processGraph)) {
+			let node = processGraph[id];
+			let name = this.getVariableName(id);
+			scope.nodes[id] = name;
+			scope.lines.push(scope.indent + 'let ' + name + ' = ' + this.generateNode(node, scope) + ';');
+			if (node.result === true) {
+				results.push(name);
+			}
+		}
+		return results;
+	}
+
+	/**
+	 * Returns the code for a process call.
+	 *
+	 * @protected
+	 * @param {object} node
+	 * @param {object} scope
+	 * @returns {string}
+	 * @throws {Error}
+	 */
+	generateNode(node, scope) {
+		let namespace = typeof node.namespace === 'string' && node.namespace.length > 0 ? node.namespace : null;
+		let args = Utils.isObject(node.arguments) ? node.arguments : {};
+		let description = typeof node.description === 'string' ? node.description : null;
+		let spec = this.spec(node.process_id, namespace);
+		let paramNames = spec && Array.isArray(spec.parameters) ? spec.parameters.map(p => p.name) : [];
+
+		// Simplified array access for callback parameters
+		let arrayElement = namespace === null && description === null ? this.getArrayElement(node, scope) : null;
+		if (arrayElement !== null) {
+			return arrayElement;
+		}
+
+		let formatArg = name => this.formatValue(args[name], name, node, scope);
+		let code;
+		if (spec !== null && namespace === null && CodeGenerator.isIdentifier(node.process_id) && typeof this.builder[node.process_id] === 'undefined' && Object.keys(args).every(name => paramNames.includes(name))) {
+			let values = paramNames.map(name => (typeof args[name] !== 'undefined' ? formatArg(name) : 'undefined'));
+			while(values.length > 0 && values[values.length - 1] === 'undefined') {
+				values.pop();
+			}
+			code = scope.self + '.' + node.process_id + '(' + values.join(', ') + ')';
+			if (description !== null) {
+				code += '.description(' + this.formatLiteral(description) + ')';
+			}
+		}
+		else {
+			let values = Object.keys(args).map(name => this.formatKey(name) + ': ' + formatArg(name));
+			let params = [this.formatLiteral(node.process_id), '{' + values.join(', ') + '}'];
+			if (description !== null || namespace !== null) {
+				params.push(this.formatLiteral(description));
+			}
+			if (namespace !== null) {
+				params.push(this.formatLiteral(namespace));
+			}
+			code = scope.self + '.process(' + params.join(', ') + ')';
+		}
+		return code;
+	}
+
+	/**
+	 * Returns the simplified array access for `array_element` nodes (e.g. `data["B08"]`), if possible.
+	 *
+	 * @protected
+	 * @param {object} node
+	 * @param {object} scope
+	 * @returns {?string}
+	 */
+	getArrayElement(node, scope) {
+		let args = Utils.isObject(node.arguments) ? node.arguments : {};
+		let keys = Object.keys(args).sort();
+		if (node.process_id !== 'array_element' || !Array.isArray(scope.callbackParameters) || !Utils.isObject(args.data) || typeof args.data.from_parameter !== 'string') {
+			return null;
+		}
+		let name = scope.callbackParameters.includes(args.data.from_parameter) ? scope.parameters[args.data.from_parameter] : null;
+		let key;
+		if (keys.join() === 'data,index' && Number.isInteger(args.index) && args.index >= 0) {
+			key = String(args.index);
+		}
+		else if (keys.join() === 'data,label' && typeof args.label === 'string' && !args.label.match(/^\d+$/)) {
+			key = this.formatLiteral(args.label);
+		}
+		else {
+			return null;
+		}
+		// Array access is cached by the builder, so each element can only be accessed once this way
+		let cacheKey = name + '[' + key + ']';
+		if (name === null || scope.arrayElements.includes(cacheKey)) {
+			return null;
+		}
+		scope.arrayElements.push(cacheKey);
+		return cacheKey;
+	}
+
+	/**
+	 * Adds the code for a callback to the scope.
+	 *
+	 * @protected
+	 * @param {object} callback - The callback with the process graph.
+	 * @param {string} parameterName - The name of the parameter the callback is passed to.
+	 * @param {object} node - The node the callback belongs to.
+	 * @param {object} scope
+	 * @returns {string} The variable name of the callback.
+	 * @throws {Error}
+	 */
+	generateCallback(callback, parameterName, node, scope) {
+		let name = this.getVariableName(parameterName);
+		let spec = typeof node.namespace === 'string' && node.namespace.length > 0 ? null : this.spec(node.process_id);
+		let callbackParameters = [];
+		try {
+			callbackParameters = ProcessUtils.getCallbackParametersForProcess(spec, parameterName).map(p => p.name);
+		} catch (error) {
+			// Callback parameters can't be determined
+		}
+
+		if (callbackParameters.length > 0) {
+			let formula = this.generateFormula(callback.process_graph, callbackParameters);
+			if (formula !== null) {
+				scope.lines.push(scope.indent + 'let ' + name + ' = new Formula(' + this.formatLiteral(formula) + ');');
+				return name;
+			}
+		}
+
+		let used = CodeGenerator.collectParameters(callback.process_graph);
+		// Only declare the callback parameters up to the last one that is used
+		let count = 0;
+		callbackParameters.forEach((param, i) => {
+			if (used.includes(param)) {
+				count = i + 1;
+			}
+		});
+		let child = {
+			parent: scope,
+			self: 'this',
+			lines: scope.lines,
+			indent: scope.indent + '\t',
+			nodes: {},
+			parameters: {},
+			callbackParameters,
+			arrayElements: []
+		};
+		for(let param of callbackParameters) {
+			child.parameters[param] = this.getParameterName(param);
+		}
+		let params = callbackParameters.slice(0, count).map(param => child.parameters[param]);
+		scope.lines.push(scope.indent + 'let ' + name + ' = function(' + params.join(', ') + ') {');
+		let results = this.generateGraph(callback.process_graph, child);
+		if (results.length !== 1) {
+			throw new Error("Callback '" + parameterName + "' must have exactly one result node.");
+		}
+		scope.lines.push(child.indent + 'return ' + results[0] + ';');
+		scope.lines.push(scope.indent + '};');
+		return name;
+	}
+
+	/**
+	 * Converts a callback that only consists of mathematical operations into a formula.
+	 *
+	 * Callbacks with descriptions for the nodes are not converted as the descriptions would get lost.
+	 * Callbacks that use parameters of the process or of other callbacks are not converted either.
+	 *
+	 * @protected
+	 * @param {object} processGraph - The process graph of the callback.
+	 * @param {Array.<string>} callbackParameters - The names of the callback parameters.
+	 * @returns {?string} The formula, `null` if the callback can't be expressed as formula.
+	 * @see Formula.stringify
+	 */
+	generateFormula(processGraph, callbackParameters) {
+		const Formula = require('./formula');
+		if (Object.values(processGraph).some(node => Utils.isObject(node) && typeof node.description === 'string')) {
+			return null;
+		}
+		// Other parameters can't be linked to the variables declared in the code
+		if (!CodeGenerator.collectParameters(processGraph).every(name => callbackParameters.includes(name))) {
+			return null;
+		}
+		try {
+			return Formula.stringify(processGraph, this.processes, callbackParameters);
+		} catch (error) {
+			return null;
+		}
+	}
+
+	/**
+	 * Returns the code for an argument.
+	 *
+	 * References to nodes and parameters are replaced with the variables, callbacks are declared before the node.
+	 * References that can't be resolved are kept as objects.
+	 *
+	 * @protected
+	 * @param {*} value
+	 * @param {string} parameterName - The name of the parameter the argument is passed to.
+	 * @param {object} node - The node the argument belongs to.
+	 * @param {object} scope
+	 * @returns {string}
+	 * @throws {Error}
+	 */
+	formatValue(value, parameterName, node, scope) {
+		if (Array.isArray(value)) {
+			return '[' + value.map(v => this.formatValue(v, parameterName, node, scope)).join(', ') + ']';
+		}
+		else if (!Utils.isObject(value)) {
+			return this.formatLiteral(value);
+		}
+		else if (typeof value.from_node === 'string' && typeof scope.nodes[value.from_node] === 'string') {
+			return scope.nodes[value.from_node];
+		}
+		else if (typeof value.from_parameter === 'string') {
+			for(let s = scope; s !== null; s = s.parent) {
+				if (typeof s.parameters[value.from_parameter] === 'string') {
+					return s.parameters[value.from_parameter];
+				}
+			}
+			return this.formatLiteral(value);
+		}
+		else if (Utils.isObject(value.process_graph)) {
+			return this.generateCallback(value, parameterName, node, scope);
+		}
+		else {
+			let values = Object.keys(value).map(key => this.formatKey(key) + ': ' + this.formatValue(value[key], parameterName, node, scope));
+			return '{' + values.join(', ') + '}';
+		}
+	}
+
+	/**
+	 * Returns the code for a JSON value.
+	 *
+	 * @protected
+	 * @param {*} value
+	 * @returns {string}
+	 */
+	formatLiteral(value) {
+		if (Array.isArray(value)) {
+			return '[' + value.map(v => this.formatLiteral(v)).join(', ') + ']';
+		}
+		else if (Utils.isObject(value)) {
+			return '{' + Object.keys(value).map(key => this.formatKey(key) + ': ' + this.formatLiteral(value[key])).join(', ') + '}';
+		}
+		else if (typeof value === 'undefined') {
+			return 'undefined';
+		}
+		else {
+			return JSON.stringify(value);
+		}
+	}
+
+	/**
+	 * Returns the code for a property name, which is only quoted if required.
+	 *
+	 * @protected
+	 * @param {string} key
+	 * @returns {string}
+	 */
+	formatKey(key) {
+		return CodeGenerator.isIdentifier(key) ? key : JSON.stringify(key);
+	}
+
+	/**
+	 * Returns the variable name for a parameter.
+	 *
+	 * Parameters with the same name always get the same variable name,
+	 * so that callback parameters shadow parameters of the same name as in the process.
+	 *
+	 * @protected
+	 * @param {string} name - The parameter name.
+	 * @returns {string}
+	 */
+	getParameterName(name) {
+		if (typeof this.parameterNames[name] !== 'string') {
+			this.parameterNames[name] = this.getVariableName(name);
+		}
+		return this.parameterNames[name];
+	}
+
+	/**
+	 * Returns a unique variable name based on the given name.
+	 *
+	 * @protected
+	 * @param {string} name
+	 * @returns {string}
+	 */
+	getVariableName(name) {
+		let base = String(name).replace(/[^A-Za-z0-9_$]+/g, '_');
+		if (!base.match(/^[A-Za-z_$]/)) {
+			base = '_' + base;
+		}
+		let variable = base;
+		for(let i = 2; this.names.includes(variable); i++) {
+			variable = base + i;
+		}
+		this.names.push(variable);
+		return variable;
+	}
+
+	/**
+	 * Checks whether the given string is a valid JavaScript identifier.
+	 *
+	 * @static
+	 * @param {string} name
+	 * @returns {boolean}
+	 */
+	static isIdentifier(name) {
+		return typeof name === 'string' && Boolean(name.match(/^[A-Za-z_$][A-Za-z0-9_$]*$/)) && !RESERVED_WORDS.includes(name);
+	}
+
+	/**
+	 * Sorts the nodes of a process graph so that each node is listed after the nodes it depends on.
+	 *
+	 * The order of the process graph is kept where possible. Callbacks are not considered.
+	 *
+	 * @static
+	 * @param {object} processGraph
+	 * @returns {Array.<string>} The node identifiers.
+	 * @throws {Error}
+	 */
+	static sortNodes(processGraph) {
+		let sorted = [];
+		let visiting = [];
+		let visit = id => {
+			if (sorted.includes(id)) {
+				return;
+			}
+			if (visiting.includes(id)) {
+				throw new Error("The process graph contains a cycle: " + visiting.concat([id]).join(" -> "));
+			}
+			visiting.push(id);
+			let collect = value => {
+				if (Array.isArray(value)) {
+					value.forEach(collect);
+				}
+				else if (Utils.isObject(value) && typeof value.from_node === 'string') {
+					if (Utils.isObject(processGraph[value.from_node])) {
+						visit(value.from_node);
+					}
+				}
+				else if (Utils.isObject(value) && !Utils.isObject(value.process_graph)) {
+					Object.values(value).forEach(collect);
+				}
+			};
+			collect(processGraph[id].arguments);
+			visiting.pop();
+			sorted.push(id);
+		};
+		Object.keys(processGraph).filter(id => Utils.isObject(processGraph[id])).forEach(visit);
+		return sorted;
+	}
+
+	/**
+	 * Collects the names of the parameters used in a process graph, including callbacks.
+	 *
+	 * @static
+	 * @param {*} value
+	 * @returns {Array.<string>}
+	 */
+	static collectParameters(value) {
+		let names = [];
+		let collect = v => {
+			if (Array.isArray(v)) {
+				v.forEach(collect);
+			}
+			else if (Utils.isObject(v)) {
+				if (typeof v.from_parameter === 'string') {
+					names.push(v.from_parameter);
+				}
+				Object.values(v).forEach(collect);
+			}
+		};
+		collect(value);
+		return Utils.unique(names);
+	}
+
+}
+
+module.exports = CodeGenerator;
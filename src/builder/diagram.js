@@ -0,0 +1,290 @@
+const Utils = require("@openeo/js-commons/src/utils");
+const ProcessUtils = require("@openeo/js-commons/src/processUtils");
+
+/**
+ * Converts processes into diagrams, e.g. for documentation or code reviews.
+ *
+ * Supports flowcharts in the Graphviz DOT language and in Mermaid.
+ *
+ * The nodes are labeled with the process id, the node id and the first line of the description.
+ * Arguments that refer to other nodes or parameters are drawn as edges, labeled with the parameter name.
+ * Callbacks are drawn as nested clusters (DOT) or subgraphs (Mermaid), the result node of a callback is connected
+ * to the node the callback belongs to with a dashed edge. Process parameters are drawn as separate input nodes.
+ * If the processes are given, the parameters of callbacks shadow the process parameters with the same name.
+ * The result nodes are highlighted.
+ *
+ * An example:
+ *
+ * ```
+ * let dot = new Diagram(process, processes).toDot();
+ * let mermaid = new Diagram(process).toMermaid();
+ * ```
+ */
+class Diagram {
+
+	/**
+	 * Creates a new diagram for the given process.
+	 *
+	 * @param {object} process - The user-defined process or just the process graph. Objects with a `toJSON` method (e.g. `Builder` or `UserProcess`) are converted automatically.
+	 * @param {Array|object} [processes=[]] - The processes available at the back-end, either an array containing processes or an object compatible with `GET /processes` of the API. Used to detect the parameters of callbacks.
+	 * @throws {Error}
+	 */
+	constructor(process, processes = []) {
+		if (Utils.isObject(process) && typeof process.toJSON === 'function') {
+			process = process.toJSON();
+		}
+		if (Utils.isObject(process) && !Utils.isObject(process.process_graph)) {
+			process = {process_graph: process};
+		}
+		if (!Utils.isObject(process)) {
+			throw new Error("Process is invalid; must be an object with a process graph.");
+		}
+		/**
+		 * The name of the diagram.
+		 * @type {string}
+		 */
+		this.name = typeof process.id === 'string' ? process.id : 'process';
+		if (Utils.isObject(processes) && Array.isArray(processes.processes)) {
+			processes = processes.processes;
+		}
+		this.processes = Array.isArray(processes) ? processes : [];
+		this.counter = 0;
+		this.edges = [];
+		this.rootParameters = Array.isArray(process.parameters) ? process.parameters.filter(p => Utils.isObject(p)).map(p => p.name) : [];
+		this.root = this.createGraph(null);
+		this.rootParameters.forEach(name => this.getParameter(name, this.root));
+		this.parseGraph(process.process_graph, this.root);
+	}
+
+	/**
+	 * Creates a new (sub-)graph.
+	 *
+	 * @protected
+	 * @param {?string} label - The label of the graph, `null` for the process itself.
+	 * @param {?object} [parent=null] - The graph the callback belongs to, `null` for the process itself.
+	 * @param {Array.<string>} [callbackParameters=[]] - The names of the parameters of the callback.
+	 * @returns {object}
+	 */
+	createGraph(label, parent = null, callbackParameters = []) {
+		return {
+			key: label === null ? null : String(++this.counter),
+			label,
+			parent,
+			callbackParameters,
+			nodes: [],
+			parameters: {},
+			subgraphs: [],
+			result: null
+		};
+	}
+
+	/**
+	 * Adds the nodes and edges of a process graph to the diagram.
+	 *
+	 * @protected
+	 * @param {object} processGraph - The process graph.
+	 * @param {object} graph - The (sub-)graph to add the nodes to.
+	 */
+	parseGraph(processGraph, graph) {
+		let keys = {};
+		for(let id in processGraph) {
+			let node = processGraph[id];
+			if (!Utils.isObject(node)) {
+				continue;
+			}
+			keys[id] = 'n' + (++this.counter);
+			graph.nodes.push({key: keys[id], id, node});
+			if (node.result === true && graph.result === null) {
+				graph.result = keys[id];
+			}
+		}
+		for(let entry of graph.nodes) {
+			let args = Utils.isObject(entry.node.arguments) ? entry.node.arguments : {};
+			for(let name in args) {
+				this.parseArgument(args[name], name, entry, keys, graph);
+			}
+		}
+	}
+
+	/**
+	 * Adds the references in an argument as edges to the diagram.
+	 *
+	 * @protected
+	 * @param {*} arg - The argument.
+	 * @param {string} name - The parameter name.
+	 * @param {object} entry - The node the argument belongs to.
+	 * @param {object.<string, string>} keys - The keys of the nodes in the diagram by node id.
+	 * @param {object} graph - The (sub-)graph the node belongs to.
+	 */
+	parseArgument(arg, name, entry, keys, graph) {
+		if (Array.isArray(arg)) {
+			arg.forEach(element => this.parseArgument(element, name, entry, keys, graph));
+		}
+		else if (!Utils.isObject(arg)) {
+			// Scalar values don't contain references
+		}
+		else if (typeof arg.from_node === 'string') {
+			if (keys[arg.from_node]) {
+				this.addEdge(keys[arg.from_node], entry.key, name);
+			}
+		}
+		else if (typeof arg.from_parameter === 'string') {
+			this.addEdge(this.getParameter(arg.from_parameter, graph), entry.key, name);
+		}
+		else if (Utils.isObject(arg.process_graph)) {
+			let spec = this.processes.find(p => Utils.isObject(p) && p.id === entry.node.process_id && (p.namespace || null) === (entry.node.namespace || null));
+			let callbackParameters = ProcessUtils.getCallbackParametersForProcess(spec, name).map(p => p.name);
+			let callback = this.createGraph(name + " (" + entry.id + ")", graph, callbackParameters);
+			graph.subgraphs.push(callback);
+			this.parseGraph(arg.process_graph, callback);
+			if (callback.result !== null) {
+				this.addEdge(callback.result, entry.key, name, true);
+			}
+		}
+		else {
+			for(let key in arg) {
+				this.parseArgument(arg[key], name, entry, keys, graph);
+			}
+		}
+	}
+
+	/**
+	 * Returns the key of the input node for a parameter, creates the node if required.
+	 *
+	 * Parameters are added to the innermost callback that provides a parameter with the given name.
+	 * Otherwise, parameters of the process are added to the process itself and all other parameters
+	 * (i.e. parameters of callbacks that are not known) are added to the callback they are used in.
+	 *
+	 * @protected
+	 * @param {string} name - The parameter name.
+	 * @param {object} graph - The (sub-)graph the parameter is used in.
+	 * @returns {string}
+	 */
+	getParameter(name, graph) {
+		let scope = graph;
+		while(scope && !scope.callbackParameters.includes(name)) {
+			scope = scope.parent;
+		}
+		if (scope) {
+			graph = scope;
+		}
+		else if (this.rootParameters.includes(name)) {
+			graph = this.root;
+		}
+		if (!graph.parameters[name]) {
+			graph.parameters[name] = 'p' + (++this.counter);
+		}
+		return graph.parameters[name];
+	}
+
+	/**
+	 * Adds an edge to the diagram, unless it exists already.
+	 *
+	 * @protected
+	 * @param {string} from - The key of the source node.
+	 * @param {string} to - The key of the target node.
+	 * @param {string} label - The label, usually the parameter name.
+	 * @param {boolean} [callback=false] - `true` for edges from the result node of a callback.
+	 */
+	addEdge(from, to, label, callback = false) {
+		if (!this.edges.some(e => e.from === from && e.to === to && e.label === label)) {
+			this.edges.push({from, to, label, callback});
+		}
+	}
+
+	/**
+	 * Returns the lines of the label for a node.
+	 *
+	 * @protected
+	 * @param {object} entry
+	 * @returns {Array.<string>}
+	 */
+	getNodeLabel(entry) {
+		let title = String(entry.node.process_id);
+		if (typeof entry.node.namespace === 'string' && entry.node.namespace.length > 0) {
+			title += "@" + entry.node.namespace;
+		}
+		let lines = [title + " (" + entry.id + ")"];
+		if (typeof entry.node.description === 'string' && entry.node.description.trim().length > 0) {
+			lines.push(entry.node.description.trim().split(/\r?\n/)[0]);
+		}
+		return lines;
+	}
+
+	/**
+	 * Converts the process into a flowchart in the Graphviz DOT language.
+	 *
+	 * @returns {string}
+	 */
+	toDot() {
+		let escape = str => str.replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+		let label = lines => '"' + lines.map(escape).join('\\n') + '"';
+		let lines = [
+			'digraph ' + label([this.name]) + ' {',
+			'\tnode [shape=box, style=rounded];'
+		];
+		let addGraph = (graph, indent) => {
+			for(let name in graph.parameters) {
+				lines.push(indent + graph.parameters[name] + ' [label=' + label([name]) + ', shape=parallelogram];');
+			}
+			for(let entry of graph.nodes) {
+				let attributes = entry.key === graph.result ? ', peripheries=2' : '';
+				lines.push(indent + entry.key + ' [label=' + label(this.getNodeLabel(entry)) + attributes + '];');
+			}
+			for(let subgraph of graph.subgraphs) {
+				lines.push(indent + 'subgraph cluster_' + subgraph.key + ' {');
+				lines.push(indent + '\tlabel=' + label([subgraph.label]) + ';');
+				lines.push(indent + '\tstyle=dashed;');
+				addGraph(subgraph, indent + '\t');
+				lines.push(indent + '}');
+			}
+		};
+		addGraph(this.root, '\t');
+		for(let edge of this.edges) {
+			let attributes = edge.callback ? ', style=dashed' : '';
+			lines.push('\t' + edge.from + ' -> ' + edge.to + ' [label=' + label([edge.label]) + attributes + '];');
+		}
+		lines.push('}');
+		return lines.join('\n');
+	}
+
+	/**
+	 * Converts the process into a flowchart for Mermaid.
+	 *
+	 * @returns {string}
+	 */
+	toMermaid() {
+		let escape = str => str.replace(/&/g, '#amp;').replace(/"/g, '#quot;').replace(/</g, '#lt;').replace(/>/g, '#gt;').replace(/\|/g, '#124;');
+		let label = lines => '"' + lines.map(escape).join('<br>') + '"';
+		let lines = ['flowchart TB'];
+		let results = [];
+		let addGraph = (graph, indent) => {
+			for(let name in graph.parameters) {
+				lines.push(indent + graph.parameters[name] + '[/' + label([name]) + '/]');
+			}
+			for(let entry of graph.nodes) {
+				lines.push(indent + entry.key + '[' + label(this.getNodeLabel(entry)) + ']');
+				if (entry.key === graph.result) {
+					results.push(entry.key);
+				}
+			}
+			for(let subgraph of graph.subgraphs) {
+				lines.push(indent + 'subgraph s' + subgraph.key + ' [' + label([subgraph.label]) + ']');
+				addGraph(subgraph, indent + '\t');
+				lines.push(indent + 'end');
+			}
+		};
+		addGraph(this.root, '\t');
+		for(let edge of this.edges) {
+			lines.push('\t' + edge.from + (edge.callback ? ' -.->' : ' -->') + '|' + escape(edge.label) + '| ' + edge.to);
+		}
+		if (results.length > 0) {
+			lines.push('\tclassDef result stroke-width:3px');
+			lines.push('\tclass ' + results.join(',') + ' result');
+		}
+		return lines.join('\n');
+	}
+
+}
+
+module.exports = Diagram;
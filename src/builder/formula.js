@@ -1,25 +1,221 @@
 const TapDigit = require("./tapdigit");
 const Parameter = require("./parameter");
 const BuilderNode = require('./node');
+const Utils = require("@openeo/js-commons/src/utils");
+const ProcessUtils = require("@openeo/js-commons/src/processUtils");
+
+// Precedence of conditional expressions, unary operators (e.g. negative numbers) and of primary expressions (numbers, identifiers, function calls, ...)
+const CONDITIONAL_PRECEDENCE = 1;
+const UNARY_PRECEDENCE = 10;
+const PRIMARY_PRECEDENCE = 11;
 
 /**
  * This converts a mathematical formula into a openEO process for you.
  * 
  * Operators: - (subtract), + (add), / (divide), * (multiply), ^ (power)
  * 
+ * Comparison operators: < (lt), <= (lte), > (gt), >= (gte), == (eq), != (neq)
+ * 
+ * Logical operators: and, or, xor, not
+ * 
+ * Conditional expressions: `condition ? value : otherwise` (if), e.g. `$B08 > 0.3 and $SCL != 3 ? $B08 : null`.
+ * The process `if` can also be called as function, e.g. `if($B08 > 0.3, $B08)`.
+ * 
+ * The operators are listed from the highest to the lowest precedence: `^`, `* /`, `+ -`, comparisons, `not`, `and`, `xor`, `or`, `? :`.
+ * The processes the operators are mapped to must be supported by the back-end.
+ * 
  * It supports all mathematical functions (i.e. expects a number and returns a number) the back-end implements, e.g. `sqrt(x)`.
  * 
+ * The constants `pi` and `e` are mapped to the corresponding processes. Arrays can be specified in square brackets, e.g. `sum([$B1, $B2, 1])`.
+ * 
  * Only available if a builder is specified in the constructor:
  * You can refer to output from processes with a leading `#`, e.g. `#loadco1` if the node to refer to has the key `loadco1`.
+ * You can refer to parameters of the process with a leading `@`, e.g. `@threshold`. The parameter is added to the process if it doesn't exist yet.
  * 
  * Only available if a parent node is set via `setNode()`:
- * Parameters can be accessed simply by name. 
+ * Parameters of the callback can be accessed simply by name, e.g. `context`. All other names (except for `true`, `false`, `null` and the constants) are rejected.
  * If the first parameter is a (labeled) array, the value for a specific index or label can be accessed by typing the numeric index or textual label with a $ in front, for example $B1 for the label B1 or $0 for the first element in the array. Numeric labels are not supported.
+ * For other parameters, the parameter name must be given in addition, e.g. `$context.B1`.
  * 
  * An example that computes an EVI (assuming the labels for the bands are `NIR`, `RED` and `BLUE`): `2.5 * ($NIR - $RED) / (1 + $NIR + 6 * $RED + (-7.5 * $BLUE))`
+ * 
+ * Process graphs can be converted back into formulas with {@link Formula.stringify}.
  */
 class Formula {
 
+	/**
+	 * Converts a process graph into a formula, i.e. the reverse of {@link Formula#generate}.
+	 * 
+	 * Supports the operators in {@link Formula.operatorMapping} and {@link Formula.unaryOperatorMapping}, conditional expressions,
+	 * mathematical functions (i.e. processes that expect numbers or arrays and return numbers), the constants in {@link Formula.constantMapping},
+	 * numbers, arrays, booleans, `null` and parameters. Parameters of the process get a leading `@` if the callback parameters are given.
+	 * Array access via `array_element` is expressed with a leading `$`, e.g. `$B08` or `$0` for the first callback parameter and `$context.B08` for other parameters.
+	 * Parentheses are only added where required to keep the structure of the process graph.
+	 * 
+	 * @static
+	 * @param {object} process - The process graph of a callback, e.g. a reducer. User-defined processes and objects with a `toJSON` method (e.g. `Builder`) are converted automatically.
+	 * @param {Array|object} processes - Either an array containing processes or an object compatible with `GET /processes` of the API.
+	 * @param {?Array.<string>} [callbackParameters=null] - The names of the callback parameters. If not given, all parameters are considered to be callback parameters and array access without parameter name refers to the first parameter used for array access.
+	 * @returns {string}
+	 * @throws {Error} - If the process graph can't be expressed as a formula.
+	 */
+	static stringify(process, processes, callbackParameters = null) {
+		if (Utils.isObject(process) && typeof process.toJSON === 'function') {
+			process = process.toJSON();
+		}
+		let graph = Utils.isObject(process) && Utils.isObject(process.process_graph) ? process.process_graph : process;
+		if (!Utils.isObject(graph)) {
+			throw new Error("Process graph is invalid.");
+		}
+		if (Utils.isObject(processes) && Array.isArray(processes.processes)) {
+			processes = processes.processes;
+		}
+		let specs = Array.isArray(processes) ? processes.filter(p => Utils.isObject(p) && !p.namespace) : [];
+
+		let results = Object.keys(graph).filter(id => Utils.isObject(graph[id]) && graph[id].result === true);
+		if (results.length !== 1) {
+			throw new Error("The process graph must have exactly one result node.");
+		}
+
+		let operators = {};
+		for(let operator in Formula.operatorMapping) {
+			operators[Formula.operatorMapping[operator]] = operator;
+		}
+		let unaryOperators = {};
+		for(let operator in Formula.unaryOperatorMapping) {
+			unaryOperators[Formula.unaryOperatorMapping[operator]] = operator;
+		}
+		let constants = {};
+		for(let constant in Formula.constantMapping) {
+			constants[Formula.constantMapping[constant]] = constant;
+		}
+		// Parameters can't be named like keywords, constants and native values
+		let reserved = ['true', 'false', 'null'].concat(Object.keys(Formula.operatorMapping), Object.keys(Formula.unaryOperatorMapping), Object.keys(Formula.constantMapping));
+		let isIdentifier = name => typeof name === 'string' && Boolean(name.match(/^[A-Za-z_][A-Za-z0-9_]*$/)) && !reserved.includes(name);
+		let accepts = (param, value) => {
+			let types = ProcessUtils.getNativeTypesForJsonSchema(param.schema);
+			return Array.isArray(value) ? types.includes('array') : (types.includes('number') || types.includes('integer'));
+		};
+		let references = {};
+		let arrayParameter = Array.isArray(callbackParameters) ? callbackParameters[0] : null;
+
+		// Returns the formula and the precedence of the expression
+		let convert = (value, id) => {
+			if (typeof value === 'number' && isFinite(value)) {
+				return {formula: String(value), precedence: value < 0 ? UNARY_PRECEDENCE : PRIMARY_PRECEDENCE};
+			}
+			else if (typeof value === 'boolean' || value === null) {
+				return {formula: String(value), precedence: PRIMARY_PRECEDENCE};
+			}
+			else if (Array.isArray(value)) {
+				return {formula: '[' + value.map(element => convert(element, id).formula).join(', ') + ']', precedence: PRIMARY_PRECEDENCE};
+			}
+			else if (Utils.isObject(value) && typeof value.from_parameter === 'string') {
+				let name = value.from_parameter;
+				if (!isIdentifier(name)) {
+					throw new Error("The parameter '" + name + "' can't be used in a formula (node '" + id + "').");
+				}
+				// Parameters of the process need a leading @
+				let prefix = Array.isArray(callbackParameters) && !callbackParameters.includes(name) ? '@' : '';
+				return {formula: prefix + name, precedence: PRIMARY_PRECEDENCE};
+			}
+			else if (!Utils.isObject(value) || typeof value.from_node !== 'string') {
+				throw new Error("The value " + JSON.stringify(value) + " can't be used in a formula (node '" + id + "').");
+			}
+
+			id = value.from_node;
+			let node = graph[id];
+			if (!Utils.isObject(node)) {
+				throw new Error("Referenced node '" + id + "' doesn't exist.");
+			}
+			references[id] = (references[id] || 0) + 1;
+			let args = Utils.isObject(node.arguments) ? node.arguments : {};
+			let keys = Object.keys(args);
+			let spec = node.namespace ? null : specs.find(p => p.id === node.process_id);
+			if (!Utils.isObject(spec) || !Array.isArray(spec.parameters)) {
+				throw new Error("Process '" + node.process_id + "' is not available (node '" + id + "').");
+			}
+			let paramNames = spec.parameters.map(p => p.name);
+
+			// Array access, which is cached so that it can be used multiple times
+			if (node.process_id === 'array_element') {
+				let data = args.data;
+				if (!Utils.isObject(data) || typeof data.from_parameter !== 'string' || (Array.isArray(callbackParameters) && !callbackParameters.includes(data.from_parameter)) || keys.length !== 2) {
+					throw new Error("Array access is only supported by index or label for callback parameters (node '" + id + "').");
+				}
+				if (arrayParameter === null) {
+					arrayParameter = data.from_parameter;
+				}
+				let prefix = '$';
+				if (data.from_parameter !== arrayParameter) {
+					if (!isIdentifier(data.from_parameter)) {
+						throw new Error("The parameter '" + data.from_parameter + "' can't be used in a formula (node '" + id + "').");
+					}
+					prefix += data.from_parameter + '.';
+				}
+				let key = null;
+				if (Number.isInteger(args.index) && args.index >= 0) {
+					key = String(args.index);
+				}
+				else if (typeof args.label === 'string' && args.label.match(/^[A-Za-z0-9_]+$/) && !args.label.match(/^\d+$/)) {
+					key = args.label;
+				}
+				if (key === null) {
+					throw new Error("Array access is only supported by index or by labels that consist of letters, digits and underscores (node '" + id + "').");
+				}
+				return {formula: prefix + key, precedence: PRIMARY_PRECEDENCE};
+			}
+			else if (references[id] > 1) {
+				throw new Error("The result of node '" + id + "' is used multiple times.");
+			}
+
+			let operator = operators[node.process_id];
+			if (constants[node.process_id] && keys.length === 0) {
+				return {formula: constants[node.process_id], precedence: PRIMARY_PRECEDENCE};
+			}
+			else if (operator && keys.length === 2 && keys.every(key => paramNames.indexOf(key) === 0 || paramNames.indexOf(key) === 1)) {
+				let precedence = Formula.operatorPrecedence[operator];
+				let left = convert(args[paramNames[0]], id);
+				let right = convert(args[paramNames[1]], id);
+				// Operators are left-associative, the right operand of ^ is a unary expression.
+				// Chained comparisons are hard to read, so they are always put in parentheses.
+				let leftPrecedence = precedence === Formula.operatorPrecedence['=='] ? precedence + 1 : precedence;
+				let rightPrecedence = operator === '^' ? UNARY_PRECEDENCE : precedence + 1;
+				let formula = (left.precedence < leftPrecedence ? '(' + left.formula + ')' : left.formula) +
+					' ' + operator + ' ' +
+					(right.precedence < rightPrecedence ? '(' + right.formula + ')' : right.formula);
+				return {formula, precedence};
+			}
+			else if (unaryOperators[node.process_id] && keys.length === 1 && keys[0] === paramNames[0]) {
+				let unary = unaryOperators[node.process_id];
+				let precedence = Formula.operatorPrecedence[unary];
+				let operand = convert(args[keys[0]], id);
+				return {formula: unary + ' ' + (operand.precedence < precedence ? '(' + operand.formula + ')' : operand.formula), precedence};
+			}
+			else if (node.process_id === Formula.conditionalProcess && keys.length === 3 && keys.every(key => paramNames.indexOf(key) !== -1 && paramNames.indexOf(key) < 3)) {
+				let [test, consequent, alternate] = paramNames.slice(0, 3).map(key => convert(args[key], id));
+				// Conditional expressions are right-associative
+				let formula = (test.precedence <= CONDITIONAL_PRECEDENCE ? '(' + test.formula + ')' : test.formula) + ' ? ' + consequent.formula + ' : ' + alternate.formula;
+				return {formula, precedence: CONDITIONAL_PRECEDENCE};
+			}
+			else if (node.process_id !== Formula.conditionalProcess && (!node.process_id.match(/^[A-Za-z_][A-Za-z0-9_]*$/) || !Utils.isObject(spec.returns) || !accepts(spec.returns, 0))) {
+				throw new Error("Process '" + node.process_id + "' is not a mathematical function (node '" + id + "').");
+			}
+			else if (!keys.every(key => paramNames.indexOf(key) !== -1 && paramNames.indexOf(key) < keys.length && (node.process_id === Formula.conditionalProcess || accepts(spec.parameters[paramNames.indexOf(key)], args[key])))) {
+				throw new Error("The arguments for process '" + node.process_id + "' can't be expressed in a formula (node '" + id + "').");
+			}
+			let values = paramNames.slice(0, keys.length).map(key => convert(args[key], id).formula);
+			return {formula: node.process_id + '(' + values.join(', ') + ')', precedence: PRIMARY_PRECEDENCE};
+		};
+
+		let formula = convert({from_node: results[0]}, results[0]).formula;
+		let unused = Object.keys(graph).filter(id => Utils.isObject(graph[id]) && !references[id]);
+		if (unused.length > 0) {
+			throw new Error("The nodes " + unused.map(id => "'" + id + "'").join(", ") + " are not part of the result.");
+		}
+		return formula;
+	}
+
 	/**
 	 * Creates a math formula object.
 	 * 
@@ -78,6 +274,8 @@ class Formula {
 				return this.getRef(tree.Identifier);
 			case 'Expression':
 				return this.parseTree(tree.Expression);
+			case 'Array':
+				return tree.Array.map(element => this.parseTree(element));
 			case 'FunctionCall': {
 				let args = [];
 				for(let i in tree.FunctionCall.args) {
@@ -91,9 +289,18 @@ class Formula {
 					this.parseTree(tree.Binary.left),
 					this.parseTree(tree.Binary.right)
 				);
+			case 'Conditional':
+				return this.addConditionalProcess(
+					this.parseTree(tree.Conditional.test),
+					this.parseTree(tree.Conditional.consequent),
+					this.parseTree(tree.Conditional.alternate)
+				);
 			case 'Unary': {
 				let val = this.parseTree(tree.Unary.expression);
-				if (tree.Unary.operator === '-') {
+				if (tree.Unary.operator in Formula.unaryOperatorMapping) {
+					return this.addUnaryOperatorProcess(tree.Unary.operator, val);
+				}
+				else if (tree.Unary.operator === '-') {
 					if (typeof val === 'number') {
 						return -val;
 					}
@@ -116,6 +323,7 @@ class Formula {
 	 * @protected
 	 * @param {*} value 
 	 * @returns {*}
+	 * @throws {Error}
 	 */
 	getRef(value) {
 		// Convert native data types
@@ -130,31 +338,102 @@ class Formula {
 		}
 
 		// Output of a process
-		if (typeof value === 'string' && value.startsWith('#')) {
+		if (value.startsWith('#')) {
 			let nodeId = value.substring(1);
-			if (nodeId in this.builder.nodes) {
-				return { from_node: nodeId };
+			if (!(nodeId in this.builder.nodes)) {
+				throw new Error("Node '" + nodeId + "' doesn't exist");
 			}
+			return { from_node: nodeId };
+		}
+		// Parameter of the process
+		else if (value.startsWith('@')) {
+			return this.getProcessParameter(value.substring(1));
 		}
-
-		let callbackParams = this.builder.getParentCallbackParameters();
 		// Array labels / indices
-		if (typeof value === 'string' && value.startsWith('$') && callbackParams.length > 0) {
+		else if (value.startsWith('$')) {
 			let ref = value.substring(1);
-			// Array access always refers to the first parameter passed
-			return callbackParams[0][ref];
+			let pos = ref.indexOf('.');
+			let parameter;
+			if (pos !== -1) {
+				parameter = this.getCallbackParameter(ref.substring(0, pos));
+				ref = ref.substring(pos + 1);
+			}
+			else {
+				// Array access without parameter name refers to the first parameter passed
+				parameter = this.builder.getParentCallbackParameters()[0];
+			}
+			if (!parameter) {
+				throw new Error("Array access with $ is only available in callbacks");
+			}
+			// The array access of parameters of parent callbacks would add the node to the parent callback
+			if (!this.builder.getParentCallbackParameters().includes(parameter)) {
+				let args = {data: parameter};
+				if (ref.match(/^(0|[1-9]\d*)$/)) {
+					args.index = parseInt(ref, 10);
+				}
+				else {
+					args.label = ref;
+				}
+				return this.builder.process("array_element", args);
+			}
+			return parameter[ref];
+		}
+		// Constants
+		else if (value in Formula.constantMapping) {
+			return this.addMappedProcess(Formula.constantMapping[value], "constant " + value, []);
+		}
+		// Everything else must be a callback parameter
+		return this.getCallbackParameter(value);
+	}
+
+	/**
+	 * Returns the callback parameter with the given name.
+	 * 
+	 * Parameters of the callbacks the formula is nested in are also considered, the innermost callback is checked first.
+	 * 
+	 * @protected
+	 * @param {string} name - The parameter name.
+	 * @returns {Parameter}
+	 * @throws {Error}
+	 */
+	getCallbackParameter(name) {
+		for(let builder = this.builder; builder; builder = builder.parent) {
+			let parameter = builder.getParentCallbackParameters().find(p => p.name === name);
+			if (parameter) {
+				return parameter;
+			}
+		}
+		throw new Error("Unknown identifier '" + name + "', use @" + name + " to refer to a parameter of the process");
+	}
+
+	/**
+	 * Returns a parameter of the process, i.e. of the root builder.
+	 * 
+	 * The parameter is added to the process if it doesn't exist yet.
+	 * 
+	 * @protected
+	 * @param {string} name - The parameter name.
+	 * @returns {Parameter}
+	 */
+	getProcessParameter(name) {
+		let root = this.builder;
+		while(root.parent) {
+			root = root.parent;
+		}
+		let parameter = new Parameter(name);
+		let existing = Array.isArray(root.parameters) ? root.parameters.find(p => p.name === name) : undefined;
+		// Add new parameter if it doesn't exist, don't overwrite the specification otherwise
+		if (existing) {
+			parameter.spec = existing;
 		}
-		// Everything else is a parameter
 		else {
-			let parameter = new Parameter(value);
-			// Add new parameter if it doesn't exist
-			this.builder.addParameter(parameter);
-			return parameter;
+			root.addParameter(parameter.spec, false);
 		}
+		return parameter;
 	}
 
 	/**
-	 * Adds a process node for an operator like +, -, *, / etc.
+	 * Adds a process node for an operator like +, -, *, /, <, and etc.
 	 * 
 	 * @param {string} operator - The operator.
 	 * @param {number|object} left - The left part for the operator.
@@ -163,20 +442,63 @@ class Formula {
 	 * @throws {Error}
 	 */
 	addOperatorProcess(operator, left, right) {
-		let processName = Formula.operatorMapping[operator];
-		let process = this.builder.spec(processName);
-		if (processName && process) {
-			let args = {};
-			if (!Array.isArray(process.parameters) || process.parameters.length < 2) {
-				throw new Error("Process for operator " + operator + " must have at least two parameters");
-			}
-			args[process.parameters[0].name || 'x'] = left;
-			args[process.parameters[1].name || 'y'] = right;
-			return this.builder.process(processName, args);
+		if (!(operator in Formula.operatorMapping)) {
+			throw new Error('Operator ' + operator + ' not supported');
 		}
-		else {
+		return this.addMappedProcess(Formula.operatorMapping[operator], "operator " + operator, [left, right]);
+	}
+
+	/**
+	 * Adds a process node for an unary operator like `not`.
+	 * 
+	 * @param {string} operator - The operator.
+	 * @param {number|object} value - The operand.
+	 * @returns {BuilderNode}
+	 * @throws {Error}
+	 */
+	addUnaryOperatorProcess(operator, value) {
+		if (!(operator in Formula.unaryOperatorMapping)) {
 			throw new Error('Operator ' + operator + ' not supported');
 		}
+		return this.addMappedProcess(Formula.unaryOperatorMapping[operator], "operator " + operator, [value]);
+	}
+
+	/**
+	 * Adds a process node for a conditional expression (`test ? consequent : alternate`).
+	 * 
+	 * @param {boolean|object} test - The condition.
+	 * @param {*} consequent - The value if the condition is true.
+	 * @param {*} alternate - The value otherwise.
+	 * @returns {BuilderNode}
+	 * @throws {Error}
+	 */
+	addConditionalProcess(test, consequent, alternate) {
+		return this.addMappedProcess(Formula.conditionalProcess, "conditional operator ?:", [test, consequent, alternate]);
+	}
+
+	/**
+	 * Adds a process node for an operator, the values are passed to the parameters in the order of the process specification.
+	 * 
+	 * @protected
+	 * @param {string} processName - The process identifier.
+	 * @param {string} operator - The name of the operator, used for error messages.
+	 * @param {Array} values - The operands.
+	 * @returns {BuilderNode}
+	 * @throws {Error}
+	 */
+	addMappedProcess(processName, operator, values) {
+		let process = this.builder.spec(processName);
+		if (!process) {
+			throw new Error("The " + operator + " requires the process '" + processName + "', which is not supported by the back-end");
+		}
+		if (!Array.isArray(process.parameters) || process.parameters.length < values.length) {
+			throw new Error("Process for " + operator + " must have at least " + values.length + " parameter(s)");
+		}
+		let args = {};
+		values.forEach((value, i) => {
+			args[process.parameters[i].name] = value;
+		});
+		return this.builder.process(processName, args);
 	}
 
 }
@@ -184,9 +506,9 @@ class Formula {
 /**
  * List of supported operators.
  * 
- * All operators must have the parameters be name x and y.
+ * The operands are passed to the first two parameters of the processes.
  * 
- * The key is the mathematical operator, the value is the process identifier.
+ * The key is the operator, the value is the process identifier.
  * 
  * @type {object<string, string>}
  */
@@ -195,7 +517,74 @@ Formula.operatorMapping = {
 	"+": "add",
 	"/": "divide",
 	"*": "multiply",
-	"^": "power"
+	"^": "power",
+	"<": "lt",
+	"<=": "lte",
+	">": "gt",
+	">=": "gte",
+	"==": "eq",
+	"!=": "neq",
+	"and": "and",
+	"or": "or",
+	"xor": "xor"
+};
+
+/**
+ * List of supported unary operators.
+ * 
+ * The key is the operator, the value is the process identifier.
+ * 
+ * @type {object<string, string>}
+ */
+Formula.unaryOperatorMapping = {
+	"not": "not"
+};
+
+/**
+ * The process identifier for conditional expressions.
+ * 
+ * The process must have the parameters for the condition, the value if the condition is true and the value otherwise in this order.
+ * 
+ * @type {string}
+ */
+Formula.conditionalProcess = "if";
+
+/**
+ * List of supported constants.
+ * 
+ * The key is the name of the constant, the value is the process identifier.
+ * The processes must not have any parameters.
+ * 
+ * @type {object<string, string>}
+ */
+Formula.constantMapping = {
+	"pi": "pi",
+	"e": "e"
+};
+
+/**
+ * The precedence of the operators, higher values bind more tightly.
+ * 
+ * The key is the mathematical operator, the value is the precedence.
+ * 
+ * @type {object<string, number>}
+ */
+Formula.operatorPrecedence = {
+	"or": 2,
+	"xor": 3,
+	"and": 4,
+	"not": 5,
+	"<": 6,
+	"<=": 6,
+	">": 6,
+	">=": 6,
+	"==": 6,
+	"!=": 6,
+	"+": 7,
+	"-": 7,
+	"*": 8,
+	"/": 8,
+	"^": 9
 };
 
 module.exports = Formula;
@@ -13,23 +13,34 @@ class BuilderNode {
 	 * @param {string} processId 
 	 * @param {object} [processArgs={}]
 	 * @param {?string} [processDescription=null]
+	 * @param {?string} [processNamespace=null]
 	 */
-	constructor(parent, processId, processArgs = {}, processDescription = null) {
+	constructor(parent, processId, processArgs = {}, processDescription = null, processNamespace = null) {
 		/**
 		 * The parent builder.
 		 * @type {module:builder~Builder}
 		 */
 		this.parent = parent;
 
+		/**
+		 * The namespace of the process, `null` for pre-defined processes.
+		 * @type {?string}
+		 * @readonly
+		 */
+		this.namespace = null;
+
 		/**
 		 * The specification of the process associated with this node.
+		 * 
+		 * Processes in a namespace may be unknown to the builder,
+		 * in this case the specification only contains the process ID and namespace.
+		 * 
 		 * @type {object}
 		 * @readonly
 		 */
-		this.spec = this.parent.spec(processId);
-		if (!Utils.isObject(this.spec)) {
-			throw new Error("Process doesn't exist: " + processId);
-		}
+		this.spec = null;
+
+		this.setProcess(processId, processNamespace);
 
 		/**
 		 * The unique identifier for the node (not the process ID!).
@@ -54,6 +65,32 @@ class BuilderNode {
 		this.addParametersToProcess(this.arguments);
 	}
 
+	/**
+	 * Sets the process to execute in this node.
+	 * 
+	 * Doesn't change the arguments, use {@link Builder#replaceNode} to replace the process of a node in a process.
+	 * 
+	 * @param {string} processId 
+	 * @param {?string} [processNamespace=null]
+	 * @throws {Error}
+	 */
+	setProcess(processId, processNamespace = null) {
+		let namespace = processNamespace || null;
+		let spec = this.parent.spec(processId, namespace);
+		if (!Utils.isObject(spec)) {
+			if (namespace === null) {
+				throw new Error("Process doesn't exist: " + processId);
+			}
+			spec = {
+				id: processId,
+				namespace: namespace,
+				parameters: []
+			};
+		}
+		this.namespace = namespace;
+		this.spec = spec;
+	}
+
 	/**
 	 * Converts a sorted array of arguments to an object with the respective parameter names.
 	 * 
@@ -80,9 +117,13 @@ class BuilderNode {
 	 * @param {object|Array} processArgs 
 	 */
 	addParametersToProcess(processArgs) {
+		const Builder = require('./builder');
 		for(let key in processArgs) {
 			let arg = processArgs[key];
-			if (arg instanceof Parameter) {
+			if (arg instanceof Builder) {
+				continue; // Callbacks have added their parameters already
+			}
+			else if (arg instanceof Parameter) {
 				if (Utils.isObject(arg.spec.schema)) {
 					this.parent.addParameter(arg.spec);
 				}
@@ -221,6 +262,9 @@ class BuilderNode {
 			process_id: this.spec.id,
 			arguments: {}
 		};
+		if (this.namespace !== null) {
+			obj.namespace = this.namespace;
+		}
 		for(let name in this.arguments) {
 			if (typeof this.arguments[name] !== 'undefined') {
 				obj.arguments[name] = this.exportArgument(this.arguments[name], name);
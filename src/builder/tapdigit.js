@@ -51,6 +51,7 @@ const SUP_MAPPING = {
     '⁹': 9
 };
 const SUP_STRING = Object.keys(SUP_MAPPING).join('');
+const KEYWORDS = ['and', 'or', 'xor', 'not'];
 
 TapDigit.Lexer = function () {
     let expression = '',
@@ -109,14 +110,24 @@ TapDigit.Lexer = function () {
 
     function scanOperator() {
         let ch = peekNextChar();
-        if (('+-*/()^,' + SUP_STRING).indexOf(ch) >= 0) {
+        if (('+-*/()[]^,?:' + SUP_STRING).indexOf(ch) >= 0) {
             return createToken(T.Operator, getNextChar());
         }
+        if ('<>=!'.indexOf(ch) >= 0) {
+            let op = getNextChar();
+            if (peekNextChar() === '=') {
+                op += getNextChar();
+            }
+            if (op === '=' || op === '!') {
+                throw new SyntaxError('Unknown operator ' + op + ', did you mean ' + op + '=?');
+            }
+            return createToken(T.Operator, op);
+        }
         return undefined;
     }
 
     function isIdentifierStart(ch) {
-        return (ch === '_') || (ch === '#') || (ch === '$') || isLetter(ch);
+        return (ch === '_') || (ch === '#') || (ch === '$') || (ch === '@') || isLetter(ch);
     }
 
     function isIdentifierPart(ch) {
@@ -136,6 +147,11 @@ TapDigit.Lexer = function () {
         while (true) {
             ch = peekNextChar();
             if (!isIdentifierPart(ch)) {
+                // Array access for other parameters than the first one, e.g. $param.label
+                if (ch === '.' && id.startsWith('$') && id.indexOf('.') === -1) {
+                    id += getNextChar();
+                    continue;
+                }
                 break;
             }
             id += getNextChar();
@@ -271,6 +287,12 @@ TapDigit.Parser = function () {
             op.includes(token.value);
     }
 
+    function matchKeyword(token, keywords) {
+        return (typeof token !== 'undefined') &&
+            token.type === T.Identifier &&
+            keywords.includes(token.value);
+    }
+
     // ArgumentList := Expression |
     //                 Expression ',' ArgumentList
     function parseArgumentList() {
@@ -322,9 +344,30 @@ TapDigit.Parser = function () {
         };
     }
 
+    // Array ::= '[' ']' ||
+    //           '[' ArgumentList ']'
+    function parseArray() {
+        let elements = [];
+        lexer.next();
+        let token = lexer.peek();
+        if (!matchOp(token, ']')) {
+            elements = parseArgumentList();
+        }
+
+        token = lexer.next();
+        if (!matchOp(token, ']')) {
+            throw new SyntaxError('Expecting ] in an array');
+        }
+
+        return {
+            'Array': elements
+        };
+    }
+
     // Primary ::= Identifier |
     //             Number |
     //             '(' Expression ')' |
+    //             Array |
     //             FunctionCall
     function parsePrimary() {
         let expr;
@@ -337,6 +380,8 @@ TapDigit.Parser = function () {
             token = lexer.next();
             if (matchOp(lexer.peek(), '(')) {
                 return parseFunctionCall(token.value);
+            } else if (KEYWORDS.includes(token.value)) {
+                throw new SyntaxError('Unexpected keyword ' + token.value);
             } else {
                 return {
                     'Identifier': token.value
@@ -351,6 +396,10 @@ TapDigit.Parser = function () {
             };
         }
 
+        if (matchOp(token, '[')) {
+            return parseArray();
+        }
+
         if (matchOp(token, '(')) {
             lexer.next();
             expr = parseExpression();
@@ -452,9 +501,108 @@ TapDigit.Parser = function () {
         return expr;
     }
 
-    // Expression ::= Additive
+    // Comparison ::= Additive |
+    //                Comparison '<' Additive |
+    //                Comparison '<=' Additive |
+    //                Comparison '>' Additive |
+    //                Comparison '>=' Additive |
+    //                Comparison '==' Additive |
+    //                Comparison '!=' Additive
+    function parseComparison() {
+        let expr = parseAdditive();
+        let token = lexer.peek();
+        while (matchOp(token, ['<', '<=', '>', '>=', '==', '!='])) {
+            token = lexer.next();
+            expr = {
+                'Binary': {
+                    operator: token.value,
+                    left: expr,
+                    right: parseAdditive()
+                }
+            };
+            token = lexer.peek();
+        }
+        return expr;
+    }
+
+    // Not ::= Comparison |
+    //         'not' Not
+    function parseNot() {
+        let token = lexer.peek();
+        if (matchKeyword(token, ['not'])) {
+            token = lexer.next();
+            return {
+                'Unary': {
+                    operator: token.value,
+                    expression: parseNot()
+                }
+            };
+        }
+        return parseComparison();
+    }
+
+    // Binary operators with keywords, e.g. 'and', 'or' and 'xor'
+    function parseLogical(keyword, parseOperand) {
+        let expr = parseOperand();
+        let token = lexer.peek();
+        while (matchKeyword(token, [keyword])) {
+            token = lexer.next();
+            expr = {
+                'Binary': {
+                    operator: token.value,
+                    left: expr,
+                    right: parseOperand()
+                }
+            };
+            token = lexer.peek();
+        }
+        return expr;
+    }
+
+    // And ::= Not |
+    //         And 'and' Not
+    function parseAnd() {
+        return parseLogical('and', parseNot);
+    }
+
+    // Xor ::= And |
+    //         Xor 'xor' And
+    function parseXor() {
+        return parseLogical('xor', parseAnd);
+    }
+
+    // Or ::= Xor |
+    //        Or 'or' Xor
+    function parseOr() {
+        return parseLogical('or', parseXor);
+    }
+
+    // Conditional ::= Or |
+    //                 Or '?' Conditional ':' Conditional
+    function parseConditional() {
+        let expr = parseOr();
+        let token = lexer.peek();
+        if (matchOp(token, '?')) {
+            lexer.next();
+            let consequent = parseConditional();
+            token = lexer.next();
+            if (!matchOp(token, ':')) {
+                throw new SyntaxError('Expecting : in a conditional expression');
+            }
+            expr = {
+                'Conditional': {
+                    test: expr,
+                    consequent: consequent,
+                    alternate: parseConditional()
+                }
+            };
+        }
+        return expr;
+    }
+
+    // Expression ::= Conditional
     function parseExpression() {
-        return parseAdditive();
+        return parseConditional();
     }
 
     function parse(expression) {
@@ -1,5 +1,5 @@
 const Environment = require('./env');
-const Utils = require('@openeo/js-commons/src/utils');
+const Utils = require('./utils');
 const axios = require('axios').default;
 const Stream = require('stream'); // eslint-disable-line no-unused-vars
 
@@ -11,12 +11,64 @@ const Capabilities = require('./capabilities');
 const FileTypes = require('./filetypes');
 const UserFile = require('./userfile');
 const Job = require('./job');
+const JobQueue = require('./jobqueue');
 const UserProcess = require('./userprocess');
 const Service = require('./service');
+const Pages = require('./pages');
+const Logs = require('./logs');
+const ContentDecoder = require('./contentdecoder');
+const ProcessValidator = require('./processvalidator');
+
+const OpenEOError = require('./errors/openeoerror');
+const AbortError = require('./errors/aborterror');
+const NotFoundError = require('./errors/notfounderror');
+const AuthenticationError = require('./errors/authenticationerror');
 
 const Builder = require('./builder/builder');
 const BuilderNode = require('./builder/node');
 
+/**
+ * The policy that decides whether and when failed requests are sent again.
+ * 
+ * @typedef RetryPolicy
+ * @type {object}
+ * @property {number} maxAttempts The maximum number of attempts per request, including the first request. Set to `1` to disable retries.
+ * @property {number} delay The delay before the first retry, in milliseconds.
+ * @property {number} factor The delay is multiplied by this factor for each subsequent retry (exponential backoff).
+ * @property {number} maxDelay The maximum delay between two attempts, in milliseconds. If the back-end requests a longer delay via `Retry-After`, the request is not retried.
+ * @property {number} jitter Randomizes the delays by the given fraction (between `0` and `1`) to avoid that clients retry at the same time.
+ * @property {string[]} methods The (lower-case) HTTP methods that are retried. By default only idempotent methods are retried.
+ * @property {number[]} statusCodes The HTTP status codes that are retried.
+ * @property {string[]} errorCodes The error codes of network errors (without a response) that are retried, e.g. `ECONNRESET`.
+ * @property {boolean} respectRetryAfter Waits for the time given in the `Retry-After` header instead of the computed delay, if present.
+ */
+
+/**
+ * The default retry policy.
+ * 
+ * @type {RetryPolicy}
+ * @ignore
+ */
+const DEFAULT_RETRY_POLICY = {
+	maxAttempts: 3,
+	delay: 1000,
+	factor: 2,
+	maxDelay: 30000,
+	jitter: 0.25,
+	methods: ['get', 'head', 'options', 'put', 'delete'],
+	statusCodes: [408, 429, 502, 503, 504],
+	errorCodes: ['ECONNRESET', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN'],
+	respectRetryAfter: true
+};
+
+/**
+ * Access tokens that expire within this number of milliseconds are renewed before sending a request.
+ * 
+ * @type {number}
+ * @ignore
+ */
+const TOKEN_RENEWAL_MARGIN = 30000;
+
 /**
  * A connection to a back-end.
  */
@@ -26,23 +78,35 @@ class Connection {
 	 * Creates a new Connection.
 	 * 
 	 * @param {string} baseUrl - URL to the back-end
+	 * @param {?TokenStore} [tokenStore=null] - A store to persist the access tokens in, see {@link Connection#setTokenStore}.
 	 */
-	constructor(baseUrl) {
+	constructor(baseUrl, tokenStore = null) {
 		this.baseUrl = Utils.normalizeUrl(baseUrl);
+		this.tokenStore = tokenStore;
 		this.authProviderList = null;
 		this.authProvider = null;
 		this.capabilitiesObject = null;
-		this.processes = null;
+		this.processes = {};
+		this.oidcProviderFactory = null;
+		let oidcFactory = Environment.getOidcProviderFactory(this);
+		if (oidcFactory !== null) {
+			this.setOidcProviderFactory(oidcFactory);
+		}
+		this.retryPolicy = Object.assign({}, DEFAULT_RETRY_POLICY);
+		this.middlewares = [];
+		this.listeners = {};
+		this.tokenRenewal = null;
 	}
 
 	/**
 	 * Initializes the connection by requesting the capabilities.
 	 * 
 	 * @async
+	 * @param {?AbortSignal} [signal=null] - An AbortSignal to cancel the request.
 	 * @returns {Promise<Capabilities>} Capabilities
 	 */
-	async init() {
-		let response = await this._get('/');
+	async init(signal = null) {
+		let response = await this._get('/', null, null, signal);
 		this.capabilitiesObject = new Capabilities(response.data);
 		return this.capabilitiesObject;
 	}
@@ -65,15 +129,171 @@ class Connection {
 		return this.capabilitiesObject;
 	}
 
+	/**
+	 * Returns the policy used to retry failed requests.
+	 * 
+	 * @returns {RetryPolicy}
+	 */
+	getRetryPolicy() {
+		return this.retryPolicy;
+	}
+
+	/**
+	 * Sets the policy used to retry failed requests, e.g. on temporary server errors or connection resets.
+	 * 
+	 * The given options are merged with the default policy.
+	 * By default, only requests with idempotent HTTP methods (i.e. not POST and PATCH) are retried.
+	 * To retry POST requests, add `post` to the list of `methods`.
+	 * 
+	 * Pass `null` to reset to the default policy.
+	 * To disable retries, set `maxAttempts` to `1`.
+	 * 
+	 * @param {?RetryPolicy|object} policy - The (partial) retry policy.
+	 */
+	setRetryPolicy(policy) {
+		this.retryPolicy = Object.assign({}, DEFAULT_RETRY_POLICY, policy);
+	}
+
+	/**
+	 * Is executed before a request is sent.
+	 * 
+	 * The request options can be modified directly or a new options object can be returned.
+	 * The options mostly conform to axios, see {@link https://github.com/axios/axios#request-config}.
+	 * `baseURL` and the `Authorization` header are already set, but can be changed.
+	 * 
+	 * @callback beforeRequestCallback
+	 * @param {object} options - The request options.
+	 * @param {Connection} connection - The connection sending the request.
+	 * @returns {Promise<object|void>|object|void} Optionally, new request options.
+	 */
+
+	/**
+	 * Is executed after a successful response has been received.
+	 * 
+	 * @callback afterResponseCallback
+	 * @param {AxiosResponse} response - The response.
+	 * @param {object} options - The request options.
+	 * @param {Connection} connection - The connection that sent the request.
+	 * @returns {Promise<AxiosResponse|void>|AxiosResponse|void} Optionally, a new response.
+	 */
+
+	/**
+	 * Is executed if a request failed.
+	 * 
+	 * Throw an error to replace the error. Return a response to recover from the error,
+	 * in this case the remaining error handlers are not executed.
+	 * 
+	 * @callback onErrorCallback
+	 * @param {OpenEOError} error - The error.
+	 * @param {object} options - The request options.
+	 * @param {Connection} connection - The connection that sent the request.
+	 * @returns {Promise<AxiosResponse|void>|AxiosResponse|void} Optionally, a response to recover from the error.
+	 */
+
+	/**
+	 * A middleware that hooks into all requests sent by the connection.
+	 * 
+	 * All hooks are optional and may be asynchronous.
+	 * 
+	 * @typedef Middleware
+	 * @type {object}
+	 * @property {?beforeRequestCallback} beforeRequest Is executed before a request is sent.
+	 * @property {?afterResponseCallback} afterResponse Is executed after a successful response has been received.
+	 * @property {?onErrorCallback} onError Is executed if a request failed.
+	 */
+
+	/**
+	 * Adds a middleware that hooks into all requests sent by the connection.
+	 * 
+	 * This includes the requests sent by the auth providers through the connection,
+	 * e.g. for HTTP Basic authentication.
+	 * Middlewares are executed in the order they have been added.
+	 * If a request is retried, the middlewares are executed for each attempt.
+	 * 
+	 * Returns a function that can be called to remove the middleware.
+	 * 
+	 * @param {Middleware} middleware 
+	 * @returns {Function}
+	 */
+	addMiddleware(middleware) {
+		this.middlewares.push(middleware);
+		return () => this.removeMiddleware(middleware);
+	}
+
+	/**
+	 * Removes a middleware.
+	 * 
+	 * @param {Middleware} middleware 
+	 * @returns {boolean} `true` if the middleware was removed, `false` if it was not added before.
+	 */
+	removeMiddleware(middleware) {
+		let index = this.middlewares.indexOf(middleware);
+		if (index === -1) {
+			return false;
+		}
+		this.middlewares.splice(index, 1);
+		return true;
+	}
+
+	/**
+	 * Adds a listener for an event of the connection.
+	 * 
+	 * Supported events:
+	 * - `sessionExpired`: The access token has expired or is invalid and can't be renewed, the user needs to authenticate again.
+	 * The listeners get the `AuthProvider` and the error that occurred (if any) passed.
+	 * 
+	 * @param {string} event - The name of the event.
+	 * @param {Function} callback - The listener.
+	 */
+	on(event, callback) {
+		if (!Array.isArray(this.listeners[event])) {
+			this.listeners[event] = [];
+		}
+		this.listeners[event].push(callback);
+	}
+
+	/**
+	 * Removes a listener for an event of the connection.
+	 * 
+	 * @param {string} event - The name of the event.
+	 * @param {Function} callback - The listener to remove.
+	 */
+	off(event, callback) {
+		if (Array.isArray(this.listeners[event])) {
+			this.listeners[event] = this.listeners[event].filter(listener => listener !== callback);
+		}
+	}
+
+	/**
+	 * Calls all listeners of the given event.
+	 * 
+	 * Errors thrown by listeners are logged to the console, but don't affect other listeners.
+	 * 
+	 * @protected
+	 * @param {string} event - The name of the event.
+	 * @param {...*} args - The arguments to pass to the listeners.
+	 */
+	emit(event, ...args) {
+		let listeners = Array.isArray(this.listeners[event]) ? this.listeners[event].slice(0) : [];
+		for(let listener of listeners) {
+			try {
+				listener(...args);
+			} catch (error) {
+				console.error(error);
+			}
+		}
+	}
+
 	/**
 	 * List the supported output file formats.
 	 * 
 	 * @async
+	 * @param {?AbortSignal} [signal=null] - An AbortSignal to cancel the request.
 	 * @returns {Promise<FileTypes>} A response compatible to the API specification.
 	 * @throws {Error}
 	 */
-	async listFileTypes() {
-		let response = await this._get('/file_formats');
+	async listFileTypes(signal = null) {
+		let response = await this._get('/file_formats', null, null, signal);
 		return new FileTypes(response.data);
 	}
 
@@ -81,11 +301,12 @@ class Connection {
 	 * List the supported secondary service types.
 	 * 
 	 * @async
+	 * @param {?AbortSignal} [signal=null] - An AbortSignal to cancel the request.
 	 * @returns {Promise<object>} A response compatible to the API specification.
 	 * @throws {Error}
 	 */
-	async listServiceTypes() {
-		let response = await this._get('/service_types');
+	async listServiceTypes(signal = null) {
+		let response = await this._get('/service_types', null, null, signal);
 		return response.data;
 	}
 
@@ -93,24 +314,45 @@ class Connection {
 	 * List the supported UDF runtimes.
 	 * 
 	 * @async
+	 * @param {?AbortSignal} [signal=null] - An AbortSignal to cancel the request.
 	 * @returns {Promise<object>} A response compatible to the API specification.
 	 * @throws {Error}
 	 */
-	async listUdfRuntimes() {
-		let response = await this._get('/udf_runtimes');
+	async listUdfRuntimes(signal = null) {
+		let response = await this._get('/udf_runtimes', null, null, signal);
 		return response.data;
 	}
 
 	/**
 	 * List all collections available on the back-end.
 	 * 
+	 * Retrieves all pages if the back-end paginates the list of collections.
+	 * 
 	 * @async
-	 * @returns {Promise<object>} A response compatible to the API specification.
+	 * @param {?AbortSignal} [signal=null] - An AbortSignal to cancel the requests.
+	 * @returns {Promise<object>} A response compatible to the API specification, containing the collections of all pages.
 	 * @throws {Error}
+	 * @see Connection#paginateCollections
 	 */
-	async listCollections() {
-		let response = await this._get('/collections');
-		return response.data;
+	async listCollections(signal = null) {
+		let pages = this.paginateCollections(null, signal);
+		let collections = await pages.all();
+		return Object.assign({}, pages.getResponse(), {collections});
+	}
+
+	/**
+	 * Paginates through the collections available on the back-end.
+	 * 
+	 * Returns an object that retrieves the pages on request, e.g. in a `for await` loop.
+	 * Each page is an array of collections (objects compatible to the API specification).
+	 * 
+	 * @param {?number} [limit=50] - The maximum number of elements per page, as integer. Set to `null` to use the default of the back-end.
+	 * @param {?AbortSignal} [signal=null] - An AbortSignal to cancel the requests.
+	 * @returns {Pages}
+	 * @see Pages
+	 */
+	paginateCollections(limit = 50, signal = null) {
+		return new Pages(this, '/collections', 'collections', null, limit, signal);
 	}
 
 	/**
@@ -118,74 +360,151 @@ class Connection {
 	 * 
 	 * @async
 	 * @param {string} collectionId - Collection ID to request further metadata for.
+	 * @param {?AbortSignal} [signal=null] - An AbortSignal to cancel the request.
 	 * @returns {Promise<object>} - A response compatible to the API specification.
 	 * @throws {Error}
 	 */
-	async describeCollection(collectionId) {
-		let response = await this._get('/collections/' + collectionId);
+	async describeCollection(collectionId, signal = null) {
+		let response = await this._get('/collections/' + collectionId, null, null, signal);
 		return response.data;
 	}
 
 	/**
-	 * List all processes available on the back-end.
+	 * List all processes available on the back-end or in a specific namespace.
+	 * 
+	 * If no namespace is given, the pre-defined processes of the back-end (`GET /processes`) are listed.
+	 * The namespace `user` lists the user-defined processes of the authenticated user (`GET /process_graphs`).
+	 * All other namespaces are requested from `GET /processes/{namespace}`, e.g. for processes published by other users.
+	 * The processes of all namespaces except for the pre-defined processes get the `namespace` property set.
 	 * 
-	 * Data is cached in memory.
+	 * Data is cached in memory per namespace.
 	 * 
 	 * @async
+	 * @param {?string} [namespace=null] - Namespace of the processes, `null` for the pre-defined processes of the back-end.
+	 * @param {?AbortSignal} [signal=null] - An AbortSignal to cancel the request.
 	 * @returns {Promise<object>} - A response compatible to the API specification.
 	 * @throws {Error}
 	 */
-	async listProcesses() {
-		if (this.processes === null) {
-			let response = await this._get('/processes');
-			this.processes = response.data;
+	async listProcesses(namespace = null, signal = null) {
+		let key = this._processNamespaceKey(namespace);
+		if (!this.processes[key]) {
+			let pages = new Pages(this, this._processNamespacePath(namespace), 'processes', null, null, signal);
+			let processes = await pages.all();
+			if (key !== 'backend') {
+				processes = processes.map(process => Object.assign({}, process, {namespace}));
+			}
+			this.processes[key] = Object.assign({}, pages.getResponse(), {processes});
 		}
-		return this.processes;
+		return this.processes[key];
 	}
 
 	/**
 	 * Get information about a single process.
 	 * 
+	 * For namespaces other than the pre-defined processes, the full process description is requested from the back-end
+	 * if the cached list of processes doesn't contain it.
+	 * 
 	 * @async
-	 * @param {string} processId - Collection ID to request further metadata for.
+	 * @param {string} processId - Identifier of the process to request further metadata for.
+	 * @param {?string} [namespace=null] - Namespace of the process, `null` for the pre-defined processes of the back-end.
+	 * @param {?AbortSignal} [signal=null] - An AbortSignal to cancel the request.
 	 * @returns {Promise<?object>} - A single process as object, or `null` if none is found.
 	 * @throws {Error}
 	 * @see Connection#listProcesses
 	 */
-	async describeProcess(processId) {
-		let response = await this.listProcesses();
-		if (Array.isArray(response.processes)) {
-			let processes = response.processes.filter(process => process.id === processId);
-			if (processes.length > 0) {
-				return processes[0];
+	async describeProcess(processId, namespace = null, signal = null) {
+		let key = this._processNamespaceKey(namespace);
+		if (key === 'backend') {
+			let response = await this.listProcesses(null, signal);
+			return response.processes.find(process => process.id === processId) || null;
+		}
+
+		let cached = this.processes[key] ? this.processes[key].processes.find(process => process.id === processId) : undefined;
+		// Entries in the user-defined process list usually don't contain the process graph, so request the full description
+		if (cached && (key !== 'user' || Utils.isObject(cached.process_graph))) {
+			return cached;
+		}
+		try {
+			let response = await this._get(this._processNamespacePath(namespace) + '/' + encodeURIComponent(processId), null, null, signal);
+			let process = Object.assign({}, response.data, {namespace});
+			if (this.processes[key]) {
+				let list = this.processes[key].processes.filter(p => p.id !== processId);
+				list.push(process);
+				this.processes[key].processes = list;
+			}
+			return process;
+		} catch (error) {
+			if (error instanceof NotFoundError) {
+				return null;
 			}
+			throw error;
 		}
-		return null;
 	}
 
 	/**
 	 * Returns an object to simply build user-defined processes.
 	 * 
+	 * The pre-defined processes of the back-end are always available.
+	 * The processes of additional namespaces can be made available to the builder, so that they can be called with
+	 * {@link Builder#process} and the namespace given.
+	 * 
 	 * @async
 	 * @param {string} id - A name for the process.
+	 * @param {Array.<string>} [namespaces=[]] - Additional namespaces to load the processes from, e.g. `user`.
+	 * @param {?AbortSignal} [signal=null] - An AbortSignal to cancel the request.
 	 * @returns {Promise<Builder>}
 	 * @throws {Error}
 	 * @see Connection#listProcesses
 	 */
-	async buildProcess(id) {
-		let response = await this.listProcesses();
-		return new Builder(response.processes, null, id);
+	async buildProcess(id, namespaces = [], signal = null) {
+		let response = await this.listProcesses(null, signal);
+		let builder = new Builder(response.processes, null, id);
+		for(let namespace of namespaces) {
+			let list = await this.listProcesses(namespace, signal);
+			list.processes.forEach(process => builder.addProcessSpec(process, namespace));
+		}
+		return builder;
+	}
+
+	/**
+	 * Returns the key for the process cache of the given namespace.
+	 * 
+	 * @protected
+	 * @param {?string} namespace 
+	 * @returns {string}
+	 */
+	_processNamespaceKey(namespace) {
+		return typeof namespace === 'string' && namespace.length > 0 ? namespace : 'backend';
+	}
+
+	/**
+	 * Returns the endpoint that lists the processes of the given namespace.
+	 * 
+	 * @protected
+	 * @param {?string} namespace 
+	 * @returns {string}
+	 */
+	_processNamespacePath(namespace) {
+		switch(this._processNamespaceKey(namespace)) {
+			case 'backend':
+				return '/processes';
+			case 'user':
+				return '/process_graphs';
+			default:
+				return '/processes/' + encodeURIComponent(namespace);
+		}
 	}
 
 	/**
 	 * List all authentication methods supported by the back-end.
 	 * 
 	 * @async
+	 * @param {?AbortSignal} [signal=null] - An AbortSignal to cancel the request.
 	 * @returns {Promise<AuthProvider[]>} An array containing all supported AuthProviders (including all OIDC providers and HTTP Basic).
 	 * @throws {Error}
 	 * @see AuthProvider
 	 */
-	async listAuthProviders() {
+	async listAuthProviders(signal = null) {
 		if (this.authProviderList !== null) {
 			return this.authProviderList;
 		}
@@ -195,13 +514,16 @@ class Connection {
 
 		// Add OIDC providers
 		if (cap.hasFeature('authenticateOIDC')) {
-			let res = await this._get('/credentials/oidc');
+			let res = await this._get('/credentials/oidc', null, null, signal);
 			let oidcFactory = this.getOidcProviderFactory();
 			if (Utils.isObject(res.data) && Array.isArray(res.data.providers) && typeof oidcFactory === 'function') {
 				for(let i in res.data.providers) {
 					let obj = oidcFactory(res.data.providers[i]);
-					if (obj instanceof AuthProvider) {
-						this.authProviderList.push(obj);
+					let providers = Array.isArray(obj) ? obj : [obj];
+					for(let provider of providers) {
+						if (provider instanceof AuthProvider) {
+							this.authProviderList.push(provider);
+						}
 					}
 				}
 			}
@@ -223,11 +545,12 @@ class Connection {
 	 * `id`, `issuer`, `title` etc.
 	 * 
 	 * The function must return an instance of AuthProvider or any derived class.
+	 * It can also return an array of instances, e.g. one per supported OpenID Connect flow.
 	 * May return `null` if the instance can't be created.
 	 *
 	 * @callback oidcProviderFactoryFunction
 	 * @param {object} providerInfo - The provider information as provided by the API, having the properties `id`, `issuer`, `title` etc.
-	 * @returns {?AuthProvider}
+	 * @returns {?AuthProvider|AuthProvider[]}
 	 */
 
 	/**
@@ -237,6 +560,9 @@ class Connection {
 	 * on the AuthProvider interface (or OIDCProvider class), e.g. to use a
 	 * OIDC library other than oidc-client-js.
 	 * 
+	 * In Node.js environments, a factory that creates {@link OidcDeviceCodeProvider} and
+	 * {@link OidcClientCredentialsProvider} instances is set by default.
+	 * 
 	 * @param {oidcProviderFactoryFunction} providerFactoryFunc
 	 * @see AuthProvider
 	 */
@@ -276,12 +602,82 @@ class Connection {
 	 * @deprecated
 	 * @param {string} username 
 	 * @param {string} password 
+	 * @param {?AbortSignal} [signal=null] - An AbortSignal to cancel the request.
 	 * @see BasicProvider
 	 * @see Connection#listAuthProviders
 	 */
-	async authenticateBasic(username, password) {
+	async authenticateBasic(username, password, signal = null) {
 		let basic = new BasicProvider(this);
-		await basic.login(username, password);
+		await basic.login(username, password, signal);
+	}
+
+	/**
+	 * Sets the store to persist the access tokens of the auth providers in.
+	 * 
+	 * Tokens are written to the store whenever they are set or renewed and removed on logout.
+	 * Use {@link Connection#restoreAuthentication} to restore a token, e.g. after a page reload.
+	 * 
+	 * @param {?TokenStore} tokenStore - The store, `null` to not persist tokens.
+	 * @see TokenStore
+	 */
+	setTokenStore(tokenStore) {
+		this.tokenStore = tokenStore;
+	}
+
+	/**
+	 * Returns the store to persist the access tokens in.
+	 * 
+	 * @returns {?TokenStore}
+	 */
+	getTokenStore() {
+		return this.tokenStore;
+	}
+
+	/**
+	 * Returns the key for the token of the given auth provider in the token store.
+	 * 
+	 * The key consists of the identifier of the auth provider and the URL of the back-end.
+	 * The identifiers of the OpenID Connect providers contain the grant type, so the tokens of
+	 * the different flows are stored separately.
+	 * 
+	 * @param {AuthProvider} provider 
+	 * @returns {string}
+	 */
+	getTokenStoreKey(provider) {
+		return provider.getId() + '@' + this.baseUrl;
+	}
+
+	/**
+	 * Restores the authentication from the token store.
+	 * 
+	 * Checks the auth providers of the back-end one after another and sets the first provider
+	 * with a token in the store as auth provider for the connection.
+	 * Expired tokens are removed from the store, unless they can be renewed (e.g. with a refresh token).
+	 * 
+	 * @async
+	 * @param {?AbortSignal} [signal=null] - An AbortSignal to cancel the request.
+	 * @returns {Promise<?AuthProvider>} The auth provider that has been restored or `null` if no valid token was found.
+	 * @throws {Error}
+	 * @see Connection#setTokenStore
+	 */
+	async restoreAuthentication(signal = null) {
+		if (this.tokenStore === null) {
+			return null;
+		}
+		let providers = await this.listAuthProviders(signal);
+		for(let provider of providers) {
+			let key = this.getTokenStoreKey(provider);
+			let data = await this.tokenStore.get(key);
+			if (data === null) {
+				continue;
+			}
+			if (provider.restoreStorageData(data)) {
+				this.setAuthProvider(provider);
+				return provider;
+			}
+			await this.tokenStore.remove(key);
+		}
+		return null;
 	}
 
 	/**
@@ -349,26 +745,43 @@ class Connection {
 	 * Updates the User ID if available.
 	 * 
 	 * @async
+	 * @param {?AbortSignal} [signal=null] - An AbortSignal to cancel the request.
 	 * @returns {Promise<object>} A response compatible to the API specification.
 	 * @throws {Error}
 	 */
-	async describeAccount() {
-		let response = await this._get('/me');
+	async describeAccount(signal = null) {
+		let response = await this._get('/me', null, null, signal);
 		return response.data;
 	}
 
 	/**
 	 * Lists all files from the user workspace. 
 	 * 
+	 * Retrieves all pages if the back-end paginates the list of files.
+	 * 
 	 * @async
+	 * @param {?AbortSignal} [signal=null] - An AbortSignal to cancel the requests.
 	 * @returns {Promise<UserFile[]>} A list of files.
 	 * @throws {Error}
+	 * @see Connection#paginateFiles
 	 */
-	async listFiles() {
-		let response = await this._get('/files');
-		return response.data.files.map(
-			f => new UserFile(this, f.path).setAll(f)
-		);
+	async listFiles(signal = null) {
+		return await this.paginateFiles(null, signal).all();
+	}
+
+	/**
+	 * Paginates through the files from the user workspace.
+	 * 
+	 * Returns an object that retrieves the pages on request, e.g. in a `for await` loop.
+	 * Each page is an array of `UserFile` instances.
+	 * 
+	 * @param {?number} [limit=50] - The maximum number of elements per page, as integer. Set to `null` to use the default of the back-end.
+	 * @param {?AbortSignal} [signal=null] - An AbortSignal to cancel the requests.
+	 * @returns {Pages}
+	 * @see Pages
+	 */
+	paginateFiles(limit = 50, signal = null) {
+		return new Pages(this, '/files', 'files', f => new UserFile(this, f.path).setAll(f), limit, signal);
 	}
 
 
@@ -391,15 +804,16 @@ class Connection {
 	 * @param {string|object} source - The source, see method description for details.
 	 * @param {?string} [targetPath=null] - The target path on the server, relative to the user workspace. Defaults to the file name of the source file.
 	 * @param {?uploadStatusCallback} [statusCallback=null] - Optionally, a callback that is executed on upload progress updates.
+	 * @param {?AbortSignal} [signal=null] - An AbortSignal to cancel the request.
 	 * @returns {Promise<UserFile>}
 	 * @throws {Error}
 	 */
-	async uploadFile(source, targetPath = null, statusCallback = null) {
+	async uploadFile(source, targetPath = null, statusCallback = null, signal = null) {
 		if (targetPath === null) {
 			targetPath = Environment.fileNameForUpload(source);
 		}
 		let file = await this.getFile(targetPath);
-		return await file.uploadFile(source, statusCallback);
+		return await file.uploadFile(source, statusCallback, signal);
 	}
 
 	/**
@@ -415,10 +829,10 @@ class Connection {
 	}
 
 	/**
-	 * Takes a UserProcess, BuilderNode or a plain object containing process nodes
+	 * Takes a UserProcess, Builder, BuilderNode or a plain object containing process nodes
 	 * and converts it to an API compliant object.
 	 * 
-	 * @param {UserProcess|BuilderNode|object} process - Process to be normalized.
+	 * @param {UserProcess|Builder|BuilderNode|object} process - Process to be normalized.
 	 * @param {object} additional - Additional properties to be merged with the resulting object.
 	 * @returns {object}
 	 * @protected
@@ -431,6 +845,9 @@ class Connection {
 			process.result = true;
 			process = process.parent.toJSON();
 		}
+		else if (process instanceof Builder) {
+			process = process.toJSON();
+		}
 		else if (Utils.isObject(process) && !Utils.isObject(process.process_graph)) {
 			process = {
 				process_graph: process
@@ -444,11 +861,12 @@ class Connection {
 	 * 
 	 * @async
 	 * @param {object} process - User-defined process to validate.
+	 * @param {?AbortSignal} [signal=null] - An AbortSignal to cancel the request.
 	 * @returns {Promise<object[]>} errors - A list of API compatible error objects. A valid process returns an empty list.
 	 * @throws {Error}
 	 */
-	async validateProcess(process) {
-		let response = await this._post('/validation', this._normalizeUserProcess(process).process);
+	async validateProcess(process, signal = null) {
+		let response = await this._post('/validation', this._normalizeUserProcess(process).process, null, signal);
 		if (Array.isArray(response.data.errors)) {
 			return response.data.errors;
 		}
@@ -457,18 +875,70 @@ class Connection {
 		}
 	}
 
+	/**
+	 * Validates a user-defined process without sending it to the back-end.
+	 * 
+	 * Checks the process against the specifications of the processes available at the back-end, see {@link ProcessValidator} for details.
+	 * The processes of all namespaces used in the process are requested from the back-end, if not cached yet.
+	 * Nodes without namespace may also refer to user-defined processes, which are only considered if the user is authenticated.
+	 * 
+	 * @async
+	 * @param {UserProcess|Builder|BuilderNode|object} process - User-defined process to validate.
+	 * @param {?AbortSignal} [signal=null] - An AbortSignal to cancel the requests.
+	 * @returns {Promise<object[]>} errors - A list of API compatible error objects. A valid process returns an empty list.
+	 * @throws {Error}
+	 * @see ProcessValidator
+	 */
+	async validateProcessLocally(process, signal = null) {
+		process = this._normalizeUserProcess(process).process;
+		let response = await this.listProcesses(null, signal);
+		let processes = response.processes.slice(0);
+		let namespaces = ProcessValidator.getNamespaces(process);
+		if (this.isAuthenticated() && !namespaces.includes('user')) {
+			namespaces.push('user');
+		}
+		for(let namespace of namespaces) {
+			try {
+				let list = await this.listProcesses(namespace, signal);
+				processes = processes.concat(list.processes);
+			} catch (error) {
+				// The processes of unknown namespaces are reported as unsupported by the validator
+				if (!(error instanceof NotFoundError) && !(error instanceof AuthenticationError)) {
+					throw error;
+				}
+			}
+		}
+		return new ProcessValidator(processes).validate(process);
+	}
+
 	/**
 	 * Lists all user-defined processes of the authenticated user.
 	 * 
+	 * Retrieves all pages if the back-end paginates the list of user-defined processes.
+	 * 
 	 * @async
+	 * @param {?AbortSignal} [signal=null] - An AbortSignal to cancel the requests.
 	 * @returns {Promise<UserProcess[]>} A list of user-defined processes.
 	 * @throws {Error}
+	 * @see Connection#paginateUserProcesses
 	 */
-	async listUserProcesses() {
-		let response = await this._get('/process_graphs');
-		return response.data.processes.map(
-			pg => new UserProcess(this, pg.id).setAll(pg)
-		);
+	async listUserProcesses(signal = null) {
+		return await this.paginateUserProcesses(null, signal).all();
+	}
+
+	/**
+	 * Paginates through the user-defined processes of the authenticated user.
+	 * 
+	 * Returns an object that retrieves the pages on request, e.g. in a `for await` loop.
+	 * Each page is an array of `UserProcess` instances.
+	 * 
+	 * @param {?number} [limit=50] - The maximum number of elements per page, as integer. Set to `null` to use the default of the back-end.
+	 * @param {?AbortSignal} [signal=null] - An AbortSignal to cancel the requests.
+	 * @returns {Pages}
+	 * @see Pages
+	 */
+	paginateUserProcesses(limit = 50, signal = null) {
+		return new Pages(this, '/process_graphs', 'processes', pg => new UserProcess(this, pg.id).setAll(pg), limit, signal);
 	}
 
 	/**
@@ -477,12 +947,13 @@ class Connection {
 	 * @async
 	 * @param {string} id - Unique identifier for the process.
 	 * @param {object} process - A user-defined process.
+	 * @param {?AbortSignal} [signal=null] - An AbortSignal to cancel the request.
 	 * @returns {Promise<UserProcess>} The new user-defined process.
 	 * @throws {Error}
 	 */
-	async setUserProcess(id, process) {
+	async setUserProcess(id, process, signal = null) {
 		let pg = new UserProcess(this, id);
-		return await pg.replaceUserProcess(process);
+		return await pg.replaceUserProcess(process, signal);
 	}
 
 	/**
@@ -490,12 +961,13 @@ class Connection {
 	 * 
 	 * @async
 	 * @param {string} id - Identifier of the user-defined process. 
+	 * @param {?AbortSignal} [signal=null] - An AbortSignal to cancel the request.
 	 * @returns {Promise<UserProcess>} The user-defined process.
 	 * @throws {Error}
 	 */
-	async getUserProcess(id) {
+	async getUserProcess(id, signal = null) {
 		let pg = new UserProcess(this, id);
-		return await pg.describeUserProcess();
+		return await pg.describeUserProcess(signal);
 	}
 
 	/**
@@ -504,6 +976,10 @@ class Connection {
 	 * @property {Stream.Readable|Blob} data The data as `Stream` in NodeJS environments or as `Blob` in browsers.
 	 * @property {?number} costs The costs for the request in the currency exposed by the back-end.
 	 * @property {object[]} logs Array of log entries as specified in the API.
+	 * @property {?Logs} logIterator The logs of the request as `Logs` object, e.g. to filter them by level. `null` if the back-end doesn't provide logs.
+	 * @property {?string} type The media type of the data without parameters, e.g. `image/png`.
+	 * @property {?Array.<Array.<string>>} rows If decoded: The rows of CSV or TSV data. `null` for other types.
+	 * @property {?ImageMetadata} metadata If decoded: Metadata of images. `null` for other types.
 	 */
 
 	/**
@@ -511,13 +987,25 @@ class Connection {
 	 * 
 	 * Please note that requests can take a very long time of several minutes or even hours.
 	 * 
+	 * By default, the data is returned as `Stream` (NodeJS) or `Blob` (Browser). If `decode` is enabled,
+	 * the data is decoded according to the Content-Type of the response:
+	 * - JSON: Object or array.
+	 * - CSV and TSV: String, the parsed values are available in `rows`.
+	 * - Other text formats: String.
+	 * - Multipart: Array of `DecodedContent` objects, one for each part, which are decoded the same way.
+	 * - Images: `Buffer` (NodeJS) or `ArrayBuffer` (Browser), details are available in `metadata`.
+	 * - Other formats: `Buffer` (NodeJS) or `ArrayBuffer` (Browser).
+	 * 
 	 * @async
 	 * @param {object} process - A user-defined process.
 	 * @param {string} [plan=null] - The billing plan to use for this computation.
 	 * @param {number} [budget=null] - The maximum budget allowed to spend for this computation.
+	 * @param {?AbortSignal} [signal=null] - An AbortSignal to cancel the request.
+	 * @param {boolean} [decode=false] - Decode the data according to the Content-Type.
 	 * @returns {Promise<SyncResult>} - An object with the data and some metadata.
+	 * @throws {Error}
 	 */
-	async computeResult(process, plan = null, budget = null) {
+	async computeResult(process, plan = null, budget = null, signal = null, decode = false) {
 		let requestBody = this._normalizeUserProcess(
 			process,
 			{
@@ -525,15 +1013,25 @@ class Connection {
 				budget: budget
 			}
 		);
-		let response = await this._post('/result', requestBody, Environment.getResponseType());
+		let response = await this._post('/result', requestBody, Environment.getResponseType(), signal);
 		let syncResult = {
 			data: response.data,
 			costs: null,
-			logs: []
+			logs: [],
+			logIterator: null,
+			type: ContentDecoder.parseContentType(response.headers['content-type']).type,
+			rows: null,
+			metadata: null
 		};
 		
-		if (typeof response.headers['openeo-costs'] === 'number') {
-			syncResult.costs = response.headers['openeo-costs'];
+		let costs = response.headers['openeo-costs'];
+		if (Utils.isNumeric(costs)) {
+			syncResult.costs = parseFloat(costs);
+		}
+
+		if (decode) {
+			let decoded = ContentDecoder.decode(await Environment.readBinary(response.data), response.headers['content-type']);
+			Object.assign(syncResult, Utils.pickFromObject(decoded, ['data', 'rows', 'metadata']));
 		}
 
 		let links = Array.isArray(response.headers.link) ? response.headers.link : [response.headers.link];
@@ -544,11 +1042,12 @@ class Connection {
 			let logs = link.match(/^<([^>]+)>;\s?rel="monitor"/i);
 			if (Array.isArray(logs) && logs.length > 1) {
 				try {
-					let logsResponse = await this._get(logs[1]);
-					if (Utils.isObject(logsResponse.data) && Array.isArray(logsResponse.data.logs)) {
-						syncResult.logs = logsResponse.data.logs;
-					}
+					syncResult.logs = await new Logs(this, logs[1]).all(signal);
+					syncResult.logIterator = new Logs(this, logs[1]);
 				} catch(error) {
+					if (error instanceof AbortError) {
+						throw error;
+					}
 					console.warn(error);
 				}
 			}
@@ -571,10 +1070,11 @@ class Connection {
 	 * @param {string} targetPath - The target, see method description for details.
 	 * @param {string} [plan=null] - The billing plan to use for this computation.
 	 * @param {number} [budget=null] - The maximum budget allowed to spend for this computation.
+	 * @param {?AbortSignal} [signal=null] - An AbortSignal to cancel the request.
 	 * @throws {Error}
 	 */
-	async downloadResult(process, targetPath, plan = null, budget = null) {
-		let response = await this.computeResult(process, plan, budget);
+	async downloadResult(process, targetPath, plan = null, budget = null, signal = null) {
+		let response = await this.computeResult(process, plan, budget, signal);
 		// @ts-ignore
 		await Environment.saveToFile(response.data, targetPath);
 	}
@@ -582,15 +1082,31 @@ class Connection {
 	/**
 	 * Lists all batch jobs of the authenticated user.
 	 * 
+	 * Retrieves all pages if the back-end paginates the list of batch jobs.
+	 * 
 	 * @async
+	 * @param {?AbortSignal} [signal=null] - An AbortSignal to cancel the requests.
 	 * @returns {Promise<Job[]>} A list of jobs.
 	 * @throws {Error}
+	 * @see Connection#paginateJobs
 	 */
-	async listJobs() {
-		let response = await this._get('/jobs');
-		return response.data.jobs.map(
-			j => new Job(this, j.id).setAll(j)
-		);
+	async listJobs(signal = null) {
+		return await this.paginateJobs(null, signal).all();
+	}
+
+	/**
+	 * Paginates through the batch jobs of the authenticated user.
+	 * 
+	 * Returns an object that retrieves the pages on request, e.g. in a `for await` loop.
+	 * Each page is an array of `Job` instances.
+	 * 
+	 * @param {?number} [limit=50] - The maximum number of elements per page, as integer. Set to `null` to use the default of the back-end.
+	 * @param {?AbortSignal} [signal=null] - An AbortSignal to cancel the requests.
+	 * @returns {Pages}
+	 * @see Pages
+	 */
+	paginateJobs(limit = 50, signal = null) {
+		return new Pages(this, '/jobs', 'jobs', j => new Job(this, j.id).setAll(j), limit, signal);
 	}
 
 	/**
@@ -603,10 +1119,11 @@ class Connection {
 	 * @param {string} [plan=null] - The billing plan to use for this batch job.
 	 * @param {number} [budget=null] - The maximum budget allowed to spend for this batch job.
 	 * @param {object} [additional={}] - Proprietary parameters to pass for the batch job.
+	 * @param {?AbortSignal} [signal=null] - An AbortSignal to cancel the request.
 	 * @returns {Promise<Job>} The stored batch job.
 	 * @throws {Error}
 	 */
-	async createJob(process, title = null, description = null, plan = null, budget = null, additional = {}) {
+	async createJob(process, title = null, description = null, plan = null, budget = null, additional = {}, signal = null) {
 		additional = Object.assign({}, additional, {
 			title: title,
 			description: description,
@@ -614,10 +1131,10 @@ class Connection {
 			budget: budget
 		});
 		let requestBody = this._normalizeUserProcess(process, additional);
-		let response = await this._post('/jobs', requestBody);
+		let response = await this._post('/jobs', requestBody, null, signal);
 		let job = new Job(this, response.headers['openeo-identifier']).setAll(requestBody);
 		if (this.capabilitiesObject.hasFeature('describeJob')) {
-			return await job.describeJob();
+			return await job.describeJob(signal);
 		}
 		else {
 			return job;
@@ -629,26 +1146,54 @@ class Connection {
 	 * 
 	 * @async
 	 * @param {string} id - Batch Job ID. 
+	 * @param {?AbortSignal} [signal=null] - An AbortSignal to cancel the request.
 	 * @returns {Promise<Job>} The batch job.
 	 * @throws {Error}
 	 */
-	async getJob(id) {
+	async getJob(id, signal = null) {
 		let job = new Job(this, id);
-		return await job.describeJob();
+		return await job.describeJob(signal);
+	}
+
+	/**
+	 * Creates a queue to create, start, monitor and download many batch jobs.
+	 * 
+	 * @param {JobQueueOptions|object} [options={}] - Options for the queue, e.g. the maximum number of batch jobs running at the same time.
+	 * @returns {JobQueue}
+	 * @see JobQueue
+	 */
+	createJobQueue(options = {}) {
+		return new JobQueue(this, options);
 	}
 
 	/**
 	 * Lists all secondary web services of the authenticated user.
 	 * 
+	 * Retrieves all pages if the back-end paginates the list of services.
+	 * 
 	 * @async
-	 * @returns {Promise<Job[]>} A list of services.
+	 * @param {?AbortSignal} [signal=null] - An AbortSignal to cancel the requests.
+	 * @returns {Promise<Service[]>} A list of services.
 	 * @throws {Error}
+	 * @see Connection#paginateServices
 	 */
-	async listServices() {
-		let response = await this._get('/services');
-		return response.data.services.map(
-			s => new Service(this, s.id).setAll(s)
-		);
+	async listServices(signal = null) {
+		return await this.paginateServices(null, signal).all();
+	}
+
+	/**
+	 * Paginates through the secondary web services of the authenticated user.
+	 * 
+	 * Returns an object that retrieves the pages on request, e.g. in a `for await` loop.
+	 * Each page is an array of `Service` instances.
+	 * 
+	 * @param {?number} [limit=50] - The maximum number of elements per page, as integer. Set to `null` to use the default of the back-end.
+	 * @param {?AbortSignal} [signal=null] - An AbortSignal to cancel the requests.
+	 * @returns {Pages}
+	 * @see Pages
+	 */
+	paginateServices(limit = 50, signal = null) {
+		return new Pages(this, '/services', 'services', s => new Service(this, s.id).setAll(s), limit, signal);
 	}
 
 	/**
@@ -664,10 +1209,11 @@ class Connection {
 	 * @param {string} [plan=null] - The billing plan to use for this service.
 	 * @param {number} [budget=null] - The maximum budget allowed to spend for this service.
 	 * @param {object} [additional={}] - Proprietary parameters to pass for the batch job.
+	 * @param {?AbortSignal} [signal=null] - An AbortSignal to cancel the request.
 	 * @returns {Promise<Service>} The stored service.
 	 * @throws {Error}
 	 */
-	async createService(process, type, title = null, description = null, enabled = true, configuration = {}, plan = null, budget = null, additional = {}) {
+	async createService(process, type, title = null, description = null, enabled = true, configuration = {}, plan = null, budget = null, additional = {}, signal = null) {
 		let requestBody = this._normalizeUserProcess(process, Object.assign({
 			title: title,
 			description: description,
@@ -677,10 +1223,10 @@ class Connection {
 			plan: plan,
 			budget: budget
 		}, additional));
-		let response = await this._post('/services', requestBody);
+		let response = await this._post('/services', requestBody, null, signal);
 		let service = new Service(this, response.headers['openeo-identifier']).setAll(requestBody);
 		if (this.capabilitiesObject.hasFeature('describeService')) {
-			return service.describeService();
+			return service.describeService(signal);
 		}
 		else {
 			return service;
@@ -692,12 +1238,13 @@ class Connection {
 	 * 
 	 * @async
 	 * @param {string} id - Service ID. 
+	 * @param {?AbortSignal} [signal=null] - An AbortSignal to cancel the request.
 	 * @returns {Promise<Service>} The service.
 	 * @throws {Error}
 	 */
-	async getService(id) {
+	async getService(id, signal = null) {
 		let service = new Service(this, id);
-		return await service.describeService();
+		return await service.describeService(signal);
 	}
 
 	/**
@@ -721,11 +1268,12 @@ class Connection {
 	 * @param {string} path 
 	 * @param {object} query 
 	 * @param {string} responseType - Response type according to axios, defaults to `json`.
+	 * @param {?AbortSignal} [signal=null] - An AbortSignal to cancel the request.
 	 * @returns {Promise<AxiosResponse>}
 	 * @throws {Error}
 	 * @see https://github.com/axios/axios#request-config
 	 */
-	async _get(path, query, responseType) {
+	async _get(path, query, responseType, signal = null) {
 		return await this._send({
 			method: 'get',
 			responseType: responseType,
@@ -733,7 +1281,8 @@ class Connection {
 			// Timeout for capabilities requests as they are used for a quick first discovery to check whether the server is a openEO back-end.
 			// Without timeout connecting with a wrong server url may take forever.
 			timeout: path === '/' ? 3000 : 0,
-			params: query
+			params: query,
+			signal: signal
 		});
 	}
 
@@ -744,16 +1293,18 @@ class Connection {
 	 * @param {string} path 
 	 * @param {*} body 
 	 * @param {string} responseType - Response type according to axios, defaults to `json`.
+	 * @param {?AbortSignal} [signal=null] - An AbortSignal to cancel the request.
 	 * @returns {Promise<AxiosResponse>}
 	 * @throws {Error}
 	 * @see https://github.com/axios/axios#request-config
 	 */
-	async _post(path, body, responseType) {
+	async _post(path, body, responseType, signal = null) {
 		return await this._send({
 			method: 'post',
 			responseType: responseType,
 			url: path,
-			data: body
+			data: body,
+			signal: signal
 		});
 	}
 
@@ -763,14 +1314,16 @@ class Connection {
 	 * @async
 	 * @param {string} path 
 	 * @param {*} body 
+	 * @param {?AbortSignal} [signal=null] - An AbortSignal to cancel the request.
 	 * @returns {Promise<AxiosResponse>}
 	 * @throws {Error}
 	 */
-	async _put(path, body) {
+	async _put(path, body, signal = null) {
 		return await this._send({
 			method: 'put',
 			url: path,
-			data: body
+			data: body,
+			signal: signal
 		});
 	}
 
@@ -780,14 +1333,16 @@ class Connection {
 	 * @async
 	 * @param {string} path 
 	 * @param {*} body 
+	 * @param {?AbortSignal} [signal=null] - An AbortSignal to cancel the request.
 	 * @returns {Promise<AxiosResponse>}
 	 * @throws {Error}
 	 */
-	async _patch(path, body) {
+	async _patch(path, body, signal = null) {
 		return await this._send({
 			method: 'patch',
 			url: path,
-			data: body
+			data: body,
+			signal: signal
 		});
 	}
 
@@ -796,13 +1351,15 @@ class Connection {
 	 * 
 	 * @async
 	 * @param {string} path 
+	 * @param {?AbortSignal} [signal=null] - An AbortSignal to cancel the request.
 	 * @returns {Promise<AxiosResponse>}
 	 * @throws {Error}
 	 */
-	async _delete(path) {
+	async _delete(path, signal = null) {
 		return await this._send({
 			method: 'delete',
-			url: path
+			url: path,
+			signal: signal
 		});
 	}
 
@@ -813,16 +1370,25 @@ class Connection {
 	 * 
 	 * @param {string} url - An absolute or relative URL to download data from.
 	 * @param {boolean} authorize - Send authorization details (`true`) or not (`false`).
+	 * @param {?AbortSignal} [signal=null] - An AbortSignal to cancel the request.
+	 * @param {?Function} [progressCallback=null] - Is called with the number of bytes received and the total number of bytes (`null` if unknown). Only supported in browsers.
 	 * @returns {Promise<Stream.Readable|Blob>} - Returns the data as `Stream` in NodeJS environments or as `Blob` in browsers
 	 * @throws {Error}
 	 */
-	async download(url, authorize) {
-		let result = await this._send({
+	async download(url, authorize, signal = null, progressCallback = null) {
+		let options = {
 			method: 'get',
 			responseType: Environment.getResponseType(),
 			url: url,
-			withCredentials: authorize
-		});
+			withCredentials: authorize,
+			signal: signal
+		};
+		if (typeof progressCallback === 'function') {
+			options.onDownloadProgress = (progressEvent) => {
+				progressCallback(progressEvent.loaded, progressEvent.total > 0 ? progressEvent.total : null);
+			};
+		}
+		let result = await this._send(options);
 		return result.data;
 	}
 
@@ -835,41 +1401,290 @@ class Connection {
 	 * Automatically sets a baseUrl and the authorization information.
 	 * Default responseType is `json`.
 	 * 
-	 * Tries to smoothly handle error responses by providing an object for all response types,
-	 * instead of Streams or Blobs for non-JSON response types.
+	 * Failed requests are sent again according to the retry policy of the connection,
+	 * see {@link Connection#setRetryPolicy}. The option `retry` can be set per request
+	 * to either disable retries (`false`), enable them independent of the HTTP method
+	 * (`true`) or to override parts of the retry policy (object).
+	 * If `data` is a function, it's called for each attempt to get the request body,
+	 * which allows to retry requests that send a Stream.
+	 * 
+	 * Requests can be canceled by passing an AbortSignal in the option `signal`.
+	 * Canceled requests reject with an `AbortError`.
+	 * 
+	 * The middlewares added via {@link Connection#addMiddleware} are executed for each attempt.
+	 * 
+	 * Access tokens that are about to expire are renewed before the request is sent, if supported
+	 * by the auth provider. If the back-end rejects the token (HTTP status 401, code `TokenInvalid`),
+	 * the token is renewed and the request is sent once more. If the token can't be renewed,
+	 * the event `sessionExpired` is emitted.
+	 * 
+	 * Error responses are converted into an `OpenEOError` (or one of its sub-classes),
+	 * which exposes the openEO error details for all response types. JSON error responses
+	 * that are returned as Streams or Blobs for non-JSON response types are parsed for this.
 	 * 
 	 * @async
 	 * @param {object} options 
 	 * @returns {Promise<AxiosResponse>}
-	 * @throws {Error}
+	 * @throws {OpenEOError}
 	 * @see https://github.com/axios/axios
+	 * @see OpenEOError
+	 * @see AbortError
 	 */
 	async _send(options) {
+		let authorized = this._isAuthorizedRequest(options);
+		let renewed = null;
+		if (authorized && this.authProvider.canRefresh() && this.authProvider.isTokenExpired(TOKEN_RENEWAL_MARGIN)) {
+			renewed = await this._renewToken();
+		}
+		try {
+			return await this._sendWithRetries(options);
+		} catch (error) {
+			if (!authorized || !(error instanceof AuthenticationError) || error.status !== 401 || error.code !== 'TokenInvalid') {
+				throw error;
+			}
+			if (renewed === null) {
+				if (await this._renewToken()) {
+					return await this._sendWithRetries(options);
+				}
+			}
+			else if (renewed === true) {
+				// The renewed token has been rejected, too
+				this.emit('sessionExpired', this.authProvider, error);
+			}
+			throw error;
+		}
+	}
+
+	/**
+	 * Checks whether the request is sent with the access token of the auth provider.
+	 * 
+	 * @protected
+	 * @param {object} options - The request options.
+	 * @returns {boolean}
+	 */
+	_isAuthorizedRequest(options) {
+		return this.isAuthenticated() && (typeof options.withCredentials === 'undefined' || options.withCredentials === true);
+	}
+
+	/**
+	 * Renews the access token of the auth provider.
+	 * 
+	 * Concurrent calls share a single renewal.
+	 * Emits the event `sessionExpired` if the token can't be renewed.
+	 * 
+	 * @async
+	 * @protected
+	 * @returns {Promise<boolean>} `true` if the token has been renewed, `false` otherwise.
+	 */
+	async _renewToken() {
+		if (this.tokenRenewal === null) {
+			let provider = this.authProvider;
+			let renew = async () => {
+				try {
+					if (provider.canRefresh()) {
+						await provider.refreshToken();
+						return true;
+					}
+					this.emit('sessionExpired', provider, null);
+				} catch (error) {
+					this.emit('sessionExpired', provider, error);
+				}
+				return false;
+			};
+			this.tokenRenewal = renew().then(result => {
+				this.tokenRenewal = null;
+				return result;
+			});
+		}
+		return await this.tokenRenewal;
+	}
+
+	/**
+	 * Sends a HTTP request and retries it according to the retry policy.
+	 * 
+	 * @async
+	 * @protected
+	 * @param {object} options 
+	 * @returns {Promise<AxiosResponse>}
+	 * @throws {OpenEOError}
+	 * @see Connection#_send
+	 */
+	async _sendWithRetries(options) {
+		let policy = this.retryPolicy;
+		let retryAnyMethod = false;
+		if (options.retry === false) {
+			policy = Object.assign({}, policy, {maxAttempts: 1});
+		}
+		else if (options.retry === true) {
+			retryAnyMethod = true;
+		}
+		else if (Utils.isObject(options.retry)) {
+			policy = Object.assign({}, policy, options.retry);
+		}
+		let dataFn = typeof options.data === 'function' ? options.data : null;
+
+		for(let attempt = 1; ; attempt++) {
+			let requestOptions = Object.assign({}, options);
+			delete requestOptions.retry;
+			if (dataFn) {
+				requestOptions.data = dataFn();
+			}
+			try {
+				return await this._sendRequest(requestOptions);
+			} catch (error) {
+				let delay = this._getRetryDelay(error, requestOptions, policy, attempt, retryAnyMethod);
+				if (delay === null) {
+					throw error;
+				}
+				await Utils.sleep(delay, options.signal);
+			}
+		}
+	}
+
+	/**
+	 * Computes the time to wait before sending a failed request again.
+	 * 
+	 * Returns `null` if the request should not be sent again.
+	 * 
+	 * @protected
+	 * @param {OpenEOError} error - The error of the failed request.
+	 * @param {object} options - The options of the failed request.
+	 * @param {RetryPolicy} policy - The retry policy to apply.
+	 * @param {number} attempt - The number of the failed attempt, starting with 1.
+	 * @param {boolean} [retryAnyMethod=false] - Retry independent of the HTTP method.
+	 * @returns {?number} Delay in milliseconds or `null`.
+	 */
+	_getRetryDelay(error, options, policy, attempt, retryAnyMethod = false) {
+		if (attempt >= policy.maxAttempts || !(error instanceof OpenEOError) || error instanceof AbortError) {
+			return null;
+		}
+		let method = (options.method || 'get').toLowerCase();
+		if (!retryAnyMethod && !policy.methods.includes(method)) {
+			return null;
+		}
+		if (error.status !== null) {
+			if (!policy.statusCodes.includes(error.status)) {
+				return null;
+			}
+		}
+		else if (!Utils.isObject(error.cause) || !policy.errorCodes.includes(error.cause.code)) {
+			return null;
+		}
+
+		if (policy.respectRetryAfter) {
+			let retryAfter = error.getRetryAfter();
+			if (retryAfter !== null) {
+				retryAfter *= 1000;
+				return retryAfter <= policy.maxDelay ? retryAfter : null;
+			}
+		}
+		let delay = Math.min(policy.maxDelay, policy.delay * Math.pow(policy.factor, attempt - 1));
+		if (policy.jitter > 0) {
+			delay += delay * policy.jitter * (Math.random() * 2 - 1);
+		}
+		return Math.max(0, Math.round(delay));
+	}
+
+	/**
+	 * Sends a single HTTP request, without retrying it.
+	 * 
+	 * @async
+	 * @protected
+	 * @param {object} options 
+	 * @returns {Promise<AxiosResponse>}
+	 * @throws {OpenEOError}
+	 * @see Connection#_send
+	 */
+	async _sendRequest(options) {
+		let signal = options.signal;
+		delete options.signal;
+		AbortError.throwIfAborted(signal);
+		let onAbort = null;
+		if (signal) {
+			let source = axios.CancelToken.source();
+			options.cancelToken = source.token;
+			onAbort = () => source.cancel();
+			signal.addEventListener('abort', onAbort);
+		}
+
 		options.baseURL = this.baseUrl;
-		if (this.isAuthenticated() && (typeof options.withCredentials === 'undefined' || options.withCredentials === true)) {
+		if (this._isAuthorizedRequest(options)) {
 			options.withCredentials = true;
-			if (!options.headers) {
-				options.headers = {};
-			}
-			options.headers.Authorization = 'Bearer ' + this.authProvider.getToken();
+			options.headers = Object.assign({}, options.headers, {Authorization: 'Bearer ' + this.authProvider.getToken()});
 		}
 		if (!options.responseType) {
 			options.responseType = 'json';
 		}
 
+		let middlewares = this.middlewares.slice(0);
+		for(let middleware of middlewares) {
+			if (typeof middleware.beforeRequest === 'function') {
+				let result = await middleware.beforeRequest(options, this);
+				if (Utils.isObject(result)) {
+					options = result;
+				}
+			}
+		}
+
+		let response;
 		try {
-			return await axios(options);
-		} catch(error) {
-			if (Utils.isObject(error.response) && Utils.isObject(error.response.data) && ((typeof error.response.data.type === 'string' && error.response.data.type.indexOf('/json') !== -1) || (Utils.isObject(error.response.data.headers) && typeof error.response.data.headers['content-type'] === 'string' && error.response.data.headers['content-type'].indexOf('/json') !== -1))) {
-				if (options.responseType === Environment.getResponseType()) {
-					// JSON error responses are Blobs and streams if responseType is set as such, so convert to JSON if required.
-					// See: https://github.com/axios/axios/issues/815
-					return Environment.handleErrorResponse(error);
+			response = await axios(options);
+		} catch(axiosError) {
+			let error = await this._convertError(axiosError, options);
+			for(let middleware of middlewares) {
+				if (typeof middleware.onError === 'function') {
+					response = await middleware.onError(error, options, this);
+					if (typeof response !== 'undefined') {
+						break;
+					}
+				}
+			}
+			if (typeof response === 'undefined') {
+				throw error;
+			}
+		} finally {
+			if (onAbort) {
+				signal.removeEventListener('abort', onAbort);
+			}
+		}
+
+		for(let middleware of middlewares) {
+			if (typeof middleware.afterResponse === 'function') {
+				let result = await middleware.afterResponse(response, options, this);
+				if (Utils.isObject(result)) {
+					response = result;
+				}
+			}
+		}
+		return response;
+	}
+
+	/**
+	 * Converts an error thrown by axios into an `OpenEOError`.
+	 * 
+	 * @async
+	 * @protected
+	 * @param {*} error - The error thrown by axios.
+	 * @param {object} options - The options of the failed request.
+	 * @returns {Promise<OpenEOError>}
+	 */
+	async _convertError(error, options) {
+		if (axios.isCancel(error)) {
+			return new AbortError();
+		}
+		let body;
+		if (Utils.isObject(error.response) && Utils.isObject(error.response.data) && ((typeof error.response.data.type === 'string' && error.response.data.type.indexOf('/json') !== -1) || (Utils.isObject(error.response.data.headers) && typeof error.response.data.headers['content-type'] === 'string' && error.response.data.headers['content-type'].indexOf('/json') !== -1))) {
+			if (options.responseType === Environment.getResponseType()) {
+				// JSON error responses are Blobs and streams if responseType is set as such, so convert to JSON if required.
+				// See: https://github.com/axios/axios/issues/815
+				try {
+					body = await Environment.handleErrorResponse(error);
+				} catch (parseError) {
+					body = null;
 				}
 			}
-			// Re-throw error if it was not handled yet.
-			throw error;
 		}
+		return OpenEOError.fromAxiosError(error, body);
 	}
 }
 
@@ -0,0 +1,332 @@
+const Environment = require('./env');
+
+/**
+ * A decoded response or part of a multipart response.
+ *
+ * @typedef DecodedContent
+ * @type {object}
+ * @property {?string} type The media type without parameters, e.g. `application/json`.
+ * @property {object} headers The headers of the part of a multipart response (lower-case names), empty for responses.
+ * @property {*} data The decoded data: An object or array for JSON, a string for text (including CSV), an array of `DecodedContent` objects for multipart responses, a `Buffer` (NodeJS) or `ArrayBuffer` (Browser) otherwise.
+ * @property {?Array.<Array.<string>>} rows The rows of CSV or TSV data, each row is an array of the values as strings. `null` for other types.
+ * @property {?ImageMetadata} metadata Metadata of images. `null` for other types.
+ */
+
+/**
+ * Metadata of an image.
+ *
+ * @typedef ImageMetadata
+ * @type {object}
+ * @property {string} type The media type, e.g. `image/png`.
+ * @property {number} size The size in bytes.
+ * @property {?number} width The width in pixels, if it can be detected (PNG, JPEG, GIF, TIFF).
+ * @property {?number} height The height in pixels, if it can be detected (PNG, JPEG, GIF, TIFF).
+ */
+
+/**
+ * Decodes the content of responses according to the media type.
+ *
+ * @hideconstructor
+ */
+class ContentDecoder {
+
+	/**
+	 * Decodes the content according to the given Content-Type.
+	 *
+	 * @static
+	 * @param {Uint8Array} bytes - The content.
+	 * @param {?string} contentType - The Content-Type, e.g. `text/csv; charset=utf-8`.
+	 * @param {object} [headers={}] - The headers to include in the result.
+	 * @returns {DecodedContent}
+	 * @throws {Error}
+	 */
+	static decode(bytes, contentType, headers = {}) {
+		let {type, params} = ContentDecoder.parseContentType(contentType);
+		let result = {
+			type,
+			headers,
+			data: null,
+			rows: null,
+			metadata: null
+		};
+		if (type === null) {
+			result.data = Environment.toBinary(bytes);
+		}
+		else if (type === 'application/json' || type.endsWith('+json')) {
+			let text = ContentDecoder.decodeText(bytes, params.charset);
+			result.data = text.trim().length > 0 ? JSON.parse(text) : null;
+		}
+		else if (type === 'text/csv' || type === 'text/tab-separated-values') {
+			result.data = ContentDecoder.decodeText(bytes, params.charset);
+			result.rows = ContentDecoder.parseCsv(result.data, type === 'text/csv' ? ',' : '\t');
+		}
+		else if (type.startsWith('text/') || type === 'application/xml' || type.endsWith('+xml')) {
+			result.data = ContentDecoder.decodeText(bytes, params.charset);
+		}
+		else if (type.startsWith('multipart/')) {
+			result.data = ContentDecoder.splitMultipart(bytes, params.boundary).map(part => ContentDecoder.decode(part.body, part.headers['content-type'] || 'text/plain', part.headers));
+		}
+		else {
+			result.data = Environment.toBinary(bytes);
+			if (type.startsWith('image/')) {
+				result.metadata = Object.assign({type, size: bytes.length}, ContentDecoder.getImageSize(bytes));
+			}
+		}
+		return result;
+	}
+
+	/**
+	 * Parses a Content-Type into the media type (lower-case) and the parameters.
+	 *
+	 * @static
+	 * @param {?string} contentType
+	 * @returns {{type: ?string, params: object.<string, string>}}
+	 */
+	static parseContentType(contentType) {
+		let params = {};
+		if (typeof contentType !== 'string' || contentType.trim().length === 0) {
+			return {type: null, params};
+		}
+		let parts = contentType.split(';');
+		let type = parts.shift().trim().toLowerCase();
+		for(let part of parts) {
+			let pos = part.indexOf('=');
+			if (pos > 0) {
+				params[part.substr(0, pos).trim().toLowerCase()] = part.substr(pos + 1).trim().replace(/^"(.*)"$/, '$1');
+			}
+		}
+		return {type, params};
+	}
+
+	/**
+	 * Decodes text, UTF-8 is used by default and for unknown character sets.
+	 *
+	 * @static
+	 * @param {Uint8Array} bytes
+	 * @param {?string} [charset=null]
+	 * @returns {string}
+	 */
+	static decodeText(bytes, charset = null) {
+		let decoder;
+		try {
+			decoder = new TextDecoder(charset || 'utf-8');
+		} catch (error) {
+			decoder = new TextDecoder('utf-8');
+		}
+		return decoder.decode(bytes);
+	}
+
+	/**
+	 * Parses CSV (RFC 4180) or similar formats with other delimiters.
+	 *
+	 * Empty lines are ignored.
+	 *
+	 * @static
+	 * @param {string} text
+	 * @param {string} [delimiter=","]
+	 * @returns {Array.<Array.<string>>}
+	 */
+	static parseCsv(text, delimiter = ',') {
+		let rows = [];
+		let row = [];
+		let value = '';
+		let quoted = false;
+		let endRow = () => {
+			row.push(value);
+			if (row.length > 1 || row[0] !== '') {
+				rows.push(row);
+			}
+			row = [];
+			value = '';
+		};
+		for(let i = 0; i < text.length; i++) {
+			let c = text[i];
+			if (quoted) {
+				if (c === '"' && text[i + 1] === '"') {
+					value += c;
+					i++;
+				}
+				else if (c === '"') {
+					quoted = false;
+				}
+				else {
+					value += c;
+				}
+			}
+			else if (c === '"') {
+				quoted = true;
+			}
+			else if (c === delimiter) {
+				row.push(value);
+				value = '';
+			}
+			else if (c === '\n' || c === '\r') {
+				if (c === '\r' && text[i + 1] === '\n') {
+					i++;
+				}
+				endRow();
+			}
+			else {
+				value += c;
+			}
+		}
+		endRow();
+		return rows;
+	}
+
+	/**
+	 * Splits a multipart body into the parts.
+	 *
+	 * @static
+	 * @param {Uint8Array} bytes
+	 * @param {string} boundary
+	 * @returns {Array.<{headers: object.<string, string>, body: Uint8Array}>}
+	 * @throws {Error}
+	 */
+	static splitMultipart(bytes, boundary) {
+		if (typeof boundary !== 'string' || boundary.length === 0) {
+			throw new Error("The multipart response doesn't specify a boundary.");
+		}
+		let delimiter = ContentDecoder.encodeAscii('--' + boundary);
+		let headerEnd = ContentDecoder.encodeAscii('\r\n\r\n');
+		let parts = [];
+		let pos = ContentDecoder.indexOf(bytes, delimiter, 0);
+		while(pos !== -1) {
+			let start = pos + delimiter.length;
+			// The closing delimiter ends with two hyphens
+			if (bytes[start] === 0x2D && bytes[start + 1] === 0x2D) {
+				break;
+			}
+			let next = ContentDecoder.indexOf(bytes, delimiter, start);
+			if (next === -1) {
+				break;
+			}
+			// Remove the line breaks after the delimiter and before the next delimiter
+			let part = bytes.subarray(ContentDecoder.indexOf(bytes, ContentDecoder.encodeAscii('\n'), start) + 1, next);
+			if (part[part.length - 1] === 0x0A) {
+				part = part.subarray(0, part[part.length - 2] === 0x0D ? part.length - 2 : part.length - 1);
+			}
+			let split = ContentDecoder.indexOf(part, headerEnd, 0);
+			let headerLength = 4;
+			// Parts without headers start with an empty line
+			if (part[0] === 0x0D && part[1] === 0x0A) {
+				split = 0;
+				headerLength = 2;
+			}
+			else if (part[0] === 0x0A) {
+				split = 0;
+				headerLength = 1;
+			}
+			else if (split === -1) {
+				split = ContentDecoder.indexOf(part, ContentDecoder.encodeAscii('\n\n'), 0);
+				headerLength = 2;
+			}
+			let headers = {};
+			let headerText = split === -1 ? '' : ContentDecoder.decodeText(part.subarray(0, split));
+			for(let line of headerText.split(/\r?\n/)) {
+				let colon = line.indexOf(':');
+				if (colon > 0) {
+					headers[line.substr(0, colon).trim().toLowerCase()] = line.substr(colon + 1).trim();
+				}
+			}
+			parts.push({
+				headers,
+				body: split === -1 ? part : part.subarray(split + headerLength)
+			});
+			pos = next;
+		}
+		return parts;
+	}
+
+	/**
+	 * Detects the width and height of PNG, JPEG, GIF and TIFF images.
+	 *
+	 * @static
+	 * @param {Uint8Array} bytes
+	 * @returns {{width: ?number, height: ?number}}
+	 */
+	static getImageSize(bytes) {
+		let view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+		let size = {width: null, height: null};
+		try {
+			// PNG: Signature followed by the IHDR chunk
+			if (bytes.length >= 24 && view.getUint32(0) === 0x89504E47) {
+				size.width = view.getUint32(16);
+				size.height = view.getUint32(20);
+			}
+			// GIF: GIF87a or GIF89a
+			else if (bytes.length >= 10 && view.getUint32(0) === 0x47494638) {
+				size.width = view.getUint16(6, true);
+				size.height = view.getUint16(8, true);
+			}
+			// JPEG: Find the Start Of Frame marker
+			else if (bytes.length >= 4 && view.getUint16(0) === 0xFFD8) {
+				let pos = 2;
+				while(pos + 9 < bytes.length && bytes[pos] === 0xFF) {
+					let marker = bytes[pos + 1];
+					if (marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+						size.height = view.getUint16(pos + 5);
+						size.width = view.getUint16(pos + 7);
+						break;
+					}
+					pos += 2 + view.getUint16(pos + 2);
+				}
+			}
+			// TIFF: Read the tags ImageWidth and ImageLength of the first IFD
+			else if (bytes.length >= 8 && (view.getUint32(0) === 0x49492A00 || view.getUint32(0) === 0x4D4D002A)) {
+				let le = bytes[0] === 0x49;
+				let ifd = view.getUint32(4, le);
+				let count = view.getUint16(ifd, le);
+				for(let i = 0; i < count; i++) {
+					let entry = ifd + 2 + i * 12;
+					let tag = view.getUint16(entry, le);
+					if (tag === 256 || tag === 257) {
+						// Type 3 is SHORT, otherwise LONG
+						let value = view.getUint16(entry + 2, le) === 3 ? view.getUint16(entry + 8, le) : view.getUint32(entry + 8, le);
+						size[tag === 256 ? 'width' : 'height'] = value;
+					}
+				}
+			}
+		} catch (error) {
+			// Truncated or invalid image, the size is unknown
+			return {width: null, height: null};
+		}
+		return size;
+	}
+
+	/**
+	 * Encodes an ASCII string.
+	 *
+	 * @static
+	 * @param {string} str
+	 * @returns {Uint8Array}
+	 */
+	static encodeAscii(str) {
+		return Uint8Array.from(str, c => c.charCodeAt(0));
+	}
+
+	/**
+	 * Finds the first position of a sequence of bytes.
+	 *
+	 * @static
+	 * @param {Uint8Array} bytes - The bytes to search in.
+	 * @param {Uint8Array} search - The bytes to search for.
+	 * @param {number} [start=0] - The position to start at.
+	 * @returns {number} The position, `-1` if not found.
+	 */
+	static indexOf(bytes, search, start = 0) {
+		for(let i = start; i <= bytes.length - search.length; i++) {
+			let j = 0;
+			while(j < search.length && bytes[i + j] === search[j]) {
+				j++;
+			}
+			if (j === search.length) {
+				return i;
+			}
+		}
+		return -1;
+	}
+
+}
+
+module.exports = ContentDecoder;
@@ -0,0 +1,36 @@
+const OpenEOError = require('./openeoerror');
+
+/**
+ * The request has been canceled via an AbortSignal.
+ * 
+ * @augments OpenEOError
+ */
+class AbortError extends OpenEOError {
+
+	/**
+	 * Creates a new error.
+	 *
+	 * @param {string} [message="The request has been aborted."] - A human-readable message explaining the error.
+	 * @param {OpenEOErrorDetails|object} [details={}] - Additional details about the error.
+	 */
+	constructor(message = "The request has been aborted.", details = {}) {
+		super(message, details);
+		this.name = 'AbortError';
+	}
+
+	/**
+	 * Throws an AbortError if the given signal has been aborted.
+	 * 
+	 * @static
+	 * @param {?AbortSignal} signal - The signal to check, may be `null`.
+	 * @throws {AbortError}
+	 */
+	static throwIfAborted(signal) {
+		if (signal && signal.aborted) {
+			throw new AbortError();
+		}
+	}
+
+}
+
+module.exports = AbortError;
@@ -0,0 +1,23 @@
+const OpenEOError = require('./openeoerror');
+
+/**
+ * The request was not authenticated or the user is not authorized to access the resource (HTTP status 401 or 403).
+ * 
+ * @augments OpenEOError
+ */
+class AuthenticationError extends OpenEOError {
+
+	/**
+	 * Creates a new error.
+	 *
+	 * @param {string} message - A human-readable message explaining the error.
+	 * @param {OpenEOErrorDetails|object} [details={}] - Additional details about the error.
+	 */
+	constructor(message, details = {}) {
+		super(message, details);
+		this.name = 'AuthenticationError';
+	}
+
+}
+
+module.exports = AuthenticationError;
@@ -0,0 +1,43 @@
+const OpenEOError = require('./openeoerror');
+
+/**
+ * A batch job has failed or has been canceled.
+ * 
+ * The `code` is `JobFailed` or `JobCanceled`. The job and the last log entries
+ * of the job (if supported by the back-end) are available in the properties
+ * `job` and `logs`.
+ * 
+ * @augments OpenEOError
+ */
+class JobError extends OpenEOError {
+
+	/**
+	 * Creates a new error.
+	 *
+	 * @param {string} message - A human-readable message explaining the error.
+	 * @param {Job} job - The batch job.
+	 * @param {object[]} [logs=[]] - The last log entries of the batch job.
+	 * @param {OpenEOErrorDetails|object} [details={}] - Additional details about the error.
+	 */
+	constructor(message, job, logs = [], details = {}) {
+		super(message, details);
+		this.name = 'JobError';
+		/**
+		 * The batch job.
+		 * @public
+		 * @readonly
+		 * @type {Job}
+		 */
+		this.job = job;
+		/**
+		 * The last log entries of the batch job.
+		 * @public
+		 * @readonly
+		 * @type {object[]}
+		 */
+		this.logs = logs;
+	}
+
+}
+
+module.exports = JobError;
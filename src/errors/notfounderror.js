@@ -0,0 +1,23 @@
+const OpenEOError = require('./openeoerror');
+
+/**
+ * The requested resource doesn't exist (HTTP status 404).
+ * 
+ * @augments OpenEOError
+ */
+class NotFoundError extends OpenEOError {
+
+	/**
+	 * Creates a new error.
+	 *
+	 * @param {string} message - A human-readable message explaining the error.
+	 * @param {OpenEOErrorDetails|object} [details={}] - Additional details about the error.
+	 */
+	constructor(message, details = {}) {
+		super(message, details);
+		this.name = 'NotFoundError';
+	}
+
+}
+
+module.exports = NotFoundError;
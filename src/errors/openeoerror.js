@@ -0,0 +1,219 @@
+const Utils = require('@openeo/js-commons/src/utils');
+
+/**
+ * Details about an error, mostly as returned by the API.
+ *
+ * @typedef OpenEOErrorDetails
+ * @type {object}
+ * @property {?string} code The openEO error code, e.g. `CollectionNotFound`.
+ * @property {?string} id The identifier of the error instance, as given by the back-end.
+ * @property {object[]} links Links related to the error.
+ * @property {?number} status The HTTP status code.
+ * @property {?string} method The HTTP method of the request, e.g. `get`.
+ * @property {?string} url The URL of the request.
+ * @property {object} headers The HTTP headers of the response, with lower-cased names.
+ * @property {?Error} cause The original error, e.g. from axios.
+ */
+
+/**
+ * An error that occurred while communicating with an openEO back-end.
+ *
+ * Exposes the details of the openEO error response (`code`, `id`, `message`, `links`),
+ * the HTTP status and the method and URL of the failed request.
+ *
+ * Depending on the HTTP status code, one of the more specific sub-classes is used:
+ * `AuthenticationError` (401, 403), `NotFoundError` (404), `ValidationError` (400, 422),
+ * `RateLimitError` (429) and `ServerError` (5xx).
+ * Errors without a response from the server (e.g. network errors) are instances of this class.
+ */
+class OpenEOError extends Error {
+
+	/**
+	 * Creates a new error.
+	 *
+	 * @param {string} message - A human-readable message explaining the error.
+	 * @param {OpenEOErrorDetails|object} [details={}] - Additional details about the error.
+	 */
+	constructor(message, details = {}) {
+		super(message);
+		this.name = 'OpenEOError';
+		/**
+		 * The openEO error code, e.g. `CollectionNotFound`.
+		 * @public
+		 * @readonly
+		 * @type {?string}
+		 */
+		this.code = details.code || null;
+		/**
+		 * The identifier of the error instance, as given by the back-end.
+		 * @public
+		 * @readonly
+		 * @type {?string}
+		 */
+		this.id = details.id || null;
+		/**
+		 * Links related to the error.
+		 * @public
+		 * @readonly
+		 * @type {object[]}
+		 */
+		this.links = Array.isArray(details.links) ? details.links : [];
+		/**
+		 * The HTTP status code of the response or `null` if no response was received.
+		 * @public
+		 * @readonly
+		 * @type {?number}
+		 */
+		this.status = details.status || null;
+		/**
+		 * The HTTP method of the failed request, e.g. `get`.
+		 * @public
+		 * @readonly
+		 * @type {?string}
+		 */
+		this.method = details.method || null;
+		/**
+		 * The URL of the failed request.
+		 * @public
+		 * @readonly
+		 * @type {?string}
+		 */
+		this.url = details.url || null;
+		/**
+		 * The HTTP headers of the response, with lower-cased header names.
+		 * @public
+		 * @readonly
+		 * @type {object}
+		 */
+		this.headers = Utils.isObject(details.headers) ? details.headers : {};
+		/**
+		 * The original error that caused this error, if any.
+		 * @public
+		 * @readonly
+		 * @type {?Error}
+		 */
+		this.cause = details.cause || null;
+	}
+
+	/**
+	 * Returns the number of seconds to wait before sending a new request, as given by the `Retry-After` header.
+	 * 
+	 * Usually sent by the back-end for HTTP status codes 429 and 503.
+	 * 
+	 * Returns `null` if the back-end didn't specify it.
+	 * 
+	 * @returns {?number}
+	 */
+	getRetryAfter() {
+		let value = this.headers['retry-after'];
+		if ((typeof value !== 'string' && typeof value !== 'number') || String(value).trim().length === 0) {
+			return null;
+		}
+		let seconds = Number(value);
+		if (!Number.isNaN(seconds)) {
+			return Math.max(0, seconds);
+		}
+		let date = Date.parse(value);
+		if (!Number.isNaN(date)) {
+			return Math.max(0, (date - Date.now()) / 1000);
+		}
+		return null;
+	}
+
+	/**
+	 * Converts an error thrown by axios into an instance of OpenEOError (or one of its sub-classes).
+	 *
+	 * Besides openEO error responses, OAuth 2.0 error responses (`error` and `error_description`)
+	 * as returned by OpenID Connect providers are supported. The `error` is exposed as `code`.
+	 *
+	 * @static
+	 * @param {*} error - The error thrown by axios.
+	 * @param {*} [body] - The (parsed) response body, defaults to the data of the response (if any).
+	 * @returns {OpenEOError}
+	 */
+	static fromAxiosError(error, body) {
+		if (error instanceof OpenEOError) {
+			return error;
+		}
+		let response = Utils.isObject(error) && Utils.isObject(error.response) ? error.response : null;
+		if (typeof body === 'undefined' && response) {
+			body = response.data;
+		}
+		if (!Utils.isObject(body)) {
+			body = {};
+		}
+		let config = Utils.isObject(error) && Utils.isObject(error.config) ? error.config : {};
+
+		let message = typeof body.message === 'string' ? body.message : null;
+		let code = typeof body.code === 'string' ? body.code : null;
+		// OAuth 2.0 error response, see RFC 6749, section 5.2
+		if (!code && typeof body.error === 'string') {
+			code = body.error;
+			if (!message) {
+				message = typeof body.error_description === 'string' ? body.error_description : body.error;
+			}
+		}
+		if (!message && Utils.isObject(error) && typeof error.message === 'string') {
+			message = error.message;
+		}
+		let details = {
+			code: code,
+			id: typeof body.id === 'string' ? body.id : null,
+			links: body.links,
+			status: response ? response.status : null,
+			method: typeof config.method === 'string' ? config.method.toLowerCase() : null,
+			url: OpenEOError.requestUrl(config),
+			headers: response ? response.headers : {},
+			cause: Utils.isObject(error) ? error : null
+		};
+
+		let ErrorClass = OpenEOError.classForStatus(details.status);
+		return new ErrorClass(message || "Unknown error", details);
+	}
+
+	/**
+	 * Returns the error class to use for the given HTTP status code.
+	 *
+	 * @static
+	 * @param {?number} status - HTTP status code
+	 * @returns {Function}
+	 */
+	static classForStatus(status) {
+		if (status === 401 || status === 403) {
+			return require('./authenticationerror');
+		}
+		else if (status === 404) {
+			return require('./notfounderror');
+		}
+		else if (status === 400 || status === 422) {
+			return require('./validationerror');
+		}
+		else if (status === 429) {
+			return require('./ratelimiterror');
+		}
+		else if (status >= 500) {
+			return require('./servererror');
+		}
+		return OpenEOError;
+	}
+
+	/**
+	 * Computes the full URL of a request from the axios request config.
+	 *
+	 * @static
+	 * @param {object} config - The axios request config.
+	 * @returns {?string}
+	 */
+	static requestUrl(config) {
+		if (typeof config.url !== 'string') {
+			return null;
+		}
+		if (typeof config.baseURL === 'string' && !config.url.match(/^([a-z][a-z\d+\-.]*:)?\/\//i)) {
+			return config.baseURL.replace(/\/+$/, '') + '/' + config.url.replace(/^\/+/, '');
+		}
+		return config.url;
+	}
+
+}
+
+module.exports = OpenEOError;
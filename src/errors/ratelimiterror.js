@@ -0,0 +1,25 @@
+const OpenEOError = require('./openeoerror');
+
+/**
+ * Too many requests have been sent to the back-end (HTTP status 429).
+ * 
+ * Use `getRetryAfter()` to find out when to send the next request.
+ * 
+ * @augments OpenEOError
+ */
+class RateLimitError extends OpenEOError {
+
+	/**
+	 * Creates a new error.
+	 *
+	 * @param {string} message - A human-readable message explaining the error.
+	 * @param {OpenEOErrorDetails|object} [details={}] - Additional details about the error.
+	 */
+	constructor(message, details = {}) {
+		super(message, details);
+		this.name = 'RateLimitError';
+	}
+
+}
+
+module.exports = RateLimitError;
@@ -0,0 +1,23 @@
+const OpenEOError = require('./openeoerror');
+
+/**
+ * The back-end failed to process a valid request (HTTP status 5xx).
+ * 
+ * @augments OpenEOError
+ */
+class ServerError extends OpenEOError {
+
+	/**
+	 * Creates a new error.
+	 *
+	 * @param {string} message - A human-readable message explaining the error.
+	 * @param {OpenEOErrorDetails|object} [details={}] - Additional details about the error.
+	 */
+	constructor(message, details = {}) {
+		super(message, details);
+		this.name = 'ServerError';
+	}
+
+}
+
+module.exports = ServerError;
@@ -0,0 +1,23 @@
+const OpenEOError = require('./openeoerror');
+
+/**
+ * An operation didn't complete within the given time.
+ * 
+ * @augments OpenEOError
+ */
+class TimeoutError extends OpenEOError {
+
+	/**
+	 * Creates a new error.
+	 *
+	 * @param {string} [message="The operation has timed out."] - A human-readable message explaining the error.
+	 * @param {OpenEOErrorDetails|object} [details={}] - Additional details about the error.
+	 */
+	constructor(message = "The operation has timed out.", details = {}) {
+		super(message, details);
+		this.name = 'TimeoutError';
+	}
+
+}
+
+module.exports = TimeoutError;
@@ -0,0 +1,23 @@
+const OpenEOError = require('./openeoerror');
+
+/**
+ * The request is invalid, e.g. because of invalid parameters or an invalid process (HTTP status 400 or 422).
+ * 
+ * @augments OpenEOError
+ */
+class ValidationError extends OpenEOError {
+
+	/**
+	 * Creates a new error.
+	 *
+	 * @param {string} message - A human-readable message explaining the error.
+	 * @param {OpenEOErrorDetails|object} [details={}] - Additional details about the error.
+	 */
+	constructor(message, details = {}) {
+		super(message, details);
+		this.name = 'ValidationError';
+	}
+
+}
+
+module.exports = ValidationError;
@@ -1,10 +1,100 @@
 const Environment = require('./env');
 const BaseEntity = require('./baseentity');
+const JobResult = require('./jobresult');
 const Logs = require('./logs');
-const Utils = require('@openeo/js-commons/src/utils');
+const Utils = require('./utils');
+const JobError = require('./errors/joberror');
+const TimeoutError = require('./errors/timeouterror');
+const AbortError = require('./errors/aborterror');
 
 const STOP_STATUS = ['finished', 'canceled', 'error'];
 
+/**
+ * Options for waiting until a batch job has completed.
+ * 
+ * @typedef WaitForCompletionOptions
+ * @type {object}
+ * @property {?number} timeout The maximum time to wait, in seconds. `null` waits without a time limit. Defaults to `null`.
+ * @property {number} minInterval The interval between the status requests after a change has been observed, in seconds. Defaults to `2`.
+ * @property {number} maxInterval The maximum interval between two status requests, in seconds. Defaults to `60`.
+ * @property {number} factor The interval is multiplied by this factor each time no change has been observed. Defaults to `1.5`.
+ * @property {number} logs The maximum number of log entries to include in the error if the job fails. `0` disables requesting logs. Defaults to `10`.
+ */
+
+/**
+ * The default options for waiting until a batch job has completed.
+ * 
+ * @type {WaitForCompletionOptions}
+ * @ignore
+ */
+const WAIT_FOR_COMPLETION_OPTIONS = {
+	timeout: null,
+	minInterval: 2,
+	maxInterval: 60,
+	factor: 1.5,
+	logs: 10
+};
+
+/**
+ * Options for downloading the results of a batch job.
+ * 
+ * @typedef DownloadOptions
+ * @type {object}
+ * @property {number} concurrency The maximum number of files downloaded at the same time. Defaults to `4`.
+ * @property {boolean} overwrite Download all files again, even if they exist already. Defaults to `false`. Node.js only.
+ * @property {boolean} verify Verify the size and the checksum of the files, if provided by the back-end. Defaults to `true`.
+ * @property {number} retries The number of times an interrupted download is resumed. Defaults to `2`. Node.js only.
+ * @property {number} sizeWarning The size of all files in bytes from which on a warning is issued as browsers create the ZIP archive in memory. Defaults to 500 MB. Browsers only.
+ * @property {?Function} sizeWarningCallback Is called with the size in bytes if the size exceeds `sizeWarning`. Return `false` (or a Promise resolving to `false`) to cancel the download. If not given, a warning is logged to the console. Browsers only.
+ */
+
+/**
+ * The progress of downloading a single file.
+ * 
+ * @typedef AssetDownloadProgress
+ * @type {object}
+ * @property {object} asset The STAC asset that is downloaded.
+ * @property {string} path The path of the file in the target folder (Node.js) or in the ZIP archive (Browsers).
+ * @property {string} status One of `pending`, `downloading`, `skipped` (the file exists already, Node.js only), `finished` or `error`.
+ * @property {number} loaded The number of bytes stored in the file.
+ * @property {?number} total The size of the file in bytes, `null` if unknown.
+ */
+
+/**
+ * The overall progress of downloading the results of a batch job.
+ * 
+ * @typedef DownloadProgress
+ * @type {object}
+ * @property {number} files The number of files to download.
+ * @property {number} completed The number of files that have been downloaded, skipped or failed.
+ * @property {number} loaded The number of bytes stored in the files.
+ * @property {?number} total The size of all files in bytes, `null` if the size of a file is unknown.
+ * @property {number} progress The overall progress in percent (0-100), based on the bytes if the sizes are known, on the number of files otherwise.
+ */
+
+/**
+ * This function is called each time data has been downloaded or the status of a download changes.
+ * 
+ * @callback downloadProgressCallback
+ * @param {DownloadProgress} progress - The overall progress.
+ * @param {AssetDownloadProgress} asset - The progress of the file that has changed.
+ */
+
+/**
+ * The default options for downloading the results of a batch job.
+ * 
+ * @type {DownloadOptions}
+ * @ignore
+ */
+const DOWNLOAD_OPTIONS = {
+	concurrency: 4,
+	overwrite: false,
+	verify: true,
+	retries: 2,
+	sizeWarning: 500 * 1024 * 1024,
+	sizeWarningCallback: null
+};
+
 /**
  * A Batch Job.
  * 
@@ -102,11 +192,12 @@ class Job extends BaseEntity {
 	 * Updates the batch job data stored in this object by requesting the metadata from the back-end.
 	 * 
 	 * @async
+	 * @param {?AbortSignal} [signal=null] - An AbortSignal to cancel the request.
 	 * @returns {Promise<Job>} The update job object (this).
 	 * @throws {Error}
 	 */
-	async describeJob() {
-		let response = await this.connection._get('/jobs/' + this.id);
+	async describeJob(signal = null) {
+		let response = await this.connection._get('/jobs/' + this.id, null, null, signal);
 		return this.setAll(response.data);
 	}
 
@@ -120,13 +211,14 @@ class Job extends BaseEntity {
 	 * @param {string} parameters.description - A new description.
 	 * @param {string} parameters.plan - A new plan.
 	 * @param {number} parameters.budget - A new budget.
+	 * @param {?AbortSignal} [signal=null] - An AbortSignal to cancel the request.
 	 * @returns {Promise<Job>} The updated job object (this).
 	 * @throws {Error}
 	 */
-	async updateJob(parameters) {
-		await this.connection._patch('/jobs/' + this.id, this._convertToRequest(parameters));
+	async updateJob(parameters, signal = null) {
+		await this.connection._patch('/jobs/' + this.id, this._convertToRequest(parameters), signal);
 		if (this._supports('describeJob')) {
-			return await this.describeJob();
+			return await this.describeJob(signal);
 		}
 		else {
 			return this.setAll(parameters);
@@ -137,31 +229,35 @@ class Job extends BaseEntity {
 	 * Deletes the batch job from the back-end.
 	 * 
 	 * @async
+	 * @param {?AbortSignal} [signal=null] - An AbortSignal to cancel the request.
 	 * @throws {Error}
 	 */
-	async deleteJob() {
-		await this.connection._delete('/jobs/' + this.id);
+	async deleteJob(signal = null) {
+		await this.connection._delete('/jobs/' + this.id, signal);
 	}
 
 	/**
 	 * Calculate an estimate (potentially time/costs/volume) for a batch job.
 	 * 
 	 * @async
+	 * @param {?AbortSignal} [signal=null] - An AbortSignal to cancel the request.
 	 * @returns {Promise<object>} A response compatible to the API specification.
 	 * @throws {Error}
 	 */
-	async estimateJob() {
-		let response = await this.connection._get('/jobs/' + this.id + '/estimate');
+	async estimateJob(signal = null) {
+		let response = await this.connection._get('/jobs/' + this.id + '/estimate', null, null, signal);
 		return response.data;
 	}
 
 	/**
 	 * Get logs for the batch job from the back-end.
 	 * 
+	 * @param {?string} [level=null] - The minimum severity level of the log entries: `error`, `warning`, `info` or `debug`. `null` retrieves all log entries.
 	 * @returns {Logs}
+	 * @throws {Error}
 	 */
-	debugJob() {
-		return new Logs(this.connection, '/jobs/' + this.id + '/logs');
+	debugJob(level = null) {
+		return new Logs(this.connection, '/jobs/' + this.id + '/logs', level);
 	}
 
 	/**
@@ -223,17 +319,140 @@ class Job extends BaseEntity {
 		return stopFn;
 	}
 
+	/**
+	 * This function is called each time a change of the status or the progress of a batch job has been observed.
+	 * 
+	 * @callback jobProgressCallback
+	 * @param {Job} job - The updated batch job.
+	 */
+
+	/**
+	 * Waits until the batch job has completed.
+	 * 
+	 * Requests the status of the batch job until it's `finished`, `error` or `canceled`.
+	 * The interval between the requests starts with `minInterval` and grows up to `maxInterval`
+	 * while the status and the progress don't change.
+	 * 
+	 * The job must have been started before, otherwise this waits until the timeout is reached.
+	 * 
+	 * This is only supported if describeJob is supported by the back-end.
+	 * 
+	 * @async
+	 * @param {?jobProgressCallback} [progressCallback=null] - Is called with the updated job on each change of the status or the progress.
+	 * @param {WaitForCompletionOptions|object} [options={}] - Options for polling and the timeout.
+	 * @param {?AbortSignal} [signal=null] - An AbortSignal to stop waiting.
+	 * @returns {Promise<Job>} The finished job object (this).
+	 * @throws {JobError} The job has failed or has been canceled, includes the last log entries.
+	 * @throws {TimeoutError} The job hasn't completed within the time given.
+	 * @throws {AbortError} Waiting has been aborted via the signal.
+	 * @throws {Error}
+	 */
+	async waitForCompletion(progressCallback = null, options = {}, signal = null) {
+		if (!this._supports('describeJob')) {
+			throw new Error('Monitoring Jobs not supported by the back-end.');
+		}
+		options = Object.assign({}, WAIT_FOR_COMPLETION_OPTIONS, options);
+		let deadline = options.timeout > 0 ? Date.now() + options.timeout * 1000 : Infinity;
+		let interval = options.minInterval;
+		let lastState = null;
+		while(true) {
+			await this.describeJob(signal);
+			let state = this.status + '/' + this.progress;
+			if (state !== lastState) {
+				lastState = state;
+				interval = options.minInterval;
+				if (typeof progressCallback === 'function') {
+					progressCallback(this);
+				}
+			}
+			else {
+				interval = Math.min(options.maxInterval, interval * options.factor);
+			}
+
+			if (this.status === 'finished') {
+				return this;
+			}
+			else if (this.status === 'error' || this.status === 'canceled') {
+				throw await this._createJobError(options.logs, signal);
+			}
+
+			let remaining = deadline - Date.now();
+			if (remaining <= 0) {
+				throw new TimeoutError("Batch job '" + this.id + "' hasn't completed within " + options.timeout + " seconds.");
+			}
+			await Utils.sleep(Math.min(interval * 1000, remaining), signal);
+		}
+	}
+
+	/**
+	 * Creates the error for a failed or canceled batch job, including the last log entries.
+	 * 
+	 * @async
+	 * @protected
+	 * @param {number} maxLogs - The maximum number of log entries to request.
+	 * @param {?AbortSignal} [signal=null] - An AbortSignal to cancel the requests.
+	 * @returns {Promise<JobError>}
+	 * @throws {AbortError}
+	 */
+	async _createJobError(maxLogs, signal = null) {
+		let logs = [];
+		if (maxLogs > 0 && this._supports('debugJob')) {
+			try {
+				logs = await this._getLastLogs(maxLogs, signal);
+			} catch (error) {
+				if (error instanceof AbortError) {
+					throw error;
+				}
+				console.warn("Can't retrieve the logs for batch job '" + this.id + "': " + error.message);
+			}
+		}
+		if (this.status === 'canceled') {
+			return new JobError("Batch job '" + this.id + "' has been canceled.", this, logs, {code: 'JobCanceled'});
+		}
+		let message = "Batch job '" + this.id + "' has failed.";
+		let errorLogs = logs.filter(log => log.level === 'error');
+		if (errorLogs.length > 0) {
+			message += " " + errorLogs[errorLogs.length - 1].message;
+		}
+		return new JobError(message, this, logs, {code: 'JobFailed'});
+	}
+
+	/**
+	 * Requests the last log entries of the batch job.
+	 * 
+	 * @async
+	 * @protected
+	 * @param {number} max - The maximum number of log entries to return.
+	 * @param {?AbortSignal} [signal=null] - An AbortSignal to cancel the requests.
+	 * @returns {Promise<object[]>}
+	 * @throws {Error}
+	 */
+	async _getLastLogs(max, signal = null) {
+		let logs = [];
+		let iterator = this.debugJob();
+		while(true) {
+			let lastId = iterator.lastId;
+			let page = await iterator.nextLogs(null, signal);
+			logs = logs.concat(page).slice(-max);
+			// Stop if there are no further log entries or the back-end doesn't support the offset
+			if (page.length === 0 || iterator.lastId === lastId) {
+				return logs;
+			}
+		}
+	}
+
 	/**
 	 * Starts / queues the batch job for processing at the back-end.
 	 * 
 	 * @async
+	 * @param {?AbortSignal} [signal=null] - An AbortSignal to cancel the request.
 	 * @returns {Promise<Job>} The updated job object (this).
 	 * @throws {Error}
 	 */
-	async startJob() {
-		await this.connection._post('/jobs/' + this.id + '/results', {});
+	async startJob(signal = null) {
+		await this.connection._post('/jobs/' + this.id + '/results', {}, null, signal);
 		if (this._supports('describeJob')) {
-			return await this.describeJob();
+			return await this.describeJob(signal);
 		}
 		return this;
 	}
@@ -242,70 +461,74 @@ class Job extends BaseEntity {
 	 * Stops / cancels the batch job processing at the back-end.
 	 * 
 	 * @async
+	 * @param {?AbortSignal} [signal=null] - An AbortSignal to cancel the request.
 	 * @returns {Promise<Job>} The updated job object (this).
 	 * @throws {Error}
 	 */
-	async stopJob() {
-		await this.connection._delete('/jobs/' + this.id + '/results');
+	async stopJob(signal = null) {
+		await this.connection._delete('/jobs/' + this.id + '/results', signal);
 		if (this._supports('describeJob')) {
-			return await this.describeJob();
+			return await this.describeJob(signal);
 		}
 		return this;
 	}
 
 	/**
-	 * Retrieves the STAC Item produced for the job results.
+	 * Retrieves the STAC Item or Collection produced for the job results.
+	 * 
+	 * The costs are added to the properties (`costs`) if present in the headers.
 	 * 
 	 * @async
-	 * @returns {Promise<object>} The JSON-based response compatible to the API specification, but also including a `costs` property if present in the headers.
+	 * @param {?AbortSignal} [signal=null] - An AbortSignal to cancel the request.
+	 * @returns {Promise<JobResult>} The results, which contain all properties of the JSON-based response compatible to the API specification.
 	 * @throws {Error}
 	 */
-	async getResultsAsItem() {
-		let response = await this.connection._get('/jobs/' + this.id + '/results');
-		let data = response.data;
-		if (!Utils.isObject(data.properties)) {
-			data.properties = {};
-		}
-		if (!Utils.isObject(data.assets)) {
-			data.assets = {};
-		}
-		if (typeof response.headers['openeo-costs'] === 'number') {
-			data.properties.costs = response.headers['openeo-costs'];
-		}
-
-		return data;
+	async getResultsAsItem(signal = null) {
+		let response = await this.connection._get('/jobs/' + this.id + '/results', null, null, signal);
+		let costs = response.headers['openeo-costs'];
+		return new JobResult(response.data, Utils.isNumeric(costs) ? parseFloat(costs) : null);
 	}
 
 	/**
-	 * Retrieves download links.
+	 * Retrieves the files of the job results.
 	 * 
 	 * @async
-	 * @returns {Promise<object>} A list of links (object with href, rel, title and type).
+	 * @param {?AbortSignal} [signal=null] - An AbortSignal to cancel the request.
+	 * @returns {Promise<ResultAsset[]>} A list of files (STAC Assets with href, type, title, roles etc.).
 	 * @throws {Error}
 	 */
-	async listResults() {
-		let item = await this.getResultsAsItem();
-		if (Utils.isObject(item.assets)) {
-			return Object.values(item.assets);
-		}
-		else {
-			return {};
-		}
+	async listResults(signal = null) {
+		let result = await this.getResultsAsItem(signal);
+		return result.getAssets();
 	}
 
 	/**
-	 * Downloads the results to the specified target folder. The specified target folder must already exist!
+	 * Downloads the results to the specified target folder (Node.js) or as ZIP archive (Browsers).
+	 * 
+	 * In Node.js, the specified target folder must already exist!
+	 * Downloads up to `concurrency` files at the same time. Files are first stored with the extension `.part`
+	 * and are renamed once they are complete. Interrupted downloads are resumed with HTTP Range requests,
+	 * also when calling this method again later. Files that exist already are skipped, unless their size or
+	 * checksum doesn't match the information provided by the back-end (`file:size` and `file:checksum`).
+	 * 
+	 * In Browsers, all files and the STAC Item (as `item.json`) are put into a ZIP archive, which is offered
+	 * to the user for download. The files are not streamed: All files are downloaded first and held by the browser
+	 * until the ZIP archive is offered, see the option `sizeWarning` for large results.
 	 * 
-	 * NOTE: This method is only supported in a NodeJS environment. In a browser environment this method throws an exception!
+	 * If a download fails, the other downloads are completed before the error is thrown.
 	 * 
 	 * @async
-	 * @param {string} targetFolder - A target folder to store the file to, which must already exist.
-	 * @returns {Promise<string[]|void>} Depending on the environment: A list of file paths of the newly created files (Node), throws in Browsers.
+	 * @param {?string} targetFolder - Node.js: A target folder to store the files to, which must already exist. Browsers: The file name of the ZIP archive, defaults to the id of the STAC Item (usually the job id).
+	 * @param {?downloadProgressCallback} [progressCallback=null] - Is called with the overall progress and the progress of the file that has changed.
+	 * @param {DownloadOptions|object} [options={}] - Options for the downloads.
+	 * @param {?AbortSignal} [signal=null] - An AbortSignal to cancel the request.
+	 * @returns {Promise<string[]>} Node.js: A list of file paths of the files. Browsers: A list of the file names in the ZIP archive.
 	 * @throws {Error}
 	 */
-	async downloadResults(targetFolder) {
-		let list = await this.listResults();
-		return await Environment.downloadResults(this.connection, list, targetFolder);
+	async downloadResults(targetFolder, progressCallback = null, options = {}, signal = null) {
+		let result = await this.getResultsAsItem(signal);
+		options = Object.assign({}, DOWNLOAD_OPTIONS, options, {item: result});
+		return await Environment.downloadResults(this.connection, result.getAssets(), targetFolder, progressCallback, options, signal);
 	}
 }
 
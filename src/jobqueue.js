@@ -0,0 +1,467 @@
+const Utils = require('./utils');
+const AbortError = require('./errors/aborterror');
+
+/**
+ * Options for processing a queue of batch jobs.
+ *
+ * @typedef JobQueueOptions
+ * @type {object}
+ * @property {number} maxConcurrent The maximum number of batch jobs that are running at the same time. Defaults to `5`.
+ * @property {number} interval The interval between the requests for the status of the batch jobs, in seconds. Defaults to `30`.
+ * @property {number} retries The number of times a failed batch job is re-created and started again. Defaults to `0`.
+ * @property {number} maxStatusErrors The number of consecutive failed requests for the status of a batch job after which the batch job is considered to have failed. Defaults to `3`.
+ * @property {?(string|Function)} downloadFolder The folder to download the results of each finished batch job to, which must already exist. Can also be a (async) function that gets the `JobQueueTask` passed and returns the folder. `null` doesn't download the results. Defaults to `null`.
+ * @property {number} logs The maximum number of log entries to include in the errors of failed batch jobs. Defaults to `10`.
+ */
+
+/**
+ * A batch job to be processed in a queue.
+ *
+ * @typedef JobQueueTask
+ * @type {object}
+ * @property {number} id The position of the task in the queue, starting with 0.
+ * @property {object} process The user-defined process to execute.
+ * @property {?string} title The title for the batch job.
+ * @property {?string} description The description for the batch job.
+ * @property {?string} plan The billing plan to use for the batch job.
+ * @property {?number} budget The maximum budget allowed to spend for the batch job.
+ * @property {object} additional Proprietary parameters to pass for the batch job.
+ * @property {string} status One of `pending` (not submitted yet), `running` (created and started), `downloading`, `finished` or `error`.
+ * @property {?Job} job The batch job of the last attempt, `null` if it hasn't been created yet.
+ * @property {boolean} started Whether the batch job of the last attempt has been started. Batch jobs that couldn't be started are started again in the next attempt instead of creating a new batch job.
+ * @property {number} attempts The number of times the batch job has been submitted.
+ * @property {Error[]} errors The errors of all failed attempts, usually `JobError` objects.
+ * @property {string[]} files The file paths of the downloaded results.
+ */
+
+/**
+ * The aggregated progress of a queue of batch jobs.
+ *
+ * @typedef JobQueueProgress
+ * @type {object}
+ * @property {number} total The number of tasks.
+ * @property {number} pending The number of tasks that haven't been submitted yet.
+ * @property {number} running The number of tasks with running batch jobs or downloads.
+ * @property {number} finished The number of tasks that have finished successfully.
+ * @property {number} failed The number of tasks that have failed finally.
+ * @property {number} progress The overall progress in percent (0-100), based on the progress reported for the batch jobs.
+ */
+
+/**
+ * The final report after processing a queue of batch jobs.
+ *
+ * @typedef JobQueueReport
+ * @type {object}
+ * @property {number} total The number of tasks.
+ * @property {number} finished The number of tasks that have finished successfully.
+ * @property {number} failed The number of tasks that have failed.
+ * @property {number} duration The time it took to process the queue, in seconds.
+ * @property {?number} costs The sum of the costs reported for the batch jobs, `null` if no costs have been reported.
+ * @property {JobQueueTask[]} tasks All tasks with their final status.
+ */
+
+/**
+ * This function is called each time the aggregated progress of the queue changes.
+ *
+ * @callback jobQueueProgressCallback
+ * @param {JobQueueProgress} progress - The aggregated progress.
+ * @param {JobQueue} queue - The queue.
+ */
+
+/**
+ * The default options for processing a queue of batch jobs.
+ *
+ * @type {JobQueueOptions}
+ * @ignore
+ */
+const JOB_QUEUE_OPTIONS = {
+	maxConcurrent: 5,
+	interval: 30,
+	retries: 0,
+	maxStatusErrors: 3,
+	downloadFolder: null,
+	logs: 10
+};
+
+/**
+ * A queue that processes many batch jobs.
+ *
+ * Creates and starts the batch jobs while not more than the given number of
+ * batch jobs are running at the same time. The status of all running batch jobs is
+ * retrieved with a single request for the list of batch jobs. Failed batch jobs
+ * can be re-created and started again. The results of finished batch jobs can be
+ * downloaded, the downloads run in parallel to the processing of the other batch jobs.
+ *
+ * Requires that listing batch jobs is supported by the back-end.
+ *
+ * ```
+ * let queue = con.createJobQueue({maxConcurrent: 3, retries: 1});
+ * for (let process of processes) {
+ *   queue.add(process);
+ * }
+ * let report = await queue.run(progress => console.log(progress.progress + "%"));
+ * ```
+ */
+class JobQueue {
+
+	/**
+	 * Creates a new, empty queue for batch jobs.
+	 *
+	 * @param {Connection} connection - A Connection object representing an established connection to an openEO back-end.
+	 * @param {JobQueueOptions|object} [options={}] - Options for the queue.
+	 */
+	constructor(connection, options = {}) {
+		/**
+		 * @protected
+		 * @type {Connection}
+		 */
+		this.connection = connection;
+		/**
+		 * @type {JobQueueOptions}
+		 */
+		this.options = Object.assign({}, JOB_QUEUE_OPTIONS, options);
+		/**
+		 * @type {JobQueueTask[]}
+		 */
+		this.tasks = [];
+		this.running = false;
+		this.lastProgress = null;
+		/**
+		 * @protected
+		 * @type {Array.<Promise<void>>}
+		 */
+		this.downloads = [];
+		/**
+		 * The number of consecutive failed requests for the status of the batch jobs.
+		 * 
+		 * @protected
+		 * @type {Map<JobQueueTask, number>}
+		 */
+		this.statusErrors = new Map();
+	}
+
+	/**
+	 * Adds a batch job to the queue.
+	 *
+	 * The batch job is created and started once the queue is processed.
+	 * Tasks can also be added while the queue is being processed.
+	 *
+	 * @param {object} process - A user-defined process to execute.
+	 * @param {?string} [title=null] - A title for the batch job.
+	 * @param {?string} [description=null] - A description for the batch job.
+	 * @param {?string} [plan=null] - The billing plan to use for the batch job.
+	 * @param {?number} [budget=null] - The maximum budget allowed to spend for the batch job.
+	 * @param {object} [additional={}] - Proprietary parameters to pass for the batch job.
+	 * @returns {JobQueueTask}
+	 */
+	add(process, title = null, description = null, plan = null, budget = null, additional = {}) {
+		let task = {
+			id: this.tasks.length,
+			process,
+			title,
+			description,
+			plan,
+			budget,
+			additional,
+			status: 'pending',
+			job: null,
+			started: false,
+			attempts: 0,
+			errors: [],
+			files: []
+		};
+		this.tasks.push(task);
+		return task;
+	}
+
+	/**
+	 * Processes all pending tasks until all batch jobs have finished or failed finally.
+	 *
+	 * Failing batch jobs don't stop the processing, check the report for failed tasks.
+	 * If aborted, the batch jobs that have been started keep running at the back-end.
+	 *
+	 * @async
+	 * @param {?jobQueueProgressCallback} [progressCallback=null] - Is called each time the aggregated progress changes.
+	 * @param {?AbortSignal} [signal=null] - An AbortSignal to stop processing the queue.
+	 * @returns {Promise<JobQueueReport>}
+	 * @throws {AbortError} Processing has been aborted via the signal.
+	 * @throws {Error}
+	 */
+	async run(progressCallback = null, signal = null) {
+		if (this.running) {
+			throw new Error('The queue is already being processed.');
+		}
+		if (!this.connection.capabilities().hasFeature('listJobs')) {
+			throw new Error('Listing batch jobs is not supported by the back-end.');
+		}
+		this.running = true;
+		this.downloads = [];
+		let start = Date.now();
+		try {
+			while(true) {
+				await this._submitPending(signal);
+				this._notify(progressCallback);
+				let running = this.tasks.filter(task => task.status === 'running');
+				if (running.length === 0) {
+					if (this.tasks.some(task => task.status === 'pending')) {
+						continue;
+					}
+					break;
+				}
+				await Utils.sleep(this.options.interval * 1000, signal);
+				await this._update(running, progressCallback, signal);
+			}
+			await Promise.all(this.downloads);
+		} finally {
+			this.running = false;
+		}
+		return this.getReport((Date.now() - start) / 1000);
+	}
+
+	/**
+	 * Returns the aggregated progress of the queue.
+	 *
+	 * @returns {JobQueueProgress}
+	 */
+	getProgress() {
+		let count = status => this.tasks.filter(task => task.status === status).length;
+		let progress = {
+			total: this.tasks.length,
+			pending: count('pending'),
+			running: count('running') + count('downloading'),
+			finished: count('finished'),
+			failed: count('error'),
+			progress: 0
+		};
+		if (progress.total > 0) {
+			let sum = this.tasks.reduce((total, task) => {
+				if (task.status === 'finished' || task.status === 'error' || task.status === 'downloading') {
+					return total + 100;
+				}
+				// The batch job of a running task is null while it's being created
+				else if (task.status === 'running' && task.job !== null && typeof task.job.progress === 'number') {
+					return total + Math.min(100, Math.max(0, task.job.progress));
+				}
+				return total;
+			}, 0);
+			progress.progress = Math.round(sum / progress.total);
+		}
+		return progress;
+	}
+
+	/**
+	 * Returns a report about the tasks in the queue.
+	 *
+	 * @param {number} [duration=0] - The time it took to process the queue, in seconds.
+	 * @returns {JobQueueReport}
+	 */
+	getReport(duration = 0) {
+		let progress = this.getProgress();
+		let costs = null;
+		for(let task of this.tasks) {
+			if (task.job !== null && typeof task.job.costs === 'number') {
+				costs = (costs || 0) + task.job.costs;
+			}
+		}
+		return {
+			total: progress.total,
+			finished: progress.finished,
+			failed: progress.failed,
+			duration,
+			costs,
+			tasks: this.tasks.slice(0)
+		};
+	}
+
+	/**
+	 * Creates and starts batch jobs for pending tasks until the maximum number of running batch jobs is reached.
+	 *
+	 * @async
+	 * @protected
+	 * @param {?AbortSignal} [signal=null] - An AbortSignal to cancel the requests.
+	 * @throws {AbortError}
+	 */
+	async _submitPending(signal = null) {
+		for(let task of this.tasks) {
+			let running = this.tasks.filter(t => t.status === 'running').length;
+			if (running >= this.options.maxConcurrent) {
+				return;
+			}
+			if (task.status !== 'pending') {
+				continue;
+			}
+			task.status = 'running';
+			task.attempts++;
+			try {
+				// Start the batch job again if only starting it has failed, otherwise it would be left behind at the back-end
+				if (task.job === null || task.started) {
+					task.job = null;
+					task.started = false;
+					task.job = await this.connection.createJob(task.process, task.title, task.description, task.plan, task.budget, task.additional, signal);
+				}
+				await task.job.startJob(signal);
+				task.started = true;
+			} catch (error) {
+				this._fail(task, error);
+			}
+		}
+	}
+
+	/**
+	 * Updates the status of the running batch jobs and handles the completed ones.
+	 *
+	 * Requests the list of batch jobs once. Batch jobs missing in the list are requested individually.
+	 * If requesting a batch job fails, e.g. due to network errors, it's requested again in the next poll.
+	 * The task only fails after `options.maxStatusErrors` consecutive errors, as the batch job may still be running.
+	 * The downloads of the results are started, but not awaited, see {@link JobQueue#_download}.
+	 *
+	 * @async
+	 * @protected
+	 * @param {JobQueueTask[]} tasks - The tasks with running batch jobs.
+	 * @param {?jobQueueProgressCallback} progressCallback
+	 * @param {?AbortSignal} [signal=null] - An AbortSignal to cancel the requests.
+	 * @throws {Error}
+	 */
+	async _update(tasks, progressCallback, signal = null) {
+		let jobs = await this.connection.listJobs(signal);
+		for(let task of tasks) {
+			let listed = jobs.find(job => job.id === task.job.id);
+			if (listed) {
+				task.job.setAll(listed.toJSON());
+				this.statusErrors.delete(task);
+			}
+			else {
+				try {
+					await task.job.describeJob(signal);
+					this.statusErrors.delete(task);
+				} catch (error) {
+					let count = (this.statusErrors.get(task) || 0) + 1;
+					this.statusErrors.set(task, count);
+					if (error instanceof AbortError || count >= this.options.maxStatusErrors) {
+						this.statusErrors.delete(task);
+						this._fail(task, error);
+					}
+				}
+			}
+		}
+		this._notify(progressCallback);
+		for(let task of tasks) {
+			if (task.status !== 'running') {
+				continue;
+			}
+			if (task.job.status === 'finished') {
+				this._download(task, progressCallback, signal);
+			}
+			else if (task.job.status === 'error' || task.job.status === 'canceled') {
+				this._fail(task, await task.job._createJobError(this.options.logs, signal));
+			}
+		}
+		this._notify(progressCallback);
+	}
+
+	/**
+	 * Starts downloading the results of a finished batch job in the background.
+	 *
+	 * The downloads are awaited at the end of {@link JobQueue#run}, so that the status of the
+	 * other batch jobs can be updated and new batch jobs can be submitted in the meantime.
+	 *
+	 * @protected
+	 * @param {JobQueueTask} task
+	 * @param {?jobQueueProgressCallback} progressCallback
+	 * @param {?AbortSignal} [signal=null] - An AbortSignal to cancel the downloads.
+	 */
+	_download(task, progressCallback, signal = null) {
+		let promise = this._finish(task, progressCallback, signal);
+		// Errors are handled once the downloads are awaited, avoid unhandled rejections until then
+		promise.catch(() => {});
+		this.downloads.push(promise);
+	}
+
+	/**
+	 * Downloads the results of a finished batch job, if requested, and marks the task as finished.
+	 *
+	 * @async
+	 * @protected
+	 * @param {JobQueueTask} task
+	 * @param {?jobQueueProgressCallback} progressCallback
+	 * @param {?AbortSignal} [signal=null] - An AbortSignal to cancel the downloads.
+	 * @throws {AbortError}
+	 */
+	async _finish(task, progressCallback, signal = null) {
+		let folder = this.options.downloadFolder;
+		if (folder === null) {
+			this._complete(task);
+			return;
+		}
+		task.status = 'downloading';
+		this._notify(progressCallback);
+		try {
+			if (typeof folder === 'function') {
+				folder = await folder(task);
+			}
+			this._complete(task, await task.job.downloadResults(folder, null, {}, signal));
+		} catch (error) {
+			if (error instanceof AbortError) {
+				throw error;
+			}
+			// Don't process the batch job again, only the download has failed
+			this._complete(task, [], error);
+		}
+		this._notify(progressCallback);
+	}
+
+	/**
+	 * Marks the task as finished, or as failed if the download has failed.
+	 *
+	 * @protected
+	 * @param {JobQueueTask} task
+	 * @param {string[]} [files=[]] - The downloaded files.
+	 * @param {?Error} [error=null] - The error that occurred during the download.
+	 */
+	_complete(task, files = [], error = null) {
+		task.files = Array.isArray(files) ? files : [];
+		if (error !== null) {
+			task.errors.push(error);
+			task.status = 'error';
+		}
+		else {
+			task.status = 'finished';
+		}
+	}
+
+	/**
+	 * Records the error of a failed attempt and schedules a retry if allowed.
+	 *
+	 * @protected
+	 * @param {JobQueueTask} task
+	 * @param {Error} error
+	 * @throws {AbortError}
+	 */
+	_fail(task, error) {
+		if (error instanceof AbortError) {
+			throw error;
+		}
+		task.errors.push(error);
+		task.status = task.attempts <= this.options.retries ? 'pending' : 'error';
+	}
+
+	/**
+	 * Executes the callback if the aggregated progress has changed.
+	 *
+	 * @protected
+	 * @param {?jobQueueProgressCallback} progressCallback
+	 */
+	_notify(progressCallback) {
+		let progress = this.getProgress();
+		let state = JSON.stringify(progress);
+		if (state !== this.lastProgress) {
+			this.lastProgress = state;
+			if (typeof progressCallback === 'function') {
+				progressCallback(progress, this);
+			}
+		}
+	}
+
+}
+
+module.exports = JobQueue;
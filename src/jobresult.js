@@ -0,0 +1,284 @@
+const Utils = require('./utils');
+const ResultAsset = require('./resultasset');
+
+/**
+ * The results of a batch job, provided as STAC Item or STAC Collection.
+ *
+ * Contains all properties of the STAC Item or Collection as provided by the back-end,
+ * e.g. `id`, `properties`, `links` or `extent`. The assets are available as `ResultAsset`
+ * objects. The methods give access to the commonly used information independent of
+ * whether the back-end has provided a STAC Item or a STAC Collection.
+ */
+class JobResult {
+
+	/**
+	 * Creates a new result object from the response of the back-end.
+	 *
+	 * @param {object} data - The STAC Item or Collection.
+	 * @param {?number} [costs=null] - The costs for the batch job as provided in the `OpenEO-Costs` header.
+	 */
+	constructor(data, costs = null) {
+		data = Utils.isObject(data) ? Object.assign({}, data) : {};
+		if (!Utils.isObject(data.properties)) {
+			data.properties = {};
+		}
+		if (!Utils.isObject(data.assets)) {
+			data.assets = {};
+		}
+		if (!Array.isArray(data.links)) {
+			data.links = [];
+		}
+		if (typeof costs === 'number') {
+			data.properties = Object.assign({}, data.properties, {costs});
+		}
+		Object.assign(this, data);
+		/**
+		 * The type of the result, either `Feature` (STAC Item) or `Collection` (STAC Collection).
+		 * @public
+		 * @readonly
+		 * @type {string}
+		 */
+		this.type = data.type === 'Collection' ? 'Collection' : 'Feature';
+		/**
+		 * The properties of the STAC Item. For STAC Collections, this contains the costs only.
+		 * @public
+		 * @readonly
+		 * @type {object}
+		 */
+		this.properties = data.properties;
+		/**
+		 * The files of the results.
+		 * @public
+		 * @readonly
+		 * @type {object.<string, ResultAsset>}
+		 */
+		this.assets = Utils.mapObjectValues(data.assets, (asset, key) => new ResultAsset(key, asset, this));
+		/**
+		 * @public
+		 * @readonly
+		 * @type {object[]}
+		 */
+		this.links = data.links;
+		Object.defineProperty(this, 'data', {value: data});
+	}
+
+	/**
+	 * Checks whether the results are provided as STAC Collection.
+	 *
+	 * @returns {boolean}
+	 */
+	isCollection() {
+		return this.type === 'Collection';
+	}
+
+	/**
+	 * Returns all files of the results.
+	 *
+	 * @returns {ResultAsset[]}
+	 */
+	getAssets() {
+		return Object.values(this.assets);
+	}
+
+	/**
+	 * Returns the files of the results that have the given role.
+	 *
+	 * @param {string} role - The role, e.g. `data` or `metadata`.
+	 * @returns {ResultAsset[]}
+	 */
+	getAssetsByRole(role) {
+		return this.getAssets().filter(asset => asset.hasRole(role));
+	}
+
+	/**
+	 * Returns the files of the results that have the given media type.
+	 *
+	 * Parameters of the media types are ignored, e.g. `image/tiff` also matches `image/tiff; application=geotiff`.
+	 *
+	 * @param {string} mediaType - The media type, e.g. `image/tiff`.
+	 * @returns {ResultAsset[]}
+	 */
+	getAssetsByMediaType(mediaType) {
+		mediaType = mediaType.split(';')[0].trim().toLowerCase();
+		return this.getAssets().filter(asset => asset.getMediaType() === mediaType);
+	}
+
+	/**
+	 * Returns a thumbnail or overview image of the results.
+	 *
+	 * Looks for an asset with the role `thumbnail` first, then for the role `overview`.
+	 * Afterwards, links with the relation type `thumbnail` or `preview` are considered.
+	 *
+	 * @returns {?ResultAsset} The thumbnail, `null` if not available.
+	 */
+	getThumbnail() {
+		for(let role of ['thumbnail', 'overview']) {
+			let assets = this.getAssetsByRole(role);
+			if (assets.length > 0) {
+				return assets[0];
+			}
+		}
+		for(let rel of ['thumbnail', 'preview']) {
+			let link = this.links.find(l => Utils.isObject(l) && l.rel === rel && typeof l.href === 'string');
+			if (link) {
+				return new ResultAsset(rel, Object.assign({roles: [rel]}, link), this);
+			}
+		}
+		return null;
+	}
+
+	/**
+	 * Returns the bands specified for the STAC Item or Collection.
+	 *
+	 * Combines the STAC fields `bands`, `eo:bands` and `raster:bands`.
+	 * For Collections, the summaries are considered.
+	 *
+	 * @returns {object[]}
+	 */
+	getBands() {
+		let bands = ResultAsset.mergeBands(this.properties);
+		if (bands.length === 0 && Utils.isObject(this.summaries)) {
+			bands = ResultAsset.mergeBands(this.summaries);
+		}
+		if (bands.length === 0) {
+			bands = ResultAsset.mergeBands(this);
+		}
+		return bands;
+	}
+
+	/**
+	 * Returns the bounding box of the results.
+	 *
+	 * For Collections, the first bounding box of the spatial extent is returned, which covers all data.
+	 *
+	 * @returns {?Array.<number>} The bounding box as array with 4 or 6 numbers, `null` if not available.
+	 */
+	getBoundingBox() {
+		let bbox = this.bbox;
+		if (this.isCollection() && Utils.isObject(this.extent) && Utils.isObject(this.extent.spatial) && Array.isArray(this.extent.spatial.bbox)) {
+			bbox = this.extent.spatial.bbox[0];
+		}
+		return Array.isArray(bbox) && (bbox.length === 4 || bbox.length === 6) ? bbox : null;
+	}
+
+	/**
+	 * Returns the geometry of the results as GeoJSON geometry.
+	 *
+	 * If no geometry is available (e.g. for Collections), the geometry is created from the bounding box.
+	 *
+	 * @returns {?object} The GeoJSON geometry, `null` if not available.
+	 */
+	getGeometry() {
+		if (!this.isCollection() && Utils.isObject(this.geometry)) {
+			return this.geometry;
+		}
+		let bbox = this.getBoundingBox();
+		if (bbox === null) {
+			return null;
+		}
+		let half = bbox.length / 2;
+		let [west, south, east, north] = [bbox[0], bbox[1], bbox[half], bbox[half + 1]];
+		return {
+			type: 'Polygon',
+			coordinates: [[[west, south], [east, south], [east, north], [west, north], [west, south]]]
+		};
+	}
+
+	/**
+	 * Returns the temporal extent of the results.
+	 *
+	 * Considers `datetime`, `start_datetime` and `end_datetime` for Items and the temporal extent for Collections.
+	 * For a single point in time, start and end are the same.
+	 *
+	 * @returns {Array.<?string>} Start and end as RFC 3339 date-time strings, `null` for open or unknown boundaries.
+	 */
+	getTemporalExtent() {
+		if (this.isCollection()) {
+			if (Utils.isObject(this.extent) && Utils.isObject(this.extent.temporal) && Array.isArray(this.extent.temporal.interval) && Array.isArray(this.extent.temporal.interval[0])) {
+				let interval = this.extent.temporal.interval[0];
+				return [interval[0] || null, interval[1] || null];
+			}
+			return [null, null];
+		}
+		let props = this.properties;
+		let start = props.start_datetime || props.datetime || null;
+		let end = props.end_datetime || props.datetime || null;
+		return [start, end];
+	}
+
+	/**
+	 * Returns the date and time the results or the first of the links to the files expire.
+	 *
+	 * @param {boolean} [includeAssets=true] - Also consider the expiry of the links to the files.
+	 * @returns {?Date}
+	 * @see ResultAsset#getExpiry
+	 */
+	getExpiry(includeAssets = true) {
+		let dates = [new Date(this.properties.expires)];
+		if (includeAssets) {
+			dates = dates.concat(this.getAssets().map(asset => asset.getExpiry()));
+		}
+		let times = dates.filter(date => date !== null && !isNaN(date.getTime())).map(date => date.getTime());
+		return times.length > 0 ? new Date(Math.min(...times)) : null;
+	}
+
+	/**
+	 * Checks whether the results or any of the links to the files have expired.
+	 *
+	 * @param {number} [margin=0] - Consider links as expired if they expire within the given number of seconds.
+	 * @returns {boolean}
+	 */
+	isExpired(margin = 0) {
+		let expires = this.getExpiry();
+		return expires !== null && expires.getTime() <= Date.now() + margin * 1000;
+	}
+
+	/**
+	 * Returns the costs for the batch job, if provided by the back-end.
+	 *
+	 * @returns {?number}
+	 */
+	getCosts() {
+		return typeof this.properties.costs === 'number' ? this.properties.costs : null;
+	}
+
+	/**
+	 * Converts the results into a GeoJSON Feature.
+	 *
+	 * The properties of the Feature contain the properties of the STAC Item (or the title and description
+	 * of the STAC Collection) and the temporal extent as `start_datetime` and `end_datetime`.
+	 *
+	 * @returns {object}
+	 */
+	toGeoJSON() {
+		let properties = this.isCollection() ? Utils.pickFromObject(this.data, ['title', 'description']) : Object.assign({}, this.properties);
+		let [start, end] = this.getTemporalExtent();
+		if (start !== end || this.isCollection()) {
+			properties.start_datetime = start;
+			properties.end_datetime = end;
+		}
+		let feature = {
+			type: 'Feature',
+			id: this.id,
+			geometry: this.getGeometry(),
+			properties
+		};
+		let bbox = this.getBoundingBox();
+		if (bbox !== null) {
+			feature.bbox = bbox;
+		}
+		return feature;
+	}
+
+	/**
+	 * Returns the STAC Item or Collection as provided by the back-end, including the costs.
+	 *
+	 * @returns {object}
+	 */
+	toJSON() {
+		return Object.assign({}, this.data);
+	}
+
+}
+
+module.exports = JobResult;
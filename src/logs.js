@@ -1,7 +1,27 @@
-const Utils = require('@openeo/js-commons/src/utils');
+const Utils = require('./utils');
+const AbortError = require('./errors/aborterror');
+
+/**
+ * The log levels in the order of their severity, from the most to the least severe.
+ * 
+ * @type {string[]}
+ * @ignore
+ */
+const LOG_LEVELS = ['error', 'warning', 'info', 'debug'];
 
 /**
  * Interface to loop through the logs.
+ * 
+ * The log entries can be iterated with `for await`, which retrieves all log entries that are
+ * currently available, for example:
+ * 
+ * ```
+ * for await (let log of job.debugJob('warning')) {
+ *   console.log(log.level + ": " + log.message);
+ * }
+ * ```
+ * 
+ * Use {@link Logs#iterate} to keep waiting for new log entries (tailing).
  */
 class Logs {
 
@@ -10,14 +30,20 @@ class Logs {
 	 * 
 	 * @param {Connection} connection - A Connection object representing an established connection to an openEO back-end.
 	 * @param {string} endpoint - The relative endpoint to request the logs from, usually `/jobs/.../logs` or `/services/.../logs` with `...` being the actual job or service id.
+	 * @param {?string} [level=null] - The minimum severity level of the log entries to retrieve: `error`, `warning`, `info` or `debug`. `null` retrieves all log entries.
+	 * @throws {Error}
 	 */
-	constructor(connection, endpoint) {
+	constructor(connection, endpoint, level = null) {
+		if (level !== null && !LOG_LEVELS.includes(level)) {
+			throw new Error("Invalid log level '" + level + "', must be one of: " + LOG_LEVELS.join(', '));
+		}
 		/**
 		 * @protected
 		 * @type {Connection}
 		 */
 		this.connection = connection;
 		this.endpoint = endpoint;
+		this.level = level;
 		this.lastId = "";
 	}
 
@@ -28,10 +54,11 @@ class Logs {
 	 * 
 	 * @async
 	 * @param {number} limit - The number of log entries to retrieve per request, as integer.
+	 * @param {?AbortSignal} [signal=null] - An AbortSignal to cancel the request.
 	 * @returns {Promise<object[]>}
 	 */
-	async nextLogs(limit = null) {
-		let response = await this.next(limit);
+	async nextLogs(limit = null, signal = null) {
+		let response = await this.next(limit, signal);
 		return Array.isArray(response.logs) ? response.logs : [];
 	}
 
@@ -40,21 +67,31 @@ class Logs {
 	 * 
 	 * Retrieves the full response compliant to the API, including log entries and links.
 	 * 
+	 * If a level has been specified, it's sent to the back-end and the log entries are also filtered on the client-side,
+	 * as not all back-ends support filtering by level.
+	 * 
 	 * @async
 	 * @param {number} limit - The number of log entries to retrieve per request, as integer.
+	 * @param {?AbortSignal} [signal=null] - An AbortSignal to cancel the request.
 	 * @returns {Promise<object>}
 	 */
-	async next(limit = null) {
+	async next(limit = null, signal = null) {
 		let query = {
 			offset: this.lastId
 		};
 		if (limit > 0) {
 			query.limit = limit;
 		}
-		let response = await this.connection._get(this.endpoint, query);
+		if (this.level !== null) {
+			query.level = this.level;
+		}
+		let response = await this.connection._get(this.endpoint, query, null, signal);
 		if (Array.isArray(response.data.logs) && response.data.logs.length > 0) {
 			response.data.logs = response.data.logs.filter(log => Utils.isObject(log) && typeof log.id === 'string');
-			this.lastId = response.data.logs[response.data.logs.length - 1].id;
+			if (response.data.logs.length > 0) {
+				this.lastId = response.data.logs[response.data.logs.length - 1].id;
+			}
+			response.data.logs = response.data.logs.filter(log => this.matchesLevel(log));
 		}
 		else {
 			response.data.logs = [];
@@ -63,6 +100,120 @@ class Logs {
 		return response.data;
 	}
 
+	/**
+	 * Checks whether the log entry has at least the minimum severity level specified.
+	 * 
+	 * Log entries without a valid level are considered to be of level `info`.
+	 * 
+	 * @protected
+	 * @param {object} log - The log entry.
+	 * @returns {boolean}
+	 */
+	matchesLevel(log) {
+		if (this.level === null) {
+			return true;
+		}
+		let level = LOG_LEVELS.indexOf(log.level);
+		if (level === -1) {
+			level = LOG_LEVELS.indexOf('info');
+		}
+		return level <= LOG_LEVELS.indexOf(this.level);
+	}
+
+	/**
+	 * Retrieves all log entries that are available since the last request.
+	 * 
+	 * @async
+	 * @param {?AbortSignal} [signal=null] - An AbortSignal to cancel the requests.
+	 * @returns {Promise<object[]>}
+	 * @throws {Error}
+	 */
+	async all(signal = null) {
+		let logs = [];
+		while(true) {
+			let lastId = this.lastId;
+			let page = await this.nextLogs(null, signal);
+			// Stop if there are no further log entries or the back-end doesn't support the offset
+			if (this.lastId === lastId) {
+				return logs;
+			}
+			logs = logs.concat(page);
+		}
+	}
+
+	/**
+	 * Returns an object that iterates over the log entries, e.g. in a `for await` loop.
+	 * 
+	 * The iteration retrieves all log entries that are available since the last request.
+	 * If `tail` is enabled, it continues to check for new log entries in the given interval afterwards.
+	 * 
+	 * The iteration stops (without throwing an error) once the signal has been aborted.
+	 * This is the only way to stop tailing, besides leaving the loop.
+	 * 
+	 * @param {boolean} [tail=false] - Keep waiting for new log entries.
+	 * @param {number} [interval=10] - Interval between the requests for new log entries while tailing, in seconds.
+	 * @param {?AbortSignal} [signal=null] - An AbortSignal to stop the iteration.
+	 * @returns {AsyncIterable<object>}
+	 */
+	iterate(tail = false, interval = 10, signal = null) {
+		let state = {
+			buffer: [],
+			done: false
+		};
+		let finish = () => {
+			state.done = true;
+			state.buffer = [];
+		};
+		let next = async () => {
+			while(state.buffer.length === 0 && !state.done) {
+				try {
+					let lastId = this.lastId;
+					let logs = await this.nextLogs(null, signal);
+					if (this.lastId !== lastId) {
+						state.buffer.push(...logs);
+					}
+					else if (tail) {
+						await Utils.sleep(interval * 1000, signal);
+					}
+					else {
+						finish();
+					}
+				} catch (error) {
+					if (error instanceof AbortError) {
+						finish();
+					}
+					else {
+						throw error;
+					}
+				}
+			}
+			if (state.buffer.length > 0) {
+				return {done: false, value: state.buffer.shift()};
+			}
+			return {done: true, value: undefined};
+		};
+		let iterator = {
+			next,
+			return: async () => {
+				finish();
+				return {done: true, value: undefined};
+			}
+		};
+		return {
+			[Symbol.asyncIterator]: () => iterator
+		};
+	}
+
+	/**
+	 * Returns an async iterator that retrieves all log entries that are available since the last request.
+	 * 
+	 * @returns {AsyncIterator<object>}
+	 * @see Logs#iterate
+	 */
+	[Symbol.asyncIterator]() {
+		return this.iterate()[Symbol.asyncIterator]();
+	}
+
 }
 
 module.exports = Logs;
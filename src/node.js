@@ -2,6 +2,13 @@ const fs = require('fs');
 const url = require("url");
 const path = require("path");
 const Stream = require('stream');
+const crypto = require('crypto');
+const Utils = require('./utils');
+const OpenEOError = require('./errors/openeoerror');
+const AbortError = require('./errors/aborterror');
+const OidcDeviceCodeProvider = require('./oidcdevicecodeprovider');
+const OidcClientCredentialsProvider = require('./oidcclientcredentialsprovider');
+const FileTokenStore = require('./tokenstores/filetokenstore');
 
 /**
  * Platform dependant utilities for the openEO JS Client.
@@ -22,20 +29,56 @@ class Environment {
 		return 'Node';
 	}
 
+	/**
+	 * Returns the factory function for the default OpenID Connect providers.
+	 * 
+	 * Node.js can't use the browser-based flows, so the Device Authorization Grant is used instead.
+	 * For service accounts, the Client Credentials Grant is available additionally.
+	 * 
+	 * @static
+	 * @param {Connection} connection - The connection to create the providers for.
+	 * @returns {?oidcProviderFactoryFunction}
+	 */
+	static getOidcProviderFactory(connection) {
+		return providerInfo => [
+			new OidcDeviceCodeProvider(connection, providerInfo),
+			new OidcClientCredentialsProvider(connection, providerInfo)
+		];
+	}
+
+	/**
+	 * Returns the default store for access tokens, here a {@link FileTokenStore}.
+	 * 
+	 * @static
+	 * @param {?string} [file=null] - The path to the file, defaults to `.openeo/tokens.json` in the home directory of the user.
+	 * @returns {TokenStore}
+	 */
+	static getDefaultTokenStore(file = null) {
+		return new FileTokenStore(file);
+	}
+
 	/**
 	 * Handles errors from the API that are returned as Streams.
 	 * 
+	 * Reads the stream and parses the JSON-encoded error.
+	 * 
 	 * @ignore
 	 * @static
-	 * @param {Stream.Readable} error 
-	 * @returns {Promise<void>}
+	 * @param {*} error - The error thrown by axios, containing the response with a Stream as data.
+	 * @returns {Promise<object>} The parsed error response.
 	 */
 	static handleErrorResponse(error) {
-		return new Promise((_, reject) => {
+		return new Promise((resolve, reject) => {
 			let chunks = [];
 			error.response.data.on("data", chunk => chunks.push(chunk));
 			error.response.data.on("error", streamError => reject(streamError));
-			error.response.data.on("end", () => reject(JSON.parse(Buffer.concat(chunks).toString())));
+			error.response.data.on("end", () => {
+				try {
+					resolve(JSON.parse(Buffer.concat(chunks).toString()));
+				} catch (parseError) {
+					reject(parseError);
+				}
+			});
 		});
 	}
 
@@ -66,6 +109,35 @@ class Environment {
 		return buffer.toString('base64');
 	}
 
+	/**
+	 * Reads all data from a Stream.
+	 * 
+	 * @ignore
+	 * @static
+	 * @param {Stream.Readable} data - The data as returned for binary responses.
+	 * @returns {Promise<Uint8Array>}
+	 */
+	static readBinary(data) {
+		return new Promise((resolve, reject) => {
+			let chunks = [];
+			data.on("data", chunk => chunks.push(chunk));
+			data.on("error", reject);
+			data.on("end", () => resolve(new Uint8Array(Buffer.concat(chunks))));
+		});
+	}
+
+	/**
+	 * Converts bytes into the type used for binary data in this environment, here a `Buffer`.
+	 * 
+	 * @ignore
+	 * @static
+	 * @param {Uint8Array} bytes
+	 * @returns {Buffer}
+	 */
+	static toBinary(bytes) {
+		return Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+	}
+
 	/**
 	 * Detect the file name for the given data source.
 	 * 
@@ -93,30 +165,252 @@ class Environment {
 	/**
 	 * Downloads files to local storage and returns a list of file paths.
 	 * 
+	 * Downloads up to `options.concurrency` files at the same time. Incomplete files are stored with
+	 * the extension `.part` and are resumed with HTTP Range requests. Files that exist already are skipped
+	 * if they pass the verification. Files with the same name get a number appended, e.g. `result.tif` and `result_2.tif`.
+	 * 
 	 * @static
 	 * @param {Connection} con 
 	 * @param {object[]} assets 
 	 * @param {string} targetFolder 
+	 * @param {?downloadProgressCallback} [progressCallback=null] - Is called with the overall progress and the progress of the file that has changed.
+	 * @param {DownloadOptions|object} [options={}] - Options for the downloads.
+	 * @param {?AbortSignal} [signal=null] - An AbortSignal to cancel the downloads.
 	 * @returns {Promise<string[]>}
 	 * @throws {Error}
 	 */
-	static async downloadResults(con, assets, targetFolder) {
-		let files = [];
-		const promises = assets.map(async (link) => {
-			let parsedUrl = url.parse(link.href);
-			let targetPath = path.join(targetFolder, path.basename(parsedUrl.pathname));
-			let data = await con.download(link.href, false);
-			if (data instanceof Stream.Readable) {
-				await Environment.saveToFile(data, targetPath);
-				files.push(targetPath);
+	static async downloadResults(con, assets, targetFolder, progressCallback = null, options = {}, signal = null) {
+		let names = [];
+		let downloads = assets.map(asset => {
+			let parsedUrl = url.parse(asset.href);
+			// Files with the same name would be written to the same file at the same time
+			let name = Utils.uniqueFileName(path.basename(parsedUrl.pathname) || 'file', names);
+			names.push(name);
+			let size = asset['file:size'];
+			return {
+				asset,
+				path: path.join(targetFolder, name),
+				status: 'pending',
+				loaded: 0,
+				total: Number.isInteger(size) && size >= 0 ? size : null
+			};
+		});
+		let notify = download => {
+			if (typeof progressCallback !== 'function') {
+				return;
 			}
-			else {
-				throw new Error("Data retrieved is not a Stream");
+			let completed = downloads.filter(d => ['skipped', 'finished', 'error'].includes(d.status)).length;
+			let loaded = downloads.reduce((sum, d) => sum + d.loaded, 0);
+			let total = downloads.every(d => d.total !== null) ? downloads.reduce((sum, d) => sum + d.total, 0) : null;
+			let progress = total > 0 ? loaded / total : completed / downloads.length;
+			progressCallback({
+				files: downloads.length,
+				completed,
+				loaded,
+				total,
+				progress: Math.min(100, Math.round(progress * 100))
+			}, download);
+		};
+
+		await Utils.forEachConcurrently(downloads, options.concurrency, async download => {
+			try {
+				await Environment.downloadAsset(con, download, notify, options, signal);
+			} catch (error) {
+				notify(Object.assign(download, {status: 'error'}));
+				throw error;
 			}
 		});
+		return downloads.map(download => download.path);
+	}
 
-		await Promise.all(promises);
-		return files;
+	/**
+	 * Downloads a single file, resumes interrupted downloads and verifies the file.
+	 * 
+	 * @ignore
+	 * @static
+	 * @param {Connection} con 
+	 * @param {object} download - The state of the download, which is updated.
+	 * @param {Function} notify - Called with the download once the state has changed.
+	 * @param {DownloadOptions|object} options - Options for the downloads.
+	 * @param {?AbortSignal} [signal=null] - An AbortSignal to cancel the download.
+	 * @returns {Promise<void>}
+	 * @throws {Error}
+	 */
+	static async downloadAsset(con, download, notify, options, signal = null) {
+		let partPath = download.path + '.part';
+		if (options.overwrite) {
+			await Environment.removeFile(partPath);
+		}
+		else if (fs.existsSync(download.path)) {
+			let message = options.verify ? await Environment.verifyFile(download.asset, download.path) : null;
+			if (message === null) {
+				let stat = await fs.promises.stat(download.path);
+				notify(Object.assign(download, {status: 'skipped', loaded: stat.size, total: stat.size}));
+				return;
+			}
+		}
+
+		for(let attempt = 0; ; attempt++) {
+			AbortError.throwIfAborted(signal);
+			try {
+				await Environment.downloadPart(con, download, partPath, notify, signal);
+				break;
+			} catch (error) {
+				// Only resume interrupted downloads, HTTP errors have been handled by the retry policy of the connection already
+				if (error instanceof OpenEOError || attempt >= options.retries) {
+					throw error;
+				}
+			}
+		}
+
+		if (options.verify) {
+			let message = await Environment.verifyFile(download.asset, partPath);
+			if (message !== null) {
+				await Environment.removeFile(partPath);
+				throw new Error(message);
+			}
+		}
+		await fs.promises.rename(partPath, download.path);
+		notify(Object.assign(download, {status: 'finished'}));
+	}
+
+	/**
+	 * Downloads the missing part of a file.
+	 * 
+	 * Appends to the part of the file that exists already if the server supports HTTP Range requests.
+	 * 
+	 * @ignore
+	 * @static
+	 * @param {Connection} con 
+	 * @param {object} download - The state of the download, which is updated.
+	 * @param {string} partPath - The path of the incomplete file.
+	 * @param {Function} notify - Called with the download once the state has changed.
+	 * @param {?AbortSignal} [signal=null] - An AbortSignal to cancel the download.
+	 * @returns {Promise<void>}
+	 * @throws {Error}
+	 */
+	static async downloadPart(con, download, partPath, notify, signal = null) {
+		let offset = fs.existsSync(partPath) ? (await fs.promises.stat(partPath)).size : 0;
+		let response;
+		try {
+			response = await con._send({
+				method: 'get',
+				responseType: 'stream',
+				url: download.asset.href,
+				withCredentials: false,
+				headers: offset > 0 ? {Range: 'bytes=' + offset + '-'} : {},
+				signal: signal
+			});
+		} catch (error) {
+			// The range is invalid, e.g. because the file has changed, so start from scratch
+			if (offset > 0 && error instanceof OpenEOError && error.status === 416) {
+				await Environment.removeFile(partPath);
+				return await Environment.downloadPart(con, download, partPath, notify, signal);
+			}
+			throw error;
+		}
+
+		if (!(response.data instanceof Stream.Readable)) {
+			throw new Error("Data retrieved is not a Stream");
+		}
+		let append = offset > 0 && response.status === 206;
+		let loaded = append ? offset : 0;
+		let total = download.total;
+		let range = /\/(\d+)$/.exec(response.headers['content-range'] || '');
+		let length = parseInt(response.headers['content-length'], 10);
+		if (range) {
+			total = parseInt(range[1], 10);
+		}
+		else if (total === null && length >= 0) {
+			total = loaded + length;
+		}
+		notify(Object.assign(download, {status: 'downloading', loaded, total}));
+
+		await new Promise((resolve, reject) => {
+			let data = response.data;
+			let file = fs.createWriteStream(partPath, {flags: append ? 'a' : 'w'});
+			let onAbort = () => data.destroy(new AbortError());
+			let fail = error => {
+				if (signal) {
+					signal.removeEventListener('abort', onAbort);
+				}
+				data.unpipe(file);
+				file.end(() => reject(error));
+			};
+			if (signal) {
+				signal.addEventListener('abort', onAbort);
+			}
+			data.on('data', chunk => {
+				download.loaded += chunk.length;
+				notify(download);
+			});
+			data.on('aborted', () => fail(new Error("The download of '" + download.asset.href + "' has been interrupted.")));
+			data.on('error', fail);
+			file.on('error', fail);
+			file.on('finish', () => {
+				if (signal) {
+					signal.removeEventListener('abort', onAbort);
+				}
+				resolve();
+			});
+			data.pipe(file);
+		});
+
+		if (download.total !== null && download.loaded < download.total) {
+			throw new Error("The download of '" + download.asset.href + "' is incomplete.");
+		}
+	}
+
+	/**
+	 * Verifies the size and the checksum of a file, if available in the STAC asset.
+	 * 
+	 * Unsupported checksums are not verified.
+	 * 
+	 * @ignore
+	 * @static
+	 * @param {object} asset - The STAC asset.
+	 * @param {string} file - The path to the file.
+	 * @returns {Promise<?string>} An error message if the verification has failed, `null` otherwise.
+	 */
+	static async verifyFile(asset, file) {
+		let stat = await fs.promises.stat(file);
+		let size = asset['file:size'];
+		if (Number.isInteger(size) && stat.size !== size) {
+			return "The size of '" + asset.href + "' is " + stat.size + " bytes, but " + size + " bytes were expected.";
+		}
+		let checksum = asset['file:checksum'];
+		if (typeof checksum === 'string') {
+			let multihash = Utils.parseMultihash(checksum);
+			if (multihash === null) {
+				console.warn("Can't verify the checksum of '" + asset.href + "', the checksum is not supported.");
+				return null;
+			}
+			let digest = await new Promise((resolve, reject) => {
+				let hash = crypto.createHash(multihash.algorithm);
+				fs.createReadStream(file)
+					.on('error', reject)
+					.on('data', chunk => hash.update(chunk))
+					.on('end', () => resolve(hash.digest('hex')));
+			});
+			if (digest !== multihash.digest) {
+				return "The checksum of '" + asset.href + "' doesn't match.";
+			}
+		}
+		return null;
+	}
+
+	/**
+	 * Removes a file, if it exists.
+	 * 
+	 * @ignore
+	 * @static
+	 * @param {string} file - The path to the file.
+	 * @returns {Promise<void>}
+	 */
+	static async removeFile(file) {
+		if (fs.existsSync(file)) {
+			await fs.promises.unlink(file);
+		}
 	}
 
 	/**
@@ -0,0 +1,143 @@
+const OidcProvider = require('./oidcprovider');
+
+/**
+ * The Authentication Provider for OpenID Connect using the Client Credentials Grant.
+ *
+ * Authenticates a client (e.g. a service account) with its client ID and secret,
+ * without any user interaction. A new access token is requested automatically
+ * once the access token has expired.
+ *
+ * The client secret is kept in memory to request new access tokens, so only use this
+ * provider in trusted environments such as servers, never in browsers.
+ *
+ * This provider is available for OpenID Connect in Node.js environments by default.
+ *
+ * @augments OidcProvider
+ * @see Connection#setOidcProviderFactory
+ * @see https://tools.ietf.org/html/rfc6749#section-4.4
+ */
+class OidcClientCredentialsProvider extends OidcProvider {
+
+	/**
+	 * Creates a new OidcClientCredentialsProvider instance to authenticate using OpenID Connect.
+	 *
+	 * @param {Connection} connection - A Connection object representing an established connection to an openEO back-end.
+	 * @param {OidcProviderMeta} options - OpenID Connect Provider details as returned by the API.
+	 */
+	constructor(connection, options) {
+		super(connection, options);
+		this.clientId = null;
+		this.clientSecret = null;
+	}
+
+	/**
+	 * Checks whether the Client Credentials Grant can be used.
+	 *
+	 * Doesn't require any third-party library.
+	 *
+	 * @static
+	 * @returns {boolean}
+	 */
+	static isSupported() {
+		return true;
+	}
+
+	/**
+	 * Get an identifier for the auth provider (combination of the type, provider identifier and grant type).
+	 *
+	 * The grant type distinguishes the providers for the different flows of the same OpenID Connect provider,
+	 * e.g. `oidc.egi.client_credentials`.
+	 *
+	 * @returns {string}
+	 */
+	getId() {
+		return super.getId() + '.client_credentials';
+	}
+
+	/**
+	 * Authenticate with OpenID Connect (OIDC) using the Client Credentials Grant.
+	 *
+	 * Requests the scopes of the OpenID Connect provider as given by the back-end.
+	 *
+	 * @async
+	 * @param {string} client_id - Your client application's identifier as registered with the OIDC provider
+	 * @param {string} client_secret - The secret of your client application.
+	 * @param {?AbortSignal} [signal=null] - An AbortSignal to cancel the requests.
+	 * @returns {Promise<void>}
+	 * @throws {Error}
+	 */
+	async login(client_id, client_secret, signal = null) {
+		if (!client_id || typeof client_id !== 'string') {
+			throw new Error("No Client ID specified for OpenID Connect");
+		}
+		else if (!client_secret || typeof client_secret !== 'string') {
+			throw new Error("No Client Secret specified for OpenID Connect");
+		}
+		await this.discover(signal);
+		await this.requestToken(client_id, client_secret, signal);
+		this.clientId = client_id;
+		this.clientSecret = client_secret;
+	}
+
+	/**
+	 * Checks whether a new access token can be requested without user interaction.
+	 *
+	 * Requires a successful login before.
+	 *
+	 * @returns {boolean}
+	 */
+	canRefresh() {
+		return this.discovery !== null && this.clientId !== null && this.clientSecret !== null;
+	}
+
+	/**
+	 * Requests a new access token with the client credentials given on login.
+	 *
+	 * @async
+	 * @param {?AbortSignal} [signal=null] - An AbortSignal to cancel the request.
+	 * @returns {Promise<void>}
+	 * @throws {Error}
+	 */
+	async refreshToken(signal = null) {
+		if (!this.canRefresh()) {
+			throw new Error("Can't renew the access token, please login first.");
+		}
+		await this.requestToken(this.clientId, this.clientSecret, signal);
+	}
+
+	/**
+	 * Requests an access token from the token endpoint and sets it.
+	 *
+	 * @async
+	 * @protected
+	 * @param {string} client_id
+	 * @param {string} client_secret
+	 * @param {?AbortSignal} [signal=null] - An AbortSignal to cancel the request.
+	 * @returns {Promise<void>}
+	 * @throws {Error}
+	 */
+	async requestToken(client_id, client_secret, signal = null) {
+		let response = await this.requestEndpoint(this.discovery.token_endpoint, {
+			grant_type: 'client_credentials',
+			client_id: client_id,
+			scope: this.getScopes().join(' ')
+		}, {client_secret}, signal);
+		this.setUser(this.createUser(response.data));
+	}
+
+	/**
+	 * Logout from the established session.
+	 *
+	 * Removes the access token and the client credentials.
+	 *
+	 * @async
+	 */
+	async logout() {
+		this.clientId = null;
+		this.clientSecret = null;
+		this.setUser(null);
+	}
+
+}
+
+module.exports = OidcClientCredentialsProvider;
@@ -0,0 +1,229 @@
+const Utils = require('./utils');
+const OidcProvider = require('./oidcprovider');
+
+/**
+ * The Authentication Provider for OpenID Connect using the Device Authorization Grant.
+ *
+ * Implements the OAuth 2.0 Device Authorization Grant (RFC 8628), which doesn't require
+ * a browser on the device that runs the client. The user is asked to visit a URL on any
+ * device and enter a code there, meanwhile the client polls the OpenID Connect provider
+ * until the user has authorized the client.
+ *
+ * This provider is available for OpenID Connect in Node.js environments by default.
+ *
+ * @augments OidcProvider
+ * @see Connection#setOidcProviderFactory
+ * @see https://tools.ietf.org/html/rfc8628
+ */
+class OidcDeviceCodeProvider extends OidcProvider {
+
+	/**
+	 * The information about the device code to show to the user.
+	 *
+	 * @typedef OidcDeviceCode
+	 * @type {object}
+	 * @property {string} user_code The code the user needs to enter.
+	 * @property {string} verification_uri The URL the user needs to visit to enter the code.
+	 * @property {?string} verification_uri_complete A URL that already contains the code so that the user doesn't need to enter it, if supported by the provider.
+	 * @property {number} expires_in The lifetime of the code in seconds.
+	 * @property {number} interval The number of seconds to wait between the polling requests.
+	 */
+
+	/**
+	 * This function is called once the user needs to visit the verification URL and enter the code.
+	 *
+	 * @callback oidcDeviceCodeCallback
+	 * @param {OidcDeviceCode} code - The information to show to the user.
+	 * @param {OidcDeviceCodeProvider} provider - The provider the user authenticates with.
+	 */
+
+	/**
+	 * Creates a new OidcDeviceCodeProvider instance to authenticate using OpenID Connect.
+	 *
+	 * @param {Connection} connection - A Connection object representing an established connection to an openEO back-end.
+	 * @param {OidcProviderMeta} options - OpenID Connect Provider details as returned by the API.
+	 */
+	constructor(connection, options) {
+		super(connection, options);
+		this.clientId = null;
+		this.clientOptions = {};
+	}
+
+	/**
+	 * Checks whether the Device Authorization Grant can be used.
+	 *
+	 * Doesn't require any third-party library.
+	 *
+	 * @static
+	 * @returns {boolean}
+	 */
+	static isSupported() {
+		return true;
+	}
+
+	/**
+	 * Get an identifier for the auth provider (combination of the type, provider identifier and grant type).
+	 *
+	 * The grant type distinguishes the providers for the different flows of the same OpenID Connect provider,
+	 * e.g. `oidc.egi.device_code`.
+	 *
+	 * @returns {string}
+	 */
+	getId() {
+		return super.getId() + '.device_code';
+	}
+
+	/**
+	 * Authenticate with OpenID Connect (OIDC) using the Device Authorization Grant.
+	 *
+	 * Requests a device code from the OpenID Connect provider, passes the user code and
+	 * the verification URL to the callback and then waits until the user has authorized
+	 * the client. The callback is required as the library doesn't show anything to the user by itself.
+	 *
+	 * Polls the token endpoint in the interval specified by the provider and slows down
+	 * if requested by the provider.
+	 *
+	 * @async
+	 * @param {string} client_id - Your client application's identifier as registered with the OIDC provider
+	 * @param {oidcDeviceCodeCallback} userCodeCallback - A function that shows the code and the verification URL to the user.
+	 * @param {object} [options={}] - Object with authentication options, e.g. `client_secret` for confidential clients.
+	 * @param {?AbortSignal} [signal=null] - An AbortSignal to stop the authentication.
+	 * @returns {Promise<void>}
+	 * @throws {Error}
+	 */
+	async login(client_id, userCodeCallback, options = {}, signal = null) {
+		if (!client_id || typeof client_id !== 'string') {
+			throw new Error("No Client ID specified for OpenID Connect");
+		}
+		else if (typeof userCodeCallback !== 'function') {
+			throw new Error("No callback specified to show the device code to the user");
+		}
+		let discovery = await this.discover(signal);
+		this.clientId = client_id;
+		this.clientOptions = options;
+		if (typeof discovery.device_authorization_endpoint !== 'string') {
+			throw new Error("OpenID Connect provider doesn't support the Device Authorization Grant");
+		}
+
+		let codeResponse = await this.requestEndpoint(discovery.device_authorization_endpoint, {
+			client_id: client_id,
+			scope: this.getScopes().join(' ')
+		}, options, signal);
+		let code = codeResponse.data;
+		if (!Utils.isObject(code) || typeof code.device_code !== 'string' || typeof code.user_code !== 'string') {
+			throw new Error("No device code returned by the OpenID Connect provider.");
+		}
+		let info = {
+			user_code: code.user_code,
+			// Some providers use the non-standard name verification_url
+			verification_uri: code.verification_uri || code.verification_url,
+			verification_uri_complete: code.verification_uri_complete || null,
+			expires_in: code.expires_in,
+			interval: code.interval > 0 ? code.interval : 5
+		};
+		await userCodeCallback(info, this);
+
+		let interval = info.interval;
+		let expiresAt = info.expires_in > 0 ? Date.now() + info.expires_in * 1000 : Infinity;
+		while(Date.now() < expiresAt) {
+			await Utils.sleep(interval * 1000, signal);
+			try {
+				let tokenResponse = await this.requestEndpoint(discovery.token_endpoint, {
+					grant_type: 'urn:ietf:params:oauth:grant-type:device_code',
+					device_code: code.device_code,
+					client_id: client_id
+				}, options, signal);
+				this.setUser(this.createUser(tokenResponse.data));
+				return;
+			} catch (error) {
+				if (error.code === 'slow_down') {
+					interval += 5;
+				}
+				else if (error.code !== 'authorization_pending') {
+					throw error;
+				}
+			}
+		}
+		throw new Error("The device code has expired, please try again.");
+	}
+
+	/**
+	 * Checks whether the access token can be renewed without user interaction.
+	 *
+	 * Requires that the OpenID Connect provider has issued a refresh token.
+	 *
+	 * @returns {boolean}
+	 */
+	canRefresh() {
+		return this.clientId !== null && Utils.isObject(this.user) && typeof this.user.refresh_token === 'string';
+	}
+
+	/**
+	 * Renews the access token using the refresh token.
+	 *
+	 * Keeps the refresh token if the OpenID Connect provider doesn't issue a new one.
+	 *
+	 * @async
+	 * @param {?AbortSignal} [signal=null] - An AbortSignal to cancel the request.
+	 * @returns {Promise<void>}
+	 * @throws {Error}
+	 */
+	async refreshToken(signal = null) {
+		if (!this.canRefresh()) {
+			throw new Error("Can't renew the access token, no refresh token available.");
+		}
+		let discovery = await this.discover(signal);
+		let response = await this.requestEndpoint(discovery.token_endpoint, {
+			grant_type: 'refresh_token',
+			refresh_token: this.user.refresh_token,
+			client_id: this.clientId
+		}, this.clientOptions, signal);
+		let user = this.createUser(response.data);
+		if (typeof user.refresh_token !== 'string') {
+			user.refresh_token = this.user.refresh_token;
+		}
+		this.setUser(user);
+	}
+
+	/**
+	 * Returns the data to persist in the token store, including the client ID to renew the token.
+	 *
+	 * Client secrets are never stored.
+	 *
+	 * @returns {object}
+	 */
+	getStorageData() {
+		let data = super.getStorageData();
+		data.client_id = this.clientId;
+		return data;
+	}
+
+	/**
+	 * Restores the token, the OIDC user and the client ID from the data read from the token store.
+	 *
+	 * @param {object} data - The data as returned by {@link OidcDeviceCodeProvider#getStorageData}.
+	 * @returns {boolean} `true` if the token has been restored, `false` otherwise.
+	 */
+	restoreStorageData(data) {
+		this.clientId = Utils.isObject(data) && typeof data.client_id === 'string' ? data.client_id : null;
+		if (!super.restoreStorageData(data)) {
+			this.clientId = null;
+			return false;
+		}
+		return true;
+	}
+
+	/**
+	 * Logout from the established session.
+	 *
+	 * Removes the tokens, but doesn't revoke them at the OpenID Connect provider.
+	 *
+	 * @async
+	 */
+	async logout() {
+		this.setUser(null);
+	}
+
+}
+
+module.exports = OidcDeviceCodeProvider;
@@ -8,7 +8,9 @@ const Oidc = require('oidc-client');
  * See the openid-connect-popup.html and openid-connect-redirect.html files in
  * the examples folder for usage examples in the browser.
  * 
- * If you want to implement OIDC in a non-browser environment, you can override 
+ * In Node.js environments, the {@link OidcDeviceCodeProvider} is used by default instead.
+ * 
+ * If you want to implement other OIDC flows, you can override 
  * the OidcProvider or AuthProvider classes with custom behavior.
  * In this case you must provide a function that creates your new class to the
  * `Connection.setOidcProviderFactory()` method.
@@ -45,6 +47,7 @@ class OidcProvider extends AuthProvider {
 		this.links = options.links;
 		this.manager = null;
 		this.user = null;
+		this.discovery = null;
 	}
 
 	/**
@@ -131,6 +134,87 @@ class OidcProvider extends AuthProvider {
 		}
 	}
 
+	/**
+	 * Requests the OpenID Connect discovery document of the issuer.
+	 * 
+	 * The document is cached in memory.
+	 * 
+	 * @async
+	 * @param {?AbortSignal} [signal=null] - An AbortSignal to cancel the request.
+	 * @returns {Promise<object>} The OpenID Provider Metadata.
+	 * @throws {Error}
+	 */
+	async discover(signal = null) {
+		if (this.discovery === null) {
+			if (!this.issuer || typeof this.issuer !== 'string') {
+				throw new Error("No Issuer URL available for OpenID Connect");
+			}
+			let url = this.issuer;
+			if (!url.includes('/.well-known/openid-configuration')) {
+				url = url.replace(/\/$/, '') + '/.well-known/openid-configuration';
+			}
+			let response = await this.connection._send({
+				method: 'get',
+				url: url,
+				withCredentials: false,
+				signal: signal
+			});
+			if (!Utils.isObject(response.data) || typeof response.data.token_endpoint !== 'string') {
+				throw new Error("Invalid OpenID Connect discovery document, no token endpoint available.");
+			}
+			this.discovery = response.data;
+		}
+		return this.discovery;
+	}
+
+	/**
+	 * Sends a form-encoded POST request to an endpoint of the OpenID Connect provider.
+	 * 
+	 * @async
+	 * @protected
+	 * @param {string} url - The URL of the endpoint.
+	 * @param {object.<string, string>} params - The parameters to send.
+	 * @param {object} [options={}] - Object with authentication options, `client_secret` is added to the parameters.
+	 * @param {?AbortSignal} [signal=null] - An AbortSignal to cancel the request.
+	 * @returns {Promise<object>} The response.
+	 * @throws {Error}
+	 */
+	async requestEndpoint(url, params, options = {}, signal = null) {
+		let body = new URLSearchParams(params);
+		if (typeof options.client_secret === 'string') {
+			body.append('client_secret', options.client_secret);
+		}
+		return await this.connection._send({
+			method: 'post',
+			url: url,
+			data: body,
+			withCredentials: false,
+			signal: signal
+		});
+	}
+
+	/**
+	 * Converts a token response of the OpenID Connect provider into a user object.
+	 * 
+	 * The user object contains the properties of the token response and the
+	 * computed expiry time `expires_at` as UNIX timestamp in seconds.
+	 * 
+	 * @protected
+	 * @param {object} data - The token response.
+	 * @returns {object}
+	 * @throws {Error}
+	 */
+	createUser(data) {
+		if (!Utils.isObject(data) || typeof data.access_token !== 'string') {
+			throw new Error("No access_token returned by the OpenID Connect provider.");
+		}
+		let user = Object.assign({}, data);
+		if (data.expires_in > 0) {
+			user.expires_at = Math.floor(Date.now() / 1000) + data.expires_in;
+		}
+		return user;
+	}
+
 	/**
 	 * Returns the OpenID Connect / OAuth scopes.
 	 * 
@@ -171,8 +255,63 @@ class OidcProvider extends AuthProvider {
 		}
 		else {
 			this.user = user;
-			this.setToken(user.access_token);
+			this.setToken(user.access_token, user.expires_at > 0 ? user.expires_at * 1000 : null);
+		}
+	}
+
+	/**
+	 * Returns the data to persist in the token store, including the OIDC user.
+	 * 
+	 * @returns {object}
+	 */
+	getStorageData() {
+		let data = super.getStorageData();
+		data.user = this.user !== null ? JSON.parse(JSON.stringify(this.user)) : null;
+		return data;
+	}
+
+	/**
+	 * Restores the token and the OIDC user from the data read from the token store.
+	 * 
+	 * @param {object} data - The data as returned by {@link OidcProvider#getStorageData}.
+	 * @returns {boolean} `true` if the token has been restored, `false` otherwise.
+	 */
+	restoreStorageData(data) {
+		this.user = Utils.isObject(data) && Utils.isObject(data.user) ? data.user : null;
+		if (!super.restoreStorageData(data)) {
+			this.user = null;
+			return false;
+		}
+		return true;
+	}
+
+	/**
+	 * Checks whether the access token can be renewed without user interaction.
+	 * 
+	 * Requires a successful login before, tokens are renewed using silent renew of oidc-client-js.
+	 * 
+	 * @returns {boolean}
+	 */
+	canRefresh() {
+		return this.manager !== null && this.user !== null;
+	}
+
+	/**
+	 * Renews the access token without user interaction using silent renew of oidc-client-js.
+	 * 
+	 * Uses the refresh token if available, otherwise the `silent_redirect_uri` option must be set on login.
+	 * 
+	 * @async
+	 * @param {?AbortSignal} [signal=null] - Not supported by oidc-client-js, the renewal can't be canceled.
+	 * @returns {Promise<void>}
+	 * @throws {Error}
+	 * @see https://github.com/IdentityModel/oidc-client-js/wiki#usermanager
+	 */
+	async refreshToken(signal = null) { // eslint-disable-line no-unused-vars
+		if (this.manager === null) {
+			throw new Error("Can't renew the access token, please login first.");
 		}
+		this.setUser(await this.manager.signinSilent());
 	}
 
 	/**
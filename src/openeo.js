@@ -5,7 +5,12 @@ const Versions = require('@openeo/js-commons/src/versions');
 // API wrapper
 const Connection = require('./connection');
 const Job = require('./job');
+const JobQueue = require('./jobqueue');
+const JobResult = require('./jobresult');
 const Logs = require('./logs');
+const Pages = require('./pages');
+const ProcessValidator = require('./processvalidator');
+const ResultAsset = require('./resultasset');
 const UserFile = require('./userfile');
 const UserProcess = require('./userprocess');
 const Service = require('./service');
@@ -14,6 +19,24 @@ const Service = require('./service');
 const AuthProvider = require('./authprovider');
 const BasicProvider = require('./basicprovider');
 const OidcProvider = require('./oidcprovider');
+const OidcDeviceCodeProvider = require('./oidcdevicecodeprovider');
+const OidcClientCredentialsProvider = require('./oidcclientcredentialsprovider');
+
+// Token Stores
+const TokenStore = require('./tokenstores/tokenstore');
+const MemoryTokenStore = require('./tokenstores/memorytokenstore');
+const WebStorageTokenStore = require('./tokenstores/webstoragetokenstore');
+
+// Errors
+const OpenEOError = require('./errors/openeoerror');
+const AuthenticationError = require('./errors/authenticationerror');
+const NotFoundError = require('./errors/notfounderror');
+const ValidationError = require('./errors/validationerror');
+const RateLimitError = require('./errors/ratelimiterror');
+const ServerError = require('./errors/servererror');
+const AbortError = require('./errors/aborterror');
+const JobError = require('./errors/joberror');
+const TimeoutError = require('./errors/timeouterror');
 
 // Response wrapper
 const Capabilities = require('./capabilities');
@@ -24,6 +47,8 @@ const Builder = require('./builder/builder');
 const BuilderNode = require('./builder/node');
 const Parameter = require('./builder/parameter');
 const Formula = require('./builder/formula');
+const Diagram = require('./builder/diagram');
+const CodeGenerator = require('./builder/codegenerator');
 
 const MIN_API_VERSION = '1.0.0-rc.2';
 const MAX_API_VERSION = '1';
@@ -41,13 +66,16 @@ class OpenEO {
 	 * Includes version discovery (request to `GET /well-known/openeo`) and connects to the most suitable version compatible to this JS client version.
 	 * Requests the capabilities and authenticates where required.
 	 * 
+	 * If a token store is given, the authentication is restored from the store.
+	 * 
 	 * @async
 	 * @param {string} url - The server URL to connect to.
+	 * @param {?TokenStore} [tokenStore=null] - A store to persist the access tokens in, e.g. `OpenEO.Environment.getDefaultTokenStore()`.
 	 * @returns {Promise<Connection>}
 	 * @throws {Error}
 	 * @static
 	 */
-	static async connect(url) {
+	static async connect(url, tokenStore = null) {
 		let wellKnownUrl = Utils.normalizeUrl(url, '/.well-known/openeo');
 		let response = null;
 		try {
@@ -70,7 +98,7 @@ class OpenEO {
 			}
 		}
 
-		return await OpenEO.connectDirect(url);
+		return await OpenEO.connectDirect(url, tokenStore);
 	}
 
 	/**
@@ -78,14 +106,17 @@ class OpenEO {
 	 * 
 	 * Doesn't do version discovery, therefore a URL of a versioned API must be specified. Requests the capabilities and authenticates where required.
 	 * 
+	 * If a token store is given, the authentication is restored from the store.
+	 * 
 	 * @async
 	 * @param {string} versionedUrl - The server URL to connect to.
+	 * @param {?TokenStore} [tokenStore=null] - A store to persist the access tokens in, e.g. `OpenEO.Environment.getDefaultTokenStore()`.
 	 * @returns {Promise<Connection>}
 	 * @throws {Error}
 	 * @static
 	 */
-	static async connectDirect(versionedUrl) {
-		let connection = new Connection(versionedUrl);
+	static async connectDirect(versionedUrl, tokenStore = null) {
+		let connection = new Connection(versionedUrl, tokenStore);
 
 		// Check whether back-end is accessible and supports a compatible version.
 		let capabilities = await connection.init();
@@ -93,6 +124,10 @@ class OpenEO {
 			throw new Error("Client only supports the API versions between " + MIN_API_VERSION + " and " + MAX_API_VERSION);
 		}
 
+		if (tokenStore !== null) {
+			await connection.restoreAuthentication();
+		}
+
 		return connection;
 	}
 
@@ -118,14 +153,35 @@ module.exports = {
 	Connection,
 	FileTypes,
 	Job,
+	JobQueue,
+	JobResult,
 	Logs,
 	OidcProvider,
+	OidcDeviceCodeProvider,
+	OidcClientCredentialsProvider,
 	OpenEO,
+	Pages,
+	ProcessValidator,
+	ResultAsset,
+	OpenEOError,
+	AuthenticationError,
+	NotFoundError,
+	ValidationError,
+	RateLimitError,
+	ServerError,
+	AbortError,
+	JobError,
+	TimeoutError,
+	TokenStore,
+	MemoryTokenStore,
+	WebStorageTokenStore,
 	Service,
 	UserFile,
 	UserProcess,
 	Builder,
 	BuilderNode,
 	Parameter,
-	Formula
+	Formula,
+	Diagram,
+	CodeGenerator
 };
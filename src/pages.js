@@ -0,0 +1,128 @@
+const Utils = require('./utils');
+
+/**
+ * Interface to loop through the pages of a paginated list, e.g. the batch jobs.
+ *
+ * Follows the links with relation type `next` as specified by the API.
+ *
+ * Pages can be iterated with `for await`, for example:
+ *
+ * ```
+ * for await (let jobs of con.paginateJobs(100)) {
+ *   // jobs is an array of up to 100 Job instances
+ * }
+ * ```
+ */
+class Pages {
+
+	/**
+	 * Creates a new Pages instance to retrieve the pages of a paginated list from the back-end.
+	 *
+	 * @param {Connection} connection - A Connection object representing an established connection to an openEO back-end.
+	 * @param {string} endpoint - The relative endpoint to request the first page from, e.g. `/jobs`.
+	 * @param {string} key - The property in the response that contains the list, e.g. `jobs`.
+	 * @param {Function} [mapper=null] - A function that converts each element of the list, e.g. into a `Job`.
+	 * @param {?number} [limit=null] - The maximum number of elements per page, as integer. Uses the back-end default if not set.
+	 * @param {?AbortSignal} [signal=null] - An AbortSignal to cancel the requests.
+	 */
+	constructor(connection, endpoint, key, mapper = null, limit = null, signal = null) {
+		/**
+		 * @protected
+		 * @type {Connection}
+		 */
+		this.connection = connection;
+		this.endpoint = endpoint;
+		this.key = key;
+		this.mapper = typeof mapper === 'function' ? mapper : (x => x);
+		this.limit = limit;
+		this.signal = signal;
+		this.nextUrl = endpoint;
+		this.requestedUrls = [];
+		this.response = null;
+	}
+
+	/**
+	 * Checks whether another page can be retrieved.
+	 *
+	 * @returns {boolean}
+	 */
+	hasNextPage() {
+		return this.nextUrl !== null;
+	}
+
+	/**
+	 * Retrieves the next page.
+	 *
+	 * Returns an empty array if there are no more pages.
+	 *
+	 * @async
+	 * @returns {Promise<Array>} The converted elements of the page.
+	 * @throws {Error}
+	 */
+	async nextPage() {
+		if (!this.hasNextPage()) {
+			return [];
+		}
+		let query = null;
+		if (this.nextUrl === this.endpoint && this.limit > 0) {
+			query = {limit: this.limit};
+		}
+		this.requestedUrls.push(this.nextUrl);
+		let response = await this.connection._get(this.nextUrl, query, null, this.signal);
+		let data = Utils.isObject(response.data) ? response.data : {};
+		this.response = data;
+
+		let next = Array.isArray(data.links) ? data.links.find(link => Utils.isObject(link) && link.rel === 'next' && typeof link.href === 'string') : undefined;
+		// Stop if the back-end links to a page that has already been requested to avoid infinite loops
+		this.nextUrl = next && !this.requestedUrls.includes(next.href) ? next.href : null;
+
+		let list = Array.isArray(data[this.key]) ? data[this.key] : [];
+		return list.map(this.mapper);
+	}
+
+	/**
+	 * Retrieves all remaining pages and returns the elements as a single list.
+	 *
+	 * @async
+	 * @returns {Promise<Array>} The converted elements of all pages.
+	 * @throws {Error}
+	 */
+	async all() {
+		let list = [];
+		while(this.hasNextPage()) {
+			let page = await this.nextPage();
+			list = list.concat(page);
+		}
+		return list;
+	}
+
+	/**
+	 * Returns the full response for the page that has been retrieved last.
+	 *
+	 * Returns `null` if no page has been retrieved yet.
+	 *
+	 * @returns {?object}
+	 */
+	getResponse() {
+		return this.response;
+	}
+
+	/**
+	 * Returns an async iterator that retrieves the pages one after another.
+	 *
+	 * @returns {AsyncIterator<Array>}
+	 */
+	[Symbol.asyncIterator]() {
+		return {
+			next: async () => {
+				if (!this.hasNextPage()) {
+					return {done: true, value: undefined};
+				}
+				return {done: false, value: await this.nextPage()};
+			}
+		};
+	}
+
+}
+
+module.exports = Pages;
@@ -0,0 +1,577 @@
+const Utils = require('./utils');
+const ProcessUtils = require('@openeo/js-commons/src/processUtils');
+
+/**
+ * The messages of the errors reported by the validator.
+ *
+ * Uses the codes and messages of the openEO API where available.
+ *
+ * @type {object.<string, string>}
+ * @ignore
+ */
+const ERRORS = {
+	ProcessGraphMissing: "No valid process graph specified.",
+	ProcessGraphInvalid: "The node '{node_id}' is invalid: {reason}",
+	ProcessGraphCycle: "The process graph of {graph} contains a cycle: {cycle}.",
+	ResultNodeMissing: "No result node found for {graph}.",
+	MultipleResultNodes: "Multiple result nodes specified for {graph}: {node_ids}.",
+	ProcessUnsupported: "Process with identifier '{process}' is not available in namespace '{namespace}' (node '{node_id}').",
+	ProcessArgumentRequired: "Process '{process}' requires argument '{argument}' (node '{node_id}').",
+	ProcessArgumentUnsupported: "Process '{process}' does not support argument '{argument}' (node '{node_id}').",
+	ProcessArgumentInvalid: "The argument '{argument}' in process '{process}' is invalid (node '{node_id}'): {reason}",
+	ReferencedNodeMissing: "Referenced node '{reference}' doesn't exist (node '{node_id}').",
+	ProcessGraphParameterMissing: "Invalid parameter '{reference}' requested in the process '{process}' (node '{node_id}')."
+};
+
+/**
+ * The parameters that are available in a process graph.
+ *
+ * @typedef ProcessValidatorScope
+ * @type {object}
+ * @property {string[]} names The names of the parameters.
+ * @property {boolean} complete `false` if further parameters may be available, which are unknown to the validator.
+ * @ignore
+ */
+
+/**
+ * Validates processes against the process specifications without a request to the back-end.
+ *
+ * The following is checked:
+ * - The process graph contains exactly one result node and no cycles.
+ * - The processes are available, i.e. a specification is given for the process identifier and namespace.
+ * - All required arguments are given and no unsupported arguments are given.
+ * - Arguments that are given as literal values comply to the JSON schemas of the parameters.
+ * - References to other nodes (`from_node`) and to parameters (`from_parameter`) exist.
+ * - The process graphs of callbacks, recursively.
+ *
+ * The errors are API compatible error objects with the properties `code` and `message`,
+ * i.e. they can be handled the same way as the errors returned by {@link Connection#validateProcess}.
+ * The identifiers of nodes in callbacks are given as path, e.g. `reduce1/reducer/mean1`.
+ *
+ * Parameters of the process can only be checked if the process defines them in `parameters`.
+ */
+class ProcessValidator {
+
+	/**
+	 * Creates a new validator.
+	 *
+	 * Processes with a `namespace` property are only used for nodes with the same namespace.
+	 * Nodes without namespace fall back to processes in the namespace `user`.
+	 *
+	 * @param {Array|object} processes - Either an array containing processes or an object compatible with `GET /processes` of the API.
+	 * @throws {Error}
+	 */
+	constructor(processes) {
+		if (Utils.isObject(processes) && Array.isArray(processes.processes)) {
+			processes = processes.processes;
+		}
+		if (!Array.isArray(processes)) {
+			throw new Error("Processes are invalid; must be array or object according to API.");
+		}
+		/**
+		 * The process specifications.
+		 * @public
+		 * @readonly
+		 * @type {object[]}
+		 */
+		this.processes = processes.filter(process => Utils.isObject(process) && typeof process.id === 'string');
+	}
+
+	/**
+	 * Returns the process specification for the given process identifier and namespace.
+	 *
+	 * @param {string} id
+	 * @param {?string} [namespace=null] - The namespace of the process, `null` for the pre-defined processes.
+	 * @returns {?object}
+	 */
+	spec(id, namespace = null) {
+		let find = ns => this.processes.find(process => process.id === id && (process.namespace || null) === (ns || null));
+		let spec = find(namespace);
+		if (!spec && !namespace) {
+			spec = find('user');
+		}
+		return spec || null;
+	}
+
+	/**
+	 * Validates a process.
+	 *
+	 * @param {object} process - The user-defined process or just the process graph, e.g. the output of {@link Builder#toJSON}. Objects with a `toJSON` method (e.g. `Builder` or `UserProcess`) are converted automatically.
+	 * @returns {object[]} A list of API compatible error objects. A valid process returns an empty list.
+	 */
+	validate(process) {
+		process = ProcessValidator.normalize(process);
+		let errors = [];
+		if (!Utils.isObject(process.process_graph) || Utils.size(process.process_graph) === 0) {
+			this.addError(errors, 'ProcessGraphMissing');
+			return errors;
+		}
+		let scope = {
+			names: Array.isArray(process.parameters) ? process.parameters.filter(p => Utils.isObject(p)).map(p => p.name) : [],
+			complete: Array.isArray(process.parameters)
+		};
+		this.validateGraph(process.process_graph, scope, errors, 'the process', []);
+		return errors;
+	}
+
+	/**
+	 * Validates a process graph, including the process graphs of callbacks.
+	 *
+	 * @protected
+	 * @param {object} graph - The process graph.
+	 * @param {ProcessValidatorScope} scope - The parameters available in the process graph.
+	 * @param {object[]} errors - The list to add the errors to.
+	 * @param {string} name - A human-readable name of the process graph for the error messages.
+	 * @param {string[]} path - The path to the process graph, i.e. the node identifiers and argument names of the parents.
+	 */
+	validateGraph(graph, scope, errors, name, path) {
+		let resultNodes = [];
+		let valid = {};
+		for(let id in graph) {
+			let node = graph[id];
+			let nodeId = path.concat([id]).join('/');
+			if (!Utils.isObject(node)) {
+				this.addError(errors, 'ProcessGraphInvalid', {node_id: nodeId, reason: "Must be an object."});
+			}
+			else if (typeof node.process_id !== 'string' || node.process_id.length === 0) {
+				this.addError(errors, 'ProcessGraphInvalid', {node_id: nodeId, reason: "The process identifier is missing."});
+			}
+			else if (typeof node.arguments !== 'undefined' && !Utils.isObject(node.arguments)) {
+				this.addError(errors, 'ProcessGraphInvalid', {node_id: nodeId, reason: "The arguments must be an object."});
+			}
+			else {
+				valid[id] = node;
+				if (node.result === true) {
+					resultNodes.push(id);
+				}
+			}
+		}
+
+		if (resultNodes.length === 0) {
+			this.addError(errors, 'ResultNodeMissing', {graph: name});
+		}
+		else if (resultNodes.length > 1) {
+			this.addError(errors, 'MultipleResultNodes', {graph: name, node_ids: resultNodes.map(id => "'" + id + "'").join(', ')});
+		}
+
+		let cycle = ProcessValidator.findCycle(valid);
+		if (cycle) {
+			this.addError(errors, 'ProcessGraphCycle', {graph: name, cycle: cycle.join(' -> ')});
+		}
+
+		for(let id in valid) {
+			this.validateNode(valid[id], graph, scope, errors, path.concat([id]));
+		}
+	}
+
+	/**
+	 * Validates a node of a process graph.
+	 *
+	 * @protected
+	 * @param {object} node - The node to validate.
+	 * @param {object} graph - The process graph that contains the node.
+	 * @param {ProcessValidatorScope} scope - The parameters available in the process graph.
+	 * @param {object[]} errors - The list to add the errors to.
+	 * @param {string[]} path - The path to the node.
+	 */
+	validateNode(node, graph, scope, errors, path) {
+		let args = Utils.isObject(node.arguments) ? node.arguments : {};
+		let namespace = node.namespace || null;
+		let spec = this.spec(node.process_id, namespace);
+		let vars = {
+			node_id: path.join('/'),
+			process: node.process_id,
+			namespace: namespace || 'backend'
+		};
+		let params = spec && Array.isArray(spec.parameters) ? spec.parameters.filter(p => Utils.isObject(p)) : null;
+		if (!spec) {
+			this.addError(errors, 'ProcessUnsupported', vars);
+		}
+		else if (params) {
+			for(let param of params) {
+				if (typeof args[param.name] === 'undefined' && !param.optional && typeof param.default === 'undefined') {
+					this.addError(errors, 'ProcessArgumentRequired', Object.assign({argument: param.name}, vars));
+				}
+			}
+		}
+
+		for(let name in args) {
+			let param = params ? params.find(p => p.name === name) : null;
+			let argVars = Object.assign({argument: name}, vars);
+			if (params && !param) {
+				this.addError(errors, 'ProcessArgumentUnsupported', argVars);
+			}
+			else if (param) {
+				let reason = ProcessValidator.checkSchema(args[name], param.schema);
+				if (reason !== null) {
+					this.addError(errors, 'ProcessArgumentInvalid', Object.assign({reason}, argVars));
+				}
+			}
+			this.validateReferences(args[name], param || null, graph, scope, errors, path.concat([name]), argVars);
+		}
+	}
+
+	/**
+	 * Validates the references to nodes and parameters in an argument and the process graphs of callbacks.
+	 *
+	 * @protected
+	 * @param {*} value - The value of the argument.
+	 * @param {?object} param - The specification of the parameter.
+	 * @param {object} graph - The process graph that contains the node.
+	 * @param {ProcessValidatorScope} scope - The parameters available in the process graph.
+	 * @param {object[]} errors - The list to add the errors to.
+	 * @param {string[]} path - The path to the argument.
+	 * @param {object} vars - The variables for the error messages.
+	 */
+	validateReferences(value, param, graph, scope, errors, path, vars) {
+		if (Array.isArray(value)) {
+			value.forEach(v => this.validateReferences(v, param, graph, scope, errors, path, vars));
+		}
+		else if (!Utils.isObject(value)) {
+			// Scalar values don't contain references
+		}
+		else if (typeof value.from_node === 'string') {
+			if (!Utils.isObject(graph[value.from_node])) {
+				this.addError(errors, 'ReferencedNodeMissing', Object.assign({}, vars, {reference: value.from_node}));
+			}
+		}
+		else if (typeof value.from_parameter === 'string') {
+			if (scope.complete && !scope.names.includes(value.from_parameter)) {
+				this.addError(errors, 'ProcessGraphParameterMissing', Object.assign({}, vars, {reference: value.from_parameter}));
+			}
+		}
+		else if (Utils.isObject(value.process_graph)) {
+			let callbackScope = {
+				names: scope.names.slice(0),
+				complete: scope.complete && param !== null
+			};
+			try {
+				callbackScope.names = callbackScope.names.concat(ProcessUtils.getCallbackParameters(param).map(p => p.name));
+			} catch (error) {
+				callbackScope.complete = false;
+			}
+			let name = "the callback '" + vars.argument + "' of node '" + vars.node_id + "'";
+			this.validateGraph(value.process_graph, callbackScope, errors, name, path);
+		}
+		else {
+			for(let key in value) {
+				this.validateReferences(value[key], param, graph, scope, errors, path, vars);
+			}
+		}
+	}
+
+	/**
+	 * Adds an error to the list of errors.
+	 *
+	 * @protected
+	 * @param {object[]} errors - The list to add the error to.
+	 * @param {string} code - The error code.
+	 * @param {object} [vars={}] - The values of the placeholders in the error message.
+	 */
+	addError(errors, code, vars = {}) {
+		errors.push({
+			code,
+			message: Utils.replacePlaceholders(ERRORS[code], vars)
+		});
+	}
+
+	/**
+	 * Converts a process into a plain object with a `process_graph` property.
+	 *
+	 * @static
+	 * @param {*} process - The user-defined process, just the process graph or an object with a `toJSON` method.
+	 * @returns {object}
+	 */
+	static normalize(process) {
+		if (Utils.isObject(process) && typeof process.toJSON === 'function') {
+			process = process.toJSON();
+		}
+		if (!Utils.isObject(process)) {
+			return {};
+		}
+		if (!Utils.isObject(process.process_graph) && !Array.isArray(process.parameters)) {
+			return {process_graph: process};
+		}
+		return process;
+	}
+
+	/**
+	 * Returns the namespaces of all processes used in a process, including the callbacks.
+	 *
+	 * @static
+	 * @param {*} process - The user-defined process, just the process graph or an object with a `toJSON` method.
+	 * @returns {string[]}
+	 */
+	static getNamespaces(process) {
+		let namespaces = [];
+		let collect = value => {
+			if (Array.isArray(value)) {
+				value.forEach(collect);
+			}
+			else if (Utils.isObject(value)) {
+				if (typeof value.process_id === 'string' && typeof value.namespace === 'string' && value.namespace.length > 0) {
+					namespaces.push(value.namespace);
+				}
+				Object.values(value).forEach(collect);
+			}
+		};
+		collect(ProcessValidator.normalize(process).process_graph);
+		return Utils.unique(namespaces);
+	}
+
+	/**
+	 * Checks whether a value is a reference to a node or parameter or a callback.
+	 *
+	 * The values of those can't be checked against the JSON schemas without executing the process.
+	 *
+	 * @static
+	 * @param {*} value
+	 * @returns {boolean}
+	 */
+	static isReference(value) {
+		return Utils.isObject(value) && (typeof value.from_node === 'string' || typeof value.from_parameter === 'string' || Utils.isObject(value.process_graph));
+	}
+
+	/**
+	 * Finds a cycle in a process graph.
+	 *
+	 * Only considers the references to other nodes in the process graph, not in the process graphs of callbacks.
+	 *
+	 * @static
+	 * @param {object} graph - The process graph.
+	 * @returns {?Array.<string>} The node identifiers that form the cycle, the first node is repeated at the end. `null` if there's no cycle.
+	 */
+	static findCycle(graph) {
+		let dependencies = id => {
+			let refs = [];
+			let collect = value => {
+				if (Array.isArray(value)) {
+					value.forEach(collect);
+				}
+				else if (Utils.isObject(value) && typeof value.from_node === 'string') {
+					refs.push(value.from_node);
+				}
+				else if (Utils.isObject(value) && !Utils.isObject(value.process_graph)) {
+					Object.values(value).forEach(collect);
+				}
+			};
+			collect(graph[id].arguments);
+			return refs.filter(ref => Utils.isObject(graph[ref]));
+		};
+		// The nodes that have been checked completely and the nodes on the current path
+		let visited = [];
+		let stack = [];
+		let visit = id => {
+			let pos = stack.indexOf(id);
+			if (pos !== -1) {
+				return stack.slice(pos).concat([id]);
+			}
+			if (visited.includes(id)) {
+				return null;
+			}
+			stack.push(id);
+			for(let ref of dependencies(id)) {
+				let cycle = visit(ref);
+				if (cycle) {
+					return cycle;
+				}
+			}
+			stack.pop();
+			visited.push(id);
+			return null;
+		};
+		for(let id in graph) {
+			let cycle = visit(id);
+			if (cycle) {
+				return cycle.reverse();
+			}
+		}
+		return null;
+	}
+
+	/**
+	 * Checks a value against a JSON schema.
+	 *
+	 * Supports the commonly used keywords of JSON schema for openEO processes, e.g. `type`, `enum`, `minimum`, `pattern`,
+	 * `items`, `required` and `properties`. References to nodes and parameters and callbacks are always valid.
+	 *
+	 * @static
+	 * @param {*} value - The value to check.
+	 * @param {?object|Array} schema - The JSON schema, an array is handled like `anyOf`.
+	 * @returns {?string} The reason why the value is invalid, `null` if the value is valid.
+	 */
+	static checkSchema(value, schema) {
+		if (ProcessValidator.isReference(value)) {
+			return null;
+		}
+		let schemas = ProcessUtils.normalizeJsonSchema(schema, true);
+		if (schemas.length === 0) {
+			return null;
+		}
+		let reasons = [];
+		for(let s of schemas) {
+			let reason = ProcessValidator.checkSingleSchema(value, s);
+			if (reason === null) {
+				return null;
+			}
+			// Prefer the reasons of the schemas that allow the data type of the value
+			if (typeof s.type !== 'string' || ProcessValidator.isType(value, s.type)) {
+				reasons.push(reason);
+			}
+		}
+		if (reasons.length > 0) {
+			return reasons[0];
+		}
+		let types = Utils.unique(schemas.map(s => s.type));
+		return "Expected " + types.join(' or ') + ", but got " + ProcessValidator.getType(value) + ".";
+	}
+
+	/**
+	 * Checks a value against a single JSON schema without `anyOf`, `oneOf`, `allOf` and multiple types.
+	 *
+	 * @protected
+	 * @static
+	 * @param {*} value - The value to check.
+	 * @param {object} schema - The JSON schema.
+	 * @returns {?string} The reason why the value is invalid, `null` if the value is valid.
+	 */
+	static checkSingleSchema(value, schema) {
+		if (typeof schema.type === 'string' && !ProcessValidator.isType(value, schema.type)) {
+			return "Expected " + schema.type + ", but got " + ProcessValidator.getType(value) + ".";
+		}
+		if (Array.isArray(schema.enum) && !schema.enum.some(allowed => Utils.equals(allowed, value))) {
+			return "Must be one of: " + schema.enum.map(allowed => JSON.stringify(allowed)).join(', ') + ".";
+		}
+		if (typeof schema.const !== 'undefined' && !Utils.equals(schema.const, value)) {
+			return "Must be " + JSON.stringify(schema.const) + ".";
+		}
+		if (typeof value === 'number') {
+			if (typeof schema.minimum === 'number' && value < schema.minimum) {
+				return "Must be greater than or equal to " + schema.minimum + ".";
+			}
+			if (typeof schema.maximum === 'number' && value > schema.maximum) {
+				return "Must be less than or equal to " + schema.maximum + ".";
+			}
+			if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) {
+				return "Must be greater than " + schema.exclusiveMinimum + ".";
+			}
+			if (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum) {
+				return "Must be less than " + schema.exclusiveMaximum + ".";
+			}
+		}
+		else if (typeof value === 'string') {
+			if (typeof schema.minLength === 'number' && value.length < schema.minLength) {
+				return "Must have at least " + schema.minLength + " characters.";
+			}
+			if (typeof schema.maxLength === 'number' && value.length > schema.maxLength) {
+				return "Must have at most " + schema.maxLength + " characters.";
+			}
+			if (typeof schema.pattern === 'string') {
+				let regexp;
+				try {
+					regexp = new RegExp(schema.pattern, 'u');
+				} catch (error) {
+					regexp = null; // Patterns that are not supported by JavaScript are ignored
+				}
+				if (regexp && !regexp.test(value)) {
+					return "Must match the pattern " + schema.pattern + ".";
+				}
+			}
+		}
+		else if (Array.isArray(value)) {
+			if (typeof schema.minItems === 'number' && value.length < schema.minItems) {
+				return "Must have at least " + schema.minItems + " elements.";
+			}
+			if (typeof schema.maxItems === 'number' && value.length > schema.maxItems) {
+				return "Must have at most " + schema.maxItems + " elements.";
+			}
+			for(let i = 0; i < value.length; i++) {
+				let items = Array.isArray(schema.items) ? schema.items[i] : schema.items;
+				if (Utils.isObject(items) || Array.isArray(items)) {
+					let reason = ProcessValidator.checkSchema(value[i], items);
+					if (reason !== null) {
+						return "Element " + i + ": " + reason;
+					}
+				}
+			}
+		}
+		else if (Utils.isObject(value)) {
+			if (Array.isArray(schema.required)) {
+				let missing = schema.required.filter(key => typeof value[key] === 'undefined');
+				if (missing.length > 0) {
+					return "Missing required properties: " + missing.join(', ') + ".";
+				}
+			}
+			let properties = Utils.isObject(schema.properties) ? schema.properties : {};
+			for(let key in value) {
+				let reason = null;
+				if (Utils.isObject(properties[key])) {
+					reason = ProcessValidator.checkSchema(value[key], properties[key]);
+				}
+				else if (schema.additionalProperties === false) {
+					reason = "Not allowed.";
+				}
+				else if (Utils.isObject(schema.additionalProperties)) {
+					reason = ProcessValidator.checkSchema(value[key], schema.additionalProperties);
+				}
+				if (reason !== null) {
+					return "Property '" + key + "': " + reason;
+				}
+			}
+		}
+		return null;
+	}
+
+	/**
+	 * Checks whether a value is of the given JSON schema type.
+	 *
+	 * @protected
+	 * @static
+	 * @param {*} value
+	 * @param {string} type - The JSON schema type, e.g. `integer` or `object`.
+	 * @returns {boolean}
+	 */
+	static isType(value, type) {
+		switch(type) {
+			case 'integer':
+				return Number.isInteger(value);
+			case 'number':
+				return typeof value === 'number' && Number.isFinite(value);
+			case 'array':
+				return Array.isArray(value);
+			case 'object':
+				return Utils.isObject(value);
+			case 'null':
+				return value === null;
+			case 'string':
+			case 'boolean':
+				return typeof value === type;
+			default:
+				return true;
+		}
+	}
+
+	/**
+	 * Returns the JSON schema type of a value.
+	 *
+	 * @protected
+	 * @static
+	 * @param {*} value
+	 * @returns {string}
+	 */
+	static getType(value) {
+		if (value === null) {
+			return 'null';
+		}
+		else if (Array.isArray(value)) {
+			return 'array';
+		}
+		else if (Number.isInteger(value)) {
+			return 'integer';
+		}
+		return typeof value;
+	}
+
+}
+
+module.exports = ProcessValidator;
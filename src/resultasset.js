@@ -0,0 +1,253 @@
+const Utils = require('./utils');
+
+/**
+ * Parses a compact date as used in signed URLs, e.g. `20200101T120000Z`.
+ *
+ * @param {string} str
+ * @returns {?Date}
+ * @ignore
+ */
+function parseCompactDate(str) {
+	let match = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/.exec(str);
+	if (!match) {
+		return null;
+	}
+	return new Date(Date.UTC(match[1], match[2] - 1, match[3], match[4], match[5], match[6]));
+}
+
+/**
+ * Parses a date, returns `null` for invalid dates.
+ *
+ * @param {*} value
+ * @returns {?Date}
+ * @ignore
+ */
+function parseDate(value) {
+	if (typeof value !== 'string' && typeof value !== 'number') {
+		return null;
+	}
+	let date = new Date(value);
+	return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * A file (STAC Asset) of the results of a batch job.
+ *
+ * Contains all properties of the STAC Asset as provided by the back-end, e.g. `href`, `type` or `file:size`.
+ * The methods give access to the commonly used information, which is partially inherited from the STAC Item or Collection.
+ */
+class ResultAsset {
+
+	/**
+	 * Creates a new asset object.
+	 *
+	 * @param {string} key - The key of the asset in the STAC Item or Collection.
+	 * @param {object} data - The STAC Asset.
+	 * @param {?JobResult} [result=null] - The STAC Item or Collection the asset belongs to.
+	 */
+	constructor(key, data, result = null) {
+		Object.assign(this, data);
+		/**
+		 * The URL of the file.
+		 * @public
+		 * @readonly
+		 * @type {string}
+		 */
+		this.href = data.href;
+		/**
+		 * The media type of the file.
+		 * @public
+		 * @readonly
+		 * @type {?string}
+		 */
+		this.type = typeof data.type === 'string' ? data.type : null;
+		/**
+		 * @public
+		 * @readonly
+		 * @type {?string}
+		 */
+		this.title = typeof data.title === 'string' ? data.title : null;
+		/**
+		 * The roles of the file, e.g. `data`, `metadata` or `thumbnail`.
+		 * @public
+		 * @readonly
+		 * @type {string[]}
+		 */
+		this.roles = Array.isArray(data.roles) ? data.roles : [];
+		Object.defineProperty(this, 'key', {value: key});
+		Object.defineProperty(this, 'result', {value: result});
+		Object.defineProperty(this, 'data', {value: data});
+	}
+
+	/**
+	 * Returns the key of the asset in the STAC Item or Collection.
+	 *
+	 * @returns {string}
+	 */
+	getKey() {
+		return this.key;
+	}
+
+	/**
+	 * Checks whether the asset has the given role.
+	 *
+	 * @param {string} role - The role, e.g. `data`.
+	 * @returns {boolean}
+	 */
+	hasRole(role) {
+		return this.roles.includes(role);
+	}
+
+	/**
+	 * Returns the media type of the file, without parameters.
+	 *
+	 * For example, `image/tiff` is returned for `image/tiff; application=geotiff`.
+	 *
+	 * @returns {?string}
+	 */
+	getMediaType() {
+		return this.type ? this.type.split(';')[0].trim().toLowerCase() : null;
+	}
+
+	/**
+	 * Returns the size of the file in bytes, if provided by the back-end.
+	 *
+	 * @returns {?number}
+	 */
+	getSize() {
+		let size = this['file:size'];
+		return Number.isInteger(size) && size >= 0 ? size : null;
+	}
+
+	/**
+	 * Returns the checksum (hex-encoded multihash) of the file, if provided by the back-end.
+	 *
+	 * @returns {?string}
+	 */
+	getChecksum() {
+		return typeof this['file:checksum'] === 'string' ? this['file:checksum'] : null;
+	}
+
+	/**
+	 * Returns the bands contained in the file.
+	 *
+	 * Combines the STAC fields `bands`, `eo:bands` and `raster:bands` of the asset,
+	 * falls back to the bands specified for the STAC Item or Collection.
+	 *
+	 * @returns {object[]}
+	 */
+	getBands() {
+		let bands = ResultAsset.mergeBands(this);
+		if (bands.length === 0 && this.result) {
+			return this.result.getBands();
+		}
+		return bands;
+	}
+
+	/**
+	 * Returns the projection information of the file.
+	 *
+	 * Contains the fields of the STAC projection extension without the prefix `proj:`, e.g. `epsg`, `code`, `shape` or `transform`.
+	 * Falls back to the fields specified for the STAC Item.
+	 * Returns `null` if no projection information is available.
+	 *
+	 * @returns {?object}
+	 */
+	getProjection() {
+		let proj = {};
+		let sources = [this.result ? this.result.properties : {}, this];
+		for(let source of sources) {
+			for(let field in source) {
+				if (field.startsWith('proj:')) {
+					proj[field.substr(5)] = source[field];
+				}
+			}
+		}
+		return Utils.size(proj) > 0 ? proj : null;
+	}
+
+	/**
+	 * Returns the date and time the link to the file expires.
+	 *
+	 * Uses the field `expires`, if present, otherwise detects the expiry from signed URLs
+	 * (AWS S3, Google Cloud Storage, Azure Blob Storage and URLs with an `Expires` timestamp).
+	 * Falls back to the expiry of the STAC Item or Collection.
+	 *
+	 * @returns {?Date}
+	 */
+	getExpiry() {
+		let expires = parseDate(this.expires);
+		if (expires) {
+			return expires;
+		}
+		let url;
+		try {
+			url = new URL(this.href);
+		} catch (error) {
+			url = null;
+		}
+		if (url) {
+			let query = {};
+			url.searchParams.forEach((value, name) => {
+				query[name.toLowerCase()] = value;
+			});
+			for(let prefix of ['x-amz-', 'x-goog-']) {
+				let date = parseCompactDate(query[prefix + 'date']);
+				let seconds = parseInt(query[prefix + 'expires'], 10);
+				if (date && seconds >= 0) {
+					return new Date(date.getTime() + seconds * 1000);
+				}
+			}
+			if (/^\d+$/.test(query.expires)) {
+				return new Date(parseInt(query.expires, 10) * 1000);
+			}
+			if (query.se) {
+				expires = parseDate(query.se);
+				if (expires) {
+					return expires;
+				}
+			}
+		}
+		return this.result ? this.result.getExpiry(false) : null;
+	}
+
+	/**
+	 * Checks whether the link to the file has expired.
+	 *
+	 * @param {number} [margin=0] - Consider the link as expired if it expires within the given number of seconds.
+	 * @returns {boolean}
+	 */
+	isExpired(margin = 0) {
+		let expires = this.getExpiry();
+		return expires !== null && expires.getTime() <= Date.now() + margin * 1000;
+	}
+
+	/**
+	 * Returns the STAC Asset as provided by the back-end.
+	 *
+	 * @returns {object}
+	 */
+	toJSON() {
+		return Object.assign({}, this.data);
+	}
+
+	/**
+	 * Combines the bands specified in the STAC fields `bands`, `eo:bands` and `raster:bands`.
+	 *
+	 * @static
+	 * @param {object} obj - The object containing the fields.
+	 * @returns {object[]}
+	 */
+	static mergeBands(obj) {
+		let lists = ['raster:bands', 'eo:bands', 'bands'].map(field => (Array.isArray(obj[field]) ? obj[field] : []));
+		let count = Math.max(...lists.map(list => list.length));
+		let bands = [];
+		for(let i = 0; i < count; i++) {
+			bands.push(Object.assign({}, ...lists.map(list => (Utils.isObject(list[i]) ? list[i] : {}))));
+		}
+		return bands;
+	}
+
+}
+
+module.exports = ResultAsset;
@@ -110,11 +110,12 @@ class Service extends BaseEntity {
 	 * Updates the data stored in this object by requesting the secondary web service metadata from the back-end.
 	 * 
 	 * @async
+	 * @param {?AbortSignal} [signal=null] - An AbortSignal to cancel the request.
 	 * @returns {Promise<Service>} The updates service object (this).
 	 * @throws {Error}
 	 */
-	async describeService() {
-		let response = await this.connection._get('/services/' + this.id);
+	async describeService(signal = null) {
+		let response = await this.connection._get('/services/' + this.id, null, null, signal);
 		return this.setAll(response.data);
 	}
 
@@ -130,13 +131,14 @@ class Service extends BaseEntity {
 	 * @param {object} parameters.configuration - A new set of configuration parameters to set for the service.
 	 * @param {string} parameters.plan - A new plan.
 	 * @param {number} parameters.budget - A new budget.
+	 * @param {?AbortSignal} [signal=null] - An AbortSignal to cancel the request.
 	 * @returns {Promise<Service>} The updated service object (this).
 	 * @throws {Error}
 	 */
-	async updateService(parameters) {
-		await this.connection._patch('/services/' + this.id, this._convertToRequest(parameters));
+	async updateService(parameters, signal = null) {
+		await this.connection._patch('/services/' + this.id, this._convertToRequest(parameters), signal);
 		if (this._supports('describeService')) {
-			return await this.describeService();
+			return await this.describeService(signal);
 		}
 		else {
 			return this.setAll(parameters);
@@ -147,19 +149,22 @@ class Service extends BaseEntity {
 	 * Deletes the secondary web service from the back-end.
 	 * 
 	 * @async
+	 * @param {?AbortSignal} [signal=null] - An AbortSignal to cancel the request.
 	 * @throws {Error}
 	 */
-	async deleteService() {
-		await this.connection._delete('/services/' + this.id);
+	async deleteService(signal = null) {
+		await this.connection._delete('/services/' + this.id, signal);
 	}
 
 	/**
 	 * Get logs for the secondary web service from the back-end.
 	 * 
+	 * @param {?string} [level=null] - The minimum severity level of the log entries: `error`, `warning`, `info` or `debug`. `null` retrieves all log entries.
 	 * @returns {Logs}
+	 * @throws {Error}
 	 */
-	debugService() {
-		return new Logs(this.connection, '/services/' + this.id + '/logs');
+	debugService(level = null) {
+		return new Logs(this.connection, '/services/' + this.id + '/logs', level);
 	}
 
 	/**
@@ -0,0 +1,123 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TokenStore = require('./tokenstore');
+
+/**
+ * Stores the access tokens in a JSON file, for Node.js only.
+ * 
+ * The file is only readable and writable by the current user.
+ * 
+ * As it's only available in Node.js, it's not exported by the main module.
+ * Use `OpenEO.Environment.getDefaultTokenStore()` to get an instance.
+ * 
+ * @augments TokenStore
+ */
+class FileTokenStore extends TokenStore {
+
+	/**
+	 * Creates a new store for the given file.
+	 * 
+	 * The file and its parent folders are created once the first token is stored.
+	 * 
+	 * @param {?string} [file=null] - The path to the file, defaults to `.openeo/tokens.json` in the home directory of the user.
+	 */
+	constructor(file = null) {
+		super();
+		this.file = file || path.join(os.homedir(), '.openeo', 'tokens.json');
+		this.queue = Promise.resolve();
+	}
+
+	/**
+	 * Reads the data stored for the given key.
+	 * 
+	 * @async
+	 * @param {string} key 
+	 * @returns {Promise<?object>} The data or `null` if nothing is stored for the key.
+	 * @throws {Error}
+	 */
+	async get(key) {
+		await this.queue;
+		let data = await this.read();
+		return key in data ? data[key] : null;
+	}
+
+	/**
+	 * Stores the data for the given key, replacing any data stored before.
+	 * 
+	 * @async
+	 * @param {string} key 
+	 * @param {object} data 
+	 * @returns {Promise<void>}
+	 * @throws {Error}
+	 */
+	async set(key, data) {
+		await this.update(all => {
+			all[key] = data;
+		});
+	}
+
+	/**
+	 * Removes the data stored for the given key.
+	 * 
+	 * @async
+	 * @param {string} key 
+	 * @returns {Promise<void>}
+	 * @throws {Error}
+	 */
+	async remove(key) {
+		await this.update(all => {
+			delete all[key];
+		});
+	}
+
+	/**
+	 * Reads all data from the file.
+	 * 
+	 * Returns an empty object if the file doesn't exist.
+	 * 
+	 * @async
+	 * @protected
+	 * @returns {Promise<object>}
+	 * @throws {Error}
+	 */
+	async read() {
+		try {
+			let content = await fs.promises.readFile(this.file, 'utf8');
+			let data = JSON.parse(content);
+			return data !== null && typeof data === 'object' && !Array.isArray(data) ? data : {};
+		} catch (error) {
+			if (error.code === 'ENOENT') {
+				return {};
+			}
+			throw error;
+		}
+	}
+
+	/**
+	 * Updates the data in the file.
+	 * 
+	 * Updates are executed one after another so that concurrent updates don't get lost.
+	 * 
+	 * @async
+	 * @protected
+	 * @param {Function} callback - Gets the data of the file passed and modifies it.
+	 * @returns {Promise<void>}
+	 * @throws {Error}
+	 */
+	update(callback) {
+		let update = async () => {
+			let data = await this.read();
+			callback(data);
+			await fs.promises.mkdir(path.dirname(this.file), {recursive: true});
+			await fs.promises.writeFile(this.file, JSON.stringify(data, null, 2), {encoding: 'utf8', mode: 0o600});
+		};
+		let promise = this.queue.then(update);
+		// Don't block subsequent updates if this update fails
+		this.queue = promise.catch(() => {});
+		return promise;
+	}
+
+}
+
+module.exports = FileTokenStore;
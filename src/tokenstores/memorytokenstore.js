@@ -0,0 +1,57 @@
+const TokenStore = require('./tokenstore');
+
+/**
+ * Stores the access tokens in memory.
+ * 
+ * The tokens are lost once the page is reloaded or the script ends,
+ * but a store can be shared between multiple connections.
+ * 
+ * @augments TokenStore
+ */
+class MemoryTokenStore extends TokenStore {
+
+	/**
+	 * Creates a new, empty store.
+	 */
+	constructor() {
+		super();
+		this.data = {};
+	}
+
+	/**
+	 * Reads the data stored for the given key.
+	 * 
+	 * @async
+	 * @param {string} key 
+	 * @returns {Promise<?object>} The data or `null` if nothing is stored for the key.
+	 */
+	async get(key) {
+		return key in this.data ? this.data[key] : null;
+	}
+
+	/**
+	 * Stores the data for the given key, replacing any data stored before.
+	 * 
+	 * @async
+	 * @param {string} key 
+	 * @param {object} data 
+	 * @returns {Promise<void>}
+	 */
+	async set(key, data) {
+		this.data[key] = data;
+	}
+
+	/**
+	 * Removes the data stored for the given key.
+	 * 
+	 * @async
+	 * @param {string} key 
+	 * @returns {Promise<void>}
+	 */
+	async remove(key) {
+		delete this.data[key];
+	}
+
+}
+
+module.exports = MemoryTokenStore;
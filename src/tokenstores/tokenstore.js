@@ -0,0 +1,51 @@
+/**
+ * The base class for storage adapters that persist the access tokens of auth providers.
+ * 
+ * Implement this interface to store the tokens in a custom location, e.g. a database or a keychain.
+ * The data to store is a JSON serializable object.
+ * 
+ * @abstract
+ * @see Connection#setTokenStore
+ */
+class TokenStore {
+
+	/**
+	 * Reads the data stored for the given key.
+	 * 
+	 * @async
+	 * @param {string} key 
+	 * @returns {Promise<?object>} The data or `null` if nothing is stored for the key.
+	 * @throws {Error}
+	 */
+	async get(key) {
+		throw new Error("Not implemented.", key);
+	}
+
+	/**
+	 * Stores the data for the given key, replacing any data stored before.
+	 * 
+	 * @async
+	 * @param {string} key 
+	 * @param {object} data 
+	 * @returns {Promise<void>}
+	 * @throws {Error}
+	 */
+	async set(key, data) {
+		throw new Error("Not implemented.", key, data);
+	}
+
+	/**
+	 * Removes the data stored for the given key.
+	 * 
+	 * @async
+	 * @param {string} key 
+	 * @returns {Promise<void>}
+	 * @throws {Error}
+	 */
+	async remove(key) {
+		throw new Error("Not implemented.", key);
+	}
+
+}
+
+module.exports = TokenStore;
@@ -0,0 +1,79 @@
+const TokenStore = require('./tokenstore');
+
+/**
+ * Stores the access tokens in the Web Storage of browsers, i.e. `localStorage` or `sessionStorage`.
+ * 
+ * Tokens in the `localStorage` are available until they are removed,
+ * tokens in the `sessionStorage` are available until the browser tab is closed.
+ * 
+ * @augments TokenStore
+ */
+class WebStorageTokenStore extends TokenStore {
+
+	/**
+	 * Creates a new store for the given Web Storage.
+	 * 
+	 * @param {?Storage} [storage=null] - The Web Storage to use, defaults to `localStorage`.
+	 * @param {string} [prefix="openeo.token."] - A prefix for the keys to avoid conflicts with other data in the storage.
+	 * @throws {Error}
+	 */
+	constructor(storage = null, prefix = "openeo.token.") {
+		super();
+		if (storage === null && typeof localStorage !== 'undefined') {
+			storage = localStorage;
+		}
+		if (!storage) {
+			throw new Error("Web Storage is not available in this environment.");
+		}
+		this.storage = storage;
+		this.prefix = prefix;
+	}
+
+	/**
+	 * Reads the data stored for the given key.
+	 * 
+	 * Invalid data is ignored.
+	 * 
+	 * @async
+	 * @param {string} key 
+	 * @returns {Promise<?object>} The data or `null` if nothing is stored for the key.
+	 */
+	async get(key) {
+		let value = this.storage.getItem(this.prefix + key);
+		if (typeof value !== 'string') {
+			return null;
+		}
+		try {
+			return JSON.parse(value);
+		} catch (error) {
+			return null;
+		}
+	}
+
+	/**
+	 * Stores the data for the given key, replacing any data stored before.
+	 * 
+	 * @async
+	 * @param {string} key 
+	 * @param {object} data 
+	 * @returns {Promise<void>}
+	 * @throws {Error}
+	 */
+	async set(key, data) {
+		this.storage.setItem(this.prefix + key, JSON.stringify(data));
+	}
+
+	/**
+	 * Removes the data stored for the given key.
+	 * 
+	 * @async
+	 * @param {string} key 
+	 * @returns {Promise<void>}
+	 */
+	async remove(key) {
+		this.storage.removeItem(this.prefix + key);
+	}
+
+}
+
+module.exports = WebStorageTokenStore;
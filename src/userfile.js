@@ -48,11 +48,12 @@ class UserFile extends BaseEntity {
 	 * Returns a stream in a NodeJS environment or a Blob in a browser environment.
 	 * 
 	 * @async
+	 * @param {?AbortSignal} [signal=null] - An AbortSignal to cancel the request.
 	 * @returns {Promise<Stream.Readable|Blob>} - Return value depends on the target and environment, see method description for details.
 	 * @throws {Error}
 	 */
-	async retrieveFile() {
-		return await this.connection.download('/files/' + this.path, true);
+	async retrieveFile(signal = null) {
+		return await this.connection.download('/files/' + this.path, true, signal);
 	}
 
 	/**
@@ -64,11 +65,12 @@ class UserFile extends BaseEntity {
 	 * 
 	 * @async
 	 * @param {string} target - The target, see method description for details.
+	 * @param {?AbortSignal} [signal=null] - An AbortSignal to cancel the request.
 	 * @returns {Promise<string[]|void>} - Return value depends on the target and environment, see method description for details.
 	 * @throws {Error}
 	 */
-	async downloadFile(target) {
-		let data = await this.connection.download('/files/' + this.path, true);
+	async downloadFile(target, signal = null) {
+		let data = await this.connection.download('/files/' + this.path, true, signal);
 		// @ts-ignore
 		return await Environment.saveToFile(data, target);
 	}
@@ -92,17 +94,20 @@ class UserFile extends BaseEntity {
 	 * @async
 	 * @param {string|object} source - The source, see method description for details.
 	 * @param {?uploadStatusCallback} statusCallback - Optionally, a callback that is executed on upload progress updates.
+	 * @param {?AbortSignal} [signal=null] - An AbortSignal to cancel the request.
 	 * @returns {Promise<UserFile>}
 	 * @throws {Error}
 	 */
-	async uploadFile(source, statusCallback = null) {
+	async uploadFile(source, statusCallback = null, signal = null) {
 		let options = {
 			method: 'put',
 			url: '/files/' + this.path,
-			data: Environment.dataForUpload(source),
+			// Pass a function so that a new stream is created if the upload needs to be retried
+			data: () => Environment.dataForUpload(source),
 			headers: {
 				'Content-Type': 'application/octet-stream'
-			}
+			},
+			signal: signal
 		};
 		if (typeof statusCallback === 'function') {
 			options.onUploadProgress = (progressEvent) => {
@@ -119,10 +124,11 @@ class UserFile extends BaseEntity {
 	 * Deletes the file from the user workspace.
 	 * 
 	 * @async
+	 * @param {?AbortSignal} [signal=null] - An AbortSignal to cancel the request.
 	 * @throws {Error}
 	 */
-	async deleteFile() {
-		await this.connection._delete('/files/' + this.path);
+	async deleteFile(signal = null) {
+		await this.connection._delete('/files/' + this.path, signal);
 	}
 }
 
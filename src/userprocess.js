@@ -115,11 +115,12 @@ class UserProcess extends BaseEntity {
 	 * Updates the data stored in this object by requesting the process graph metadata from the back-end.
 	 * 
 	 * @async
+	 * @param {?AbortSignal} [signal=null] - An AbortSignal to cancel the request.
 	 * @returns {Promise<UserProcess>} The updated process graph object (this).
 	 * @throws {Error}
 	 */
-	async describeUserProcess() {
-		let response = await this.connection._get('/process_graphs/' + this.id);
+	async describeUserProcess(signal = null) {
+		let response = await this.connection._get('/process_graphs/' + this.id, null, null, signal);
 		return this.setAll(response.data);
 	}
 
@@ -131,13 +132,14 @@ class UserProcess extends BaseEntity {
 	 * @param {object} parameters.process - A new process.
 	 * @param {string} parameters.title - A new title.
 	 * @param {string} parameters.description - A new description.
+	 * @param {?AbortSignal} [signal=null] - An AbortSignal to cancel the request.
 	 * @returns {Promise<UserProcess>} The updated process graph object (this).
 	 * @throws {Error}
 	 */
-	async replaceUserProcess(parameters) {
-		await this.connection._put('/process_graphs/' + this.id, this._convertToRequest(parameters));
+	async replaceUserProcess(parameters, signal = null) {
+		await this.connection._put('/process_graphs/' + this.id, this._convertToRequest(parameters), signal);
 		if (this._supports('describeUserProcess')) {
-			return this.describeUserProcess();
+			return this.describeUserProcess(signal);
 		}
 		else {
 			return this.setAll(parameters);
@@ -148,10 +150,11 @@ class UserProcess extends BaseEntity {
 	 * Deletes the stored process graph from the back-end.
 	 * 
 	 * @async
+	 * @param {?AbortSignal} [signal=null] - An AbortSignal to cancel the request.
 	 * @throws {Error}
 	 */
-	async deleteUserProcess() {
-		await this.connection._delete('/process_graphs/' + this.id);
+	async deleteUserProcess(signal = null) {
+		await this.connection._delete('/process_graphs/' + this.id, signal);
 	}
 }
 
@@ -0,0 +1,162 @@
+const CommonUtils = require('@openeo/js-commons/src/utils');
+const AbortError = require('./errors/aborterror');
+
+/**
+ * The supported hash functions of multihashes by their code.
+ *
+ * @type {object.<number, string>}
+ * @ignore
+ */
+const MULTIHASH_ALGORITHMS = {
+	0x11: 'sha1',
+	0x12: 'sha256',
+	0x13: 'sha512',
+	0x14: 'sha3-512',
+	0x15: 'sha3-384',
+	0x16: 'sha3-256',
+	0x17: 'sha3-224',
+	0x20: 'sha384',
+	0xd5: 'md5'
+};
+
+/**
+ * Utilities for the openEO JS Client.
+ *
+ * Extends the utilities provided by `@openeo/js-commons`.
+ *
+ * @hideconstructor
+ * @augments CommonUtils
+ */
+class Utils extends CommonUtils {
+
+	/**
+	 * Waits for the given amount of time.
+	 *
+	 * Rejects with an `AbortError` once the signal given is aborted.
+	 *
+	 * @async
+	 * @static
+	 * @param {number} ms - Time to wait in milliseconds.
+	 * @param {?AbortSignal} [signal=null] - An AbortSignal to stop waiting.
+	 * @returns {Promise<void>}
+	 * @throws {AbortError}
+	 */
+	static sleep(ms, signal = null) {
+		return new Promise((resolve, reject) => {
+			AbortError.throwIfAborted(signal);
+			let onAbort = () => {
+				clearTimeout(timeoutId); // eslint-disable-line no-use-before-define
+				reject(new AbortError());
+			};
+			let timeoutId = setTimeout(() => {
+				if (signal) {
+					signal.removeEventListener('abort', onAbort);
+				}
+				resolve();
+			}, Math.max(0, ms));
+			if (signal) {
+				signal.addEventListener('abort', onAbort);
+			}
+		});
+	}
+
+	/**
+	 * Calls an async function for each element of a list, with a limited number of calls running at the same time.
+	 *
+	 * All calls are completed, even if some of them fail. Afterwards, the first error is thrown.
+	 * An `AbortError` is preferred over other errors.
+	 *
+	 * @async
+	 * @static
+	 * @param {Array} list - The elements to pass to the function.
+	 * @param {number} concurrency - The maximum number of calls running at the same time.
+	 * @param {Function} callback - The async function to call with each element.
+	 * @returns {Promise<void>}
+	 * @throws {Error}
+	 */
+	static async forEachConcurrently(list, concurrency, callback) {
+		let errors = [];
+		let queue = list.slice(0);
+		let worker = async () => {
+			while(queue.length > 0) {
+				try {
+					await callback(queue.shift());
+				} catch (error) {
+					errors.push(error);
+				}
+			}
+		};
+		let workers = [];
+		let limit = concurrency > 0 ? concurrency : 1;
+		for(let i = 0; i < limit && i < list.length; i++) {
+			workers.push(worker());
+		}
+		await Promise.all(workers);
+		if (errors.length > 0) {
+			throw errors.find(error => error instanceof AbortError) || errors[0];
+		}
+	}
+
+	/**
+	 * Makes a file name unique by appending a number to the base name, e.g. `result_2.tif` if `result.tif` exists already.
+	 *
+	 * @static
+	 * @param {string} name - The file name.
+	 * @param {string[]} names - The file names that exist already.
+	 * @returns {string}
+	 */
+	static uniqueFileName(name, names) {
+		let pos = name.lastIndexOf('.');
+		let base = pos > 0 ? name.substr(0, pos) : name;
+		let extension = pos > 0 ? name.substr(pos) : '';
+		let unique = name;
+		for(let i = 2; names.includes(unique); i++) {
+			unique = base + '_' + i + extension;
+		}
+		return unique;
+	}
+
+	/**
+	 * Parses a hex-encoded multihash as used for `file:checksum` in STAC.
+	 *
+	 * Returns `null` if the multihash is invalid or the hash function is not supported.
+	 * Supported are MD5, SHA-1, SHA-2 (256, 384, 512) and SHA-3 (224, 256, 384, 512).
+	 * The algorithm is returned with the name used by Node.js' crypto module.
+	 *
+	 * @static
+	 * @param {string} multihash - The hex-encoded multihash.
+	 * @returns {?{algorithm: string, digest: string}} The algorithm and the hex-encoded digest.
+	 * @see https://github.com/multiformats/multihash
+	 */
+	static parseMultihash(multihash) {
+		if (typeof multihash !== 'string' || !/^([0-9a-f]{2})+$/i.test(multihash)) {
+			return null;
+		}
+		let bytes = multihash.toLowerCase().match(/../g).map(byte => parseInt(byte, 16));
+		let pos = 0;
+		// Code and length are encoded as unsigned varints
+		let readVarint = () => {
+			let value = 0;
+			for(let shift = 0; pos < bytes.length; shift += 7) {
+				let byte = bytes[pos++];
+				value += (byte & 0x7f) * Math.pow(2, shift);
+				if (byte < 0x80) {
+					return value;
+				}
+			}
+			return -1;
+		};
+		let code = readVarint();
+		let length = readVarint();
+		if (!(code in MULTIHASH_ALGORITHMS) || length !== bytes.length - pos) {
+			return null;
+		}
+		return {
+			algorithm: MULTIHASH_ALGORITHMS[code],
+			digest: multihash.substr(pos * 2).toLowerCase()
+		};
+	}
+
+}
+
+module.exports = Utils;
@@ -0,0 +1,215 @@
+/**
+ * The CRC-32 lookup table.
+ *
+ * @type {number[]}
+ * @ignore
+ */
+const CRC_TABLE = [];
+for(let n = 0; n < 256; n++) {
+	let c = n;
+	for(let k = 0; k < 8; k++) {
+		c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+	}
+	CRC_TABLE.push(c >>> 0);
+}
+
+/**
+ * The maximum size and offset that can be stored without ZIP64 extensions.
+ *
+ * @type {number}
+ * @ignore
+ */
+const MAX_SIZE = 0xFFFFFFFF;
+
+/**
+ * The number of bytes read at once to compute the checksums.
+ *
+ * @type {number}
+ * @ignore
+ */
+const CHUNK_SIZE = 8 * 1024 * 1024;
+
+/**
+ * Creates ZIP archives in browsers.
+ *
+ * The files are stored without compression as most result files (e.g. GeoTiff, PNG or netCDF)
+ * are compressed already. The archive is composed of Blobs so that the file contents are not
+ * copied, the files are only read in chunks to compute the checksums. The archive is not written
+ * incrementally, it's only available as a whole via {@link ZipArchive#toBlob}.
+ * ZIP64 is not supported, so the archive is limited to 4 GB and 65535 files.
+ *
+ * @ignore
+ */
+class ZipArchive {
+
+	/**
+	 * Creates a new, empty ZIP archive.
+	 */
+	constructor() {
+		this.parts = [];
+		this.entries = [];
+		this.offset = 0;
+	}
+
+	/**
+	 * Adds a file to the archive.
+	 *
+	 * @async
+	 * @param {string} name - The path of the file in the archive.
+	 * @param {Blob|string} data - The file content.
+	 * @param {Date} [date=new Date()] - The date of the last modification of the file.
+	 * @returns {Promise<void>}
+	 * @throws {Error}
+	 */
+	async add(name, data, date = new Date()) {
+		if (!(data instanceof Blob)) {
+			data = new Blob([data]);
+		}
+		if (this.entries.length >= 0xFFFF || this.offset + data.size > MAX_SIZE) {
+			throw new Error("The ZIP archive is too large, it's limited to 4 GB and 65535 files.");
+		}
+		let entry = {
+			name: ZipArchive.encodeUtf8(name),
+			crc: await ZipArchive.crc32Blob(data),
+			size: data.size,
+			time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+			date: ((Math.max(1980, date.getFullYear()) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+			offset: this.offset
+		};
+		let header = this.createHeader(entry, false);
+		this.parts.push(header, data);
+		this.entries.push(entry);
+		this.offset += header.length + data.size;
+	}
+
+	/**
+	 * Returns the names of the files in the archive.
+	 *
+	 * @returns {string[]}
+	 */
+	getFileNames() {
+		return this.entries.map(entry => decodeURIComponent(escape(String.fromCharCode.apply(null, entry.name))));
+	}
+
+	/**
+	 * Creates the ZIP archive.
+	 *
+	 * @returns {Blob}
+	 */
+	toBlob() {
+		let directory = this.entries.map(entry => this.createHeader(entry, true));
+		let directorySize = directory.reduce((sum, header) => sum + header.length, 0);
+		let end = new Uint8Array(22);
+		let view = new DataView(end.buffer);
+		view.setUint32(0, 0x06054b50, true);
+		view.setUint16(8, this.entries.length, true);
+		view.setUint16(10, this.entries.length, true);
+		view.setUint32(12, directorySize, true);
+		view.setUint32(16, this.offset, true);
+		return new Blob(this.parts.concat(directory, [end]), {type: 'application/zip'});
+	}
+
+	/**
+	 * Creates the local file header or the central directory header for a file.
+	 *
+	 * @protected
+	 * @param {object} entry - The file details.
+	 * @param {boolean} central - `true` for the central directory header, `false` for the local file header.
+	 * @returns {Uint8Array}
+	 */
+	createHeader(entry, central) {
+		let pos = central ? 6 : 4;
+		let size = central ? 46 : 30;
+		let header = new Uint8Array(size + entry.name.length);
+		let view = new DataView(header.buffer);
+		view.setUint32(0, central ? 0x02014b50 : 0x04034b50, true);
+		if (central) {
+			view.setUint16(4, 20, true); // Version made by
+		}
+		view.setUint16(pos, 20, true); // Version needed to extract
+		view.setUint16(pos + 2, 0x0800, true); // Flags: UTF-8 file names
+		view.setUint16(pos + 4, 0, true); // Compression: stored
+		view.setUint16(pos + 6, entry.time, true);
+		view.setUint16(pos + 8, entry.date, true);
+		view.setUint32(pos + 10, entry.crc, true);
+		view.setUint32(pos + 14, entry.size, true); // Compressed size
+		view.setUint32(pos + 18, entry.size, true); // Uncompressed size
+		view.setUint16(pos + 22, entry.name.length, true);
+		if (central) {
+			view.setUint32(42, entry.offset, true);
+		}
+		header.set(entry.name, size);
+		return header;
+	}
+
+	/**
+	 * Encodes a string in UTF-8.
+	 *
+	 * @static
+	 * @param {string} str
+	 * @returns {Uint8Array}
+	 */
+	static encodeUtf8(str) {
+		let binary = unescape(encodeURIComponent(str));
+		let bytes = new Uint8Array(binary.length);
+		for(let i = 0; i < binary.length; i++) {
+			bytes[i] = binary.charCodeAt(i);
+		}
+		return bytes;
+	}
+
+	/**
+	 * Computes the CRC-32 checksum.
+	 *
+	 * @static
+	 * @param {Uint8Array} bytes
+	 * @param {number} [previous=0] - The checksum of the preceding data, to compute the checksum in chunks.
+	 * @returns {number}
+	 */
+	static crc32(bytes, previous = 0) {
+		let crc = (previous ^ 0xFFFFFFFF) >>> 0;
+		for(let i = 0; i < bytes.length; i++) {
+			crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+		}
+		return (crc ^ 0xFFFFFFFF) >>> 0;
+	}
+
+	/**
+	 * Computes the CRC-32 checksum of a Blob, which is read in chunks.
+	 *
+	 * @async
+	 * @static
+	 * @param {Blob} blob
+	 * @returns {Promise<number>}
+	 */
+	static async crc32Blob(blob) {
+		let crc = 0;
+		for(let start = 0; start < blob.size; start += CHUNK_SIZE) {
+			crc = ZipArchive.crc32(await ZipArchive.readBlob(blob.slice(start, start + CHUNK_SIZE)), crc);
+		}
+		return crc;
+	}
+
+	/**
+	 * Reads the content of a Blob.
+	 *
+	 * @async
+	 * @static
+	 * @param {Blob} blob
+	 * @returns {Promise<Uint8Array>}
+	 */
+	static readBlob(blob) {
+		return new Promise((resolve, reject) => {
+			let fileReader = new FileReader();
+			fileReader.onerror = event => {
+				fileReader.abort();
+				reject(event.target.error);
+			};
+			fileReader.onload = () => resolve(new Uint8Array(fileReader.result));
+			fileReader.readAsArrayBuffer(blob);
+		});
+	}
+
+}
+
+module.exports = ZipArchive;
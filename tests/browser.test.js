@@ -0,0 +1,183 @@
+/**
+ * @jest-environment jsdom
+ */
+// @ts-nocheck
+const { Job, AbortError, WebStorageTokenStore } = require('../src/openeo');
+const Environment = require('../src/env');
+const ZipArchive = require('../src/ziparchive');
+
+describe('Browser environment', () => {
+
+	test('Environment', () => {
+		expect(Environment.getName()).toBe('Browser');
+		expect(Environment.getDefaultTokenStore()).toBeInstanceOf(WebStorageTokenStore);
+	});
+
+	// Reads the files from a ZIP archive, verifies the CRC-32 checksums
+	async function unzip(blob) {
+		let bytes = await ZipArchive.readBlob(blob);
+		let view = new DataView(bytes.buffer);
+		let end = bytes.length - 22;
+		expect(view.getUint32(end, true)).toBe(0x06054b50);
+		let count = view.getUint16(end + 10, true);
+		let pos = view.getUint32(end + 16, true);
+		let files = {};
+		for(let i = 0; i < count; i++) {
+			expect(view.getUint32(pos, true)).toBe(0x02014b50);
+			let crc = view.getUint32(pos + 16, true);
+			let size = view.getUint32(pos + 24, true);
+			let nameLength = view.getUint16(pos + 28, true);
+			let offset = view.getUint32(pos + 42, true);
+			let name = Buffer.from(bytes.slice(pos + 46, pos + 46 + nameLength)).toString('utf8');
+			expect(view.getUint32(offset, true)).toBe(0x04034b50);
+			let start = offset + 30 + view.getUint16(offset + 26, true);
+			let data = bytes.slice(start, start + size);
+			expect(ZipArchive.crc32(data)).toBe(crc);
+			files[name] = Buffer.from(data).toString('utf8');
+			pos += 46 + nameLength;
+		}
+		return files;
+	}
+
+	describe('ZipArchive', () => {
+		test('CRC-32', () => {
+			expect(ZipArchive.crc32(ZipArchive.encodeUtf8('The quick brown fox jumps over the lazy dog'))).toBe(0x414FA339);
+			expect(ZipArchive.crc32(new Uint8Array(0))).toBe(0);
+			let bytes = ZipArchive.encodeUtf8('The quick brown fox jumps over the lazy dog');
+			expect(ZipArchive.crc32(bytes.slice(20), ZipArchive.crc32(bytes.slice(0, 20)))).toBe(0x414FA339);
+		});
+
+		test('CRC-32 of Blobs', async () => {
+			expect(await ZipArchive.crc32Blob(new Blob(['The quick brown fox jumps over the lazy dog']))).toBe(0x414FA339);
+			expect(await ZipArchive.crc32Blob(new Blob([]))).toBe(0);
+		});
+
+		test('Creates archives', async () => {
+			let zip = new ZipArchive();
+			await zip.add('a.txt', 'Hello');
+			await zip.add('ördner/b.json', new Blob(['{"b": 1}']), new Date(2020, 5, 15, 12, 30, 10));
+			expect(zip.getFileNames()).toEqual(['a.txt', 'ördner/b.json']);
+			let blob = zip.toBlob();
+			expect(blob.type).toBe('application/zip');
+			expect(await unzip(blob)).toEqual({'a.txt': 'Hello', 'ördner/b.json': '{"b": 1}'});
+		});
+	});
+
+	describe('Job.downloadResults', () => {
+		var item;
+		var files;
+		var downloaded;
+		var saved;
+		var con;
+
+		beforeEach(() => {
+			files = {
+				'https://example.com/results/a.tif': 'AAAA',
+				'https://example.com/results/b.json': '{"b": true}',
+				'https://example.com/other/a.tif': 'CC'
+			};
+			item = {
+				stac_version: '0.9.0',
+				id: 'job1',
+				type: 'Feature',
+				properties: {},
+				assets: {
+					a: {href: 'https://example.com/results/a.tif', 'file:size': 4},
+					b: {href: 'https://example.com/results/b.json'},
+					c: {href: 'https://example.com/other/a.tif', 'file:size': 2}
+				},
+				links: []
+			};
+			downloaded = [];
+			saved = null;
+			con = {
+				_get: async () => ({data: JSON.parse(JSON.stringify(item)), headers: {}}),
+				download: async (url, authorize, signal, progressCallback) => {
+					downloaded.push(url);
+					expect(authorize).toBe(false);
+					progressCallback(1, files[url].length);
+					return new Blob([files[url]]);
+				}
+			};
+			jest.spyOn(Environment, 'saveToFile').mockImplementation((data, filename) => {
+				saved = {data, filename};
+				return Promise.resolve();
+			});
+		});
+
+		afterEach(() => {
+			jest.restoreAllMocks();
+		});
+
+		test('Offers a ZIP archive including the STAC Item', async () => {
+			let updates = [];
+			let names = await new Job(con, 'job1').downloadResults(null, (progress, asset) => updates.push([progress, asset.path, asset.status]), {concurrency: 2});
+			expect(names).toEqual(['item.json', 'a.tif', 'b.json', 'a_2.tif']);
+			expect(downloaded.sort()).toEqual(Object.keys(files).sort());
+			expect(saved.filename).toBe('job1.zip');
+			let zip = await unzip(saved.data);
+			expect(Object.keys(zip)).toEqual(names);
+			expect(JSON.parse(zip['item.json'])).toEqual(item);
+			expect(zip['a.tif']).toBe('AAAA');
+			expect(zip['b.json']).toBe('{"b": true}');
+			expect(zip['a_2.tif']).toBe('CC');
+			expect(updates[updates.length - 1][0]).toEqual({files: 3, completed: 3, loaded: 17, total: 17, progress: 100});
+			expect(updates.filter(u => u[2] === 'finished').length).toBe(3);
+			// The bytes received are reported while downloading
+			expect(updates.filter(u => u[2] === 'downloading').map(u => u[0].loaded)).toContain(1);
+		});
+
+		test('Appends numbers to the names of duplicates', async () => {
+			files['https://example.com/third/a.tif'] = 'D';
+			files['https://example.com/results/item.json'] = '{}';
+			files['https://example.com/results/README'] = 'E';
+			files['https://example.com/other/README'] = 'F';
+			item.assets.d = {href: 'https://example.com/third/a.tif'};
+			item.assets.e = {href: 'https://example.com/results/item.json'};
+			item.assets.f = {href: 'https://example.com/results/README'};
+			item.assets.g = {href: 'https://example.com/other/README'};
+			let names = await new Job(con, 'job1').downloadResults(null);
+			expect(names).toEqual(['item.json', 'a.tif', 'b.json', 'a_2.tif', 'a_3.tif', 'item_2.json', 'README', 'README_2']);
+		});
+
+		test('Uses the given file name', async () => {
+			await new Job(con, 'job1').downloadResults('my-results');
+			expect(saved.filename).toBe('my-results.zip');
+		});
+
+		test('Verifies the size', async () => {
+			files['https://example.com/results/a.tif'] = 'AAA';
+			let error = await new Job(con, 'job1').downloadResults(null).catch(e => e);
+			expect(error).toBeInstanceOf(Error);
+			expect(error.message).toBe("The size of 'https://example.com/results/a.tif' is 3 bytes, but 4 bytes were expected.");
+			expect(saved).toBeNull();
+		});
+
+		test('Warns about large downloads', async () => {
+			// Checked after the downloads if the size is unknown
+			let error = await new Job(con, 'job1').downloadResults(null, null, {sizeWarning: 5, sizeWarningCallback: () => Promise.resolve(false)}).catch(e => e);
+			expect(error).toBeInstanceOf(AbortError);
+			expect(downloaded.length).toBe(3);
+			expect(saved).toBeNull();
+
+			// Checked before the downloads if the size is known
+			item.assets.b['file:size'] = 11;
+			downloaded = [];
+			let sizes = [];
+			error = await new Job(con, 'job1').downloadResults(null, null, {sizeWarning: 5, sizeWarningCallback: size => {
+				sizes.push(size);
+				return false;
+			}}).catch(e => e);
+			expect(error).toBeInstanceOf(AbortError);
+			expect(sizes).toEqual([17]);
+			expect(downloaded).toEqual([]);
+			expect(saved).toBeNull();
+
+			let warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+			await new Job(con, 'job1').downloadResults(null, null, {sizeWarning: 5});
+			expect(warn).toHaveBeenCalledTimes(1);
+			expect(saved).not.toBeNull();
+		});
+	});
+
+});
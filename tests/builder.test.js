@@ -0,0 +1,420 @@
+// @ts-nocheck
+describe('Process Graph Builder', () => {
+
+	const { Builder } = require('../src/openeo');
+	const processes = require('./data/processes.json');
+
+	describe('Namespaces', () => {
+		test('Processes are emitted with namespace', () => {
+			let builder = new Builder(processes, null, 'ns');
+			builder.addProcessSpec({
+				id: 'my_ndvi',
+				parameters: [
+					{name: 'data', schema: {type: 'object', subtype: 'raster-cube'}}
+				]
+			}, 'user');
+			expect(builder.my_ndvi).toBeUndefined();
+			let data = builder.load_collection('S2', null, null);
+			let ndvi = builder.process('my_ndvi', [data], null, 'user');
+			let pub = builder.process('smooth', {data: ndvi}, 'Published by someone else', 'https://example.com/processes');
+			pub.result = true;
+			let json = builder.toJSON();
+			expect(json.process_graph[data.id].namespace).toBeUndefined();
+			expect(json.process_graph[ndvi.id]).toEqual({
+				process_id: 'my_ndvi',
+				namespace: 'user',
+				arguments: {data: {from_node: data.id}}
+			});
+			expect(json.process_graph[pub.id]).toEqual({
+				process_id: 'smooth',
+				namespace: 'https://example.com/processes',
+				arguments: {data: {from_node: ndvi.id}},
+				description: 'Published by someone else',
+				result: true
+			});
+		});
+
+		test('Specs are looked up per namespace', () => {
+			let builder = new Builder(processes);
+			builder.addProcessSpec({id: 'absolute', summary: 'Custom', parameters: []}, 'user');
+			expect(builder.spec('absolute').summary).toBe('Absolute value');
+			expect(builder.spec('absolute', 'user').summary).toBe('Custom');
+			expect(processes.processes.find(p => p.namespace)).toBeUndefined();
+			expect(() => builder.process('unknown')).toThrow();
+		});
+	});
+
+	describe('fromJSON', () => {
+		const { BuilderNode, Parameter } = require('../src/openeo');
+
+		test('Round-trips processes', () => {
+			for(let file of ['builder.evi.example.json', 'builder.math.evi.example.json', 'builder.s1.example.json']) {
+				let json = require('./data/' + file);
+				let builder = Builder.fromJSON(json, processes);
+				expect(builder.toJSON()).toEqual(json);
+				expect(JSON.parse(JSON.stringify(builder))).toEqual(json);
+			}
+		});
+
+		test('Links nodes, parameters and callbacks', () => {
+			let json = require('./data/builder.evi.example.json');
+			let builder = Builder.fromJSON(json, processes);
+			expect(builder.id).toBe('evi');
+			expect(Object.keys(builder.nodes)).toEqual(Object.keys(json.process_graph));
+
+			let load = builder.nodes.loadco1;
+			expect(load).toBeInstanceOf(BuilderNode);
+			expect(load.id).toBe('loadco1');
+			expect(load.arguments.id).toBeInstanceOf(Parameter);
+			expect(load.arguments.id.name).toBe('collection-id');
+
+			let reduce = builder.nodes.reduce1;
+			expect(reduce.description()).toBe('Compute the EVI. Formula: 2.5 * (NIR - RED) / (1 + NIR + 6*RED + -7.5*BLUE)');
+			expect(reduce.arguments.data).toBe(load);
+			let callback = reduce.arguments.reducer;
+			expect(callback).toBeInstanceOf(Builder);
+			expect(callback.parent).toBe(builder);
+			expect(callback.parentNode).toBe(reduce);
+			expect(callback.parentParameter).toBe('reducer');
+			let data = callback.nodes.arraye1.arguments.data;
+			expect(data).toBeInstanceOf(Parameter);
+			expect(callback.nodes.arraye2.arguments.data).toBe(data);
+
+			// Edit the loaded process
+			reduce.arguments.dimension = 't';
+			let node = builder.absolute(reduce);
+			expect(node.id).toBe('absolu1');
+			expect(builder.toJSON().process_graph.absolu1).toEqual({process_id: 'absolute', arguments: {x: {from_node: 'reduce1'}}});
+			expect(builder.toJSON().process_graph.reduce1.arguments.dimension).toBe('t');
+			expect(json.process_graph.reduce1.arguments.dimension).toBe('bands');
+		});
+
+		test('Handles unknown processes and identifiers', () => {
+			let json = {
+				process_graph: {
+					absolute1: {process_id: 'absolute', arguments: {x: {from_node: 'custom'}}},
+					custom: {process_id: 'my_process', arguments: {a: [{from_node: 'missing'}, {b: {from_parameter: 'x'}}]}, description: null},
+					ns: {process_id: 'other', namespace: 'https://example.com', arguments: {}, result: true}
+				}
+			};
+			let builder = Builder.fromJSON(json, processes);
+			expect(builder.nodes.absolute1.arguments.x).toBe(builder.nodes.custom);
+			expect(builder.nodes.custom.arguments.a[0]).toEqual({from_node: 'missing'});
+			expect(builder.spec('my_process')).toEqual({id: 'my_process', parameters: []});
+			expect(builder.nodes.ns.result).toBe(true);
+			expect(builder.toJSON()).toEqual({
+				process_graph: {
+					absolute1: {process_id: 'absolute', arguments: {x: {from_node: 'custom'}}},
+					custom: {process_id: 'my_process', arguments: {a: [{from_node: 'missing'}, {b: {from_parameter: 'x'}}]}},
+					ns: {process_id: 'other', namespace: 'https://example.com', arguments: {}, result: true}
+				}
+			});
+			expect(builder.absolute(1).id).toBe('absolu1');
+			expect(builder.absolute(2).id).toBe('absolu2');
+			expect(() => Builder.fromJSON({a: {arguments: {}}}, processes)).toThrow();
+		});
+	});
+
+	describe('Editing', () => {
+		const { BuilderNode, Parameter } = require('../src/openeo');
+
+		function create() {
+			let builder = new Builder(processes);
+			let data = builder.load_collection(new Parameter('collection', 'string'), null, null);
+			let filtered = builder.filter_bands(data, ['B04']);
+			let reduced = builder.reduce_dimension(filtered, function(data) { return this.mean(data); }, 't');
+			let saved = builder.save_result(reduced, new Parameter('format', 'string'));
+			saved.result = true;
+			return {builder, data, filtered, reduced, saved};
+		}
+
+		// Callbacks are converted into Builder instances so that the parameters used can be detected
+		function load() {
+			let builder = Builder.fromJSON(create().builder.toJSON(), processes);
+			let [data, filtered, reduced, saved] = Object.values(builder.nodes);
+			return {builder, data, filtered, reduced, saved};
+		}
+
+		test('Predecessors and successors', () => {
+			let {builder, data, filtered, reduced, saved} = create();
+			let merged = builder.sum([data, {a: filtered}, data]);
+			expect(builder.getPredecessors(merged)).toEqual([data, filtered]);
+			expect(builder.getPredecessors(data)).toEqual([]);
+			expect(builder.getSuccessors(data.id)).toEqual([filtered, merged]);
+			expect(builder.getSuccessors(saved)).toEqual([]);
+			expect(builder.getPredecessors(saved)).toEqual([reduced]);
+			expect(() => builder.getSuccessors('unknown')).toThrow();
+			expect(() => builder.getNode(new Builder(processes).absolute(1))).toThrow();
+		});
+
+		test('Remove nodes', () => {
+			let {builder, data, filtered, reduced, saved} = load();
+			expect(builder.removeNode(filtered)).toEqual([filtered]);
+			expect(reduced.arguments.data).toBeNull();
+			expect(builder.getSuccessors(data)).toEqual([]);
+
+			// Removing the result node passes the result flag to the predecessor
+			expect(builder.removeNode(saved.id)).toEqual([saved]);
+			expect(reduced.result).toBe(true);
+			expect(builder.parameters.map(p => p.name)).toEqual(['collection']);
+			expect(Object.keys(builder.toJSON().process_graph)).toEqual([data.id, reduced.id]);
+		});
+
+		test('Remove nodes with orphaned ancestors', () => {
+			let {builder, data, filtered, reduced, saved} = load();
+			let other = builder.apply(filtered, function(x) { return this.absolute(x); });
+			// The predecessor becomes the result node and is not removed as orphan
+			expect(builder.removeNode(saved, true)).toEqual([saved]);
+			expect(reduced.result).toBe(true);
+			expect(Object.values(builder.toJSON().process_graph).filter(n => n.result)).toHaveLength(1);
+			expect(other.arguments.data).toBe(filtered);
+			// Parameters used in callbacks given as functions can't be detected, so they are kept
+			expect(builder.parameters.map(p => p.name)).toEqual(['collection', 'format']);
+			expect(builder.removeNode(other, true)).toEqual([other]);
+			reduced.result = false;
+			expect(builder.removeNode(reduced, true)).toEqual([reduced, filtered, data]);
+			expect(builder.nodes).toEqual({});
+			// The parameter format has been kept while the callback given as function was in the process
+			expect(builder.parameters.map(p => p.name)).toEqual(['format']);
+		});
+
+		test('Replace nodes', () => {
+			let {builder, filtered, reduced, saved} = load();
+			filtered.description('Filter');
+			let node = builder.replaceNode(filtered, 'apply', {context: 1});
+			expect(node).toBe(filtered);
+			expect(builder.getSuccessors(node)).toEqual([reduced]);
+			expect(node.toJSON()).toEqual({
+				process_id: 'apply',
+				arguments: {data: {from_node: 'loadco1'}, context: 1},
+				description: 'Filter'
+			});
+
+			builder.replaceNode(saved, 'absolute', [reduced]);
+			expect(saved.result).toBe(true);
+			expect(saved.toJSON()).toEqual({process_id: 'absolute', arguments: {x: {from_node: reduced.id}}, result: true});
+			expect(builder.parameters.map(p => p.name)).toEqual(['collection']);
+			expect(() => builder.replaceNode(saved, 'unknown')).toThrow();
+		});
+
+		test('Rewire and insert nodes', () => {
+			let {builder, data, filtered, reduced, saved} = create();
+			builder.rewire(filtered, data, reduced);
+			expect(reduced.arguments.data).toBe(data);
+			expect(() => builder.rewire(reduced, saved, saved)).toThrow();
+			expect(() => builder.rewire(data, reduced)).toThrow();
+			expect(reduced.arguments.data).toBe(data);
+			expect(saved.arguments.data).toBe(reduced);
+
+			let node = builder.insertNode(data, reduced, 'apply', {process: function(x) { return this.absolute(x); }}, 'Absolute values');
+			expect(node).toBeInstanceOf(BuilderNode);
+			expect(node.arguments.data).toBe(data);
+			expect(reduced.arguments.data).toBe(node);
+			expect(filtered.arguments.data).toBe(data);
+			expect(builder.toJSON().process_graph[node.id].description).toBe('Absolute values');
+
+			let clip = builder.insertNode(node, reduced, 'filter_bands', {data: node, bands: ['B08']});
+			expect(builder.getPredecessors(reduced)).toEqual([clip]);
+			expect(() => builder.insertNode(filtered, reduced, 'absolute')).toThrow();
+		});
+	});
+
+	describe('Diagrams', () => {
+		const { Diagram } = require('../src/openeo');
+
+		const process = {
+			id: 'mean',
+			parameters: [{name: 'collection', schema: {type: 'string'}}, {name: 'unused', schema: {}}],
+			process_graph: {
+				load: {process_id: 'load_collection', arguments: {id: {from_parameter: 'collection'}, spatial_extent: null, temporal_extent: null}},
+				reduce: {process_id: 'reduce_dimension', description: 'Compute "the" mean\nSecond line', arguments: {
+					data: {from_node: 'load'},
+					dimension: 't',
+					reducer: {process_graph: {mean: {process_id: 'mean', arguments: {data: {from_parameter: 'data'}}, result: true}}}
+				}},
+				save: {process_id: 'save_result', namespace: 'user', arguments: {data: {from_node: 'reduce'}, format: 'GTiff', options: {a: [{from_node: 'reduce'}]}}, result: true}
+			}
+		};
+
+		test('DOT', () => {
+			expect(new Diagram(process).toDot()).toBe([
+				'digraph "mean" {',
+				'\tnode [shape=box, style=rounded];',
+				'\tp1 [label="collection", shape=parallelogram];',
+				'\tp2 [label="unused", shape=parallelogram];',
+				'\tn3 [label="load_collection (load)"];',
+				'\tn4 [label="reduce_dimension (reduce)\\nCompute \\"the\\" mean"];',
+				'\tn5 [label="save_result@user (save)", peripheries=2];',
+				'\tsubgraph cluster_6 {',
+				'\t\tlabel="reducer (reduce)";',
+				'\t\tstyle=dashed;',
+				'\t\tp8 [label="data", shape=parallelogram];',
+				'\t\tn7 [label="mean (mean)", peripheries=2];',
+				'\t}',
+				'\tp1 -> n3 [label="id"];',
+				'\tn3 -> n4 [label="data"];',
+				'\tp8 -> n7 [label="data"];',
+				'\tn7 -> n4 [label="reducer", style=dashed];',
+				'\tn4 -> n5 [label="data"];',
+				'\tn4 -> n5 [label="options"];',
+				'}'
+			].join('\n'));
+		});
+
+		test('Mermaid', () => {
+			expect(new Diagram(process).toMermaid()).toBe([
+				'flowchart TB',
+				'\tp1[/"collection"/]',
+				'\tp2[/"unused"/]',
+				'\tn3["load_collection (load)"]',
+				'\tn4["reduce_dimension (reduce)<br>Compute #quot;the#quot; mean"]',
+				'\tn5["save_result@user (save)"]',
+				'\tsubgraph s6 ["reducer (reduce)"]',
+				'\t\tp8[/"data"/]',
+				'\t\tn7["mean (mean)"]',
+				'\tend',
+				'\tp1 -->|id| n3',
+				'\tn3 -->|data| n4',
+				'\tp8 -->|data| n7',
+				'\tn7 -.->|reducer| n4',
+				'\tn4 -->|data| n5',
+				'\tn4 -->|options| n5',
+				'\tclassDef result stroke-width:3px',
+				'\tclass n5,n7 result'
+			].join('\n'));
+		});
+
+		test('Callback parameters shadow process parameters', () => {
+			let udp = {
+				parameters: [{name: 'data', schema: {}}],
+				process_graph: {
+					reduce: {process_id: 'reduce_dimension', arguments: {
+						data: {from_parameter: 'data'},
+						dimension: 't',
+						reducer: {process_graph: {mean: {process_id: 'mean', arguments: {data: {from_parameter: 'data'}}, result: true}}}
+					}, result: true}
+				}
+			};
+			let mermaid = new Diagram(udp, processes).toMermaid();
+			expect(mermaid).toContain('\tp1 -->|data| n2');
+			expect(mermaid).toContain('\t\tp5[/"data"/]');
+			expect(mermaid).toContain('\tp5 -->|data| n4');
+			expect(mermaid).not.toContain('p1 -->|data| n4');
+			// Without the processes the callback parameters are unknown
+			expect(new Diagram(udp).toMermaid()).toContain('\tp1 -->|data| n4');
+		});
+
+		test('Builder', () => {
+			let builder = new Builder(processes, null, 'test');
+			let data = builder.load_collection('S2', null, null);
+			builder.apply(data, function(x) { return this.absolute(x); }).result = true;
+			let dot = builder.toDot();
+			expect(dot).toContain('digraph "test" {');
+			expect(dot).toContain('subgraph cluster_3 {');
+			expect(dot).toContain('n4 -> n2 [label="process", style=dashed];');
+			let mermaid = builder.toMermaid();
+			expect(mermaid).toContain('\tsubgraph s3 ["process (apply1)"]');
+			expect(mermaid).toContain('\t\tp5[/"x"/]');
+			expect(new Diagram(builder.toJSON().process_graph).toMermaid()).toBe(mermaid);
+			expect(() => new Diagram(null)).toThrow();
+		});
+	});
+
+	describe('Code generation', () => {
+		const { Parameter, Formula, CodeGenerator } = require('../src/openeo');
+
+		function run(code) {
+			let builder = new Builder(processes);
+			builder.addProcessSpec({id: 'save_result', parameters: []}, 'user');
+			new Function('builder', 'Parameter', 'Formula', code)(builder, Parameter, Formula);
+			return builder.toJSON();
+		}
+
+		test('Examples', () => {
+			let evi = require('./data/builder.evi.example.json');
+			let code = new CodeGenerator(evi, processes).generate();
+			expect(code).toContain('let reducer = new Formula("2.5 * (($B08 - $B04) / sum([1, $B08, 6 * $B04, -7.5 * $B02]))");');
+			expect(code).toContain('let reducer2 = function(data) {\n\tlet min1 = this.min(data);\n\treturn min1;\n};');
+			expect(run(code)).toEqual(evi);
+
+			let mathEvi = require('./data/builder.math.evi.example.json');
+			code = new CodeGenerator(mathEvi, processes).generate();
+			expect(code).toContain('let reducer = new Formula("2.5 * (($B08 - $B04) / (1 + $B08 + 6 * $B04 + -7.5 * $B02))");');
+			expect(run(code)).toEqual(mathEvi);
+		});
+
+		test('Parameters, namespaces and callbacks', () => {
+			let process = {
+				id: 'example',
+				parameters: [
+					{name: 'bands', description: 'The bands', schema: {type: 'array'}, default: ['B04', 'B08']},
+					{name: 'factor', description: 'Unused', schema: {type: 'number'}, optional: true, experimental: true}
+				],
+				process_graph: {
+					save: {process_id: 'save_result', namespace: 'user', arguments: {data: {from_node: 'apply'}, format: 'GTiff', options: {'tile-size': 256, ref: {from_parameter: 'unknown'}}}, result: true},
+					apply: {process_id: 'apply', description: 'Scale', arguments: {
+						data: {from_node: 'load'},
+						process: {process_graph: {
+							abs: {process_id: 'absolute', arguments: {x: {from_parameter: 'x'}}},
+							mul: {process_id: 'multiply', arguments: {x: {from_node: 'abs'}, y: {from_node: 'abs'}}, result: true}
+						}}
+					}},
+					load: {process_id: 'load_collection', arguments: {id: 'S2', spatial_extent: null, temporal_extent: null, bands: {from_parameter: 'bands'}}}
+				}
+			};
+			let code = new CodeGenerator(process, processes).generate();
+			expect(code).toBe([
+				'builder.id = "example";',
+				'let bands = new Parameter("bands", {type: "array"}, "The bands", ["B04", "B08"]);',
+				'let factor = new Parameter("factor", {type: "number"}, "Unused");',
+				'Object.assign(factor.spec, {optional: true, experimental: true});',
+				'builder.addParameter(factor.toJSON());',
+				'let load = builder.load_collection("S2", null, null, bands);',
+				'let process = function(x) {',
+				'\tlet abs = this.absolute(x);',
+				'\tlet mul = this.multiply(abs, abs);',
+				'\treturn mul;',
+				'};',
+				'let apply = builder.apply(load, process).description("Scale");',
+				'let save = builder.process("save_result", {data: apply, format: "GTiff", options: {"tile-size": 256, ref: {from_parameter: "unknown"}}}, null, "user");',
+				'save.result = true;'
+			].join('\n'));
+			let result = run(code);
+			expect(Object.keys(result.process_graph)).toEqual(['loadco1', 'apply1', 'savere1']);
+			expect(result.process_graph.apply1.arguments.process.process_graph.multip1.arguments).toEqual({x: {from_node: 'absolu1'}, y: {from_node: 'absolu1'}});
+			expect(result.process_graph.savere1.arguments.options.ref).toEqual({from_parameter: 'unknown'});
+			expect(result.parameters.find(p => p.name === 'factor')).toEqual(process.parameters[1]);
+			expect(result.parameters.find(p => p.name === 'bands')).toEqual(Object.assign({optional: true}, process.parameters[0]));
+		});
+
+		test('Builder', () => {
+			let builder = new Builder(processes);
+			let data = builder.load_collection('S2', null, null, ['B04', 'B08']);
+			let ndvi = builder.reduce_dimension(data, new Formula('($B08 - $B04) / ($B08 + $B04)'), 'bands');
+			let node = builder.apply(ndvi, function(x) { return this.power(this.absolute(x), 2); });
+			let code = new CodeGenerator(node, processes).generate();
+			expect(code).toContain('let reducer = new Formula("($B08 - $B04) / ($B08 + $B04)");');
+			expect(code).toContain('let process = new Formula("absolute(x) ^ 2");');
+			expect(code).toContain('apply1.result = true;');
+			expect(builder.toCode('b')).toContain('let loadco1 = b.load_collection("S2", null, null, ["B04", "B08"]);');
+			expect(() => new CodeGenerator({
+				a: {process_id: 'absolute', arguments: {x: {from_node: 'b'}}},
+				b: {process_id: 'absolute', arguments: {x: {from_node: 'a'}}, result: true}
+			}).generate()).toThrow();
+		});
+
+		test('Generating code from a node does not change the builder', () => {
+			let builder = new Builder(processes);
+			let data = builder.load_collection('S2', null, null);
+			let node = builder.apply(data, function(x) { return this.absolute(x); });
+			builder.save_result(node, 'GTiff').result = true;
+			let before = builder.toJSON();
+			let code = new CodeGenerator(node, processes).generate();
+			expect(code).toContain('apply1.result = true;');
+			expect(code).not.toContain('savere1.result');
+			expect(node.result).toBe(false);
+			expect(builder.toJSON()).toEqual(before);
+		});
+	});
+
+});
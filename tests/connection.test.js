@@ -0,0 +1,580 @@
+/**
+ * @jest-environment node
+ */
+// @ts-nocheck
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Stream = require('stream');
+const ContentDecoder = require('../src/contentdecoder');
+const { Connection, BasicProvider, Job, Pages, OpenEOError, AuthenticationError, NotFoundError, ValidationError, RateLimitError, ServerError, AbortError } = require('../src/openeo');
+
+describe('Connection with a local mock server', () => {
+
+	var server;
+	var baseUrl;
+	var handlers = {};
+
+	function failTimes(times, status, handler, headers = {}) {
+		let calls = 0;
+		let fn = (req, res) => {
+			calls++;
+			fn.calls = calls;
+			if (calls <= times) {
+				json(res, status, {code: 'Unavailable', message: 'Try again'}, headers);
+			}
+			else {
+				handler(req, res);
+			}
+		};
+		fn.calls = 0;
+		return fn;
+	}
+
+	// Jest's node environment doesn't provide AbortController, so use a minimal implementation
+	function createAbortController() {
+		let listeners = [];
+		let signal = {
+			aborted: false,
+			addEventListener: (type, fn) => listeners.push(fn),
+			removeEventListener: (type, fn) => {
+				listeners = listeners.filter(l => l !== fn);
+			}
+		};
+		return {
+			signal,
+			abort: () => {
+				signal.aborted = true;
+				listeners.forEach(fn => fn());
+			}
+		};
+	}
+
+	function json(res, status, body, headers = {}) {
+		res.writeHead(status, Object.assign({'Content-Type': 'application/json'}, headers));
+		res.end(JSON.stringify(body));
+	}
+
+	beforeAll(done => {
+		server = http.createServer((req, res) => {
+			let handler = handlers[req.method + ' ' + req.url.split('?')[0]];
+			if (typeof handler === 'function') {
+				handler(req, res);
+			}
+			else {
+				json(res, 404, {code: 'NotFound', message: 'Resource not found', id: 'abc'});
+			}
+		});
+		server.listen(0, '127.0.0.1', () => {
+			baseUrl = 'http://127.0.0.1:' + server.address().port;
+			done();
+		});
+	});
+
+	afterAll(done => server.close(done));
+
+	beforeEach(() => {
+		handlers = {};
+	});
+
+	describe('Errors', () => {
+		test('JSON error responses', async () => {
+			handlers['GET /collections/S2'] = (req, res) => json(res, 404, {
+				id: '936DA01F',
+				code: 'CollectionNotFound',
+				message: 'Collection S2 does not exist.',
+				links: [{rel: 'about', href: 'https://example.com/errors'}]
+			});
+			let con = new Connection(baseUrl);
+			let error = await con.describeCollection('S2').catch(e => e);
+			expect(error).toBeInstanceOf(NotFoundError);
+			expect(error).toBeInstanceOf(OpenEOError);
+			expect(error.name).toBe('NotFoundError');
+			expect(error.code).toBe('CollectionNotFound');
+			expect(error.id).toBe('936DA01F');
+			expect(error.message).toBe('Collection S2 does not exist.');
+			expect(error.links).toEqual([{rel: 'about', href: 'https://example.com/errors'}]);
+			expect(error.status).toBe(404);
+			expect(error.method).toBe('get');
+			expect(error.url).toBe(baseUrl + '/collections/S2');
+		});
+
+		test('JSON error responses for binary response types', async () => {
+			handlers['GET /files/test.txt'] = (req, res) => json(res, 403, {code: 'FilePathInvalid', message: 'Not allowed'});
+			let con = new Connection(baseUrl);
+			let error = await con.download('/files/test.txt', true).catch(e => e);
+			expect(error).toBeInstanceOf(AuthenticationError);
+			expect(error.code).toBe('FilePathInvalid');
+			expect(error.message).toBe('Not allowed');
+			expect(error.status).toBe(403);
+		});
+
+		test('Status codes are mapped to error classes', async () => {
+			let con = new Connection(baseUrl);
+			let errors = {
+				400: ValidationError,
+				401: AuthenticationError,
+				422: ValidationError,
+				429: RateLimitError,
+				500: ServerError,
+				503: ServerError
+			};
+			for(let status in errors) {
+				handlers['GET /status'] = (req, res) => json(res, Number(status), {code: 'Test', message: 'Status ' + status}, {'Retry-After': '120'});
+				let error = await con._get('/status').catch(e => e);
+				expect(error).toBeInstanceOf(errors[status]);
+				expect(error.status).toBe(Number(status));
+				expect(error.getRetryAfter()).toBe(120);
+			}
+		});
+
+		test('Non-JSON error responses', async () => {
+			handlers['DELETE /jobs/123'] = (req, res) => {
+				res.writeHead(500, {'Content-Type': 'text/plain'});
+				res.end('Internal Server Error');
+			};
+			let con = new Connection(baseUrl);
+			let error = await con._delete('/jobs/123').catch(e => e);
+			expect(error).toBeInstanceOf(ServerError);
+			expect(error.code).toBeNull();
+			expect(error.method).toBe('delete');
+			expect(typeof error.message).toBe('string');
+		});
+
+		test('Network errors', async () => {
+			let con = new Connection('http://127.0.0.1:1');
+			let error = await con._get('/collections').catch(e => e);
+			expect(error).toBeInstanceOf(OpenEOError);
+			expect(error.status).toBeNull();
+			expect(typeof error.cause.message).toBe('string');
+		});
+	});
+
+	describe('Retries', () => {
+		const FAST_RETRIES = {delay: 1, maxDelay: 100, jitter: 0};
+
+		test('GET requests are retried on temporary errors', async () => {
+			let handler = failTimes(2, 503, (req, res) => json(res, 200, {collections: [], links: []}));
+			handlers['GET /collections'] = handler;
+			let con = new Connection(baseUrl);
+			con.setRetryPolicy(FAST_RETRIES);
+			let data = await con.listCollections();
+			expect(data.collections).toEqual([]);
+			expect(handler.calls).toBe(3);
+		});
+
+		test('Gives up after the maximum number of attempts', async () => {
+			let handler = failTimes(5, 502, (req, res) => json(res, 200, {}));
+			handlers['GET /collections'] = handler;
+			let con = new Connection(baseUrl);
+			con.setRetryPolicy(Object.assign({maxAttempts: 2}, FAST_RETRIES));
+			await expect(con.listCollections()).rejects.toBeInstanceOf(ServerError);
+			expect(handler.calls).toBe(2);
+		});
+
+		test('Other status codes are not retried', async () => {
+			let handler = failTimes(1, 500, (req, res) => json(res, 200, {}));
+			handlers['GET /collections'] = handler;
+			let con = new Connection(baseUrl);
+			con.setRetryPolicy(FAST_RETRIES);
+			await expect(con.listCollections()).rejects.toBeInstanceOf(ServerError);
+			expect(handler.calls).toBe(1);
+		});
+
+		test('POST requests are only retried on opt-in', async () => {
+			let handler = failTimes(1, 503, (req, res) => json(res, 200, {errors: []}));
+			handlers['POST /validation'] = handler;
+			let con = new Connection(baseUrl);
+			con.setRetryPolicy(FAST_RETRIES);
+			await expect(con.validateProcess({})).rejects.toBeInstanceOf(ServerError);
+			expect(handler.calls).toBe(1);
+
+			handler = failTimes(1, 503, (req, res) => json(res, 200, {errors: []}));
+			handlers['POST /validation'] = handler;
+			con.setRetryPolicy(Object.assign({methods: ['get', 'post']}, FAST_RETRIES));
+			expect(await con.validateProcess({})).toEqual([]);
+			expect(handler.calls).toBe(2);
+		});
+
+		test('Retry-After is respected', async () => {
+			let handler = failTimes(1, 429, (req, res) => json(res, 200, {}), {'Retry-After': '0'});
+			handlers['GET /me'] = handler;
+			let con = new Connection(baseUrl);
+			con.setRetryPolicy({delay: 60000, jitter: 0});
+			await con.describeAccount();
+			expect(handler.calls).toBe(2);
+
+			handler = failTimes(1, 503, (req, res) => json(res, 200, {}), {'Retry-After': '3600'});
+			handlers['GET /me'] = handler;
+			await expect(con.describeAccount()).rejects.toBeInstanceOf(ServerError);
+			expect(handler.calls).toBe(1);
+		});
+
+		test('Downloads and uploads are retried', async () => {
+			let download = failTimes(1, 504, (req, res) => {
+				res.writeHead(200, {'Content-Type': 'text/plain'});
+				res.end('Hello World');
+			});
+			let uploadedContent = null;
+			let upload = failTimes(1, 503, (req, res) => {
+				let chunks = [];
+				req.on('data', chunk => chunks.push(chunk));
+				req.on('end', () => {
+					uploadedContent = Buffer.concat(chunks).toString();
+					json(res, 200, {path: 'test.txt', size: uploadedContent.length});
+				});
+			});
+			handlers['GET /files/test.txt'] = download;
+			handlers['PUT /files/test.txt'] = upload;
+			let con = new Connection(baseUrl);
+			con.setRetryPolicy(FAST_RETRIES);
+
+			let stream = await con.download('/files/test.txt', true);
+			let chunks = [];
+			for await (let chunk of stream) {
+				chunks.push(chunk);
+			}
+			expect(Buffer.concat(chunks).toString()).toBe('Hello World');
+			expect(download.calls).toBe(2);
+
+			let tempFile = path.join(os.tmpdir(), 'openeo-js-client-upload.txt');
+			fs.writeFileSync(tempFile, 'Lorem ipsum');
+			try {
+				let file = await con.uploadFile(tempFile, 'test.txt');
+				expect(file.size).toBe(11);
+				expect(uploadedContent).toBe('Lorem ipsum');
+				expect(upload.calls).toBe(2);
+			} finally {
+				fs.unlinkSync(tempFile);
+			}
+		});
+	});
+
+	describe('Cancellation', () => {
+		test('Pending requests can be aborted', async () => {
+			let pending = [];
+			handlers['POST /result'] = (req, res) => pending.push(res); // Never responds
+			let con = new Connection(baseUrl);
+			let controller = createAbortController();
+			let promise = con.computeResult({}, null, null, controller.signal);
+			setTimeout(() => controller.abort(), 20);
+			let error = await promise.catch(e => e);
+			expect(error).toBeInstanceOf(AbortError);
+			expect(error.name).toBe('AbortError');
+			pending.forEach(res => res.end());
+		});
+
+		test('Aborted signals reject immediately', async () => {
+			let handler = jest.fn((req, res) => json(res, 200, {}));
+			handlers['GET /jobs/123'] = handler;
+			let con = new Connection(baseUrl);
+			let controller = createAbortController();
+			controller.abort();
+			await expect(con.getJob('123', controller.signal)).rejects.toBeInstanceOf(AbortError);
+			expect(handler).not.toHaveBeenCalled();
+		});
+
+		test('Waiting for retries can be aborted', async () => {
+			handlers['GET /collections'] = failTimes(5, 503, (req, res) => json(res, 200, {}));
+			let con = new Connection(baseUrl);
+			con.setRetryPolicy({delay: 60000, maxDelay: 60000});
+			let controller = createAbortController();
+			let promise = con.listCollections(controller.signal);
+			setTimeout(() => controller.abort(), 50);
+			await expect(promise).rejects.toBeInstanceOf(AbortError);
+		});
+	});
+
+	describe('Middlewares', () => {
+		test('Hooks are executed in order and can be removed', async () => {
+			let headers = null;
+			handlers['GET /proxy/me'] = (req, res) => {
+				headers = req.headers;
+				json(res, 200, {user_id: 'john'});
+			};
+			let con = new Connection(baseUrl);
+			let calls = [];
+			let removeFirst = con.addMiddleware({
+				beforeRequest: options => {
+					calls.push('before1');
+					options.headers = Object.assign({}, options.headers, {'X-Trace-Id': 'abc'});
+				},
+				afterResponse: () => {
+					calls.push('after1');
+				}
+			});
+			con.addMiddleware({
+				beforeRequest: async options => {
+					calls.push('before2');
+					return Object.assign({}, options, {url: '/proxy' + options.url});
+				},
+				afterResponse: async response => {
+					calls.push('after2');
+					response.data.modified = true;
+					return response;
+				}
+			});
+			let account = await con.describeAccount();
+			expect(calls).toEqual(['before1', 'before2', 'after1', 'after2']);
+			expect(headers['x-trace-id']).toBe('abc');
+			expect(account).toEqual({user_id: 'john', modified: true});
+
+			calls = [];
+			removeFirst();
+			await con.describeAccount();
+			expect(calls).toEqual(['before2', 'after2']);
+		});
+
+		test('Errors can be observed and recovered', async () => {
+			let con = new Connection(baseUrl);
+			let observed = [];
+			con.addMiddleware({
+				onError: error => {
+					observed.push(error.status);
+				}
+			});
+			con.addMiddleware({
+				onError: (error, options) => {
+					if (options.url === '/file_formats') {
+						return {status: 200, headers: {}, data: {input: {}, output: {}}};
+					}
+				}
+			});
+			let formats = await con.listFileTypes();
+			expect(formats.getOutputTypes()).toEqual({});
+			await expect(con.listServiceTypes()).rejects.toBeInstanceOf(NotFoundError);
+			expect(observed).toEqual([404, 404]);
+		});
+
+		test('Requests of auth providers are passed through', async () => {
+			handlers['GET /credentials/basic'] = (req, res) => json(res, 200, {access_token: 'secret'});
+			let con = new Connection(baseUrl);
+			let urls = [];
+			con.addMiddleware({
+				beforeRequest: options => {
+					urls.push(options.url);
+				}
+			});
+			let basic = new BasicProvider(con);
+			await basic.login('john', 'doe');
+			expect(urls).toEqual(['/credentials/basic']);
+			expect(con.isAuthenticated()).toBeTruthy();
+		});
+	});
+
+	describe('Pagination', () => {
+		function paginate(key, items, pageSize) {
+			return (req, res) => {
+				let url = new URL(req.url, baseUrl);
+				let offset = parseInt(url.searchParams.get('offset') || '0', 10);
+				let limit = parseInt(url.searchParams.get('limit') || String(pageSize), 10);
+				let links = [];
+				if (offset + limit < items.length) {
+					links.push({rel: 'next', href: baseUrl + url.pathname + '?limit=' + limit + '&offset=' + (offset + limit)});
+				}
+				json(res, 200, {[key]: items.slice(offset, offset + limit), links});
+			};
+		}
+
+		let jobs = [1, 2, 3, 4, 5].map(i => ({id: 'job' + i, status: 'created', created: '2020-01-01T00:00:00Z'}));
+
+		test('List methods retrieve all pages', async () => {
+			handlers['GET /jobs'] = paginate('jobs', jobs, 2);
+			let con = new Connection(baseUrl);
+			let list = await con.listJobs();
+			expect(list.length).toBe(5);
+			expect(list[0]).toBeInstanceOf(Job);
+			expect(list.map(j => j.id)).toEqual(['job1', 'job2', 'job3', 'job4', 'job5']);
+		});
+
+		test('listCollections keeps the response structure', async () => {
+			let collections = [{id: 'S1'}, {id: 'S2'}, {id: 'S3'}];
+			handlers['GET /collections'] = paginate('collections', collections, 2);
+			let con = new Connection(baseUrl);
+			let response = await con.listCollections();
+			expect(response.collections).toEqual(collections);
+			expect(Array.isArray(response.links)).toBeTruthy();
+		});
+
+		test('Pages can be iterated', async () => {
+			let limits = [];
+			let handler = paginate('jobs', jobs, 2);
+			handlers['GET /jobs'] = (req, res) => {
+				limits.push(new URL(req.url, baseUrl).searchParams.get('limit'));
+				handler(req, res);
+			};
+			let con = new Connection(baseUrl);
+			let pages = con.paginateJobs(3);
+			expect(pages).toBeInstanceOf(Pages);
+			let sizes = [];
+			for await (let page of pages) {
+				sizes.push(page.length);
+			}
+			expect(sizes).toEqual([3, 2]);
+			expect(limits).toEqual(['3', '3']);
+			expect(pages.hasNextPage()).toBeFalsy();
+			expect(await pages.nextPage()).toEqual([]);
+		});
+
+		test('Stops if a page links to itself', async () => {
+			handlers['GET /services'] = (req, res) => json(res, 200, {services: [], links: [{rel: 'next', href: baseUrl + '/services'}]});
+			let con = new Connection(baseUrl);
+			let pages = con.paginateServices(null);
+			await pages.nextPage();
+			expect(pages.hasNextPage()).toBeTruthy();
+			await pages.nextPage();
+			expect(pages.hasNextPage()).toBeFalsy();
+		});
+	});
+
+	describe('Process namespaces', () => {
+		test('Processes are listed and cached per namespace', async () => {
+			let requests = [];
+			let list = (req, res, body) => {
+				requests.push(req.url);
+				json(res, 200, body);
+			};
+			handlers['GET /processes'] = (req, res) => list(req, res, {processes: [{id: 'absolute'}], links: []});
+			handlers['GET /process_graphs'] = (req, res) => list(req, res, {processes: [{id: 'evi'}], links: []});
+			handlers['GET /process_graphs/evi'] = (req, res) => list(req, res, {id: 'evi', process_graph: {}});
+			handlers['GET /processes/john'] = (req, res) => list(req, res, {processes: [{id: 'ndvi', process_graph: {}}], links: []});
+			let con = new Connection(baseUrl);
+
+			let predefined = await con.listProcesses();
+			expect(predefined.processes).toEqual([{id: 'absolute'}]);
+			let john = await con.listProcesses('john');
+			expect(john.processes).toEqual([{id: 'ndvi', namespace: 'john', process_graph: {}}]);
+			await con.listProcesses();
+			await con.listProcesses('john');
+			expect(requests).toEqual(['/processes', '/processes/john']);
+
+			expect(await con.describeProcess('absolute')).toEqual({id: 'absolute'});
+			expect(await con.describeProcess('ndvi')).toBeNull();
+			expect((await con.describeProcess('ndvi', 'john')).namespace).toBe('john');
+			expect(await con.describeProcess('evi', 'user')).toEqual({id: 'evi', namespace: 'user', process_graph: {}});
+			expect(await con.describeProcess('unknown', 'user')).toBeNull();
+			expect(requests).toEqual(['/processes', '/processes/john', '/process_graphs/evi']);
+
+			let builder = await con.buildProcess('test', ['user']);
+			expect(builder.spec('evi', 'user')).toEqual({id: 'evi', namespace: 'user'});
+		});
+
+		test('Processes are validated locally', async () => {
+			let requests = [];
+			handlers['GET /processes'] = (req, res) => {
+				requests.push(req.url);
+				json(res, 200, {processes: [{id: 'absolute', parameters: [{name: 'x', schema: {type: ['number', 'null']}}]}], links: []});
+			};
+			handlers['GET /processes/john'] = (req, res) => {
+				requests.push(req.url);
+				json(res, 200, {processes: [{id: 'ndvi', parameters: []}], links: []});
+			};
+			let con = new Connection(baseUrl);
+			let errors = await con.validateProcessLocally({
+				a: {process_id: 'absolute', arguments: {x: 'a'}},
+				b: {process_id: 'ndvi', namespace: 'john', arguments: {}},
+				c: {process_id: 'evi', namespace: 'nobody', arguments: {}, result: true}
+			});
+			expect(errors.map(e => e.code)).toEqual(['ProcessArgumentInvalid', 'ProcessUnsupported']);
+			expect(errors[1].message).toBe("Process with identifier 'evi' is not available in namespace 'nobody' (node 'c').");
+			expect(requests).toEqual(['/processes', '/processes/john']);
+
+			let builder = await con.buildProcess('test');
+			builder.absolute(-1).result = true;
+			expect(await con.validateProcessLocally(builder)).toEqual([]);
+			expect(requests).toEqual(['/processes', '/processes/john']);
+		});
+	});
+
+	describe('Synchronous results', () => {
+		function respond(type, body, headers = {}) {
+			handlers['POST /result'] = (req, res) => {
+				res.writeHead(200, Object.assign({'Content-Type': type}, headers));
+				res.end(body);
+			};
+		}
+
+		function png(width, height) {
+			let bytes = Buffer.alloc(33);
+			Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]).copy(bytes);
+			bytes.writeUInt32BE(13, 8);
+			bytes.write('IHDR', 12, 'ascii');
+			bytes.writeUInt32BE(width, 16);
+			bytes.writeUInt32BE(height, 20);
+			return bytes;
+		}
+
+		test('Returns a stream by default', async () => {
+			respond('application/json', '{"a": 1}', {'OpenEO-Costs': '1.25'});
+			let result = await new Connection(baseUrl).computeResult({process_graph: {}});
+			expect(result.data).toBeInstanceOf(Stream.Readable);
+			expect(result.type).toBe('application/json');
+			expect(result.costs).toBe(1.25);
+			expect(result.rows).toBeNull();
+			result.data.resume();
+		});
+
+		test('JSON', async () => {
+			respond('application/geo+json; charset=utf-8', '{"type": "FeatureCollection", "features": []}');
+			let result = await new Connection(baseUrl).computeResult({process_graph: {}}, null, null, null, true);
+			expect(result.data).toEqual({type: 'FeatureCollection', features: []});
+			expect(result.type).toBe('application/geo+json');
+			expect(result.costs).toBeNull();
+		});
+
+		test('Text and CSV', async () => {
+			respond('text/plain', 'Grüße');
+			let text = await new Connection(baseUrl).computeResult({process_graph: {}}, null, null, null, true);
+			expect(text.data).toBe('Grüße');
+
+			respond('text/csv', 'date,value,label\r\n2020-01-01,0.5,"a, b"\r\n2020-01-02,0.7,"say ""hi"""\r\n');
+			let csv = await new Connection(baseUrl).computeResult({process_graph: {}}, null, null, null, true);
+			expect(typeof csv.data).toBe('string');
+			expect(csv.rows).toEqual([['date', 'value', 'label'], ['2020-01-01', '0.5', 'a, b'], ['2020-01-02', '0.7', 'say "hi"']]);
+			expect(ContentDecoder.parseCsv('a\tb\n\nc\t', '\t')).toEqual([['a', 'b'], ['c', '']]);
+		});
+
+		test('Images', async () => {
+			respond('image/png', png(256, 128));
+			let result = await new Connection(baseUrl).computeResult({process_graph: {}}, null, null, null, true);
+			expect(result.data).toBeInstanceOf(Buffer);
+			expect(result.data.length).toBe(33);
+			expect(result.metadata).toEqual({type: 'image/png', size: 33, width: 256, height: 128});
+
+			let jpeg = Buffer.from([0xFF, 0xD8, 0xFF, 0xE0, 0x00, 0x04, 0x00, 0x00, 0xFF, 0xC0, 0x00, 0x11, 0x08, 0x00, 0x20, 0x00, 0x40, 0x03]);
+			expect(ContentDecoder.getImageSize(new Uint8Array(jpeg))).toEqual({width: 64, height: 32});
+			let tiff = Buffer.alloc(40);
+			tiff.write('II*', 0, 'ascii');
+			tiff.writeUInt32LE(8, 4);
+			tiff.writeUInt16LE(2, 8);
+			tiff.writeUInt16LE(256, 10);
+			tiff.writeUInt16LE(3, 12);
+			tiff.writeUInt16LE(100, 18);
+			tiff.writeUInt16LE(257, 22);
+			tiff.writeUInt16LE(4, 24);
+			tiff.writeUInt32LE(70000, 30);
+			expect(ContentDecoder.getImageSize(new Uint8Array(tiff))).toEqual({width: 100, height: 70000});
+			expect(ContentDecoder.getImageSize(new Uint8Array([0x89, 0x50, 0x4E, 0x47]))).toEqual({width: null, height: null});
+		});
+
+		test('Multipart', async () => {
+			let body = Buffer.concat([
+				Buffer.from('preamble\r\n--xyz\r\nContent-Type: application/json\r\n\r\n{"n": 1}\r\n--xyz\r\nContent-Type: image/png\r\nContent-Disposition: attachment; filename="a.png"\r\n\r\n'),
+				png(1, 2),
+				Buffer.from('\r\n--xyz\r\n\r\nplain\r\n--xyz--\r\n')
+			]);
+			respond('multipart/mixed; boundary="xyz"', body);
+			let result = await new Connection(baseUrl).computeResult({process_graph: {}}, null, null, null, true);
+			expect(result.type).toBe('multipart/mixed');
+			expect(result.data.length).toBe(3);
+			expect(result.data[0]).toEqual({type: 'application/json', headers: {'content-type': 'application/json'}, data: {n: 1}, rows: null, metadata: null});
+			expect(result.data[1].headers['content-disposition']).toBe('attachment; filename="a.png"');
+			expect(result.data[1].data).toEqual(png(1, 2));
+			expect(result.data[1].metadata).toEqual({type: 'image/png', size: 33, width: 1, height: 2});
+			expect(result.data[2].type).toBe('text/plain');
+			expect(result.data[2].data).toBe('plain');
+		});
+	});
+
+});
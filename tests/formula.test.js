@@ -0,0 +1,217 @@
+// @ts-nocheck
+describe('Formula', () => {
+
+	const { Builder, Formula } = require('../src/openeo');
+	const processes = require('./data/processes.json');
+
+	function reducer(formula) {
+		let builder = new Builder(processes);
+		let data = builder.load_collection('S2', null, null);
+		let node = builder.reduce_dimension(data, new Formula(formula), 'bands');
+		return builder.toJSON().process_graph[node.id].arguments.reducer;
+	}
+
+	function graph(nodes) {
+		return {process_graph: nodes};
+	}
+
+	describe('stringify', () => {
+		test('EVI', () => {
+			let evi = require('./data/builder.math.evi.example.json');
+			let formula = Formula.stringify(evi.process_graph.reduce1.arguments.reducer, processes, ['data', 'context']);
+			expect(formula).toBe('2.5 * (($B08 - $B04) / (1 + $B08 + 6 * $B04 + -7.5 * $B02))');
+			expect(reducer(formula)).toEqual(evi.process_graph.reduce1.arguments.reducer);
+		});
+
+		test('Parentheses', () => {
+			let cases = [
+				['$B04 - $B08 - 1', '$B04 - $B08 - 1'],
+				['($B04 - $B08) - 1', '$B04 - $B08 - 1'],
+				['$B04 - ($B08 - 1)', '$B04 - ($B08 - 1)'],
+				['context + $B04 * $B08', 'context + $B04 * $B08'],
+				['(context + $B04) * $B08', '(context + $B04) * $B08'],
+				['$B04 / ($B08 * 2)', '$B04 / ($B08 * 2)'],
+				['$B04 ^ $B08 ^ 2', '$B04 ^ $B08 ^ 2'],
+				['$B04 ^ ($B08 ^ 2)', '$B04 ^ ($B08 ^ 2)'],
+				['-2 ^ $B04', '-2 ^ $B04'],
+				['2 ^ -$B04', '2 ^ (-1 * $B04)'],
+				['-(1 + $B08)', '-1 * (1 + $B08)'],
+				['$0 * -2.5 - -1', '$0 * -2.5 - -1'],
+				['sqrt($B08 + 1) * linear_scale_range($B04, -20, -5, 0, 255) ^ 2', 'sqrt($B08 + 1) * linear_scale_range($B04, -20, -5, 0, 255) ^ 2'],
+				['1e-7 * $0 + 1E21', '1e-7 * $0 + 1e+21'],
+				['((($B08)) + (1))', '$B08 + 1']
+			];
+			for(let [formula, expected] of cases) {
+				expect(Formula.stringify(reducer(formula), processes)).toBe(expected);
+				// Converting the formula again results in the same process graph
+				expect(reducer(expected)).toEqual(reducer(formula));
+			}
+		});
+
+		test('Builder and user-defined processes', () => {
+			let builder = new Builder(processes);
+			builder.math('sqrt(@x) / 2').result = true;
+			expect(Formula.stringify(builder, processes)).toBe('sqrt(x) / 2');
+			expect(Formula.stringify(builder.toJSON(), {processes: processes.processes})).toBe('sqrt(x) / 2');
+			expect(Formula.stringify(builder.toJSON().process_graph, processes)).toBe('sqrt(x) / 2');
+		});
+
+		test('Process graphs that are not formulas', () => {
+			let absolute = {process_id: 'absolute', arguments: {x: {from_parameter: 'x'}}};
+			let errors = [
+				[{}, "The process graph must have exactly one result node."],
+				[graph({a: {process_id: 'sum', arguments: {data: [1, 'B08']}, result: true}}), "The value \"B08\" can't be used in a formula (node 'a')."],
+				[graph({a: {process_id: 'mean', arguments: {data: {from_parameter: 'data'}}, result: true}}), "The arguments for process 'mean' can't be expressed in a formula (node 'a')."],
+				[graph({a: {process_id: 'load_collection', arguments: {}, result: true}}), "Process 'load_collection' is not a mathematical function (node 'a')."],
+				[graph({a: {process_id: 'absolute', namespace: 'user', arguments: {x: 1}, result: true}}), "Process 'absolute' is not available (node 'a')."],
+				[graph({a: {process_id: 'add', arguments: {x: 'B08', y: 1}, result: true}}), "The value \"B08\" can't be used in a formula (node 'a')."],
+				[graph({a: {process_id: 'add', arguments: {x: {from_node: 'b'}, y: 1}, result: true}}), "Referenced node 'b' doesn't exist."],
+				[graph({a: absolute, b: {process_id: 'add', arguments: {x: {from_node: 'a'}, y: {from_node: 'a'}}, result: true}}), "The result of node 'a' is used multiple times."],
+				[graph({a: absolute, b: {process_id: 'sqrt', arguments: {x: 2}, result: true}}), "The nodes 'a' are not part of the result."],
+				[graph({a: {process_id: 'add', arguments: {x: {from_parameter: 'collection-id'}, y: 1}, result: true}}), "The parameter 'collection-id' can't be used in a formula (node 'a')."],
+				[graph({a: {process_id: 'array_element', arguments: {data: {from_parameter: 'data'}, label: '1'}, result: true}}), "Array access is only supported by index or by labels that consist of letters, digits and underscores (node 'a')."],
+				[graph({a: {process_id: 'array_element', arguments: {data: {from_parameter: 'data'}, index: 1, return_nodata: true}, result: true}}), "Array access is only supported by index or label for callback parameters (node 'a')."]
+			];
+			for(let [process, message] of errors) {
+				expect(() => Formula.stringify(process, processes)).toThrow(message);
+			}
+
+			// Callback parameters
+			let process = graph({
+				a: {process_id: 'array_element', arguments: {data: {from_parameter: 'context'}, index: 0}},
+				b: {process_id: 'add', arguments: {x: {from_node: 'a'}, y: {from_parameter: 'x'}}, result: true}
+			});
+			expect(Formula.stringify(process, processes)).toBe('$0 + x');
+			expect(Formula.stringify(process, processes, ['context', 'x'])).toBe('$0 + x');
+			expect(Formula.stringify(process, processes, ['data', 'context'])).toBe('$context.0 + @x');
+			expect(() => Formula.stringify(process, processes, ['data'])).toThrow("Array access is only supported by index or label for callback parameters (node 'a').");
+		});
+	});
+
+	describe('Comparison, logical and conditional operators', () => {
+		test('Processes', () => {
+			let graph = reducer('$B08 > 0.3 and $SCL != 3').process_graph;
+			expect(Object.keys(graph)).toEqual(['arraye1', 'gt1', 'arraye2', 'neq1', 'and1']);
+			expect(graph.gt1.arguments).toEqual({x: {from_node: 'arraye1'}, y: 0.3});
+			expect(graph.neq1.arguments).toEqual({x: {from_node: 'arraye2'}, y: 3});
+			expect(graph.and1).toEqual({process_id: 'and', arguments: {x: {from_node: 'gt1'}, y: {from_node: 'neq1'}}, result: true});
+
+			graph = reducer('not $B08 <= 1 or $B04 >= 2 xor $B04 < 3 and $B08 == 4 ? $B08 : null').process_graph;
+			expect(Object.keys(graph).map(id => graph[id].process_id)).toEqual(['array_element', 'lte', 'not', 'array_element', 'gte', 'lt', 'eq', 'and', 'xor', 'or', 'if']);
+			expect(graph.not1.arguments).toEqual({x: {from_node: 'lte1'}});
+			expect(graph.and1.arguments).toEqual({x: {from_node: 'lt1'}, y: {from_node: 'eq1'}});
+			expect(graph.xor1.arguments).toEqual({x: {from_node: 'gte1'}, y: {from_node: 'and1'}});
+			expect(graph.or1.arguments).toEqual({x: {from_node: 'not1'}, y: {from_node: 'xor1'}});
+			expect(graph.if1.arguments).toEqual({value: {from_node: 'or1'}, accept: {from_node: 'arraye1'}, reject: null});
+
+			graph = reducer('if($B08 > 0.3, $B08)').process_graph;
+			expect(graph.if1.arguments).toEqual({value: {from_node: 'gt1'}, accept: {from_node: 'arraye1'}});
+		});
+
+		test('Stringify', () => {
+			let cases = [
+				['$B08 > 0.3 and $SCL != 3', '$B08 > 0.3 and $SCL != 3'],
+				['($B08 + 1) * 2 >= $B04 - 1', '($B08 + 1) * 2 >= $B04 - 1'],
+				['($B08 > 1) == ($B04 > 1)', '($B08 > 1) == ($B04 > 1)'],
+				['not ($B08 > 1 and $B04 > 1)', 'not ($B08 > 1 and $B04 > 1)'],
+				['not not $B08', 'not not $B08'],
+				['(not $B08) == $B04', '(not $B08) == $B04'],
+				['$B08 or $B04 and $B02', '$B08 or $B04 and $B02'],
+				['($B08 or $B04) and $B02', '($B08 or $B04) and $B02'],
+				['$B08 xor ($B04 xor $B02)', '$B08 xor ($B04 xor $B02)'],
+				['$B08 > 1 ? $B08 : $B04 > 1 ? $B04 : 0', '$B08 > 1 ? $B08 : $B04 > 1 ? $B04 : 0'],
+				['($B08 ? true : false) ? 1 : 2', '($B08 ? true : false) ? 1 : 2'],
+				['$B08 > 1 ? ($B04 < 1 ? 1 : 2) : 3', '$B08 > 1 ? $B04 < 1 ? 1 : 2 : 3'],
+				['(context ? 1 : 2) * 2', '(context ? 1 : 2) * 2'],
+				['if($B08 > 0.3, $B08)', 'if($B08 > 0.3, $B08)'],
+				['if($B08, 1, 2)', '$B08 ? 1 : 2']
+			];
+			for(let [formula, expected] of cases) {
+				expect(Formula.stringify(reducer(formula), processes)).toBe(expected);
+				expect(reducer(expected)).toEqual(reducer(formula));
+			}
+		});
+
+		test('Errors', () => {
+			let builder = new Builder(processes.processes.filter(p => !['gt', 'not', 'if'].includes(p.id)));
+			expect(() => builder.math('@x > 1')).toThrow("The operator > requires the process 'gt', which is not supported by the back-end");
+			expect(() => builder.math('not @x')).toThrow("The operator not requires the process 'not', which is not supported by the back-end");
+			expect(() => builder.math('@x ? 1 : 2')).toThrow("The conditional operator ?: requires the process 'if', which is not supported by the back-end");
+			expect(() => new Formula('a = b')).toThrow("Unknown operator =, did you mean ==?");
+			expect(() => new Formula('a ! b')).toThrow("Unknown operator !, did you mean !=?");
+			expect(() => new Formula('a ? b')).toThrow("Expecting : in a conditional expression");
+			expect(() => new Formula('a and')).toThrow("Unexpected termination of expression");
+			expect(() => new Formula('and + 1')).toThrow("Unexpected keyword and");
+		});
+	});
+
+	describe('Constants, arrays and parameters', () => {
+		test('Constants and arrays', () => {
+			let graph = reducer('2 * pi * e').process_graph;
+			expect(graph.pi1).toEqual({process_id: 'pi', arguments: {}});
+			expect(graph.e1).toEqual({process_id: 'e', arguments: {}});
+
+			graph = reducer('sum([$B08, -$B04, 1, []])').process_graph;
+			expect(graph.sum1.arguments).toEqual({data: [{from_node: 'arraye1'}, {from_node: 'multip1'}, 1, []]});
+
+			let cases = [
+				['2 * pi * e', '2 * pi * e'],
+				['pi()', 'pi'],
+				['sum([$B08, -$B04, 1, []])', 'sum([$B08, -1 * $B04, 1, []])'],
+				['max([1, 2]) + min([$B08 + 1, 0]) ^ 2', 'max([1, 2]) + min([$B08 + 1, 0]) ^ 2'],
+				['$context.B08 / $B08', '$context.B08 / $B08'],
+				['$context.0 + context', '$context.0 + context']
+			];
+			for(let [formula, expected] of cases) {
+				expect(Formula.stringify(reducer(formula), processes, ['data', 'context'])).toBe(expected);
+				expect(reducer(expected)).toEqual(reducer(formula));
+			}
+		});
+
+		test('Callback parameters', () => {
+			let graph = reducer('$context.B08 + $0 + context').process_graph;
+			expect(graph.arraye1.arguments).toEqual({data: {from_parameter: 'context'}, label: 'B08'});
+			expect(graph.arraye2.arguments).toEqual({data: {from_parameter: 'data'}, index: 0});
+			expect(graph.add2.arguments).toEqual({x: {from_node: 'add1'}, y: {from_parameter: 'context'}});
+
+			// Parameters of parent callbacks
+			let builder = new Builder(processes);
+			let data = builder.load_collection('S2', null, null);
+			builder.reduce_dimension(data, function() {
+				return this.apply(this.mean([1]), new Formula('$data.B08 * x'));
+			}, 'bands').result = true;
+			graph = builder.toJSON().process_graph.reduce1.arguments.reducer.process_graph.apply1.arguments.process.process_graph;
+			expect(graph.arraye1.arguments).toEqual({data: {from_parameter: 'data'}, label: 'B08'});
+			expect(graph.multip1.arguments).toEqual({x: {from_node: 'arraye1'}, y: {from_parameter: 'x'}});
+			expect(builder.toJSON().parameters).toBeUndefined();
+		});
+
+		test('Process parameters', () => {
+			let builder = new Builder(processes);
+			builder.addParameter({name: 'threshold', description: 'The threshold', schema: {type: 'number'}});
+			let data = builder.load_collection('S2', null, null);
+			builder.reduce_dimension(data, new Formula('$B08 > @threshold ? @factor * $B08 : null'), 'bands');
+			expect(builder.toJSON().parameters).toEqual([
+				{name: 'threshold', description: 'The threshold', schema: {type: 'number'}},
+				{name: 'factor', description: '', schema: {}}
+			]);
+			let callback = builder.toJSON().process_graph.reduce1.arguments.reducer;
+			expect(callback.process_graph.gt1.arguments.y).toEqual({from_parameter: 'threshold'});
+			expect(Formula.stringify(callback, processes, ['data', 'context'])).toBe('$B08 > @threshold ? @factor * $B08 : null');
+			builder.math('@threshold * 2').result = true;
+			expect(builder.toJSON().process_graph.multip1.arguments).toEqual({x: {from_parameter: 'threshold'}, y: 2});
+		});
+
+		test('Errors', () => {
+			expect(() => reducer('unknown + 1')).toThrow("Unknown identifier 'unknown', use @unknown to refer to a parameter of the process");
+			expect(() => reducer('$unknown.B08')).toThrow("Unknown identifier 'unknown', use @unknown to refer to a parameter of the process");
+			expect(() => reducer('#unknown')).toThrow("Node 'unknown' doesn't exist");
+			expect(() => new Formula('[1, 2')).toThrow("Expecting ] in an array");
+			let builder = new Builder(processes.processes.filter(p => p.id !== 'pi'));
+			expect(() => builder.math('$B08 * 2')).toThrow("Array access with $ is only available in callbacks");
+			expect(() => builder.math('pi * 2')).toThrow("The constant pi requires the process 'pi', which is not supported by the back-end");
+			expect(() => Formula.stringify({a: {process_id: 'add', arguments: {x: {from_parameter: 'pi'}, y: 1}, result: true}}, processes)).toThrow("The parameter 'pi' can't be used in a formula (node 'a').");
+		});
+	});
+
+});
@@ -0,0 +1,829 @@
+/**
+ * @jest-environment node
+ */
+// @ts-nocheck
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { Connection, Job, JobQueue, JobResult, ResultAsset, Service, Logs, JobError, TimeoutError, AbortError } = require('../src/openeo');
+const Utils = require('../src/utils');
+
+describe('Batch jobs with a local mock server', () => {
+
+	var server;
+	var baseUrl;
+	var handlers = {};
+	var con;
+
+	function json(res, status, body) {
+		res.writeHead(status, {'Content-Type': 'application/json'});
+		res.end(JSON.stringify(body));
+	}
+
+	// Returns the given job states one after another, the last state is repeated
+	function states(...list) {
+		let i = 0;
+		return (req, res) => {
+			let state = list[Math.min(i++, list.length - 1)];
+			json(res, 200, Object.assign({id: 'job1', created: '2020-01-01T00:00:00Z'}, state));
+		};
+	}
+
+	beforeAll(done => {
+		server = http.createServer((req, res) => {
+			let handler = handlers[req.method + ' ' + req.url.split('?')[0]];
+			if (typeof handler === 'function') {
+				handler(req, res);
+			}
+			else {
+				json(res, 404, {code: 'NotFound', message: 'Resource not found'});
+			}
+		});
+		server.listen(0, '127.0.0.1', async () => {
+			baseUrl = 'http://127.0.0.1:' + server.address().port;
+			handlers['GET /'] = (req, res) => json(res, 200, {
+				api_version: '1.0.0',
+				backend_version: '1.0.0',
+				stac_version: '0.9.0',
+				id: 'mock',
+				title: 'Mock',
+				description: 'Mock back-end',
+				endpoints: [
+					{path: '/jobs', methods: ['GET', 'POST']},
+					{path: '/jobs/{job_id}', methods: ['GET']},
+					{path: '/jobs/{job_id}/results', methods: ['POST']},
+					{path: '/jobs/{job_id}/logs', methods: ['GET']}
+				],
+				links: []
+			});
+			con = new Connection(baseUrl);
+			await con.init();
+			done();
+		});
+	});
+
+	afterAll(done => server.close(done));
+
+	var sleeps;
+	beforeEach(() => {
+		handlers = {};
+		sleeps = [];
+	});
+
+	afterEach(() => {
+		jest.restoreAllMocks();
+	});
+
+	function mockSleep() {
+		jest.spyOn(Utils, 'sleep').mockImplementation(ms => {
+			sleeps.push(ms);
+			return Promise.resolve();
+		});
+	}
+
+	describe('waitForCompletion', () => {
+		test('Resolves once finished and reports progress', async () => {
+			mockSleep();
+			handlers['GET /jobs/job1'] = states(
+				{status: 'queued'},
+				{status: 'queued'},
+				{status: 'queued'},
+				{status: 'running', progress: 10},
+				{status: 'running', progress: 10},
+				{status: 'running', progress: 50},
+				{status: 'finished', progress: 100}
+			);
+			let job = new Job(con, 'job1');
+			let updates = [];
+			let result = await job.waitForCompletion(j => updates.push(j.status + ' ' + j.progress), {minInterval: 1, maxInterval: 3, factor: 2});
+			expect(result).toBe(job);
+			expect(job.status).toBe('finished');
+			expect(updates).toEqual(['queued undefined', 'running 10', 'running 50', 'finished 100']);
+			expect(sleeps).toEqual([1000, 2000, 3000, 1000, 2000, 1000]);
+		});
+
+		test('Rejects with logs if the job failed', async () => {
+			mockSleep();
+			handlers['GET /jobs/job1'] = states({status: 'running'}, {status: 'error'});
+			handlers['GET /jobs/job1/logs'] = (req, res) => {
+				let offset = new URL(req.url, baseUrl).searchParams.get('offset');
+				let logs = [];
+				if (offset === '') {
+					logs = [1, 2, 3].map(i => ({id: String(i), level: 'info', message: 'Step ' + i}));
+				}
+				else if (offset === '3') {
+					logs = [{id: '4', level: 'error', message: 'Out of memory'}, {id: '5', level: 'info', message: 'Stopped'}];
+				}
+				json(res, 200, {logs, links: []});
+			};
+			let error = await new Job(con, 'job1').waitForCompletion(null, {logs: 3}).catch(e => e);
+			expect(error).toBeInstanceOf(JobError);
+			expect(error.code).toBe('JobFailed');
+			expect(error.message).toBe("Batch job 'job1' has failed. Out of memory");
+			expect(error.job.status).toBe('error');
+			expect(error.logs.map(log => log.id)).toEqual(['3', '4', '5']);
+		});
+
+		test('Rejects if the job has been canceled', async () => {
+			mockSleep();
+			handlers['GET /jobs/job1'] = states({status: 'canceled'});
+			let error = await new Job(con, 'job1').waitForCompletion(null, {logs: 0}).catch(e => e);
+			expect(error).toBeInstanceOf(JobError);
+			expect(error.code).toBe('JobCanceled');
+			expect(error.logs).toEqual([]);
+		});
+
+		test('Timeout', async () => {
+			handlers['GET /jobs/job1'] = states({status: 'running'});
+			let promise = new Job(con, 'job1').waitForCompletion(null, {timeout: 0.2, minInterval: 0.05});
+			await expect(promise).rejects.toBeInstanceOf(TimeoutError);
+		});
+
+		test('Abort', async () => {
+			handlers['GET /jobs/job1'] = states({status: 'queued'});
+			let listeners = [];
+			let signal = {
+				aborted: false,
+				addEventListener: (type, fn) => listeners.push(fn),
+				removeEventListener: (type, fn) => listeners = listeners.filter(l => l !== fn)
+			};
+			let promise = new Job(con, 'job1').waitForCompletion(null, {minInterval: 10}, signal);
+			setTimeout(() => {
+				signal.aborted = true;
+				listeners.forEach(fn => fn());
+			}, 100);
+			await expect(promise).rejects.toBeInstanceOf(AbortError);
+		});
+	});
+
+	describe('Logs', () => {
+		var entries;
+		var queries;
+
+		beforeEach(() => {
+			queries = [];
+			entries = [
+				{id: '1', level: 'debug', message: 'Loading'},
+				{id: '2', level: 'info', message: 'Processing'},
+				{id: '3', level: 'warning', message: 'No data'},
+				{id: '4', message: 'Without level'},
+				{id: '5', level: 'error', message: 'Failed'}
+			];
+			// Pages of two entries
+			let handler = (req, res) => {
+				let query = new URL(req.url, baseUrl).searchParams;
+				queries.push(query.toString());
+				let offset = query.get('offset');
+				let start = offset ? entries.findIndex(e => e.id === offset) + 1 : 0;
+				json(res, 200, {logs: entries.slice(start, start + 2), links: []});
+			};
+			handlers['GET /jobs/job1/logs'] = handler;
+			handlers['GET /services/srv1/logs'] = handler;
+			handlers['GET /monitor/result1'] = handler;
+		});
+
+		function createSignal() {
+			let listeners = [];
+			let signal = {
+				aborted: false,
+				addEventListener: (type, fn) => listeners.push(fn),
+				removeEventListener: (type, fn) => listeners = listeners.filter(l => l !== fn)
+			};
+			signal.abort = () => {
+				signal.aborted = true;
+				listeners.forEach(fn => fn());
+			};
+			return signal;
+		}
+
+		test('Iterates over all pages', async () => {
+			let ids = [];
+			for await (let log of new Job(con, 'job1').debugJob()) {
+				ids.push(log.id);
+			}
+			expect(ids).toEqual(['1', '2', '3', '4', '5']);
+			expect(queries).toEqual(['offset=', 'offset=2', 'offset=4', 'offset=5']);
+		});
+
+		test('Filters by level', async () => {
+			let logs = new Service(con, 'srv1').debugService('info');
+			let ids = [];
+			for await (let log of logs) {
+				ids.push(log.id);
+			}
+			expect(ids).toEqual(['2', '3', '4', '5']);
+			expect(queries[0]).toBe('offset=&level=info');
+			expect(() => new Job(con, 'job1').debugJob('critical')).toThrow();
+
+			let errors = await new Job(con, 'job1').debugJob('error').all();
+			expect(errors.map(log => log.id)).toEqual(['5']);
+		});
+
+		test('Tails until aborted', async () => {
+			let signal = createSignal();
+			jest.spyOn(Utils, 'sleep').mockImplementation(ms => {
+				sleeps.push(ms);
+				if (sleeps.length === 2) {
+					entries.push({id: '6', level: 'info', message: 'Restarted'});
+				}
+				else if (sleeps.length === 3) {
+					signal.abort();
+					return Promise.reject(new AbortError());
+				}
+				return Promise.resolve();
+			});
+			let ids = [];
+			for await (let log of new Job(con, 'job1').debugJob().iterate(true, 5, signal)) {
+				ids.push(log.id);
+			}
+			expect(ids).toEqual(['1', '2', '3', '4', '5', '6']);
+			expect(sleeps).toEqual([5000, 5000, 5000]);
+		});
+
+		test('Stops when leaving the loop', async () => {
+			let ids = [];
+			for await (let log of new Job(con, 'job1').debugJob().iterate(true)) {
+				ids.push(log.id);
+				if (ids.length === 3) {
+					break;
+				}
+			}
+			expect(ids).toEqual(['1', '2', '3']);
+			expect(queries.length).toBe(2);
+		});
+
+		test('Logs of synchronous results', async () => {
+			handlers['POST /result'] = (req, res) => {
+				res.writeHead(200, {'Content-Type': 'text/plain', 'Link': '<' + baseUrl + '/monitor/result1>; rel="monitor"'});
+				res.end('42');
+			};
+			let result = await con.computeResult({process_graph: {}});
+			expect(result.logs.map(log => log.id)).toEqual(['1', '2', '3', '4', '5']);
+			expect(result.logIterator).toBeInstanceOf(Logs);
+			let warnings = await result.logIterator.all();
+			expect(warnings.length).toBe(5);
+		});
+	});
+
+	describe('JobQueue', () => {
+		var jobs;
+		var requests;
+		var maxRunning;
+
+		// Simulates a back-end: Each listing of the jobs advances the started jobs by one step.
+		// Jobs with a title starting with `fail` fail, `flaky` only fails in the first attempt.
+		beforeEach(() => {
+			jobs = [];
+			requests = [];
+			maxRunning = 0;
+			handlers['GET /jobs'] = (req, res) => {
+				requests.push('list');
+				for(let job of jobs) {
+					if (job.status === 'queued') {
+						job.status = 'running';
+						job.progress = 50;
+					}
+					else if (job.status === 'running') {
+						let fail = job.title.startsWith('fail') || (job.title.startsWith('flaky') && jobs.filter(j => j.title === job.title).length === 1);
+						job.status = fail ? 'error' : 'finished';
+						job.progress = fail ? 50 : 100;
+						job.costs = 1.5;
+					}
+				}
+				// Jobs with a title starting with `unlisted` are missing in the list
+				json(res, 200, {jobs: jobs.filter(job => !job.title.startsWith('unlisted')), links: []});
+			};
+			handlers['POST /jobs'] = (req, res) => {
+				let body = '';
+				req.on('data', chunk => body += chunk);
+				req.on('end', () => {
+					let data = JSON.parse(body);
+					let job = {id: 'job' + (jobs.length + 1), title: data.title, status: 'created', created: '2020-01-01T00:00:00Z'};
+					jobs.push(job);
+					handlers['GET /jobs/' + job.id] = (req2, res2) => {
+						requests.push('describe ' + job.id);
+						json(res2, 200, job);
+					};
+					handlers['POST /jobs/' + job.id + '/results'] = (req2, res2) => {
+						job.status = 'queued';
+						maxRunning = Math.max(maxRunning, jobs.filter(j => j.status === 'queued' || j.status === 'running').length);
+						res2.writeHead(202);
+						res2.end();
+					};
+					handlers['GET /jobs/' + job.id + '/logs'] = (req2, res2) => json(res2, 200, {logs: [{id: '1', level: 'error', message: 'Broken'}], links: []});
+					res.writeHead(201, {'OpenEO-Identifier': job.id, 'Location': baseUrl + '/jobs/' + job.id});
+					res.end();
+				});
+			};
+		});
+
+		test('Limits the number of running jobs and polls with the job list', async () => {
+			mockSleep();
+			let queue = con.createJobQueue({maxConcurrent: 2, interval: 10});
+			expect(queue).toBeInstanceOf(JobQueue);
+			let tasks = [1, 2, 3, 4, 5].map(i => queue.add({process_graph: {}}, 'Tile ' + i));
+			let updates = [];
+			let report = await queue.run(progress => updates.push(progress));
+			expect(maxRunning).toBe(2);
+			expect(report.total).toBe(5);
+			expect(report.finished).toBe(5);
+			expect(report.failed).toBe(0);
+			expect(report.costs).toBe(7.5);
+			expect(report.tasks).toEqual(tasks);
+			expect(tasks.map(task => task.status)).toEqual(['finished', 'finished', 'finished', 'finished', 'finished']);
+			expect(tasks.map(task => task.job.id)).toEqual(['job1', 'job2', 'job3', 'job4', 'job5']);
+			// The jobs are only requested individually on creation and start
+			for(let job of jobs) {
+				expect(requests.filter(r => r === 'describe ' + job.id).length).toBe(2);
+			}
+			expect(requests.filter(r => r === 'list').length).toBe(6);
+			expect(sleeps).toEqual([10000, 10000, 10000, 10000, 10000, 10000]);
+			expect(updates[0]).toEqual({total: 5, pending: 3, running: 2, finished: 0, failed: 0, progress: 0});
+			expect(updates[updates.length - 1]).toEqual({total: 5, pending: 0, running: 0, finished: 5, failed: 0, progress: 100});
+			expect(updates.map(u => u.progress)).toEqual(updates.map(u => u.progress).sort((a, b) => a - b));
+		});
+
+		test('Retries failed jobs', async () => {
+			mockSleep();
+			let queue = new JobQueue(con, {retries: 1});
+			let flaky = queue.add({process_graph: {}}, 'flaky');
+			let failing = queue.add({process_graph: {}}, 'fail');
+			let report = await queue.run();
+			expect(report.finished).toBe(1);
+			expect(report.failed).toBe(1);
+			expect(flaky.status).toBe('finished');
+			expect(flaky.attempts).toBe(2);
+			expect(flaky.errors.length).toBe(1);
+			expect(failing.status).toBe('error');
+			expect(failing.attempts).toBe(2);
+			expect(failing.errors.length).toBe(2);
+			expect(failing.errors[1]).toBeInstanceOf(JobError);
+			expect(failing.errors[1].message).toBe("Batch job '" + failing.job.id + "' has failed. Broken");
+			expect(jobs.length).toBe(4);
+		});
+
+		test('Starts jobs again that could not be started', async () => {
+			mockSleep();
+			let starts = 0;
+			handlers['POST /jobs'] = (orig => (req, res) => {
+				orig(req, res);
+				req.on('end', () => {
+					let job = jobs[jobs.length - 1];
+					let start = handlers['POST /jobs/' + job.id + '/results'];
+					handlers['POST /jobs/' + job.id + '/results'] = (req2, res2) => {
+						starts++;
+						if (starts === 1) {
+							json(res2, 500, {code: 'Internal', message: 'Try again'});
+						}
+						else {
+							start(req2, res2);
+						}
+					};
+				});
+			})(handlers['POST /jobs']);
+			let queue = new JobQueue(con, {retries: 1});
+			let task = queue.add({process_graph: {}}, 'Tile 1');
+			let report = await queue.run();
+			expect(report.finished).toBe(1);
+			expect(task.attempts).toBe(2);
+			expect(task.errors.length).toBe(1);
+			expect(task.started).toBe(true);
+			expect(starts).toBe(2);
+			// The batch job has been re-used
+			expect(jobs.length).toBe(1);
+			expect(task.job.id).toBe('job1');
+		});
+
+		test('Requests the status again after errors', async () => {
+			mockSleep();
+			let failures = {job1: 0, job2: 0};
+			handlers['POST /jobs'] = (orig => (req, res) => {
+				orig(req, res);
+				req.on('end', () => {
+					let job = jobs[jobs.length - 1];
+					let describe = handlers['GET /jobs/' + job.id];
+					handlers['GET /jobs/' + job.id] = (req2, res2) => {
+						// Once started, fails twice for the first job and always for the second job
+						if (job.status !== 'created' && job.status !== 'queued' && (job.id === 'job2' || failures[job.id] < 2)) {
+							failures[job.id]++;
+							json(res2, 500, {code: 'Internal', message: 'Try again'});
+						}
+						else {
+							describe(req2, res2);
+						}
+					};
+				});
+			})(handlers['POST /jobs']);
+			let queue = new JobQueue(con, {maxStatusErrors: 3});
+			let first = queue.add({process_graph: {}}, 'unlisted 1');
+			let second = queue.add({process_graph: {}}, 'unlisted 2');
+			await queue.run();
+			expect(first.status).toBe('finished');
+			expect(first.errors).toEqual([]);
+			expect(second.status).toBe('error');
+			expect(second.errors.length).toBe(1);
+			expect(failures).toEqual({job1: 2, job2: 3});
+			expect(jobs.length).toBe(2);
+		});
+
+		test('Downloads the results', async () => {
+			mockSleep();
+			let download = jest.spyOn(Job.prototype, 'downloadResults').mockImplementation(function(folder) {
+				if (this.title === 'Tile 2') {
+					return Promise.reject(new Error('Disk full'));
+				}
+				return Promise.resolve([folder + '/result.tif']);
+			});
+			let queue = new JobQueue(con, {downloadFolder: task => Promise.resolve('/data/' + task.id)});
+			let first = queue.add({process_graph: {}}, 'Tile 1');
+			let second = queue.add({process_graph: {}}, 'Tile 2');
+			let report = await queue.run();
+			expect(download).toHaveBeenCalledTimes(2);
+			expect(first.status).toBe('finished');
+			expect(first.files).toEqual(['/data/0/result.tif']);
+			expect(second.status).toBe('error');
+			expect(second.attempts).toBe(1);
+			expect(second.errors[0].message).toBe('Disk full');
+			expect(report.failed).toBe(1);
+		});
+
+		test('Processes other jobs while results are downloaded', async () => {
+			mockSleep();
+			let release;
+			let finished = [];
+			jest.spyOn(Job.prototype, 'downloadResults').mockImplementation(function(folder) {
+				if (this.title === 'Tile 1') {
+					// Only finishes after the second batch job has been submitted, processed and downloaded
+					return new Promise(resolve => release = resolve).then(() => {
+						finished.push(this.title);
+						return [folder + '/1.tif'];
+					});
+				}
+				finished.push(this.title);
+				release();
+				return Promise.resolve([folder + '/2.tif']);
+			});
+			let queue = new JobQueue(con, {maxConcurrent: 1, downloadFolder: '/data'});
+			let first = queue.add({process_graph: {}}, 'Tile 1');
+			let second = queue.add({process_graph: {}}, 'Tile 2');
+			let report = await queue.run();
+			expect(finished).toEqual(['Tile 2', 'Tile 1']);
+			expect(report.finished).toBe(2);
+			expect(first.files).toEqual(['/data/1.tif']);
+			expect(second.files).toEqual(['/data/2.tif']);
+		});
+
+		test('Downloads finish while batch jobs are being created', async () => {
+			mockSleep();
+			// Creating the second batch job takes longer than downloading the results of the first one
+			handlers['POST /jobs'] = (orig => (req, res) => {
+				setTimeout(() => orig(req, res), jobs.length > 0 ? 200 : 0);
+			})(handlers['POST /jobs']);
+			jest.spyOn(Job.prototype, 'downloadResults').mockImplementation(folder => new Promise(resolve => setTimeout(() => resolve([folder + '/result.tif']), 50)));
+			let queue = new JobQueue(con, {maxConcurrent: 1, downloadFolder: '/data'});
+			queue.add({process_graph: {}}, 'Tile 1');
+			queue.add({process_graph: {}}, 'Tile 2');
+			let updates = [];
+			let report = await queue.run(progress => updates.push(progress));
+			expect(report.finished).toBe(2);
+			expect(updates[updates.length - 1].progress).toBe(100);
+		});
+
+		test('Abort', async () => {
+			jest.spyOn(Utils, 'sleep').mockImplementation(() => Promise.reject(new AbortError()));
+			let queue = new JobQueue(con);
+			queue.add({process_graph: {}});
+			await expect(queue.run()).rejects.toThrow(AbortError);
+			expect(queue.running).toBe(false);
+			expect(queue.tasks[0].status).toBe('running');
+		});
+	});
+
+	describe('downloadResults', () => {
+		var folder;
+		var files;
+		var requests;
+		var active;
+		var maxActive;
+
+		function sha256(data) {
+			return '1220' + crypto.createHash('sha256').update(data).digest('hex');
+		}
+
+		beforeEach(() => {
+			folder = fs.mkdtempSync(path.join(os.tmpdir(), 'openeo-download-'));
+			files = {
+				'a.tif': Buffer.alloc(1000, 'a'),
+				'b.tif': Buffer.alloc(500, 'b'),
+				'c.json': Buffer.from('{"c": true}')
+			};
+			requests = [];
+			active = 0;
+			maxActive = 0;
+			let assets = {};
+			for(let name in files) {
+				assets[name] = {href: baseUrl + '/files/' + name, 'file:size': files[name].length, 'file:checksum': sha256(files[name])};
+				handlers['GET /files/' + name] = (req, res) => {
+					requests.push(name + (req.headers.range ? ' ' + req.headers.range : ''));
+					active++;
+					maxActive = Math.max(maxActive, active);
+					let data = files[name];
+					let range = /^bytes=(\d+)-$/.exec(req.headers.range || '');
+					let headers = {'Content-Type': 'application/octet-stream'};
+					if (range) {
+						let start = parseInt(range[1], 10);
+						headers['Content-Range'] = 'bytes ' + start + '-' + (data.length - 1) + '/' + data.length;
+						data = data.slice(start);
+					}
+					headers['Content-Length'] = data.length;
+					res.writeHead(range ? 206 : 200, headers);
+					setTimeout(() => {
+						active--;
+						res.end(data);
+					}, 10);
+				};
+			}
+			handlers['GET /jobs/job1/results'] = (req, res) => json(res, 200, {
+				stac_version: '0.9.0',
+				id: 'job1',
+				type: 'Feature',
+				properties: {},
+				assets,
+				links: []
+			});
+		});
+
+		afterEach(() => {
+			fs.rmSync(folder, {recursive: true, force: true});
+		});
+
+		function read(name) {
+			return fs.readFileSync(path.join(folder, name));
+		}
+
+		test('Downloads with limited concurrency and reports progress', async () => {
+			let updates = [];
+			let result = await new Job(con, 'job1').downloadResults(folder, (progress, asset) => updates.push([progress, asset.path, asset.status]), {concurrency: 2});
+			expect(result).toEqual(['a.tif', 'b.tif', 'c.json'].map(name => path.join(folder, name)));
+			for(let name in files) {
+				expect(read(name)).toEqual(files[name]);
+			}
+			expect(fs.readdirSync(folder).sort()).toEqual(['a.tif', 'b.tif', 'c.json']);
+			expect(maxActive).toBe(2);
+			let last = updates[updates.length - 1][0];
+			expect(last).toEqual({files: 3, completed: 3, loaded: 1511, total: 1511, progress: 100});
+			expect(updates.filter(u => u[2] === 'finished').map(u => path.basename(u[1])).sort()).toEqual(['a.tif', 'b.tif', 'c.json']);
+		});
+
+		test('Skips complete files and replaces invalid files', async () => {
+			fs.writeFileSync(path.join(folder, 'a.tif'), files['a.tif']);
+			fs.writeFileSync(path.join(folder, 'b.tif'), 'invalid');
+			let updates = [];
+			await new Job(con, 'job1').downloadResults(folder, (progress, asset) => updates.push(path.basename(asset.path) + ' ' + asset.status));
+			expect(requests.sort()).toEqual(['b.tif', 'c.json']);
+			expect(updates).toContain('a.tif skipped');
+			expect(read('b.tif')).toEqual(files['b.tif']);
+
+			requests = [];
+			await new Job(con, 'job1').downloadResults(folder, null, {overwrite: true});
+			expect(requests.sort()).toEqual(['a.tif', 'b.tif', 'c.json']);
+		});
+
+		test('Resumes incomplete downloads', async () => {
+			fs.writeFileSync(path.join(folder, 'a.tif.part'), files['a.tif'].slice(0, 400));
+			await new Job(con, 'job1').downloadResults(folder);
+			expect(requests).toContain('a.tif bytes=400-');
+			expect(read('a.tif')).toEqual(files['a.tif']);
+			expect(fs.existsSync(path.join(folder, 'a.tif.part'))).toBe(false);
+		});
+
+		test('Resumes interrupted downloads', async () => {
+			let interrupted = false;
+			let handler = handlers['GET /files/a.tif'];
+			handlers['GET /files/a.tif'] = (req, res) => {
+				if (interrupted) {
+					return handler(req, res);
+				}
+				interrupted = true;
+				requests.push('a.tif');
+				res.writeHead(200, {'Content-Type': 'application/octet-stream', 'Content-Length': 1000});
+				res.write(files['a.tif'].slice(0, 300), () => setTimeout(() => res.destroy(), 10));
+			};
+			await new Job(con, 'job1').downloadResults(folder, null, {concurrency: 1});
+			expect(requests).toEqual(['a.tif', 'a.tif bytes=300-', 'b.tif', 'c.json']);
+			expect(read('a.tif')).toEqual(files['a.tif']);
+		});
+
+		test('Verifies checksums', async () => {
+			files['b.tif'] = Buffer.alloc(500, 'x');
+			let error = await new Job(con, 'job1').downloadResults(folder).catch(e => e);
+			expect(error).toBeInstanceOf(Error);
+			expect(error.message).toBe("The checksum of '" + baseUrl + "/files/b.tif' doesn't match.");
+			expect(fs.readdirSync(folder).sort()).toEqual(['a.tif', 'c.json']);
+
+			// Without verification
+			let result = await new Job(con, 'job1').downloadResults(folder, null, {verify: false});
+			expect(result.length).toBe(3);
+			expect(read('b.tif')).toEqual(files['b.tif']);
+		});
+
+		test('Appends numbers to the names of duplicates', async () => {
+			let other = Buffer.alloc(200, 'o');
+			handlers['GET /other/a.tif'] = (req, res) => {
+				res.writeHead(200, {'Content-Type': 'application/octet-stream', 'Content-Length': other.length});
+				res.end(other);
+			};
+			handlers['GET /jobs/job1/results'] = (req, res) => json(res, 200, {
+				stac_version: '0.9.0',
+				id: 'job1',
+				type: 'Feature',
+				properties: {},
+				assets: {
+					a: {href: baseUrl + '/files/a.tif', 'file:size': files['a.tif'].length},
+					b: {href: baseUrl + '/other/a.tif', 'file:size': other.length},
+					c: {href: baseUrl + '/files/c.json'}
+				},
+				links: []
+			});
+			let result = await new Job(con, 'job1').downloadResults(folder);
+			expect(result).toEqual(['a.tif', 'a_2.tif', 'c.json'].map(name => path.join(folder, name)));
+			expect(read('a.tif')).toEqual(files['a.tif']);
+			expect(read('a_2.tif')).toEqual(other);
+			expect(Utils.uniqueFileName('README', ['README', 'README_2'])).toBe('README_3');
+			expect(Utils.uniqueFileName('.env', ['.env'])).toBe('.env_2');
+		});
+
+		test('Parses multihashes', () => {
+			expect(Utils.parseMultihash('1220' + 'ab'.repeat(32))).toEqual({algorithm: 'sha256', digest: 'ab'.repeat(32)});
+			expect(Utils.parseMultihash('d50110' + 'CD'.repeat(16))).toEqual({algorithm: 'md5', digest: 'cd'.repeat(16)});
+			expect(Utils.parseMultihash('1220abcd')).toBeNull();
+			expect(Utils.parseMultihash('b24020' + '00'.repeat(32))).toBeNull();
+			expect(Utils.parseMultihash('xyz')).toBeNull();
+		});
+	});
+
+	describe('JobResult', () => {
+		var item = {
+			stac_version: '1.0.0',
+			stac_extensions: [],
+			id: 'job1',
+			type: 'Feature',
+			bbox: [5, 50, 6, 51],
+			geometry: {type: 'Polygon', coordinates: [[[5, 50], [6, 50], [6, 51], [5, 51], [5, 50]]]},
+			properties: {
+				start_datetime: '2020-01-01T00:00:00Z',
+				end_datetime: '2020-12-31T23:59:59Z',
+				datetime: null,
+				'proj:epsg': 32632,
+				'eo:bands': [{name: 'B04', common_name: 'red'}, {name: 'B08', common_name: 'nir'}]
+			},
+			assets: {
+				'result.tif': {
+					href: 'https://bucket.s3.amazonaws.com/result.tif?X-Amz-Date=20200101T120000Z&X-Amz-Expires=3600&X-Amz-Signature=abc',
+					type: 'image/tiff; application=geotiff',
+					roles: ['data'],
+					'file:size': 1024,
+					'proj:shape': [100, 100],
+					'raster:bands': [{data_type: 'uint16'}],
+					'eo:bands': [{name: 'B04'}]
+				},
+				'thumb.png': {
+					href: 'https://example.com/thumb.png?Expires=1577883600',
+					type: 'image/png',
+					roles: ['thumbnail']
+				},
+				'metadata.json': {
+					href: 'https://example.com/metadata.json',
+					type: 'application/json',
+					roles: ['metadata']
+				}
+			},
+			links: []
+		};
+
+		test('STAC Item', async () => {
+			handlers['GET /jobs/job1/results'] = (req, res) => {
+				res.writeHead(200, {'Content-Type': 'application/json', 'OpenEO-Costs': '12.5'});
+				res.end(JSON.stringify(item));
+			};
+			let result = await new Job(con, 'job1').getResultsAsItem();
+			expect(result).toBeInstanceOf(JobResult);
+			expect(result.isCollection()).toBe(false);
+			expect(result.id).toBe('job1');
+			expect(result.stac_version).toBe('1.0.0');
+			expect(result.getCosts()).toBe(12.5);
+			expect(result.properties.costs).toBe(12.5);
+			expect(result.getBoundingBox()).toEqual(item.bbox);
+			expect(result.getGeometry()).toEqual(item.geometry);
+			expect(result.getTemporalExtent()).toEqual(['2020-01-01T00:00:00Z', '2020-12-31T23:59:59Z']);
+			expect(result.getBands()).toEqual(item.properties['eo:bands']);
+
+			expect(Object.keys(result.assets)).toEqual(['result.tif', 'thumb.png', 'metadata.json']);
+			let data = result.getAssetsByRole('data');
+			expect(data.length).toBe(1);
+			let tif = data[0];
+			expect(tif).toBeInstanceOf(ResultAsset);
+			expect(tif.getKey()).toBe('result.tif');
+			expect(tif.getMediaType()).toBe('image/tiff');
+			expect(tif.getSize()).toBe(1024);
+			expect(tif.getChecksum()).toBeNull();
+			expect(tif.getBands()).toEqual([{name: 'B04', data_type: 'uint16'}]);
+			expect(tif.getProjection()).toEqual({epsg: 32632, shape: [100, 100]});
+			expect(tif.getExpiry()).toEqual(new Date('2020-01-01T13:00:00Z'));
+			expect(tif.isExpired()).toBe(true);
+			expect(result.getAssetsByMediaType('image/tiff')).toEqual([tif]);
+			expect(result.assets['metadata.json'].getBands()).toEqual(item.properties['eo:bands']);
+			expect(result.assets['metadata.json'].getExpiry()).toBeNull();
+
+			let thumbnail = result.getThumbnail();
+			expect(thumbnail.getKey()).toBe('thumb.png');
+			expect(thumbnail.getExpiry()).toEqual(new Date('2020-01-01T13:00:00Z'));
+			expect(result.getExpiry()).toEqual(new Date('2020-01-01T13:00:00Z'));
+			expect(result.isExpired()).toBe(true);
+
+			let json = Object.assign({}, item, {properties: Object.assign({}, item.properties, {costs: 12.5})});
+			expect(JSON.parse(JSON.stringify(result))).toEqual(json);
+
+			expect(result.toGeoJSON()).toEqual({
+				type: 'Feature',
+				id: 'job1',
+				bbox: item.bbox,
+				geometry: item.geometry,
+				properties: json.properties
+			});
+
+			let assets = await new Job(con, 'job1').listResults();
+			expect(assets.map(asset => asset.href)).toEqual(Object.values(item.assets).map(asset => asset.href));
+		});
+
+		test('STAC Collection', () => {
+			let result = new JobResult({
+				stac_version: '1.0.0',
+				type: 'Collection',
+				id: 'job2',
+				title: 'NDVI',
+				description: 'Results',
+				license: 'proprietary',
+				extent: {
+					spatial: {bbox: [[5, 50, 6, 51]]},
+					temporal: {interval: [['2020-01-01T00:00:00Z', null]]}
+				},
+				summaries: {
+					'eo:bands': [{name: 'NDVI'}]
+				},
+				assets: {},
+				links: [
+					{rel: 'preview', href: 'https://example.com/preview.png', type: 'image/png'}
+				],
+				expires: '2030-01-01T00:00:00Z'
+			});
+			expect(result.isCollection()).toBe(true);
+			expect(result.getAssets()).toEqual([]);
+			expect(result.getCosts()).toBeNull();
+			expect(result.getBoundingBox()).toEqual([5, 50, 6, 51]);
+			expect(result.getTemporalExtent()).toEqual(['2020-01-01T00:00:00Z', null]);
+			expect(result.getBands()).toEqual([{name: 'NDVI'}]);
+			expect(result.getExpiry()).toBeNull();
+			expect(result.isExpired()).toBe(false);
+			let preview = result.getThumbnail();
+			expect(preview.href).toBe('https://example.com/preview.png');
+			expect(preview.hasRole('preview')).toBe(true);
+			expect(result.toGeoJSON()).toEqual({
+				type: 'Feature',
+				id: 'job2',
+				bbox: [5, 50, 6, 51],
+				geometry: {type: 'Polygon', coordinates: [[[5, 50], [6, 50], [6, 51], [5, 51], [5, 50]]]},
+				properties: {title: 'NDVI', description: 'Results', start_datetime: '2020-01-01T00:00:00Z', end_datetime: null}
+			});
+		});
+
+		test('Signed links', () => {
+			let result = new JobResult({
+				type: 'Feature',
+				properties: {expires: '2031-01-01T00:00:00Z'},
+				assets: {
+					gcs: {href: 'https://storage.googleapis.com/b/a.tif?X-Goog-Date=20300101T000000Z&X-Goog-Expires=60'},
+					azure: {href: 'https://account.blob.core.windows.net/c/a.tif?se=2030-06-01T00%3A00%3A00Z&sig=abc'},
+					explicit: {href: 'https://example.com/a.tif', expires: '2030-03-01T00:00:00Z'},
+					none: {href: 'https://example.com/b.tif'}
+				}
+			});
+			expect(result.assets.gcs.getExpiry()).toEqual(new Date('2030-01-01T00:01:00Z'));
+			expect(result.assets.azure.getExpiry()).toEqual(new Date('2030-06-01T00:00:00Z'));
+			expect(result.assets.explicit.getExpiry()).toEqual(new Date('2030-03-01T00:00:00Z'));
+			expect(result.assets.none.getExpiry()).toEqual(new Date('2031-01-01T00:00:00Z'));
+			expect(result.getExpiry()).toEqual(new Date('2030-01-01T00:01:00Z'));
+			expect(result.assets.none.isExpired()).toBe(false);
+			expect(result.assets.none.isExpired((new Date('2031-01-01T00:00:00Z').getTime() - Date.now()) / 1000)).toBe(true);
+		});
+
+		test('Empty results', async () => {
+			handlers['GET /jobs/job1/results'] = (req, res) => json(res, 200, {type: 'Feature', id: 'job1', links: []});
+			let assets = await new Job(con, 'job1').listResults();
+			expect(assets).toEqual([]);
+		});
+	});
+
+});
@@ -0,0 +1,381 @@
+/**
+ * @jest-environment node
+ */
+// @ts-nocheck
+const http = require('http');
+const { Connection, OidcDeviceCodeProvider, OidcClientCredentialsProvider, MemoryTokenStore, AuthenticationError } = require('../src/openeo');
+const Utils = require('../src/utils');
+
+describe('OpenID Connect with a local mock server', () => {
+
+	var server;
+	var baseUrl;
+	var handlers = {};
+	var requests = [];
+
+	function json(res, status, body) {
+		res.writeHead(status, {'Content-Type': 'application/json'});
+		res.end(JSON.stringify(body));
+	}
+
+	function readForm(req) {
+		return new Promise(resolve => {
+			let body = '';
+			req.on('data', chunk => body += chunk);
+			req.on('end', () => resolve(Object.fromEntries(new URLSearchParams(body))));
+		});
+	}
+
+	beforeAll(done => {
+		server = http.createServer(async (req, res) => {
+			let key = req.method + ' ' + req.url.split('?')[0];
+			let form = req.method === 'POST' ? await readForm(req) : {};
+			requests.push({key, form, headers: req.headers});
+			if (typeof handlers[key] === 'function') {
+				handlers[key](req, res, form);
+			}
+			else {
+				json(res, 404, {code: 'NotFound', message: 'Resource not found'});
+			}
+		});
+		server.listen(0, '127.0.0.1', () => {
+			baseUrl = 'http://127.0.0.1:' + server.address().port;
+			done();
+		});
+	});
+
+	afterAll(done => server.close(done));
+
+	var sleeps;
+	beforeEach(() => {
+		requests = [];
+		sleeps = [];
+		jest.spyOn(Utils, 'sleep').mockImplementation(ms => {
+			sleeps.push(ms);
+			return Promise.resolve();
+		});
+		handlers = {
+			'GET /': (req, res) => json(res, 200, {
+				api_version: '1.0.0',
+				backend_version: '1.0.0',
+				stac_version: '0.9.0',
+				id: 'mock',
+				title: 'Mock',
+				description: 'Mock back-end',
+				endpoints: [{path: '/credentials/oidc', methods: ['GET']}],
+				links: []
+			}),
+			'GET /credentials/oidc': (req, res) => json(res, 200, {providers: [
+				{id: 'mock', issuer: baseUrl + '/oidc', title: 'Mock OIDC', scopes: ['openid', 'email']}
+			]}),
+			'GET /oidc/.well-known/openid-configuration': (req, res) => json(res, 200, {
+				issuer: baseUrl + '/oidc',
+				token_endpoint: baseUrl + '/oidc/token',
+				device_authorization_endpoint: baseUrl + '/oidc/device'
+			}),
+			'POST /oidc/device': (req, res) => json(res, 200, {
+				device_code: 'dev123',
+				user_code: 'ABCD-EFGH',
+				verification_uri: baseUrl + '/oidc/activate',
+				expires_in: 600,
+				interval: 2
+			})
+		};
+	});
+
+	afterEach(() => {
+		jest.restoreAllMocks();
+	});
+
+	async function connect() {
+		let con = new Connection(baseUrl);
+		await con.init();
+		let providers = await con.listAuthProviders();
+		expect(providers.length).toBe(2);
+		expect(providers[0]).toBeInstanceOf(OidcDeviceCodeProvider);
+		expect(providers[1]).toBeInstanceOf(OidcClientCredentialsProvider);
+		expect(providers.map(p => p.getId())).toEqual(['oidc.mock.device_code', 'oidc.mock.client_credentials']);
+		return [con, providers[0], providers[1]];
+	}
+
+	test('Device Code flow with polling', async () => {
+		let polls = 0;
+		handlers['POST /oidc/token'] = (req, res) => {
+			polls++;
+			if (polls === 1) {
+				json(res, 400, {error: 'authorization_pending'});
+			}
+			else if (polls === 2) {
+				json(res, 400, {error: 'slow_down'});
+			}
+			else {
+				json(res, 200, {access_token: 'token123', token_type: 'Bearer', expires_in: 3600});
+			}
+		};
+		let [con, provider] = await connect();
+		let codes = [];
+		await provider.login('client', code => codes.push(code));
+
+		expect(codes).toEqual([{
+			user_code: 'ABCD-EFGH',
+			verification_uri: baseUrl + '/oidc/activate',
+			verification_uri_complete: null,
+			expires_in: 600,
+			interval: 2
+		}]);
+		expect(sleeps).toEqual([2000, 2000, 7000]);
+		expect(con.isAuthenticated()).toBeTruthy();
+		expect(provider.getToken()).toBe('oidc/mock/token123');
+		expect(provider.getUser().expires_at).toBeGreaterThan(Date.now() / 1000);
+
+		let device = requests.find(r => r.key === 'POST /oidc/device');
+		expect(device.form).toEqual({client_id: 'client', scope: 'openid email'});
+		let token = requests.find(r => r.key === 'POST /oidc/token');
+		expect(token.form).toEqual({grant_type: 'urn:ietf:params:oauth:grant-type:device_code', device_code: 'dev123', client_id: 'client'});
+		expect(token.headers.authorization).toBeUndefined();
+
+		await provider.logout();
+		expect(con.isAuthenticated()).toBeFalsy();
+	});
+
+	test('Denied authorization', async () => {
+		handlers['POST /oidc/token'] = (req, res) => json(res, 401, {error: 'access_denied', error_description: 'The user denied the request'});
+		let [con, provider] = await connect();
+		let error = await provider.login('client', () => {}).catch(e => e);
+		expect(error).toBeInstanceOf(AuthenticationError);
+		expect(error.code).toBe('access_denied');
+		expect(error.message).toBe('The user denied the request');
+		expect(con.isAuthenticated()).toBeFalsy();
+	});
+
+	test('Provider without Device Code support', async () => {
+		handlers['GET /oidc/.well-known/openid-configuration'] = (req, res) => json(res, 200, {token_endpoint: baseUrl + '/oidc/token'});
+		let [, provider] = await connect();
+		await expect(provider.login('client', () => {})).rejects.toThrow("doesn't support the Device Authorization Grant");
+	});
+
+	test('Requires a callback to show the device code', async () => {
+		let [, provider] = await connect();
+		requests = [];
+		await expect(provider.login('client')).rejects.toThrow("No callback specified to show the device code to the user");
+		expect(requests).toEqual([]);
+	});
+
+	describe('Token renewal', () => {
+		var tokens;
+
+		beforeEach(() => {
+			tokens = 0;
+			handlers['POST /oidc/token'] = (req, res, form) => {
+				if (form.grant_type === 'refresh_token' && form.refresh_token !== 'refresh1') {
+					json(res, 400, {error: 'invalid_grant'});
+					return;
+				}
+				tokens++;
+				let body = {access_token: 'token' + tokens, token_type: 'Bearer', expires_in: 3600};
+				if (form.grant_type !== 'refresh_token') {
+					body.refresh_token = 'refresh1';
+				}
+				json(res, 200, body);
+			};
+			handlers['GET /me'] = (req, res) => {
+				if (req.headers.authorization === 'Bearer oidc/mock/token' + tokens) {
+					json(res, 200, {user_id: 'john'});
+				}
+				else {
+					json(res, 401, {code: 'TokenInvalid', message: 'Authorization token has expired or is invalid.'});
+				}
+			};
+		});
+
+		test('Retries once after refreshing an invalid token', async () => {
+			let [con, provider] = await connect();
+			await provider.login('client', () => {});
+			expect(provider.getToken()).toBe('oidc/mock/token1');
+			tokens++; // Invalidates token1 on the back-end
+			expect(await con.describeAccount()).toEqual({user_id: 'john'});
+			expect(provider.getToken()).toBe('oidc/mock/token3');
+			expect(provider.getUser().refresh_token).toBe('refresh1');
+			let refresh = requests.filter(r => r.key === 'POST /oidc/token' && r.form.grant_type === 'refresh_token');
+			expect(refresh.length).toBe(1);
+			expect(refresh[0].form).toEqual({grant_type: 'refresh_token', refresh_token: 'refresh1', client_id: 'client'});
+		});
+
+		test('Refreshes tokens proactively before they expire', async () => {
+			let [con, provider] = await connect();
+			await provider.login('client', () => {});
+			provider.setUser(Object.assign({}, provider.getUser(), {expires_at: Math.floor(Date.now() / 1000) + 10}));
+			expect(provider.isTokenExpired(30000)).toBeTruthy();
+			await Promise.all([con.describeAccount(), con.describeAccount()]);
+			expect(provider.getToken()).toBe('oidc/mock/token2');
+			expect(provider.isTokenExpired(30000)).toBeFalsy();
+			expect(requests.filter(r => r.key === 'GET /me').length).toBe(2);
+			expect(requests.filter(r => r.key === 'POST /oidc/token').length).toBe(2);
+		});
+
+		test('Emits an event if the session can not be renewed', async () => {
+			let [con, provider] = await connect();
+			await provider.login('client', () => {});
+			let events = [];
+			con.on('sessionExpired', (p, error) => events.push([p, error]));
+			provider.user.refresh_token = 'revoked';
+			tokens++;
+			let error = await con.describeAccount().catch(e => e);
+			expect(error).toBeInstanceOf(AuthenticationError);
+			expect(error.code).toBe('TokenInvalid');
+			expect(events.length).toBe(1);
+			expect(events[0][0]).toBe(provider);
+			expect(events[0][1].code).toBe('invalid_grant');
+		});
+
+		test('Emits an event if a token can not be renewed at all', async () => {
+			let con = new Connection(baseUrl);
+			await con.init();
+			con.setAuthToken('basic', null, 'abc');
+			let events = [];
+			let listener = (p, error) => events.push(error);
+			con.on('sessionExpired', listener);
+			await expect(con.describeAccount()).rejects.toBeInstanceOf(AuthenticationError);
+			con.off('sessionExpired', listener);
+			await expect(con.describeAccount()).rejects.toBeInstanceOf(AuthenticationError);
+			expect(events).toEqual([null]);
+		});
+	});
+
+	describe('Client Credentials', () => {
+		test('Login and automatic re-acquisition of expired tokens', async () => {
+			let tokens = 0;
+			handlers['POST /oidc/token'] = (req, res, form) => {
+				if (form.client_secret !== 'secret') {
+					json(res, 401, {error: 'invalid_client'});
+					return;
+				}
+				tokens++;
+				json(res, 200, {access_token: 'cc' + tokens, token_type: 'Bearer', expires_in: 10});
+			};
+			handlers['GET /me'] = (req, res) => json(res, 200, {user_id: req.headers.authorization});
+			let [con, , provider] = await connect();
+
+			await expect(provider.login('service', 'wrong')).rejects.toBeInstanceOf(AuthenticationError);
+			expect(con.isAuthenticated()).toBeFalsy();
+			expect(provider.canRefresh()).toBeFalsy();
+
+			await provider.login('service', 'secret');
+			expect(con.getAuthProvider()).toBe(provider);
+			let token = requests.filter(r => r.key === 'POST /oidc/token').pop();
+			expect(token.form).toEqual({grant_type: 'client_credentials', client_id: 'service', scope: 'openid email', client_secret: 'secret'});
+
+			// Token expires within 10 seconds, so a new token is requested before the request is sent
+			expect(await con.describeAccount()).toEqual({user_id: 'Bearer oidc/mock/cc2'});
+
+			await provider.logout();
+			expect(con.isAuthenticated()).toBeFalsy();
+			expect(provider.canRefresh()).toBeFalsy();
+		});
+
+		test('Can be set as auth provider of another connection', async () => {
+			handlers['POST /oidc/token'] = (req, res) => json(res, 200, {access_token: 'cc', token_type: 'Bearer'});
+			let [, , provider] = await connect();
+			await provider.login('service', 'secret');
+			let con = new Connection(baseUrl);
+			con.setAuthProvider(provider);
+			expect(con.isAuthenticated()).toBeTruthy();
+			expect(provider.getExpiresAt()).toBeNull();
+		});
+	});
+
+	describe('Token persistence', () => {
+		beforeEach(() => {
+			handlers['POST /oidc/token'] = (req, res, form) => {
+				if (form.grant_type === 'refresh_token') {
+					json(res, 200, {access_token: 'renewed', expires_in: 3600});
+				}
+				else {
+					json(res, 200, {access_token: 'token1', refresh_token: 'refresh1', expires_in: 3600});
+				}
+			};
+		});
+
+		test('Tokens are stored and restored', async () => {
+			let store = new MemoryTokenStore();
+			let [con, provider] = await connect();
+			con.setTokenStore(store);
+			await provider.login('client', () => {});
+			let key = 'oidc.mock.device_code@' + baseUrl;
+			expect(con.getTokenStoreKey(provider)).toBe(key);
+			let data = await store.get(key);
+			expect(data.token).toBe('token1');
+			expect(data.client_id).toBe('client');
+			expect(data.user.refresh_token).toBe('refresh1');
+			expect(data.expires_at).toBe(provider.getExpiresAt());
+
+			let con2 = new Connection(baseUrl, store);
+			await con2.init();
+			let restored = await con2.restoreAuthentication();
+			expect(restored).toBeInstanceOf(OidcDeviceCodeProvider);
+			expect(con2.getAuthProvider()).toBe(restored);
+			expect(restored.getToken()).toBe('oidc/mock/token1');
+			expect(restored.canRefresh()).toBeTruthy();
+
+			await restored.logout();
+			expect(await store.get(key)).toBeNull();
+		});
+
+		test('Tokens of different flows are stored separately', async () => {
+			handlers['POST /oidc/token'] = (req, res, form) => {
+				if (form.grant_type === 'client_credentials') {
+					json(res, 200, {access_token: 'cc', expires_in: 3600});
+				}
+				else {
+					json(res, 200, {access_token: 'token1', refresh_token: 'refresh1', expires_in: 3600});
+				}
+			};
+			let store = new MemoryTokenStore();
+			let [con, deviceCode, clientCredentials] = await connect();
+			con.setTokenStore(store);
+			await deviceCode.login('client', () => {});
+			await clientCredentials.login('service', 'secret');
+			let deviceCodeKey = 'oidc.mock.device_code@' + baseUrl;
+			let clientCredentialsKey = 'oidc.mock.client_credentials@' + baseUrl;
+			expect(con.getTokenStoreKey(clientCredentials)).toBe(clientCredentialsKey);
+			expect((await store.get(deviceCodeKey)).token).toBe('token1');
+			expect((await store.get(clientCredentialsKey)).token).toBe('cc');
+
+			// Tokens of other flows are not restored
+			expect(deviceCode.restoreStorageData(await store.get(clientCredentialsKey))).toBeFalsy();
+
+			let con2 = new Connection(baseUrl, store);
+			await con2.init();
+			let restored = await con2.restoreAuthentication();
+			expect(restored).toBeInstanceOf(OidcDeviceCodeProvider);
+			expect(restored.getToken()).toBe('oidc/mock/token1');
+
+			await clientCredentials.logout();
+			expect(await store.get(clientCredentialsKey)).toBeNull();
+			expect((await store.get(deviceCodeKey)).token).toBe('token1');
+		});
+
+		test('Expired tokens are renewed or removed on restore', async () => {
+			let store = new MemoryTokenStore();
+			let key = 'oidc.mock.device_code@' + baseUrl;
+			let expired = Date.now() - 1000;
+
+			await store.set(key, {type: 'oidc', provider_id: 'mock', token: 'old', expires_at: expired, client_id: 'client', user: {access_token: 'old', refresh_token: 'refresh1'}});
+			let con = new Connection(baseUrl, store);
+			await con.init();
+			let provider = await con.restoreAuthentication();
+			expect(provider).not.toBeNull();
+			handlers['GET /me'] = (req, res) => json(res, 200, {user_id: req.headers.authorization});
+			expect(await con.describeAccount()).toEqual({user_id: 'Bearer oidc/mock/renewed'});
+			expect((await store.get(key)).token).toBe('renewed');
+
+			await store.set(key, {type: 'oidc', provider_id: 'mock', token: 'old', expires_at: expired});
+			let con2 = new Connection(baseUrl, store);
+			await con2.init();
+			expect(await con2.restoreAuthentication()).toBeNull();
+			expect(con2.isAuthenticated()).toBeFalsy();
+			expect(await store.get(key)).toBeNull();
+		});
+	});
+
+});
@@ -0,0 +1,159 @@
+// @ts-nocheck
+describe('Process Validator', () => {
+
+	const { Builder, ProcessValidator } = require('../src/openeo');
+	const processes = require('./data/processes.json');
+
+	function codes(errors) {
+		return errors.map(e => e.code);
+	}
+
+	function graph(nodes) {
+		return {process_graph: nodes};
+	}
+
+	const validator = new ProcessValidator(processes);
+
+	const loadCollection = {process_id: 'load_collection', arguments: {id: 'S2', spatial_extent: null, temporal_extent: null}};
+
+	test('Valid processes', () => {
+		let builder = new Builder(processes);
+		let data = builder.load_collection('S2', {west: 16.1, east: 16.6, north: 48.6, south: 47.2}, ['2018-01-01', null], ['B04', 'B08']);
+		let mean = builder.reduce_dimension(data, function(data) { return this.mean(data); }, 't');
+		builder.save_result(mean, 'GTiff').result = true;
+		expect(validator.validate(builder)).toEqual([]);
+		expect(validator.validate(builder.toJSON())).toEqual([]);
+		expect(validator.validate(builder.toJSON().process_graph)).toEqual([]);
+	});
+
+	test('Missing process graphs and result nodes', () => {
+		expect(codes(validator.validate({}))).toEqual(['ProcessGraphMissing']);
+		expect(codes(validator.validate(null))).toEqual(['ProcessGraphMissing']);
+		expect(codes(validator.validate({parameters: []}))).toEqual(['ProcessGraphMissing']);
+		expect(codes(validator.validate(graph({a: loadCollection})))).toEqual(['ResultNodeMissing']);
+		let errors = validator.validate(graph({
+			a: Object.assign({result: true}, loadCollection),
+			b: Object.assign({result: true}, loadCollection),
+			c: {arguments: {}}
+		}));
+		expect(errors).toEqual([
+			{code: 'ProcessGraphInvalid', message: "The node 'c' is invalid: The process identifier is missing."},
+			{code: 'MultipleResultNodes', message: "Multiple result nodes specified for the process: 'a', 'b'."}
+		]);
+	});
+
+	test('Processes and arguments', () => {
+		let errors = validator.validate(graph({
+			a: {process_id: 'load_collection', arguments: {id: 'S2', spatial_extent: null, extent: null}},
+			b: {process_id: 'unknown', arguments: {x: 1}},
+			c: {process_id: 'absolute', namespace: 'user', arguments: {x: 1}, result: true}
+		}));
+		expect(errors).toEqual([
+			{code: 'ProcessArgumentRequired', message: "Process 'load_collection' requires argument 'temporal_extent' (node 'a')."},
+			{code: 'ProcessArgumentUnsupported', message: "Process 'load_collection' does not support argument 'extent' (node 'a')."},
+			{code: 'ProcessUnsupported', message: "Process with identifier 'unknown' is not available in namespace 'backend' (node 'b')."},
+			{code: 'ProcessUnsupported', message: "Process with identifier 'absolute' is not available in namespace 'user' (node 'c')."}
+		]);
+
+		// Nodes without namespace fall back to user-defined processes
+		let custom = new ProcessValidator(processes.processes.concat([{id: 'my_ndvi', namespace: 'user', parameters: [{name: 'red', schema: {type: 'number'}}]}]));
+		expect(custom.validate(graph({a: {process_id: 'my_ndvi', arguments: {red: 1}, result: true}}))).toEqual([]);
+		expect(codes(custom.validate(graph({a: {process_id: 'my_ndvi', namespace: 'other', arguments: {red: 1}, result: true}})))).toEqual(['ProcessUnsupported']);
+		expect(ProcessValidator.getNamespaces(graph({
+			a: {process_id: 'my_ndvi', namespace: 'user', arguments: {}},
+			b: {process_id: 'apply', arguments: {process: {process_graph: {c: {process_id: 'x', namespace: 'https://example.com', arguments: {}}}}}}
+		}))).toEqual(['user', 'https://example.com']);
+	});
+
+	test('Literal arguments are checked against the schemas', () => {
+		let errors = validator.validate(graph({
+			a: {process_id: 'load_collection', arguments: {id: 1, spatial_extent: 'world', temporal_extent: ['2018-01-01'], bands: ['B04', 8]}},
+			b: {process_id: 'add', arguments: {x: {from_node: 'a'}, y: '2'}},
+			c: {process_id: 'add', arguments: {x: null, y: 2.5}, result: true}
+		}));
+		expect(errors).toEqual([
+			{code: 'ProcessArgumentInvalid', message: "The argument 'id' in process 'load_collection' is invalid (node 'a'): Expected string, but got integer."},
+			{code: 'ProcessArgumentInvalid', message: "The argument 'spatial_extent' in process 'load_collection' is invalid (node 'a'): Expected object or null, but got string."},
+			{code: 'ProcessArgumentInvalid', message: "The argument 'temporal_extent' in process 'load_collection' is invalid (node 'a'): Must have at least 2 elements."},
+			{code: 'ProcessArgumentInvalid', message: "The argument 'bands' in process 'load_collection' is invalid (node 'a'): Element 1: Expected string, but got integer."},
+			{code: 'ProcessArgumentInvalid', message: "The argument 'y' in process 'add' is invalid (node 'b'): Expected number or null, but got string."}
+		]);
+	});
+
+	test('JSON schema keywords', () => {
+		let check = ProcessValidator.checkSchema;
+		expect(check(5, {type: 'integer', minimum: 1, maximum: 10})).toBeNull();
+		expect(check(5.5, {type: 'integer'})).toBe("Expected integer, but got number.");
+		expect(check(0, {type: 'number', exclusiveMinimum: 0})).toBe("Must be greater than 0.");
+		expect(check(11, {type: 'number', maximum: 10})).toBe("Must be less than or equal to 10.");
+		expect(check('near', {type: 'string', enum: ['bilinear', 'cubic']})).toBe('Must be one of: "bilinear", "cubic".');
+		expect(check('EPSG:4326', {type: 'string', pattern: '^EPSG:\\d+$'})).toBeNull();
+		expect(check('4326', {type: 'string', pattern: '^EPSG:\\d+$'})).toBe("Must match the pattern ^EPSG:\\d+$.");
+		expect(check({west: 1}, {type: 'object', required: ['west', 'east']})).toBe("Missing required properties: east.");
+		expect(check({a: 1, b: 'x'}, {type: 'object', properties: {a: {type: 'number'}}, additionalProperties: false})).toBe("Property 'b': Not allowed.");
+		expect(check({a: 1, b: 'x'}, {type: 'object', additionalProperties: {type: 'number'}})).toBe("Property 'b': Expected number, but got string.");
+		expect(check([1, 'a'], {type: 'array', items: [{type: 'number'}, {type: 'string'}]})).toBeNull();
+		expect(check(['a', {from_parameter: 'x'}], {type: 'array', items: {type: 'string'}})).toBeNull();
+		expect(check({from_node: 'a'}, {type: 'number'})).toBeNull();
+		expect(check('x', {anyOf: [{type: 'number'}, {type: 'string', minLength: 2}]})).toBe("Must have at least 2 characters.");
+		expect(check(true, {})).toBeNull();
+		expect(check(true, null)).toBeNull();
+	});
+
+	test('References', () => {
+		let process = {
+			parameters: [{name: 'collection', schema: {type: 'string'}}],
+			process_graph: {
+				a: {process_id: 'load_collection', arguments: {id: {from_parameter: 'collection'}, spatial_extent: null, temporal_extent: null}},
+				b: {process_id: 'apply', arguments: {
+					data: {from_node: 'a'},
+					process: {process_graph: {
+						c: {process_id: 'absolute', arguments: {x: {from_parameter: 'x'}}},
+						d: {process_id: 'add', arguments: {x: {from_node: 'c'}, y: {from_parameter: 'y'}}},
+						e: {process_id: 'add', arguments: {x: {from_node: 'a'}, y: {from_parameter: 'collection'}}, result: true}
+					}}
+				}},
+				f: {process_id: 'save_result', arguments: {data: {from_node: 'x'}, format: {from_parameter: 'format'}}, result: true}
+			}
+		};
+		expect(validator.validate(process)).toEqual([
+			{code: 'ProcessGraphParameterMissing', message: "Invalid parameter 'y' requested in the process 'add' (node 'b/process/d')."},
+			{code: 'ReferencedNodeMissing', message: "Referenced node 'a' doesn't exist (node 'b/process/e')."},
+			{code: 'ReferencedNodeMissing', message: "Referenced node 'x' doesn't exist (node 'f')."},
+			{code: 'ProcessGraphParameterMissing', message: "Invalid parameter 'format' requested in the process 'save_result' (node 'f')."}
+		]);
+
+		// Parameters can't be checked if the process doesn't define them
+		expect(codes(validator.validate(process.process_graph))).toEqual(['ReferencedNodeMissing', 'ReferencedNodeMissing']);
+	});
+
+	test('Callbacks', () => {
+		let errors = validator.validate(graph({
+			a: loadCollection,
+			b: {process_id: 'reduce_dimension', arguments: {data: {from_node: 'a'}, dimension: 't', reducer: {process_graph: {
+				c: {process_id: 'mean', arguments: {data: {from_parameter: 'data'}, ignore_nodata: 'yes'}}
+			}}}, result: true}
+		}));
+		expect(errors).toEqual([
+			{code: 'ResultNodeMissing', message: "No result node found for the callback 'reducer' of node 'b'."},
+			{code: 'ProcessArgumentInvalid', message: "The argument 'ignore_nodata' in process 'mean' is invalid (node 'b/reducer/c'): Expected boolean, but got string."}
+		]);
+	});
+
+	test('Cycles', () => {
+		let errors = validator.validate(graph({
+			a: {process_id: 'add', arguments: {x: {from_node: 'c'}, y: 1}},
+			b: {process_id: 'add', arguments: {x: {from_node: 'a'}, y: 1}},
+			c: {process_id: 'add', arguments: {x: {from_node: 'b'}, y: 1}, result: true}
+		}));
+		expect(errors).toEqual([
+			{code: 'ProcessGraphCycle', message: "The process graph of the process contains a cycle: a -> b -> c -> a."}
+		]);
+		expect(ProcessValidator.findCycle({
+			a: {process_id: 'add', arguments: {x: {from_node: 'b'}, y: {from_node: 'b'}}},
+			b: {process_id: 'absolute', arguments: {x: 1}}
+		})).toBeNull();
+		expect(ProcessValidator.findCycle({a: {process_id: 'absolute', arguments: {x: [{from_node: 'a'}]}}})).toEqual(['a', 'a']);
+	});
+
+});
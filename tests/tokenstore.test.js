@@ -0,0 +1,62 @@
+/**
+ * @jest-environment node
+ */
+// @ts-nocheck
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { OpenEO, MemoryTokenStore, WebStorageTokenStore } = require('../src/openeo');
+const FileTokenStore = require('../src/tokenstores/filetokenstore');
+
+describe('Token stores', () => {
+
+	async function checkStore(store) {
+		expect(await store.get('a')).toBeNull();
+		await store.set('a', {token: '123'});
+		await store.set('b', {token: '456'});
+		expect(await store.get('a')).toEqual({token: '123'});
+		await store.set('a', {token: '789'});
+		expect(await store.get('a')).toEqual({token: '789'});
+		await store.remove('a');
+		expect(await store.get('a')).toBeNull();
+		expect(await store.get('b')).toEqual({token: '456'});
+	}
+
+	test('Memory', async () => {
+		await checkStore(new MemoryTokenStore());
+	});
+
+	test('Web Storage', async () => {
+		let items = {};
+		let storage = {
+			getItem: key => key in items ? items[key] : null,
+			setItem: (key, value) => items[key] = value,
+			removeItem: key => delete items[key]
+		};
+		await checkStore(new WebStorageTokenStore(storage));
+		expect(Object.keys(items)).toEqual(['openeo.token.b']);
+		items['openeo.token.c'] = '{invalid';
+		expect(await new WebStorageTokenStore(storage).get('c')).toBeNull();
+		expect(() => new WebStorageTokenStore()).toThrow();
+	});
+
+	test('File', async () => {
+		let folder = fs.mkdtempSync(path.join(os.tmpdir(), 'openeo-tokens-'));
+		try {
+			let file = path.join(folder, 'sub', 'tokens.json');
+			let store = OpenEO.Environment.getDefaultTokenStore(file);
+			expect(store).toBeInstanceOf(FileTokenStore);
+			await checkStore(store);
+			expect(JSON.parse(fs.readFileSync(file, 'utf8'))).toEqual({b: {token: '456'}});
+			if (process.platform !== 'win32') {
+				expect(fs.statSync(file).mode & 0o777).toBe(0o600);
+			}
+			// Concurrent updates don't get lost
+			await Promise.all([store.set('c', {}), store.set('d', {}), store.remove('b')]);
+			expect(Object.keys(await new FileTokenStore(file).read())).toEqual(['c', 'd']);
+		} finally {
+			fs.rmSync(folder, {recursive: true, force: true});
+		}
+	});
+
+});